@@ -11,6 +11,7 @@ import Loader from "./components/Loader";
 import Home from "./pages/Home";
 import Algorithms from "./pages/Algorithms";
 import AlgorithmDetail from "./pages/AlgorithmDetails";
+import AlgorithmRevisions from "./pages/AlgorithmRevisions";
 import Login from "./pages/Login";
 import Register from "./pages/Register";
 import ForgotPassword from "./pages/ForgotPassword";
@@ -24,6 +25,12 @@ import DataStructureDetail from "./pages/DataStructureDetail";
 import CreateDataStructureProposal from "./pages/CreateDataStructureProposal";
 import EditDataStructureProposal from "./pages/EditDataStructureProposal";
 
+import LearningPaths from "./pages/LearningPaths";
+import LearningPathDetail from "./pages/LearningPathDetail";
+import LearningPathEditor from "./pages/LearningPathEditor";
+import Dashboard from "./pages/Dashboard";
+import Search from "./pages/Search";
+
 import CreateProposal from "./pages/CreateProposal";
 import EditProposal from "./pages/EditProposal";
 import MyProposals from "./pages/MyProposals";
@@ -35,11 +42,17 @@ import AdminUsersPage from "./pages/AdminUsersPage";
 import AdminAnalytics from "./pages/AdminAnalytics";
 import AdminDataStructures from "./pages/AdminDataStructures";
 import AdminDataStructureProposalReview from "./pages/AdminDataStructureProposalReview";
-import { getMe } from "./features/auth/authSlice";
+import AdminImportExport from "./pages/AdminImportExport";
+import AdminTrash from "./pages/AdminTrash";
+import AdminAuditLog from "./pages/AdminAuditLog";
+import { getMe, tokensRefreshed, sessionExpired } from "./features/auth/authSlice";
+import { getAccessToken, AUTH_REFRESHED_EVENT, AUTH_EXPIRED_EVENT } from "./utils/authTokens";
 import { toast } from "react-toastify";
 import Contact from "./pages/Contact";
 import AdminUsersContact from "./pages/AdminUsersContact";
 import FaqPage from './pages/FaqPage';
+import VerifyEmail from "./pages/VerifyEmail";
+import OAuthCallback from "./pages/OAuthCallback";
 
 const router = createBrowserRouter([
   {
@@ -54,6 +67,14 @@ const router = createBrowserRouter([
     path: "/forgot-password",
     element: <ForgotPassword />,
   },
+  {
+    path: "/verify-email",
+    element: <VerifyEmail />,
+  },
+  {
+    path: "/oauth/callback",
+    element: <OAuthCallback />,
+  },
   {
     path: "/",
     element: <Layout />,
@@ -86,6 +107,10 @@ const router = createBrowserRouter([
         path: "algorithms/:slug",
         element: <AlgorithmDetail />,
       },
+      {
+        path: "algorithms/:slug/history",
+        element: <AlgorithmRevisions />,
+      },
       {
         path: "algorithms/proposals/new",
         element: <CreateProposal />,
@@ -114,6 +139,30 @@ const router = createBrowserRouter([
         path: "data-structures/proposals/:slug/edit",
         element: <EditDataStructureProposal />,
       },
+      {
+        path: "learning-paths",
+        element: <LearningPaths />,
+      },
+      {
+        path: "learning-paths/new",
+        element: <LearningPathEditor />,
+      },
+      {
+        path: "learning-paths/:slug",
+        element: <LearningPathDetail />,
+      },
+      {
+        path: "learning-paths/:slug/edit",
+        element: <LearningPathEditor />,
+      },
+      {
+        path: "dashboard",
+        element: <Dashboard />,
+      },
+      {
+        path: "search",
+        element: <Search />,
+      },
       {
         path: "proposals",
         element: <MyProposals />,
@@ -149,7 +198,7 @@ const router = createBrowserRouter([
       {
         path: "admin/proposals/review",
         element: (
-          <AdminRoute>
+          <AdminRoute roles={["admin", "reviewer"]}>
             <AdminProposalReview />
           </AdminRoute>
         ),
@@ -157,7 +206,7 @@ const router = createBrowserRouter([
       {
         path: "admin/data-structures/proposals/review",
         element: (
-          <AdminRoute>
+          <AdminRoute roles={["admin", "reviewer"]}>
             <AdminDataStructureProposalReview />
           </AdminRoute>
         ),
@@ -178,6 +227,30 @@ const router = createBrowserRouter([
           </AdminRoute>
         ),
       },
+      {
+        path: "admin/import-export",
+        element: (
+          <AdminRoute>
+            <AdminImportExport />
+          </AdminRoute>
+        ),
+      },
+      {
+        path: "admin/trash",
+        element: (
+          <AdminRoute>
+            <AdminTrash />
+          </AdminRoute>
+        ),
+      },
+      {
+        path: "admin/audit-log",
+        element: (
+          <AdminRoute>
+            <AdminAuditLog />
+          </AdminRoute>
+        ),
+      },
       {
         path: "faq",
         element: <FaqPage />,
@@ -197,7 +270,7 @@ function App() {
     dispatch(setTheme(storedTheme));
 
     const fetchUser = async () => {
-      const token = localStorage.getItem("token");
+      const token = getAccessToken();
       if (token) {
         try {
           await dispatch(getMe(token)).unwrap();
@@ -216,6 +289,24 @@ function App() {
     fetchUser();
   }, [dispatch]);
 
+  useEffect(() => {
+    const handleRefreshed = (e) => dispatch(tokensRefreshed(e.detail));
+    const handleExpired = () => {
+      dispatch(sessionExpired());
+      toast.info("Your session has ended. Please log in again.", {
+        position: "top-right",
+        autoClose: 3000,
+        theme: "colored",
+      });
+    };
+    window.addEventListener(AUTH_REFRESHED_EVENT, handleRefreshed);
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => {
+      window.removeEventListener(AUTH_REFRESHED_EVENT, handleRefreshed);
+      window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    };
+  }, [dispatch]);
+
   return isLoading ? (
     <div className="flex items-center justify-center min-h-screen bg-gray-50 dark:bg-gray-900 transition-colors duration-300">
       <div className="text-center">
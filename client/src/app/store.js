@@ -11,6 +11,13 @@ import contactReducer from "../features/contact/contactSlice";
 import communityReducer from "../features/community/communitySlice";
 import dataStructureReducer from "../features/dataStructure/dataStructureSlice";
 import dataStructureProposalReducer from "../features/dataStructureProposal/dataStructureProposalSlice";
+import relationReducer from "../features/relation/relationSlice";
+import learningPathReducer from "../features/learningPath/learningPathSlice";
+import progressReducer from "../features/progress/progressSlice";
+import bundleReducer from "../features/bundle/bundleSlice";
+import searchReducer from "../features/search/searchSlice";
+import trashReducer from "../features/trash/trashSlice";
+import auditLogReducer from "../features/auditLog/auditLogSlice";
 
 const store = configureStore({
   reducer: {
@@ -26,6 +33,13 @@ const store = configureStore({
     community: communityReducer,
     dataStructure: dataStructureReducer,
     dataStructureProposal: dataStructureProposalReducer,
+    relation: relationReducer,
+    learningPath: learningPathReducer,
+    progress: progressReducer,
+    bundle: bundleReducer,
+    search: searchReducer,
+    trash: trashReducer,
+    auditLog: auditLogReducer,
   },
   devTools: import.meta.env.MODE !== "production",
 });
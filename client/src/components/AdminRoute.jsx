@@ -1,10 +1,11 @@
 import { useSelector } from "react-redux";
 import { Navigate } from "react-router-dom";
 
-const AdminRoute = ({ children }) => {
+// `roles` widens access, e.g. to let reviewers into the proposal review pages.
+const AdminRoute = ({ children, roles = ["admin"] }) => {
   const { token, user } = useSelector((state) => state.auth);
 
-  if (!token || user?.role !== "admin") {
+  if (!token || !roles.includes(user?.role)) {
     return <Navigate to="/" replace />;
   }
 
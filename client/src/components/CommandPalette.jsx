@@ -0,0 +1,257 @@
+import { useEffect, useRef, useState } from "react";
+import { useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import {
+  Workflow,
+  Database,
+  Hash,
+  Folder,
+  UserCircle,
+  Compass,
+  Search,
+  CornerDownLeft,
+} from "lucide-react";
+import { fetchSuggestions } from "../features/search/searchAPI";
+
+const PAGES = [
+  { label: "Home", path: "/" },
+  { label: "Search", path: "/search" },
+  { label: "Algorithms", path: "/algorithms" },
+  { label: "Data Structures", path: "/data-structures" },
+  { label: "Learning Paths", path: "/learning-paths" },
+  { label: "Community Guidelines", path: "/community-guidelines" },
+  { label: "FAQ", path: "/faq" },
+  { label: "Feedback", path: "/feedback" },
+  { label: "Contact", path: "/contact" },
+  { label: "Dashboard", path: "/dashboard", auth: true },
+  { label: "My Proposals", path: "/proposals", auth: true },
+  { label: "Submit Algorithm Proposal", path: "/algorithms/proposals/new", auth: true },
+  { label: "Submit Data Structure Proposal", path: "/data-structures/proposals/new", auth: true },
+  { label: "Manage Users", path: "/admin/manage-users", admin: true },
+  { label: "Manage Algorithms", path: "/admin/manage-algorithms", admin: true },
+  { label: "Manage Data Structures", path: "/admin/manage-data-structures", admin: true },
+  { label: "Manage User Contacts", path: "/admin/manage-users-contacts", admin: true },
+  { label: "Review Algorithm Proposals", path: "/admin/proposals/review", reviewer: true },
+  { label: "Review Data Structure Proposals", path: "/admin/data-structures/proposals/review", reviewer: true },
+  { label: "Analytics Dashboard", path: "/admin/analytics", admin: true },
+  { label: "Import & Export", path: "/admin/import-export", admin: true },
+  { label: "Trash", path: "/admin/trash", admin: true },
+  { label: "Audit Log", path: "/admin/audit-log", admin: true },
+];
+
+const REVIEWER_ROLES = ["admin", "reviewer"];
+
+const KINDS = {
+  page: { label: "Page", icon: <Compass size={16} /> },
+  algorithm: { label: "Algorithm", icon: <Workflow size={16} /> },
+  "data-structure": { label: "Data structure", icon: <Database size={16} /> },
+  tag: { label: "Tag", icon: <Hash size={16} /> },
+  category: { label: "Category", icon: <Folder size={16} /> },
+  user: { label: "User", icon: <UserCircle size={16} /> },
+  search: { label: "Search", icon: <Search size={16} /> },
+};
+
+const pathFor = (item) => {
+  switch (item.kind) {
+    case "algorithm":
+      return `/algorithms/${item.slug}`;
+    case "data-structure":
+      return `/data-structures/${item.slug}`;
+    case "tag":
+      return `/search?tags=${encodeURIComponent(item.value)}`;
+    case "category":
+      return `/search?category=${encodeURIComponent(item.value)}`;
+    case "user":
+      return `/profile/${item.value}`;
+    case "search":
+      return `/search?q=${encodeURIComponent(item.value)}`;
+    default:
+      return item.path;
+  }
+};
+
+const Label = ({ item }) =>
+  item.highlight
+    ? item.highlight.map((segment, i) =>
+        segment.highlight ? (
+          <mark key={i} className="bg-transparent text-blue-600 dark:text-blue-400 font-semibold">
+            {segment.text}
+          </mark>
+        ) : (
+          <span key={i}>{segment.text}</span>
+        )
+      )
+    : item.label;
+
+// Ctrl/Cmd+K jumps to any page, entry, tag, category or profile.
+const CommandPalette = () => {
+  const navigate = useNavigate();
+  const { token, user } = useSelector((state) => state.auth);
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [suggestions, setSuggestions] = useState([]);
+  const [active, setActive] = useState(0);
+  const debounce = useRef(null);
+  const latest = useRef(0);
+  const listRef = useRef(null);
+
+  const close = () => {
+    clearTimeout(debounce.current);
+    latest.current += 1;
+    setOpen(false);
+    setQuery("");
+    setSuggestions([]);
+    setActive(0);
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        setOpen((prev) => !prev);
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  useEffect(() => () => clearTimeout(debounce.current), []);
+
+  useEffect(() => {
+    listRef.current
+      ?.querySelector(`[data-index="${active}"]`)
+      ?.scrollIntoView({ block: "nearest" });
+  }, [active]);
+
+  if (!open) return null;
+
+  const text = query.trim().toLowerCase();
+  const pages = PAGES.filter(
+    (page) =>
+      (!page.auth || token) &&
+      (!page.admin || user?.role === "admin") &&
+      (!page.reviewer || REVIEWER_ROLES.includes(user?.role)) &&
+      page.label.toLowerCase().includes(text)
+  ).map((page) => ({ ...page, kind: "page" }));
+  if (user) {
+    const profile = { kind: "page", label: "My Profile", path: `/profile/${user.username}` };
+    if (profile.label.toLowerCase().includes(text)) pages.push(profile);
+  }
+
+  const items = text
+    ? [
+        ...suggestions,
+        ...pages.slice(0, 5),
+        { kind: "search", label: `Search for "${query.trim()}"`, value: query.trim() },
+      ]
+    : pages;
+  const current = Math.min(active, items.length - 1);
+
+  const handleChange = (e) => {
+    const value = e.target.value;
+    setQuery(value);
+    setActive(0);
+    clearTimeout(debounce.current);
+
+    const request = ++latest.current;
+    if (!value.trim()) {
+      setSuggestions([]);
+      return;
+    }
+    debounce.current = setTimeout(async () => {
+      try {
+        const data = await fetchSuggestions(value.trim());
+        if (request === latest.current) setSuggestions(data.suggestions);
+      } catch {
+        if (request === latest.current) setSuggestions([]);
+      }
+    }, 120);
+  };
+
+  const select = (item) => {
+    close();
+    navigate(pathFor(item));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive((current + 1) % items.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((current - 1 + items.length) % items.length);
+    } else if (e.key === "Enter" && items[current]) {
+      e.preventDefault();
+      select(items[current]);
+    } else if (e.key === "Escape") {
+      close();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-[100] flex items-start justify-center bg-black/50 backdrop-blur-sm px-4 pt-[15vh]"
+      onMouseDown={close}
+    >
+      <div
+        role="dialog"
+        aria-label="Command palette"
+        className="w-full max-w-xl overflow-hidden rounded-2xl bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 shadow-2xl"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center gap-3 px-4 border-b border-gray-200 dark:border-gray-700">
+          <Search size={18} className="text-gray-400" />
+          <input
+            autoFocus
+            value={query}
+            onChange={handleChange}
+            onKeyDown={handleKeyDown}
+            placeholder="Jump to an algorithm, data structure, user or page..."
+            className="flex-1 py-4 bg-transparent text-gray-900 dark:text-white placeholder-gray-400 focus:outline-none"
+          />
+          <kbd className="text-xs text-gray-400 border border-gray-300 dark:border-gray-600 rounded px-1.5 py-0.5">
+            Esc
+          </kbd>
+        </div>
+
+        <ul ref={listRef} className="max-h-[50vh] overflow-y-auto py-2">
+          {items.length === 0 ? (
+            <li className="px-4 py-6 text-center text-sm text-gray-500 dark:text-gray-400">
+              No matches
+            </li>
+          ) : (
+            items.map((item, i) => (
+              <li
+                key={`${item.kind}:${item.slug || item.value || item.path}`}
+                data-index={i}
+                onMouseEnter={() => setActive(i)}
+                onClick={() => select(item)}
+                className={`flex items-center gap-3 px-4 py-2.5 cursor-pointer text-sm ${
+                  i === current
+                    ? "bg-blue-50 dark:bg-blue-900/30 text-gray-900 dark:text-white"
+                    : "text-gray-700 dark:text-gray-300"
+                }`}
+              >
+                <span className="text-gray-400">{KINDS[item.kind].icon}</span>
+                <span className="truncate">
+                  <Label item={item} />
+                  {item.detail && (
+                    <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                      {item.detail}
+                    </span>
+                  )}
+                </span>
+                <span className="ml-auto flex items-center gap-2 text-xs text-gray-400">
+                  {KINDS[item.kind].label}
+                  {i === current && <CornerDownLeft size={14} />}
+                </span>
+              </li>
+            ))
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
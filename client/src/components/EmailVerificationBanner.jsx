@@ -0,0 +1,26 @@
+import { useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+import { MailWarning } from "lucide-react";
+
+// Reminds signed-in users with an unconfirmed address what they're missing.
+const EmailVerificationBanner = () => {
+  const user = useSelector((state) => state.auth.user);
+  if (user?.emailVerified !== false) return null;
+
+  return (
+    <div className="mb-6 flex flex-wrap items-center justify-between gap-3 rounded-xl border border-amber-300 dark:border-amber-700 bg-amber-50 dark:bg-amber-900/30 px-4 py-3 text-sm text-amber-800 dark:text-amber-200">
+      <span className="flex items-center gap-2">
+        <MailWarning size={18} />
+        Verify your email address to submit proposals and join discussions.
+      </span>
+      <Link
+        to="/verify-email"
+        className="font-medium underline hover:text-amber-900 dark:hover:text-amber-100"
+      >
+        Verify now
+      </Link>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
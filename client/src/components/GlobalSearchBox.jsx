@@ -0,0 +1,40 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Search } from "lucide-react";
+
+// Hands the query over to the global search page, pre-filtered to `type`.
+const GlobalSearchBox = ({ type, placeholder }) => {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const params = new URLSearchParams();
+    if (query.trim()) params.set("q", query.trim());
+    if (type) params.set("type", type);
+    navigate(`/search?${params.toString()}`);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="relative max-w-2xl mx-auto">
+      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+        <Search size={20} className="text-gray-500 dark:text-gray-400" />
+      </div>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder={placeholder}
+        className="w-full py-3 pl-10 pr-24 rounded-xl bg-white dark:bg-gray-800 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent shadow-sm transition-all"
+      />
+      <button
+        type="submit"
+        className="absolute inset-y-1.5 right-1.5 px-4 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium"
+      >
+        Search
+      </button>
+    </form>
+  );
+};
+
+export default GlobalSearchBox;
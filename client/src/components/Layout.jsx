@@ -3,6 +3,8 @@ import { useSelector } from "react-redux";
 import Sidebar from "./Sidebar";
 import Footer from "./Footer";
 import ScrollToTop from "./ScrollToTop";
+import CommandPalette from "./CommandPalette";
+import EmailVerificationBanner from "./EmailVerificationBanner";
 
 const Layout = () => {
   const themeMode = useSelector((state) => state.theme.mode);
@@ -36,6 +38,7 @@ const Layout = () => {
         style={{ overflowX: "hidden" }}
       >
         <main className="flex-1 p-4 md:p-6 lg:p-8">
+          <EmailVerificationBanner />
           <Outlet />
         </main>
         <div>
@@ -43,6 +46,7 @@ const Layout = () => {
         </div>
         {shouldShowScrollToTop && <ScrollToTop />}
       </div>
+      <CommandPalette />
     </div>
   );
 };
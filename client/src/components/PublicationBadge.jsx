@@ -0,0 +1,22 @@
+import { publicationStatus } from "../utils/publishing";
+
+const tones = {
+  published: "text-green-700 bg-green-100 dark:text-green-300 dark:bg-green-900/30",
+  draft: "text-gray-700 bg-gray-100 dark:text-gray-300 dark:bg-gray-700",
+  scheduled: "text-indigo-700 bg-indigo-100 dark:text-indigo-300 dark:bg-indigo-900/30",
+};
+
+// Publication state of an entry for the admin lists
+const PublicationBadge = ({ entry }) => {
+  const { label, detail, tone } = publicationStatus(entry);
+  return (
+    <div className="space-y-1">
+      <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${tones[tone]}`}>
+        {label}
+      </span>
+      {detail && <p className="text-xs text-gray-500 dark:text-gray-400">{detail}</p>}
+    </div>
+  );
+};
+
+export default PublicationBadge;
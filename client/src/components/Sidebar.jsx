@@ -20,11 +20,17 @@ import {
   Workflow,
   UserCircle,
   Database,
-  Contact
+  Contact,
+  Route,
+  LayoutDashboard,
+  PackageOpen,
+  Search,
+  Trash2,
+  ScrollText,
 } from "lucide-react";
 import { useDispatch, useSelector } from "react-redux";
 import { toggleTheme } from "../features/theme/themeSlice";
-import { logout } from "../features/auth/authSlice";
+import { logoutUser } from "../features/auth/authSlice";
 import { useState, useEffect } from "react";
 import SDEverse from "../assets/sdeverse.png";
 
@@ -74,7 +80,7 @@ const Sidebar = () => {
   };
   const navigate = useNavigate();
   const handleLogout = () => {
-    dispatch(logout());
+    dispatch(logoutUser());
     setIsSidebarOpen(false);
     navigate("/");
   };
@@ -86,6 +92,12 @@ const Sidebar = () => {
       active: "bg-gradient-to-r from-blue-500 to-indigo-600",
       border: "border-l-blue-500",
     },
+    search: {
+      bg: "bg-slate-50/80 dark:bg-slate-800/40",
+      hover: "hover:bg-slate-100 dark:hover:bg-slate-800/60",
+      active: "bg-gradient-to-r from-slate-500 to-gray-600",
+      border: "border-l-slate-500",
+    },
     algorithms: {
       bg: "bg-purple-50/80 dark:bg-purple-900/30",
       hover: "hover:bg-purple-100 dark:hover:bg-purple-900/40",
@@ -98,6 +110,18 @@ const Sidebar = () => {
       active: "bg-gradient-to-r from-teal-500 to-cyan-600",
       border: "border-l-teal-500",
     },
+    learningPaths: {
+      bg: "bg-emerald-50/80 dark:bg-emerald-900/30",
+      hover: "hover:bg-emerald-100 dark:hover:bg-emerald-900/40",
+      active: "bg-gradient-to-r from-emerald-500 to-teal-600",
+      border: "border-l-emerald-500",
+    },
+    dashboard: {
+      bg: "bg-sky-50/80 dark:bg-sky-900/30",
+      hover: "hover:bg-sky-100 dark:hover:bg-sky-900/40",
+      active: "bg-gradient-to-r from-sky-500 to-blue-600",
+      border: "border-l-sky-500",
+    },
     profile: {
       bg: "bg-amber-50/80 dark:bg-amber-900/30",
       hover: "hover:bg-amber-100 dark:hover:bg-amber-900/40",
@@ -153,6 +177,24 @@ const Sidebar = () => {
       active: "bg-gradient-to-r from-cyan-500 to-sky-600",
       border: "border-l-cyan-500",
     },
+    importExport: {
+      bg: "bg-violet-50/80 dark:bg-violet-900/30",
+      hover: "hover:bg-violet-100 dark:hover:bg-violet-900/40",
+      active: "bg-gradient-to-r from-violet-500 to-purple-600",
+      border: "border-l-violet-500",
+    },
+    trash: {
+      bg: "bg-red-50/80 dark:bg-red-900/30",
+      hover: "hover:bg-red-100 dark:hover:bg-red-900/40",
+      active: "bg-gradient-to-r from-red-500 to-rose-600",
+      border: "border-l-red-500",
+    },
+    auditLog: {
+      bg: "bg-stone-50/80 dark:bg-stone-900/30",
+      hover: "hover:bg-stone-100 dark:hover:bg-stone-900/40",
+      active: "bg-gradient-to-r from-stone-500 to-neutral-600",
+      border: "border-l-stone-500",
+    },
     myProposals: {
       bg: "bg-emerald-50/80 dark:bg-emerald-900/30",
       hover: "hover:bg-emerald-100 dark:hover:bg-emerald-900/40",
@@ -269,6 +311,18 @@ const Sidebar = () => {
               <ChevronRight className="ml-auto opacity-70" size={16} />
             </NavLink>
 
+            <NavLink
+              to="/search"
+              className={({ isActive }) => getNavItemClass("search", isActive)}
+              onClick={handleLinkClick}
+            >
+              <Search size={20} className="min-w-[20px]" />
+              <span className="truncate">Search</span>
+              <kbd className="ml-auto hidden md:inline text-[10px] font-sans opacity-70 border border-current rounded px-1">
+                Ctrl K
+              </kbd>
+            </NavLink>
+
             <NavLink
               to="/algorithms"
               className={({ isActive }) =>
@@ -293,6 +347,32 @@ const Sidebar = () => {
               <ChevronRight className="ml-auto opacity-70" size={16} />
             </NavLink>
 
+            <NavLink
+              to="/learning-paths"
+              className={({ isActive }) =>
+                getNavItemClass("learningPaths", isActive)
+              }
+              onClick={handleLinkClick}
+            >
+              <Route size={20} className="min-w-[20px]" />
+              <span className="truncate">Learning Paths</span>
+              <ChevronRight className="ml-auto opacity-70" size={16} />
+            </NavLink>
+
+            {token && (
+              <NavLink
+                to="/dashboard"
+                className={({ isActive }) =>
+                  getNavItemClass("dashboard", isActive)
+                }
+                onClick={handleLinkClick}
+              >
+                <LayoutDashboard size={20} className="min-w-[20px]" />
+                <span className="truncate">Dashboard</span>
+                <ChevronRight className="ml-auto opacity-70" size={16} />
+              </NavLink>
+            )}
+
             {/* Profile Link - Always at the top */}
             {token && (
               <NavLink
@@ -441,6 +521,39 @@ const Sidebar = () => {
                   <span className="truncate">Analytics Dashboard</span>
                   <ChevronRight className="ml-auto opacity-70" size={16} />
                 </NavLink>
+                <NavLink
+                  to="/admin/import-export"
+                  className={({ isActive }) =>
+                    getNavItemClass("importExport", isActive)
+                  }
+                  onClick={handleLinkClick}
+                >
+                  <PackageOpen size={20} className="min-w-[20px]" />
+                  <span className="truncate">Import &amp; Export</span>
+                  <ChevronRight className="ml-auto opacity-70" size={16} />
+                </NavLink>
+                <NavLink
+                  to="/admin/trash"
+                  className={({ isActive }) =>
+                    getNavItemClass("trash", isActive)
+                  }
+                  onClick={handleLinkClick}
+                >
+                  <Trash2 size={20} className="min-w-[20px]" />
+                  <span className="truncate">Trash</span>
+                  <ChevronRight className="ml-auto opacity-70" size={16} />
+                </NavLink>
+                <NavLink
+                  to="/admin/audit-log"
+                  className={({ isActive }) =>
+                    getNavItemClass("auditLog", isActive)
+                  }
+                  onClick={handleLinkClick}
+                >
+                  <ScrollText size={20} className="min-w-[20px]" />
+                  <span className="truncate">Audit Log</span>
+                  <ChevronRight className="ml-auto opacity-70" size={16} />
+                </NavLink>
               </>
             )}
 
@@ -462,6 +575,34 @@ const Sidebar = () => {
                   <span className="truncate">My Proposals</span>
                   <ChevronRight className="ml-auto opacity-70" size={16} />
                 </NavLink>
+                {user?.role === "reviewer" && (
+                  <>
+                    <NavLink
+                      to="/admin/proposals/review"
+                      className={({ isActive }) =>
+                        getNavItemClass("reviewAlgorithmProposals", isActive)
+                      }
+                      onClick={handleLinkClick}
+                    >
+                      <FileCheck size={20} className="min-w-[20px]" />
+                      <span className="truncate">Review Algorithm Proposals</span>
+                      <ChevronRight className="ml-auto opacity-70" size={16} />
+                    </NavLink>
+                    <NavLink
+                      to="/admin/data-structures/proposals/review"
+                      className={({ isActive }) =>
+                        getNavItemClass("reviewDataStructureProposals", isActive)
+                      }
+                      onClick={handleLinkClick}
+                    >
+                      <FileCheck size={20} className="min-w-[20px]" />
+                      <span className="truncate">
+                        Review Data Structure Proposals
+                      </span>
+                      <ChevronRight className="ml-auto opacity-70" size={16} />
+                    </NavLink>
+                  </>
+                )}
                 <NavLink
                   to="/algorithms/proposals/new"
                   className={({ isActive }) =>
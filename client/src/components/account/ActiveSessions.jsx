@@ -0,0 +1,142 @@
+import { useEffect, useState } from "react";
+import { useDispatch } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { LogOut, Monitor, Smartphone } from "lucide-react";
+import { toast } from "react-toastify";
+import { formatDistanceToNow } from "date-fns";
+import {
+  getSessionsAPI,
+  revokeSessionAPI,
+  revokeAllSessionsAPI,
+} from "../../features/auth/authAPI";
+import { logout } from "../../features/auth/authSlice";
+
+const MOBILE = /Android|iOS/;
+
+const ActiveSessions = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    getSessionsAPI()
+      .then(setSessions)
+      .catch(() => toast.error("Failed to load your sessions"))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // Revoking the session in use signs this browser out as well
+  const signOutHere = () => {
+    dispatch(logout());
+    navigate("/login");
+  };
+
+  const run = async (request, onDone) => {
+    setBusy(true);
+    try {
+      const data = await request();
+      toast.success(data.message);
+      onDone();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to sign out the session");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = (session) =>
+    run(
+      () => revokeSessionAPI(session._id),
+      () =>
+        session.current
+          ? signOutHere()
+          : setSessions((list) => list.filter((s) => s._id !== session._id))
+    );
+
+  const handleRevokeOthers = () =>
+    run(
+      () => revokeAllSessionsAPI({ keepCurrent: true }),
+      () => setSessions((list) => list.filter((s) => s.current))
+    );
+
+  const handleRevokeAll = () => {
+    if (!window.confirm("Sign out of SDEverse on every device, including this one?")) return;
+    run(() => revokeAllSessionsAPI(), signOutHere);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-xl font-semibold flex items-center gap-2">
+          <Monitor size={22} /> Active sessions
+        </h2>
+        <div className="flex gap-2">
+          <button
+            onClick={handleRevokeOthers}
+            disabled={busy || sessions.length < 2}
+            className="px-3 py-1.5 rounded-lg text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-white disabled:opacity-50"
+          >
+            Sign out other devices
+          </button>
+          <button
+            onClick={handleRevokeAll}
+            disabled={busy || sessions.length === 0}
+            className="px-3 py-1.5 rounded-lg text-sm bg-red-600 hover:bg-red-700 text-white disabled:opacity-50"
+          >
+            Sign out everywhere
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500 dark:text-gray-400">Loading your sessions...</p>
+      ) : sessions.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400">No active sessions.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {sessions.map((session) => (
+            <li
+              key={session._id}
+              className="flex flex-col md:flex-row md:items-center justify-between gap-3 py-3"
+            >
+              <div className="flex items-start gap-3 min-w-0">
+                {MOBILE.test(session.device) ? (
+                  <Smartphone size={18} className="mt-0.5 text-gray-500" />
+                ) : (
+                  <Monitor size={18} className="mt-0.5 text-gray-500" />
+                )}
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium">{session.device}</span>
+                    {session.current && (
+                      <span className="px-2 py-0.5 rounded-full text-xs bg-green-600 text-white">
+                        This device
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {session.ip || "Unknown IP"} · last active{" "}
+                    {formatDistanceToNow(new Date(session.lastUsedAt), { addSuffix: true })} ·
+                    signed in{" "}
+                    {formatDistanceToNow(new Date(session.createdAt), { addSuffix: true })}
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={() => handleRevoke(session)}
+                disabled={busy}
+                className="self-start md:self-auto flex items-center gap-1 text-sm text-red-600 dark:text-red-400 hover:underline disabled:opacity-50"
+              >
+                <LogOut size={14} /> {session.current ? "Sign out" : "Revoke"}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,100 @@
+import { useEffect, useState } from "react";
+import { Link2 } from "lucide-react";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import {
+  getMeAPI,
+  getOAuthProvidersAPI,
+  startOAuthLinkAPI,
+  unlinkOAuthAPI,
+} from "../../features/auth/authAPI";
+import { getAccessToken } from "../../utils/authTokens";
+import { redirectToProvider } from "../../utils/oauthRedirect";
+
+// Sign-in providers linked to the current account, with link and unlink.
+const LinkedAccounts = () => {
+  const [providers, setProviders] = useState([]);
+  const [linked, setLinked] = useState([]);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    Promise.all([getOAuthProvidersAPI(), getMeAPI(getAccessToken())])
+      .then(([available, me]) => {
+        setProviders(available);
+        setLinked(me.oauthAccounts || []);
+      })
+      .catch(() => toast.error("Failed to load linked accounts"));
+  }, []);
+
+  const handleLink = async (provider) => {
+    setBusy(provider.id);
+    try {
+      redirectToProvider(await startOAuthLinkAPI(provider.id));
+    } catch (err) {
+      toast.error(err.response?.data?.message || `Could not reach ${provider.name}`);
+      setBusy(null);
+    }
+  };
+
+  const handleUnlink = async (provider) => {
+    if (!window.confirm(`Unlink your ${provider.name} account?`)) return;
+    setBusy(provider.id);
+    try {
+      const data = await unlinkOAuthAPI(provider.id);
+      setLinked(data.oauthAccounts);
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to unlink the account");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (providers.length === 0 && linked.length === 0) return null;
+
+  // Providers since removed from the server still show so they can be unlinked
+  const rows = [
+    ...providers,
+    ...linked
+      .filter((account) => !providers.some((p) => p.id === account.provider))
+      .map((account) => ({ id: account.provider, name: account.provider })),
+  ];
+
+  return (
+    <div className="space-y-4">
+      <h2 className="text-xl font-semibold flex items-center gap-2">
+        <Link2 size={22} /> Linked accounts
+      </h2>
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+        {rows.map((provider) => {
+          const account = linked.find((a) => a.provider === provider.id);
+          return (
+            <li key={provider.id} className="flex flex-wrap items-center justify-between gap-3 py-3">
+              <div>
+                <span className="font-medium">{provider.name}</span>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {account
+                    ? `${account.username || account.email || "Linked"} · linked ${format(new Date(account.linkedAt), "d MMM yyyy")}`
+                    : "Not linked"}
+                </p>
+              </div>
+              <button
+                onClick={() => (account ? handleUnlink(provider) : handleLink(provider))}
+                disabled={busy !== null}
+                className={`px-3 py-1.5 rounded-lg text-sm disabled:opacity-50 ${
+                  account
+                    ? "bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-white"
+                    : "bg-blue-600 hover:bg-blue-700 text-white"
+                }`}
+              >
+                {account ? "Unlink" : "Link"}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default LinkedAccounts;
@@ -0,0 +1,59 @@
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { FaGithub, FaGoogle, FaKey } from "react-icons/fa";
+import { getOAuthProvidersAPI, startOAuthLoginAPI } from "../../features/auth/authAPI";
+import { redirectToProvider } from "../../utils/oauthRedirect";
+
+const ICONS = { github: FaGithub, google: FaGoogle };
+
+// "Continue with ..." buttons for the sign-in providers the server has
+// configured; renders nothing when there are none.
+const OAuthButtons = () => {
+  const [providers, setProviders] = useState([]);
+  const [pending, setPending] = useState(null);
+
+  useEffect(() => {
+    getOAuthProvidersAPI()
+      .then(setProviders)
+      .catch(() => setProviders([]));
+  }, []);
+
+  const handleClick = async (provider) => {
+    setPending(provider.id);
+    try {
+      redirectToProvider(await startOAuthLoginAPI(provider.id));
+    } catch (err) {
+      toast.error(err.response?.data?.message || `Could not reach ${provider.name}`);
+      setPending(null);
+    }
+  };
+
+  if (providers.length === 0) return null;
+
+  return (
+    <div className="mt-6 space-y-3">
+      <div className="flex items-center gap-3 text-sm text-gray-500">
+        <div className="flex-1 h-px bg-gray-300" />
+        or
+        <div className="flex-1 h-px bg-gray-300" />
+      </div>
+      {providers.map((provider) => {
+        const Icon = ICONS[provider.id] || FaKey;
+        return (
+          <button
+            key={provider.id}
+            type="button"
+            onClick={() => handleClick(provider)}
+            disabled={pending !== null}
+            className="w-full flex items-center justify-center gap-2 py-3 rounded-lg border border-gray-300 bg-white text-gray-800 font-medium hover:bg-gray-50 transition disabled:opacity-50"
+          >
+            <Icon className="h-5 w-5" />
+            {pending === provider.id ? "Redirecting..." : `Continue with ${provider.name}`}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default OAuthButtons;
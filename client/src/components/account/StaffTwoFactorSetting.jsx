@@ -0,0 +1,68 @@
+import { useEffect, useState } from "react";
+import { ShieldCheck } from "lucide-react";
+import { toast } from "react-toastify";
+import { getSettingsAPI, updateSettingsAPI } from "../../features/settings/settingsAPI";
+
+// Admin switch that makes two-factor authentication mandatory for admin and
+// reviewer accounts.
+const StaffTwoFactorSetting = () => {
+  const [required, setRequired] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    getSettingsAPI()
+      .then((settings) => setRequired(settings.requireTwoFactorForStaff))
+      .catch(() => toast.error("Failed to load security settings"));
+  }, []);
+
+  const handleToggle = async () => {
+    setSaving(true);
+    try {
+      const settings = await updateSettingsAPI({ requireTwoFactorForStaff: !required });
+      setRequired(settings.requireTwoFactorForStaff);
+      toast.success(
+        settings.requireTwoFactorForStaff
+          ? "Two-factor authentication is now required for admins and reviewers"
+          : "Two-factor authentication is now optional for admins and reviewers"
+      );
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to update the setting");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (required === null) return null;
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-3 mb-6 p-4 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800">
+      <div className="flex items-center gap-3">
+        <ShieldCheck size={20} className="text-green-600" />
+        <div>
+          <p className="font-medium">Require two-factor authentication for staff</p>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Admins and reviewers without it keep their account but lose access to admin and
+            review actions until they enroll.
+          </p>
+        </div>
+      </div>
+      <button
+        role="switch"
+        aria-checked={required}
+        onClick={handleToggle}
+        disabled={saving}
+        className={`relative w-12 h-6 rounded-full transition-colors disabled:opacity-50 ${
+          required ? "bg-green-600" : "bg-gray-300 dark:bg-gray-600"
+        }`}
+      >
+        <span
+          className={`absolute top-0.5 left-0.5 w-5 h-5 rounded-full bg-white transition-transform ${
+            required ? "translate-x-6" : ""
+          }`}
+        />
+      </button>
+    </div>
+  );
+};
+
+export default StaffTwoFactorSetting;
@@ -0,0 +1,89 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Loader2, ShieldCheck } from "lucide-react";
+import {
+  completeTwoFactorLogin,
+  cancelTwoFactorLogin,
+} from "../../features/auth/authSlice";
+
+// Second step of the login form for accounts with two-factor enabled.
+const TwoFactorLoginStep = () => {
+  const dispatch = useDispatch();
+  const { loading } = useSelector((state) => state.auth);
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [value, setValue] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    dispatch(
+      completeTwoFactorLogin(useRecovery ? { recoveryCode: value } : { code: value })
+    );
+  };
+
+  const toggleMode = () => {
+    setUseRecovery(!useRecovery);
+    setValue("");
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          {useRecovery ? "Recovery code" : "Authentication code"}
+        </label>
+        <input
+          type="text"
+          value={value}
+          onChange={(e) =>
+            setValue(
+              useRecovery ? e.target.value : e.target.value.replace(/\D/g, "").slice(0, 6)
+            )
+          }
+          required
+          autoFocus
+          autoComplete="one-time-code"
+          className="w-full px-4 py-3 bg-white rounded-lg border border-gray-300 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 transition text-center text-2xl tracking-widest"
+          placeholder={useRecovery ? "xxxxx-xxxxx" : "000000"}
+        />
+        <p className="mt-2 text-xs text-gray-500 text-center">
+          {useRecovery
+            ? "Each recovery code can only be used once."
+            : "Open your authenticator app and enter the 6-digit code."}
+        </p>
+      </div>
+
+      <button
+        type="submit"
+        disabled={loading || (!useRecovery && value.length !== 6)}
+        className="w-full bg-gradient-to-r from-indigo-600 to-purple-600 text-white py-3 rounded-lg font-medium shadow-lg hover:shadow-indigo-200/50 transition-all duration-300 flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {loading ? (
+          <>
+            <Loader2 className="mr-2 h-5 w-5 animate-spin" />
+            Verifying...
+          </>
+        ) : (
+          <>
+            <ShieldCheck className="mr-2 h-5 w-5" />
+            Verify and sign in
+          </>
+        )}
+      </button>
+
+      <div className="flex justify-between text-sm">
+        <button type="button" onClick={toggleMode} className="text-indigo-600 hover:text-indigo-500">
+          {useRecovery ? "Use authenticator app" : "Use a recovery code"}
+        </button>
+        <button
+          type="button"
+          onClick={() => dispatch(cancelTwoFactorLogin())}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          Back to password
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorLoginStep;
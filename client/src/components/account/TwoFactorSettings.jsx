@@ -0,0 +1,252 @@
+import { useEffect, useState } from "react";
+import { ShieldCheck, ShieldOff, KeyRound, Copy } from "lucide-react";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import {
+  getTwoFactorStatusAPI,
+  setupTwoFactorAPI,
+  enableTwoFactorAPI,
+  disableTwoFactorAPI,
+  regenerateRecoveryCodesAPI,
+} from "../../features/auth/authAPI";
+
+const inputClass =
+  "px-3 py-2 rounded-lg bg-white dark:bg-gray-800 text-gray-800 dark:text-white border border-gray-300 dark:border-gray-700 text-sm";
+const buttonClass =
+  "px-3 py-1.5 rounded-lg text-sm text-white disabled:opacity-50";
+
+const onlyDigits = (value) => value.replace(/\D/g, "").slice(0, 6);
+
+const RecoveryCodes = ({ codes, onDone }) => (
+  <div className="space-y-3 rounded-xl border border-amber-300 dark:border-amber-700 bg-amber-50 dark:bg-amber-900/30 p-4">
+    <p className="text-sm text-amber-800 dark:text-amber-200">
+      Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+      authenticator, and they won't be shown again.
+    </p>
+    <ul className="grid grid-cols-2 gap-2 font-mono text-sm">
+      {codes.map((code) => (
+        <li key={code}>{code}</li>
+      ))}
+    </ul>
+    <div className="flex gap-2">
+      <button
+        onClick={() =>
+          navigator.clipboard
+            .writeText(codes.join("\n"))
+            .then(() => toast.success("Recovery codes copied"))
+        }
+        className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-white"
+      >
+        <Copy size={14} /> Copy
+      </button>
+      <button onClick={onDone} className={`${buttonClass} bg-blue-600 hover:bg-blue-700`}>
+        I've saved them
+      </button>
+    </div>
+  </div>
+);
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [disabling, setDisabling] = useState(false);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const loadStatus = () =>
+    getTwoFactorStatusAPI()
+      .then(setStatus)
+      .catch(() => toast.error("Failed to load two-factor settings"));
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const run = async (request) => {
+    setBusy(true);
+    try {
+      return await request();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Something went wrong");
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSetup = async () => {
+    const data = await run(setupTwoFactorAPI);
+    if (data) {
+      setSetup(data);
+      setCode("");
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    const data = await run(() => enableTwoFactorAPI(code));
+    if (data) {
+      toast.success(data.message);
+      setSetup(null);
+      setCode("");
+      setRecoveryCodes(data.recoveryCodes);
+      loadStatus();
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    const data = await run(() => disableTwoFactorAPI({ password, code }));
+    if (data) {
+      toast.success(data.message);
+      setDisabling(false);
+      setPassword("");
+      setCode("");
+      loadStatus();
+    }
+  };
+
+  const handleRegenerate = async () => {
+    const current = window.prompt("Enter a code from your authenticator app");
+    if (!current) return;
+    const data = await run(() => regenerateRecoveryCodesAPI(onlyDigits(current)));
+    if (data) {
+      setRecoveryCodes(data.recoveryCodes);
+      loadStatus();
+    }
+  };
+
+  if (!status) {
+    return <p className="text-gray-500 dark:text-gray-400">Loading two-factor settings...</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-xl font-semibold flex items-center gap-2">
+          <ShieldCheck size={22} /> Two-factor authentication
+          <span
+            className={`px-2 py-0.5 rounded-full text-xs text-white ${
+              status.enabled ? "bg-green-600" : "bg-gray-500"
+            }`}
+          >
+            {status.enabled ? "On" : "Off"}
+          </span>
+        </h2>
+        {status.enabled ? (
+          <div className="flex gap-2">
+            <button
+              onClick={handleRegenerate}
+              disabled={busy}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-white disabled:opacity-50"
+            >
+              <KeyRound size={14} /> New recovery codes
+            </button>
+            {!status.required && (
+              <button
+                onClick={() => setDisabling(!disabling)}
+                disabled={busy}
+                className={`${buttonClass} flex items-center gap-1 bg-red-600 hover:bg-red-700`}
+              >
+                <ShieldOff size={14} /> Turn off
+              </button>
+            )}
+          </div>
+        ) : (
+          !setup && (
+            <button
+              onClick={handleSetup}
+              disabled={busy}
+              className={`${buttonClass} bg-blue-600 hover:bg-blue-700`}
+            >
+              Set up
+            </button>
+          )
+        )}
+      </div>
+
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        {status.enabled
+          ? `Enabled ${status.enabledAt ? format(new Date(status.enabledAt), "d MMM yyyy") : ""} · ${status.recoveryCodesLeft} recovery codes left`
+          : "Protect your account with a code from an authenticator app when you sign in."}
+        {status.required && " Required for your role."}
+      </p>
+
+      {recoveryCodes && (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      )}
+
+      {setup && (
+        <form onSubmit={handleEnable} className="flex flex-col md:flex-row gap-6 items-start">
+          <img
+            src={setup.qrCode}
+            alt="Two-factor QR code"
+            className="w-44 h-44 rounded-lg bg-white p-2 border border-gray-200"
+          />
+          <div className="space-y-3 text-sm">
+            <p>Scan the QR code with your authenticator app, or enter this key manually:</p>
+            <code className="block font-mono break-all bg-gray-100 dark:bg-gray-800 rounded-lg p-2">
+              {setup.secret}
+            </code>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(onlyDigits(e.target.value))}
+                placeholder="6-digit code"
+                autoComplete="one-time-code"
+                className={inputClass}
+              />
+              <button
+                type="submit"
+                disabled={busy || code.length !== 6}
+                className={`${buttonClass} bg-green-600 hover:bg-green-700`}
+              >
+                Turn on
+              </button>
+              <button
+                type="button"
+                onClick={() => setSetup(null)}
+                className="text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      {disabling && (
+        <form onSubmit={handleDisable} className="flex flex-wrap items-center gap-2">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            required
+            className={inputClass}
+          />
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(onlyDigits(e.target.value))}
+            placeholder="6-digit code"
+            required
+            className={inputClass}
+          />
+          <button
+            type="submit"
+            disabled={busy || code.length !== 6}
+            className={`${buttonClass} bg-red-600 hover:bg-red-700`}
+          >
+            Confirm
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
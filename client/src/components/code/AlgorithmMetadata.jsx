@@ -1,5 +1,11 @@
 import React from 'react'; // Added React import
 
+const verificationStyles = {
+  verified: "bg-green-100 dark:bg-green-900/40 text-green-700 dark:text-green-300",
+  failing: "bg-red-100 dark:bg-red-900/40 text-red-700 dark:text-red-300",
+  untested: "bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300",
+};
+
 const AlgorithmMetadata = ({ algorithm }) => {
   const { complexity = {} } = algorithm;
   const { time, space } = complexity;
@@ -53,6 +59,33 @@ const AlgorithmMetadata = ({ algorithm }) => {
         </p>
       </div>
 
+      {/* Verification Section */}
+      {algorithm.codes?.length > 0 && (
+        <div className="bg-gray-50 dark:bg-gray-900 p-6 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+          <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-3">
+            Verification
+          </h3>
+          <div className="flex flex-wrap gap-3">
+            {algorithm.codes.map(({ language }) => {
+              const result = algorithm.verification?.find(
+                (v) => v.language === language
+              );
+              const status = result?.status || "untested";
+              return (
+                <span
+                  key={language}
+                  title={result?.message || "Not verified yet."}
+                  className={`px-4 py-1.5 rounded-full text-sm font-medium shadow-sm ${verificationStyles[status]}`}
+                >
+                  {language}: {status}
+                  {result?.total > 0 && ` (${result.passed}/${result.total})`}
+                </span>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Useful Links Section */}
       <div className="bg-gray-50 dark:bg-gray-900 p-6 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
         <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-3">
@@ -0,0 +1,247 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Footprints, Plus, Trash2 } from "lucide-react";
+import { toast } from "react-toastify";
+import TracePlayer from "./TracePlayer";
+import {
+  fetchTraces,
+  createTrace,
+  removeTrace,
+} from "../../features/algorithm/algorithmSlice";
+
+const STEPS_PLACEHOLDER = `[
+  {
+    "lines": [3],
+    "description": "Compare arr[0] and arr[1]",
+    "variables": { "i": 0, "j": 0 },
+    "structures": [
+      { "type": "array", "name": "arr", "values": [5, 1, 4],
+        "pointers": { "j": 0 }, "highlight": [0, 1] }
+    ]
+  }
+]`;
+
+const emptyForm = { title: "", description: "", language: "", input: "", steps: "" };
+
+const inputClass =
+  "w-full p-3 text-sm border rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white border-gray-300 dark:border-gray-600 focus:ring-2 focus:ring-indigo-500";
+
+const AlgorithmTraces = ({ algorithm }) => {
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const { traces, tracesLoading } = useSelector((state) => state.algorithm);
+  const [selectedId, setSelectedId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const { slug } = algorithm;
+
+  useEffect(() => {
+    dispatch(fetchTraces(slug));
+  }, [dispatch, slug]);
+
+  const selected = traces.find((t) => t._id === selectedId) || traces[0];
+  const implementation =
+    algorithm.codes?.find((c) => c.language === selected?.language) ||
+    algorithm.codes?.[0];
+
+  const canDelete = (trace) =>
+    user &&
+    (user.role === "admin" ||
+      algorithm.createdBy === user._id ||
+      (trace.createdBy?._id || trace.createdBy) === user._id);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    let steps;
+    try {
+      steps = JSON.parse(form.steps);
+    } catch {
+      toast.error("Steps must be valid JSON");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const trace = await dispatch(
+        createTrace({ slug, trace: { ...form, steps } })
+      ).unwrap();
+      toast.success("Trace added");
+      setSelectedId(trace._id);
+      setForm(emptyForm);
+      setShowForm(false);
+    } catch (err) {
+      toast.error(err || "Failed to add trace");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (traceId) => {
+    if (!window.confirm("Delete this trace?")) return;
+    try {
+      await dispatch(removeTrace({ slug, traceId })).unwrap();
+      toast.success("Trace deleted");
+    } catch (err) {
+      toast.error(err || "Failed to delete trace");
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <Footprints size={24} /> Step-by-step Traces
+        </h2>
+        {user && (
+          <button
+            onClick={() => setShowForm(!showForm)}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-sm"
+          >
+            <Plus size={16} /> {showForm ? "Cancel" : "Add trace"}
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form
+          onSubmit={handleSubmit}
+          className="space-y-4 p-4 rounded-xl border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900"
+        >
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input
+              name="title"
+              value={form.title}
+              onChange={handleChange}
+              placeholder="Title, e.g. Sorting [5, 1, 4]"
+              className={inputClass}
+              required
+            />
+            <select
+              name="language"
+              value={form.language}
+              onChange={handleChange}
+              className={inputClass}
+            >
+              <option value="">Code shown alongside the trace</option>
+              {algorithm.codes?.map((c) => (
+                <option key={c.language} value={c.language}>
+                  {c.language}
+                </option>
+              ))}
+            </select>
+          </div>
+          <input
+            name="input"
+            value={form.input}
+            onChange={handleChange}
+            placeholder="Input used for this trace"
+            className={inputClass}
+          />
+          <textarea
+            name="description"
+            value={form.description}
+            onChange={handleChange}
+            rows={2}
+            placeholder="What this trace demonstrates"
+            className={inputClass}
+          />
+          <div>
+            <label className="block text-sm font-semibold mb-1">
+              Steps (JSON)
+            </label>
+            <textarea
+              name="steps"
+              value={form.steps}
+              onChange={handleChange}
+              rows={12}
+              placeholder={STEPS_PLACEHOLDER}
+              className={`${inputClass} font-mono`}
+              required
+            />
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              Each step may set <code>lines</code>, <code>description</code>,{" "}
+              <code>variables</code> and <code>structures</code>. Arrays support{" "}
+              <code>pointers</code>, <code>highlight</code>, <code>sorted</code>{" "}
+              and <code>window</code>; graphs support <code>nodes</code>,{" "}
+              <code>edges</code>, <code>directed</code>, <code>highlight</code>,{" "}
+              <code>visited</code> and <code>activeEdges</code>.
+            </p>
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 rounded-lg bg-green-600 hover:bg-green-700 text-white text-sm font-semibold disabled:opacity-50"
+          >
+            {saving ? "Saving..." : "Save trace"}
+          </button>
+        </form>
+      )}
+
+      {tracesLoading && traces.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400">Loading traces...</p>
+      ) : traces.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400">
+          No traces for this algorithm yet.
+        </p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2">
+            {traces.map((trace) => (
+              <div
+                key={trace._id}
+                className={`flex items-center gap-2 px-3 py-1.5 rounded-full text-sm border ${
+                  trace._id === selected?._id
+                    ? "bg-indigo-100 dark:bg-indigo-900/40 border-indigo-400 text-indigo-700 dark:text-indigo-300"
+                    : "border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700"
+                }`}
+              >
+                <button onClick={() => setSelectedId(trace._id)}>
+                  {trace.title}
+                </button>
+                {canDelete(trace) && (
+                  <button
+                    onClick={() => handleDelete(trace._id)}
+                    className="text-red-600 hover:text-red-800"
+                    aria-label={`Delete trace ${trace.title}`}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {selected && (
+            <div className="space-y-3">
+              {(selected.description || selected.input) && (
+                <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
+                  {selected.description && <p>{selected.description}</p>}
+                  {selected.input && (
+                    <p>
+                      Input: <code className="font-mono">{selected.input}</code>
+                    </p>
+                  )}
+                </div>
+              )}
+              <TracePlayer
+                key={selected._id}
+                trace={selected}
+                code={implementation?.code}
+                language={implementation?.language}
+              />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AlgorithmTraces;
@@ -1,16 +1,31 @@
 import React, { useState } from "react";
-import { Copy, Check } from "lucide-react";
-import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
+import { Copy, Check, Play } from "lucide-react";
 import { materialDark, materialLight } from "react-syntax-highlighter/dist/esm/styles/prism";
 import { toast } from "react-toastify";
 import { motion } from "framer-motion";
-import { useSelector } from "react-redux";
+import { useDispatch, useSelector } from "react-redux";
+import CodeRunner from "./CodeRunner";
+import CodeWithComments from "./CodeWithComments";
+import { isRunnableLanguage } from "../../utils/codeRunner";
+import { clearRunResult } from "../../features/algorithm/algorithmSlice";
 
-const CodeDisplay = ({ algorithm }) => {
+const CodeDisplay = ({
+  algorithm,
+  allowRun = false,
+  commentOn,
+  commentSection = "codes",
+}) => {
+  const dispatch = useDispatch();
   const [selectedLangIndex, setSelectedLangIndex] = useState(0);
   const [copied, setCopied] = useState(false);
+  const [showRunner, setShowRunner] = useState(false);
   const themeMode = useSelector((state) => state.theme.mode);
 
+  const handleSelectLanguage = (index) => {
+    setSelectedLangIndex(index);
+    dispatch(clearRunResult());
+  };
+
   const handleCopy = () => {
     const code = algorithm.codes?.[selectedLangIndex]?.code || "";
     if (code) {
@@ -24,6 +39,8 @@ const CodeDisplay = ({ algorithm }) => {
   };
 
   const currentCode = algorithm.codes?.[selectedLangIndex];
+  const canRun =
+    allowRun && algorithm.slug && isRunnableLanguage(currentCode?.language);
 
   if (!algorithm.codes?.length) {
     return (
@@ -56,30 +73,42 @@ const CodeDisplay = ({ algorithm }) => {
         <h2 className="text-base xs:text-lg sm:text-xl font-bold text-gray-900 dark:text-white truncate flex-1">
           Full Implementation
         </h2>
-        <button
-          onClick={handleCopy}
-          title="Copy code"
-          className="flex items-center gap-1 xs:gap-1.5 px-3 xs:px-4 sm:px-5 py-2 xs:py-2.5 bg-indigo-700/80 text-white rounded-lg hover:bg-indigo-600/90 transition-all duration-300 ease-in-out text-xs xs:text-sm sm:text-base font-semibold min-h-[44px] shadow-md hover:shadow-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 focus:ring-offset-gray-100 dark:focus:ring-offset-gray-900"
-        >
-          {copied ? (
-            <>
-              <Check size={18} className="text-green-300" />
-              <span>Copied!</span>
-            </>
-          ) : (
-            <>
-              <Copy size={18} />
-              <span>Copy</span>
-            </>
+        <div className="flex items-center gap-2">
+          {canRun && (
+            <button
+              onClick={() => setShowRunner((prev) => !prev)}
+              title="Run code"
+              className="flex items-center gap-1 xs:gap-1.5 px-3 xs:px-4 sm:px-5 py-2 xs:py-2.5 bg-green-700/80 text-white rounded-lg hover:bg-green-600/90 transition-all duration-300 ease-in-out text-xs xs:text-sm sm:text-base font-semibold min-h-[44px] shadow-md hover:shadow-lg focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2 focus:ring-offset-gray-100 dark:focus:ring-offset-gray-900"
+            >
+              <Play size={18} />
+              <span>{showRunner ? "Hide" : "Run"}</span>
+            </button>
           )}
-        </button>
+          <button
+            onClick={handleCopy}
+            title="Copy code"
+            className="flex items-center gap-1 xs:gap-1.5 px-3 xs:px-4 sm:px-5 py-2 xs:py-2.5 bg-indigo-700/80 text-white rounded-lg hover:bg-indigo-600/90 transition-all duration-300 ease-in-out text-xs xs:text-sm sm:text-base font-semibold min-h-[44px] shadow-md hover:shadow-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 focus:ring-offset-gray-100 dark:focus:ring-offset-gray-900"
+          >
+            {copied ? (
+              <>
+                <Check size={18} className="text-green-300" />
+                <span>Copied!</span>
+              </>
+            ) : (
+              <>
+                <Copy size={18} />
+                <span>Copy</span>
+              </>
+            )}
+          </button>
+        </div>
       </div>
 
       <div className="flex flex-wrap gap-1 xs:gap-2 border-b border-gray-200/70 dark:border-gray-700/70 bg-gray-50/60 dark:bg-gray-800/60 px-2 xs:px-3 py-1 xs:py-1.5 overflow-x-auto max-w-full">
         {algorithm.codes.map((code, index) => (
           <button
             key={index}
-            onClick={() => setSelectedLangIndex(index)}
+            onClick={() => handleSelectLanguage(index)}
             className={`
               relative px-3 xs:px-4 sm:px-5 py-2 xs:py-2.5 font-mono text-xs xs:text-sm sm:text-base font-medium truncate
               max-w-[100px] xs:max-w-[120px] sm:max-w-[150px] transition-all duration-200 ease-in-out
@@ -97,7 +126,10 @@ const CodeDisplay = ({ algorithm }) => {
         ))}
       </div>
 
-      <SyntaxHighlighter
+      <CodeWithComments
+        key={selectedLangIndex}
+        commentOn={currentCode.code ? commentOn : undefined}
+        anchor={{ section: commentSection, language: currentCode.language }}
         language={currentCode.language?.toLowerCase() || "text"}
         style={themeMode === "dark" ? materialDark : materialLight}
         showLineNumbers
@@ -135,7 +167,11 @@ const CodeDisplay = ({ algorithm }) => {
         }}
       >
         {currentCode.code || "// No code available"}
-      </SyntaxHighlighter>
+      </CodeWithComments>
+
+      {canRun && showRunner && (
+        <CodeRunner slug={algorithm.slug} language={currentCode.language} />
+      )}
     </motion.div>
   );
 };
@@ -0,0 +1,106 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Play } from "lucide-react";
+import { ClipLoader } from "react-spinners";
+import {
+  runAlgorithmImplementation,
+  clearRunResult,
+} from "../../features/algorithm/algorithmSlice";
+
+const CodeRunner = ({ slug, language }) => {
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const {
+    runResult: result,
+    runLoading,
+    runError,
+  } = useSelector((state) => state.algorithm);
+  const [stdin, setStdin] = useState("");
+
+  const handleRun = () => {
+    dispatch(clearRunResult());
+    dispatch(runAlgorithmImplementation({ slug, language, stdin }));
+  };
+
+  if (!user) {
+    return (
+      <div className="p-4 text-sm text-gray-500 dark:text-gray-400 border-t border-gray-200 dark:border-gray-700">
+        Log in to run this implementation with your own input.
+      </div>
+    );
+  }
+
+  const status = result
+    ? result.timedOut
+      ? "Time limit exceeded"
+      : result.truncated
+      ? "Output limit exceeded"
+      : result.signal
+      ? `Killed (${result.signal})`
+      : `Exited with code ${result.exitCode}`
+    : null;
+
+  return (
+    <div className="p-4 space-y-3 border-t border-gray-200 dark:border-gray-700 bg-gray-50/60 dark:bg-gray-800/60">
+      <label className="block text-sm font-semibold text-gray-800 dark:text-gray-200">
+        Input (stdin)
+      </label>
+      <textarea
+        value={stdin}
+        onChange={(e) => setStdin(e.target.value)}
+        rows={4}
+        placeholder="Type the program input here..."
+        className="w-full p-3 font-mono text-sm border rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white border-gray-300 dark:border-gray-600 focus:ring-2 focus:ring-indigo-500"
+      />
+      <button
+        onClick={handleRun}
+        disabled={runLoading}
+        className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm font-semibold disabled:opacity-50"
+      >
+        {runLoading ? <ClipLoader size={16} color="#fff" /> : <Play size={16} />}
+        Run {language}
+      </button>
+
+      {runError && (
+        <p className="text-sm text-red-600 dark:text-red-400">{runError}</p>
+      )}
+
+      {result && (
+        <div className="space-y-2">
+          <div className="flex flex-wrap gap-4 text-xs text-gray-600 dark:text-gray-400">
+            <span
+              className={
+                result.exitCode === 0 && !result.timedOut && !result.truncated
+                  ? "text-green-600 dark:text-green-400 font-semibold"
+                  : "text-red-600 dark:text-red-400 font-semibold"
+              }
+            >
+              {status}
+            </span>
+            <span>{Math.round(result.runtimeMs)} ms</span>
+          </div>
+          <div>
+            <p className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1">
+              stdout
+            </p>
+            <pre className="p-3 rounded-lg bg-white dark:bg-gray-900 text-sm whitespace-pre-wrap break-words max-h-64 overflow-auto border border-gray-200 dark:border-gray-700">
+              {result.stdout || " "}
+            </pre>
+          </div>
+          {result.stderr && (
+            <div>
+              <p className="text-xs font-semibold text-red-600 dark:text-red-400 mb-1">
+                stderr
+              </p>
+              <pre className="p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-sm whitespace-pre-wrap break-words max-h-64 overflow-auto">
+                {result.stderr}
+              </pre>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CodeRunner;
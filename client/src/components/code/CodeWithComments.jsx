@@ -0,0 +1,95 @@
+import { useState } from "react";
+import { useSelector } from "react-redux";
+import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
+import LineComments from "./LineComments";
+import { commentedLines, threadsFor } from "../../utils/codeComments";
+
+const gutterColors = {
+  open: "#f59e0b",
+  resolved: "#10b981",
+};
+
+/**
+ * SyntaxHighlighter with inline comments: lines that have comments are
+ * marked in the gutter, clicking a line (shift-click for a range) selects it
+ * for a new comment, and the threads are listed below the code.
+ * Without `commentOn` ({ parentType, parentId }) it renders plain code.
+ * `anchor` ({ section, operation, language }) says which implementation this is.
+ */
+const CodeWithComments = ({
+  children,
+  commentOn,
+  anchor,
+  lineNumberStyle = {},
+  ...highlighterProps
+}) => {
+  const comments = useSelector((state) => state.comment.comments);
+  const currentUser = useSelector((state) => state.auth.user);
+  const [selection, setSelection] = useState(null);
+
+  if (!commentOn) {
+    return (
+      <SyntaxHighlighter showLineNumbers lineNumberStyle={lineNumberStyle} {...highlighterProps}>
+        {children}
+      </SyntaxHighlighter>
+    );
+  }
+
+  const threads = threadsFor(comments, commentOn, anchor);
+  const lines = commentedLines(threads);
+
+  const selectLine = (lineNumber, extend) => {
+    // Leave text selections (for copying) alone
+    if (window.getSelection()?.toString()) return;
+    setSelection((prev) => {
+      if (extend && prev) {
+        return {
+          startLine: Math.min(prev.startLine, lineNumber),
+          endLine: Math.max(prev.endLine, lineNumber),
+        };
+      }
+      if (prev && prev.startLine === lineNumber && prev.endLine === lineNumber) return null;
+      return { startLine: lineNumber, endLine: lineNumber };
+    });
+  };
+
+  const isSelected = (lineNumber) =>
+    selection && lineNumber >= selection.startLine && lineNumber <= selection.endLine;
+
+  return (
+    <>
+      <SyntaxHighlighter
+        {...highlighterProps}
+        showLineNumbers
+        wrapLines
+        lineProps={(lineNumber) => ({
+          style: {
+            display: "block",
+            cursor: currentUser ? "pointer" : undefined,
+            backgroundColor: isSelected(lineNumber)
+              ? "rgba(99, 102, 241, 0.2)"
+              : lines.get(lineNumber) === "open"
+              ? "rgba(245, 158, 11, 0.12)"
+              : undefined,
+          },
+          onClick: currentUser ? (e) => selectLine(lineNumber, e.shiftKey) : undefined,
+        })}
+        lineNumberStyle={(lineNumber) => ({
+          ...lineNumberStyle,
+          borderLeft: `3px solid ${gutterColors[lines.get(lineNumber)] || "transparent"}`,
+        })}
+      >
+        {children}
+      </SyntaxHighlighter>
+      <LineComments
+        threads={threads}
+        commentOn={commentOn}
+        anchor={anchor}
+        selection={selection}
+        onClearSelection={() => setSelection(null)}
+      />
+    </>
+  );
+};
+
+export default CodeWithComments;
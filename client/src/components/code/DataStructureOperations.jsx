@@ -2,15 +2,15 @@ import { useState, useCallback } from "react";
 import { useSelector } from "react-redux";
 import { ChevronDown, ChevronUp, Code2, Copy, Check } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
-import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
 import { materialDark, materialLight } from "react-syntax-highlighter/dist/esm/styles/prism";
 import { toast } from "react-toastify";
 import { Tooltip } from "react-tooltip";
 import { MarkdownRenderer } from "../../pages/CommentSection"; // Adjust path as needed
 import clsx from "clsx";
 import CodeDisplay from "./CodeDisplay";
+import CodeWithComments from "./CodeWithComments";
 
-const DataStructureOperations = ({ dataStructure, isAdmin = false }) => {
+const DataStructureOperations = ({ dataStructure, isAdmin = false, commentOn }) => {
   const [openOperationIndex, setOpenOperationIndex] = useState(null);
   const themeMode = useSelector((state) => state.theme.mode);
 
@@ -120,7 +120,15 @@ const DataStructureOperations = ({ dataStructure, isAdmin = false }) => {
                           <div className="relative rounded-md overflow-hidden">
                             {operation.implementations[selectedLangIndex]?.codeDetails?.code?.trim() ? (
                               <>
-                                <SyntaxHighlighter
+                                <CodeWithComments
+                                  key={selectedLangIndex}
+                                  commentOn={commentOn}
+                                  anchor={{
+                                    section: "operations",
+                                    operation: operation.name,
+                                    language:
+                                      operation.implementations[selectedLangIndex]?.codeDetails?.language,
+                                  }}
                                   language={
                                     operation.implementations[selectedLangIndex]?.codeDetails?.language
                                       ?.toLowerCase()
@@ -139,7 +147,7 @@ const DataStructureOperations = ({ dataStructure, isAdmin = false }) => {
                                   codeTagProps={{ className: "font-mono" }}
                                 >
                                   {operation.implementations[selectedLangIndex]?.codeDetails?.code.trim()}
-                                </SyntaxHighlighter>
+                                </CodeWithComments>
                                 <motion.button
                                   whileHover={{ scale: 1.05 }}
                                   whileTap={{ scale: 0.95 }}
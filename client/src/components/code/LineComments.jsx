@@ -0,0 +1,285 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { formatDistanceToNow } from "date-fns";
+import { CheckCircle2, MessageSquare, RotateCcw, Send, X } from "lucide-react";
+import { toast } from "react-toastify";
+import MentionInput from "../MentionInput";
+import { MarkdownRenderer } from "../../pages/CommentSection";
+import {
+  createComment,
+  fetchCommentsByParent,
+  replyToComment,
+  resolveCodeComment,
+} from "../../features/comment/commentSlice";
+import { lineRangeLabel } from "../../utils/codeComments";
+
+const REVIEWER_ROLES = ["admin", "reviewer"];
+
+const authorName = (user) => user?.displayUsername || user?.username || "unknown";
+
+const overlaps = (ref, selection) =>
+  Boolean(selection) &&
+  ref.startLine <= selection.endLine &&
+  ref.endLine >= selection.startLine;
+
+const Thread = ({ comment, highlighted, currentUser, onReply, onResolve }) => {
+  const [expanded, setExpanded] = useState(!comment.resolved);
+  const [replyText, setReplyText] = useState("");
+  const ref = comment.codeRef;
+
+  const canResolve =
+    currentUser &&
+    (currentUser._id === comment.user?._id || REVIEWER_ROLES.includes(currentUser.role));
+
+  const handleReply = async () => {
+    if (!replyText.trim()) return;
+    if (await onReply(comment._id, replyText)) setReplyText("");
+  };
+
+  return (
+    <li
+      id={`comment-${comment._id}`}
+      className={`p-3 rounded-lg border text-sm ${
+        highlighted
+          ? "border-indigo-400 dark:border-indigo-500"
+          : "border-gray-200 dark:border-gray-700"
+      } ${comment.resolved ? "bg-gray-50 dark:bg-gray-900/60" : "bg-white dark:bg-gray-900"}`}
+    >
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={() => setExpanded((prev) => !prev)}
+          className="font-mono text-xs text-indigo-600 dark:text-indigo-400 hover:underline"
+        >
+          {lineRangeLabel(ref)}
+        </button>
+        <span className="font-semibold text-gray-900 dark:text-white">
+          {authorName(comment.user)}
+        </span>
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
+        </span>
+        {ref.outdated && (
+          <span
+            className="px-2 py-0.5 rounded-full text-xs font-semibold text-orange-700 bg-orange-100 dark:text-orange-300 dark:bg-orange-900/30"
+            title="The commented lines have since been changed"
+          >
+            outdated
+          </span>
+        )}
+        {comment.resolved && (
+          <span className="px-2 py-0.5 rounded-full text-xs font-semibold text-green-700 bg-green-100 dark:text-green-300 dark:bg-green-900/30">
+            resolved
+          </span>
+        )}
+        {!expanded && comment.replies?.length > 0 && (
+          <span className="text-xs text-gray-500 dark:text-gray-400">
+            {comment.replies.length} repl{comment.replies.length === 1 ? "y" : "ies"}
+          </span>
+        )}
+        {canResolve && (
+          <button
+            type="button"
+            onClick={() => onResolve(comment._id, !comment.resolved)}
+            className="ml-auto inline-flex items-center gap-1 text-xs font-medium text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white"
+          >
+            {comment.resolved ? (
+              <>
+                <RotateCcw size={14} /> Reopen
+              </>
+            ) : (
+              <>
+                <CheckCircle2 size={14} /> Resolve
+              </>
+            )}
+          </button>
+        )}
+      </div>
+
+      {expanded && (
+        <div className="mt-2 space-y-3">
+          {ref.outdated && ref.lines?.length > 0 && (
+            <pre className="p-2 rounded bg-gray-100 dark:bg-gray-800 text-xs text-gray-600 dark:text-gray-400 overflow-x-auto">
+              {ref.lines.join("\n")}
+            </pre>
+          )}
+          <div className="prose prose-sm dark:prose-invert max-w-none">
+            <MarkdownRenderer>{comment.text}</MarkdownRenderer>
+          </div>
+
+          {comment.replies?.length > 0 && (
+            <ul className="pl-4 border-l border-gray-300 dark:border-gray-700 space-y-2">
+              {comment.replies.map((reply) => (
+                <li key={reply._id} id={`comment-${reply._id}`}>
+                  <span className="font-semibold text-gray-900 dark:text-white">
+                    {authorName(reply.user)}
+                  </span>{" "}
+                  <span className="text-xs text-gray-500 dark:text-gray-400">
+                    {formatDistanceToNow(new Date(reply.createdAt), { addSuffix: true })}
+                  </span>
+                  <div className="prose prose-sm dark:prose-invert max-w-none">
+                    <MarkdownRenderer>{reply.text}</MarkdownRenderer>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {currentUser && (
+            <div className="flex items-end gap-2">
+              <MentionInput
+                value={replyText}
+                onChange={setReplyText}
+                placeholder="Reply..."
+                rows={1}
+                className="flex-1"
+              />
+              <button
+                type="button"
+                onClick={handleReply}
+                disabled={!replyText.trim()}
+                className="p-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                aria-label="Post reply"
+              >
+                <Send size={16} />
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Threads on the lines of one implementation, plus a form for commenting on
+ * the lines currently selected in the code viewer above.
+ */
+const LineComments = ({ threads, commentOn, anchor, selection, onClearSelection }) => {
+  const dispatch = useDispatch();
+  const currentUser = useSelector((state) => state.auth.user);
+  const [text, setText] = useState("");
+  const [posting, setPosting] = useState(false);
+
+  const refresh = () =>
+    dispatch(
+      fetchCommentsByParent({
+        parentType: commentOn.parentType,
+        parentId: commentOn.parentId,
+      })
+    );
+
+  const handleSubmit = async () => {
+    if (!text.trim() || !selection) return;
+    setPosting(true);
+    try {
+      await dispatch(
+        createComment({
+          parentType: commentOn.parentType,
+          parentId: commentOn.parentId,
+          text,
+          codeRef: { ...anchor, ...selection },
+        })
+      ).unwrap();
+      toast.success("Comment posted!");
+      setText("");
+      onClearSelection();
+      await refresh();
+    } catch (error) {
+      toast.error(error?.message || "Failed to post comment.");
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const handleReply = async (commentId, replyText) => {
+    try {
+      await dispatch(replyToComment({ commentId, replyData: { text: replyText } })).unwrap();
+      await refresh();
+      return true;
+    } catch {
+      toast.error("Failed to post reply.");
+      return false;
+    }
+  };
+
+  const handleResolve = async (id, resolved) => {
+    try {
+      await dispatch(resolveCodeComment({ id, resolved })).unwrap();
+    } catch (error) {
+      toast.error(error?.message || "Failed to update comment.");
+    }
+  };
+
+  if (threads.length === 0 && !selection) {
+    return currentUser ? (
+      <p className="px-4 py-2 text-xs text-gray-500 dark:text-gray-400 border-t border-gray-200 dark:border-gray-700">
+        Click a line (shift-click for a range) to comment on it.
+      </p>
+    ) : null;
+  }
+
+  const open = threads.filter((thread) => !thread.resolved).length;
+
+  return (
+    <div className="p-4 space-y-3 border-t border-gray-200 dark:border-gray-700 bg-gray-50/60 dark:bg-gray-800/60">
+      {threads.length > 0 && (
+        <>
+          <p className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300">
+            <MessageSquare size={16} />
+            {threads.length} comment{threads.length === 1 ? "" : "s"} on this code
+            {open < threads.length && ` (${threads.length - open} resolved)`}
+          </p>
+          <ul className="space-y-2">
+            {threads.map((comment) => (
+              <Thread
+                key={comment._id}
+                comment={comment}
+                highlighted={overlaps(comment.codeRef, selection)}
+                currentUser={currentUser}
+                onReply={handleReply}
+                onResolve={handleResolve}
+              />
+            ))}
+          </ul>
+        </>
+      )}
+
+      {selection && currentUser && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-sm text-gray-700 dark:text-gray-300">
+            <span>
+              Comment on <strong>{lineRangeLabel(selection)}</strong>
+            </span>
+            <button
+              type="button"
+              onClick={onClearSelection}
+              className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700"
+              aria-label="Cancel"
+            >
+              <X size={16} />
+            </button>
+          </div>
+          <MentionInput
+            value={text}
+            onChange={setText}
+            placeholder="Leave a comment on these lines..."
+            rows={3}
+          />
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={handleSubmit}
+              disabled={posting || !text.trim()}
+              className="inline-flex items-center gap-1 px-4 py-2 rounded-md bg-blue-600 text-white text-sm hover:bg-blue-700 disabled:opacity-50"
+            >
+              Comment <Send size={16} />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LineComments;
@@ -0,0 +1,374 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { Network, Plus, Trash2 } from "lucide-react";
+import { toast } from "react-toastify";
+import {
+  fetchNeighbourhood,
+  addRelation,
+  removeRelation,
+  clearNeighbourhood,
+} from "../../features/relation/relationSlice";
+
+const RELATION_TYPES = {
+  prerequisite_of: { label: "prerequisite of", color: "#f59e0b" },
+  uses_data_structure: { label: "uses data structure", color: "#3b82f6" },
+  variant_of: { label: "variant of", color: "#8b5cf6" },
+  alternative_to: { label: "alternative to", color: "#10b981" },
+};
+
+const ENTRY_PATHS = { Algorithm: "algorithms", DataStructure: "data-structures" };
+
+const WIDTH = 640;
+const HEIGHT = 420;
+const RADII = [0, 130, 195];
+
+// Center in the middle, each further hop on its own ring.
+const layout = (nodes, center) => {
+  const positions = new Map();
+  const rings = [[], [], []];
+  nodes.forEach((node) => rings[node.key === center ? 0 : node.depth].push(node));
+
+  rings.forEach((ring, depth) => {
+    ring.forEach((node, i) => {
+      const angle = (2 * Math.PI * i) / ring.length - Math.PI / 2 + depth * 0.3;
+      positions.set(node.key, {
+        x: WIDTH / 2 + RADII[depth] * Math.cos(angle),
+        y: HEIGHT / 2 + RADII[depth] * 0.85 * Math.sin(angle),
+      });
+    });
+  });
+  return positions;
+};
+
+const shorten = (text, max = 18) =>
+  text.length > max ? `${text.slice(0, max - 1)}…` : text;
+
+const emptyForm = {
+  type: "prerequisite_of",
+  direction: "incoming",
+  otherType: "Algorithm",
+  otherSlug: "",
+  note: "",
+};
+
+const inputClass =
+  "p-2 text-sm border rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white border-gray-300 dark:border-gray-600";
+
+const RelationGraph = ({ entryType, slug }) => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { user } = useSelector((state) => state.auth);
+  const { center, nodes, edges, loading } = useSelector(
+    (state) => state.relation
+  );
+  const [depth, setDepth] = useState(1);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+
+  const currentType = entryType === "algorithms" ? "Algorithm" : "DataStructure";
+
+  useEffect(() => {
+    dispatch(fetchNeighbourhood({ entryType, slug, depth }));
+  }, [dispatch, entryType, slug, depth]);
+
+  useEffect(() => {
+    return () => {
+      dispatch(clearNeighbourhood());
+    };
+  }, [dispatch]);
+
+  const byKey = new Map(nodes.map((node) => [node.key, node]));
+  const positions = layout(nodes, center);
+  const direct = edges.filter((edge) => edge.from === center || edge.to === center);
+
+  const learnFirst = direct
+    .filter((edge) => edge.type === "prerequisite_of" && edge.to === center)
+    .map((edge) => byKey.get(edge.from))
+    .filter(Boolean);
+
+  const openNode = (node) => {
+    if (node.key !== center) {
+      navigate(`/${ENTRY_PATHS[node.entryType]}/${node.slug}`);
+    }
+  };
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const current = { type: currentType, slug };
+    const other = { type: form.otherType, slug: form.otherSlug.trim() };
+    const [source, target] =
+      form.direction === "outgoing" ? [current, other] : [other, current];
+
+    try {
+      await dispatch(
+        addRelation({
+          sourceType: source.type,
+          sourceSlug: source.slug,
+          targetType: target.type,
+          targetSlug: target.slug,
+          type: form.type,
+          note: form.note || undefined,
+        })
+      ).unwrap();
+      toast.success("Relation added");
+      setForm(emptyForm);
+      setShowForm(false);
+      dispatch(fetchNeighbourhood({ entryType, slug, depth }));
+    } catch (err) {
+      toast.error(err || "Failed to add relation");
+    }
+  };
+
+  const handleDelete = async (edgeId) => {
+    if (!window.confirm("Remove this relation?")) return;
+    try {
+      await dispatch(removeRelation(edgeId)).unwrap();
+      toast.success("Relation removed");
+      dispatch(fetchNeighbourhood({ entryType, slug, depth }));
+    } catch (err) {
+      toast.error(err || "Failed to remove relation");
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <Network size={24} /> Related Content
+        </h2>
+        <div className="flex items-center gap-3">
+          <select
+            value={depth}
+            onChange={(e) => setDepth(Number(e.target.value))}
+            className={inputClass}
+            aria-label="Graph depth"
+          >
+            <option value={1}>Direct links</option>
+            <option value={2}>Two hops</option>
+          </select>
+          {user?.role === "admin" && (
+            <button
+              onClick={() => setShowForm(!showForm)}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-sm"
+            >
+              <Plus size={16} /> {showForm ? "Cancel" : "Add relation"}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showForm && (
+        <form
+          onSubmit={handleSubmit}
+          className="flex flex-wrap items-end gap-3 p-4 rounded-xl border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900"
+        >
+          <select name="direction" value={form.direction} onChange={handleChange} className={inputClass}>
+            <option value="incoming">Other entry → this one</option>
+            <option value="outgoing">This entry → other one</option>
+          </select>
+          <select name="type" value={form.type} onChange={handleChange} className={inputClass}>
+            {Object.entries(RELATION_TYPES).map(([value, { label }]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <select name="otherType" value={form.otherType} onChange={handleChange} className={inputClass}>
+            <option value="Algorithm">Algorithm</option>
+            <option value="DataStructure">Data structure</option>
+          </select>
+          <input
+            name="otherSlug"
+            value={form.otherSlug}
+            onChange={handleChange}
+            placeholder="Other entry slug"
+            className={inputClass}
+            required
+          />
+          <input
+            name="note"
+            value={form.note}
+            onChange={handleChange}
+            placeholder="Note (optional)"
+            className={`${inputClass} flex-1 min-w-[10rem]`}
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 rounded-lg bg-green-600 hover:bg-green-700 text-white text-sm font-semibold"
+          >
+            Save
+          </button>
+        </form>
+      )}
+
+      {learnFirst.length > 0 && (
+        <div className="p-4 rounded-xl bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800">
+          <p className="font-semibold text-amber-800 dark:text-amber-200 mb-2">
+            Learn these first
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {learnFirst.map((node) => (
+              <button
+                key={node.key}
+                onClick={() => openNode(node)}
+                className="px-3 py-1 rounded-full text-sm bg-white dark:bg-gray-800 border border-amber-300 dark:border-amber-700 hover:bg-amber-100 dark:hover:bg-amber-900/40"
+              >
+                {node.title}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {loading && nodes.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400">Loading related content...</p>
+      ) : edges.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400">
+          No related algorithms or data structures linked yet.
+        </p>
+      ) : (
+        <>
+          <svg
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            className="w-full h-auto bg-gray-50 dark:bg-gray-900 rounded-xl border border-gray-200 dark:border-gray-700"
+          >
+            <defs>
+              {Object.entries(RELATION_TYPES).map(([type, { color }]) => (
+                <marker
+                  key={type}
+                  id={`relation-arrow-${type}`}
+                  viewBox="0 0 10 10"
+                  refX="10"
+                  refY="5"
+                  markerWidth="7"
+                  markerHeight="7"
+                  orient="auto-start-reverse"
+                >
+                  <path d="M 0 0 L 10 5 L 0 10 z" fill={color} />
+                </marker>
+              ))}
+            </defs>
+            {edges.map((edge) => {
+              const from = positions.get(edge.from);
+              const to = positions.get(edge.to);
+              if (!from || !to) return null;
+              const dx = to.x - from.x;
+              const dy = to.y - from.y;
+              const length = Math.hypot(dx, dy) || 1;
+              const trim = 34;
+              const { color, label } = RELATION_TYPES[edge.type];
+              return (
+                <g key={edge._id}>
+                  <line
+                    x1={from.x + (dx / length) * trim}
+                    y1={from.y + (dy / length) * trim}
+                    x2={to.x - (dx / length) * trim}
+                    y2={to.y - (dy / length) * trim}
+                    stroke={color}
+                    strokeWidth="2"
+                    strokeDasharray={edge.type === "alternative_to" ? "6 4" : undefined}
+                    markerEnd={
+                      edge.type === "alternative_to"
+                        ? undefined
+                        : `url(#relation-arrow-${edge.type})`
+                    }
+                  >
+                    <title>{edge.note ? `${label}: ${edge.note}` : label}</title>
+                  </line>
+                </g>
+              );
+            })}
+            {nodes.map((node) => {
+              const position = positions.get(node.key);
+              const isCenter = node.key === center;
+              return (
+                <g
+                  key={node.key}
+                  onClick={() => openNode(node)}
+                  className={isCenter ? "" : "cursor-pointer"}
+                >
+                  <rect
+                    x={position.x - 62}
+                    y={position.y - 16}
+                    width="124"
+                    height="32"
+                    rx={node.entryType === "Algorithm" ? 16 : 4}
+                    className={
+                      isCenter
+                        ? "fill-indigo-600"
+                        : "fill-white dark:fill-gray-800 stroke-gray-400 hover:fill-indigo-50 dark:hover:fill-gray-700"
+                    }
+                  />
+                  <text
+                    x={position.x}
+                    y={position.y + 4}
+                    textAnchor="middle"
+                    className={`text-xs font-semibold ${
+                      isCenter ? "fill-white" : "fill-gray-900 dark:fill-gray-100"
+                    }`}
+                  >
+                    {shorten(node.title)}
+                  </text>
+                  <title>
+                    {node.title} ({node.entryType === "Algorithm" ? "algorithm" : "data structure"})
+                  </title>
+                </g>
+              );
+            })}
+          </svg>
+
+          <div className="flex flex-wrap gap-4 text-xs text-gray-600 dark:text-gray-400">
+            {Object.entries(RELATION_TYPES).map(([type, { label, color }]) => (
+              <span key={type} className="flex items-center gap-1.5">
+                <span className="inline-block w-4 h-0.5" style={{ backgroundColor: color }} />
+                {label}
+              </span>
+            ))}
+            <span>Rounded: algorithm · Square: data structure</span>
+          </div>
+
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+            {direct.map((edge) => {
+              const from = byKey.get(edge.from);
+              const to = byKey.get(edge.to);
+              return (
+                <li key={edge._id} className="flex items-center justify-between gap-3 py-2">
+                  <span>
+                    <button onClick={() => openNode(from)} className="font-semibold hover:underline">
+                      {from.title}
+                    </button>{" "}
+                    <span style={{ color: RELATION_TYPES[edge.type].color }}>
+                      {RELATION_TYPES[edge.type].label}
+                    </span>{" "}
+                    <button onClick={() => openNode(to)} className="font-semibold hover:underline">
+                      {to.title}
+                    </button>
+                    {edge.note && (
+                      <span className="text-gray-500 dark:text-gray-400"> — {edge.note}</span>
+                    )}
+                  </span>
+                  {user?.role === "admin" && (
+                    <button
+                      onClick={() => handleDelete(edge._id)}
+                      className="text-red-600 hover:text-red-800"
+                      aria-label="Remove relation"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RelationGraph;
@@ -0,0 +1,280 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { FlaskConical, Plus, RefreshCw, Trash2, EyeOff } from "lucide-react";
+import { toast } from "react-toastify";
+import {
+  fetchTestCases,
+  createTestCase,
+  removeTestCase,
+  rerunVerification,
+} from "../../features/algorithm/algorithmSlice";
+
+const emptyForm = {
+  input: "",
+  expectedOutput: "",
+  visibility: "public",
+  mode: "exact",
+  tolerance: "0.000001",
+};
+
+const inputClass =
+  "w-full p-3 font-mono text-sm border rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white border-gray-300 dark:border-gray-600 focus:ring-2 focus:ring-indigo-500";
+
+const TestCases = ({ algorithm }) => {
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const { testCases, hiddenTestCaseCount, testCasesLoading } = useSelector(
+    (state) => state.algorithm
+  );
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const { slug } = algorithm;
+
+  useEffect(() => {
+    dispatch(fetchTestCases(slug));
+  }, [dispatch, slug]);
+
+  const canManage =
+    user && (user.role === "admin" || algorithm.createdBy === user._id);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.expectedOutput.trim()) {
+      toast.error("Expected output is required");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await dispatch(
+        createTestCase({
+          slug,
+          testCase: {
+            input: form.input,
+            expectedOutput: form.expectedOutput,
+            visibility: form.visibility,
+            checker: {
+              mode: form.mode,
+              ...(form.mode === "float" && {
+                tolerance: Number(form.tolerance),
+              }),
+            },
+          },
+        })
+      ).unwrap();
+      toast.success("Test case added. Implementations are being re-verified.");
+      setForm(emptyForm);
+      setShowForm(false);
+      dispatch(fetchTestCases(slug));
+    } catch (err) {
+      toast.error(err || "Failed to add test case");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (testCaseId) => {
+    if (!window.confirm("Delete this test case?")) return;
+    try {
+      await dispatch(removeTestCase({ slug, testCaseId })).unwrap();
+      toast.success("Test case deleted");
+      dispatch(fetchTestCases(slug));
+    } catch (err) {
+      toast.error(err || "Failed to delete test case");
+    }
+  };
+
+  const handleVerify = async () => {
+    try {
+      await dispatch(rerunVerification(slug)).unwrap();
+      toast.success("Verification finished");
+    } catch (err) {
+      toast.error(err || "Verification failed");
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <FlaskConical size={24} /> Test Cases
+        </h2>
+        <div className="flex items-center gap-3">
+          {user?.role === "admin" && (
+            <button
+              onClick={handleVerify}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-sm"
+            >
+              <RefreshCw size={16} /> Re-run verification
+            </button>
+          )}
+          {user && (
+            <button
+              onClick={() => setShowForm(!showForm)}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-sm"
+            >
+              <Plus size={16} /> {showForm ? "Cancel" : "Add test case"}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showForm && (
+        <form
+          onSubmit={handleSubmit}
+          className="space-y-4 p-4 rounded-xl border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900"
+        >
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-semibold mb-1">Input</label>
+              <textarea
+                name="input"
+                value={form.input}
+                onChange={handleChange}
+                rows={4}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold mb-1">
+                Expected output
+              </label>
+              <textarea
+                name="expectedOutput"
+                value={form.expectedOutput}
+                onChange={handleChange}
+                rows={4}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div className="flex flex-wrap gap-4">
+            <div>
+              <label className="block text-sm font-semibold mb-1">
+                Visibility
+              </label>
+              <select
+                name="visibility"
+                value={form.visibility}
+                onChange={handleChange}
+                className={inputClass}
+              >
+                <option value="public">Public</option>
+                <option value="hidden">Hidden</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold mb-1">Checker</label>
+              <select
+                name="mode"
+                value={form.mode}
+                onChange={handleChange}
+                className={inputClass}
+              >
+                <option value="exact">Exact match</option>
+                <option value="token">Token match</option>
+                <option value="float">Float tolerance</option>
+              </select>
+            </div>
+            {form.mode === "float" && (
+              <div>
+                <label className="block text-sm font-semibold mb-1">
+                  Tolerance
+                </label>
+                <input
+                  type="number"
+                  name="tolerance"
+                  min="0"
+                  step="any"
+                  value={form.tolerance}
+                  onChange={handleChange}
+                  className={inputClass}
+                />
+              </div>
+            )}
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 rounded-lg bg-green-600 hover:bg-green-700 text-white text-sm font-semibold disabled:opacity-50"
+          >
+            {saving ? "Saving..." : "Save test case"}
+          </button>
+        </form>
+      )}
+
+      {testCasesLoading && testCases.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400">Loading test cases...</p>
+      ) : testCases.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400">
+          No public test cases yet.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {testCases.map((testCase, index) => (
+            <div
+              key={testCase._id}
+              className="p-4 rounded-xl border border-gray-200 dark:border-gray-700 space-y-3"
+            >
+              <div className="flex items-center justify-between gap-3 text-sm">
+                <span className="font-semibold flex items-center gap-2">
+                  Test case #{index + 1}
+                  {testCase.visibility === "hidden" && (
+                    <span className="flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-gray-200 dark:bg-gray-700">
+                      <EyeOff size={12} /> hidden
+                    </span>
+                  )}
+                  <span className="px-2 py-0.5 rounded-full text-xs bg-indigo-100 dark:bg-indigo-900/40 text-indigo-700 dark:text-indigo-300">
+                    {testCase.checker?.mode || "exact"}
+                  </span>
+                </span>
+                {(canManage || testCase.addedBy?._id === user?._id) && (
+                  <button
+                    onClick={() => handleDelete(testCase._id)}
+                    className="text-red-600 hover:text-red-800"
+                    aria-label="Delete test case"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                )}
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <p className="text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">
+                    Input
+                  </p>
+                  <pre className="p-3 rounded-lg bg-gray-50 dark:bg-gray-900 text-sm whitespace-pre-wrap break-words max-h-48 overflow-auto">
+                    {testCase.input || " "}
+                  </pre>
+                </div>
+                <div>
+                  <p className="text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">
+                    Expected output
+                  </p>
+                  <pre className="p-3 rounded-lg bg-gray-50 dark:bg-gray-900 text-sm whitespace-pre-wrap break-words max-h-48 overflow-auto">
+                    {testCase.expectedOutput}
+                  </pre>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {hiddenTestCaseCount > 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400 flex items-center gap-2">
+          <EyeOff size={14} /> {hiddenTestCaseCount} hidden test case
+          {hiddenTestCaseCount === 1 ? "" : "s"} also used for verification.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TestCases;
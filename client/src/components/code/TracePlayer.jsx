@@ -0,0 +1,380 @@
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
+import { materialDark, materialLight } from "react-syntax-highlighter/dist/esm/styles/prism";
+import {
+  Play,
+  Pause,
+  SkipBack,
+  SkipForward,
+  ChevronLeft,
+  ChevronRight,
+} from "lucide-react";
+
+const SPEEDS = [
+  { label: "0.5x", delay: 1600 },
+  { label: "1x", delay: 800 },
+  { label: "2x", delay: 400 },
+  { label: "4x", delay: 200 },
+];
+
+const formatValue = (value) =>
+  typeof value === "string" ? value : JSON.stringify(value);
+
+const ArrayView = ({ structure }) => {
+  const {
+    name,
+    values,
+    pointers = {},
+    highlight = [],
+    sorted = [],
+    window: range,
+  } = structure;
+
+  const pointersAt = (index) =>
+    Object.entries(pointers)
+      .filter(([, at]) => at === index)
+      .map(([pointer]) => pointer);
+
+  // Pointers may sit one past either end (e.g. `right = n`).
+  const slots = [-1, ...values.map((_, i) => i), values.length];
+
+  return (
+    <div className="space-y-2">
+      {name && <p className="text-sm font-mono font-semibold">{name}</p>}
+      <div className="flex gap-1 overflow-x-auto pb-2">
+        {slots.map((index) => {
+          const inArray = index >= 0 && index < values.length;
+          const labels = pointersAt(index);
+          if (!inArray && labels.length === 0) return null;
+
+          const inWindow = range && index >= range[0] && index <= range[1];
+          const cellStyle = !inArray
+            ? "border-dashed border-gray-300 dark:border-gray-600 text-gray-400"
+            : highlight.includes(index)
+            ? "bg-yellow-200 dark:bg-yellow-700/60 border-yellow-500"
+            : sorted.includes(index)
+            ? "bg-green-200 dark:bg-green-800/60 border-green-500"
+            : inWindow
+            ? "bg-blue-100 dark:bg-blue-900/50 border-blue-400"
+            : "bg-white dark:bg-gray-900 border-gray-300 dark:border-gray-600";
+
+          return (
+            <div key={index} className="flex flex-col items-center min-w-[2.75rem]">
+              <div
+                className={`w-full h-11 flex items-center justify-center border-2 rounded-md font-mono text-sm transition-colors duration-300 ${cellStyle}`}
+              >
+                {inArray ? formatValue(values[index]) : ""}
+              </div>
+              <span className="text-[10px] text-gray-400">
+                {inArray ? index : ""}
+              </span>
+              {labels.length > 0 && (
+                <span className="text-xs font-mono font-semibold text-indigo-600 dark:text-indigo-400">
+                  ↑ {labels.join(", ")}
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+const GRAPH_WIDTH = 420;
+const GRAPH_HEIGHT = 300;
+const NODE_RADIUS = 18;
+
+// Nodes without coordinates are spread on a circle; given coordinates are
+// fractions of the canvas.
+const layoutNodes = (nodes) =>
+  nodes.map((node, i) => {
+    if (typeof node.x === "number" && typeof node.y === "number") {
+      return { ...node, px: node.x * GRAPH_WIDTH, py: node.y * GRAPH_HEIGHT };
+    }
+    const angle = (2 * Math.PI * i) / nodes.length - Math.PI / 2;
+    return {
+      ...node,
+      px: GRAPH_WIDTH / 2 + (GRAPH_WIDTH / 2 - 40) * Math.cos(angle),
+      py: GRAPH_HEIGHT / 2 + (GRAPH_HEIGHT / 2 - 40) * Math.sin(angle),
+    };
+  });
+
+const GraphView = ({ structure }) => {
+  const {
+    name,
+    directed = false,
+    edges = [],
+    highlight = [],
+    visited = [],
+    activeEdges = [],
+  } = structure;
+  const nodes = layoutNodes(structure.nodes);
+  const byId = new Map(nodes.map((node) => [String(node.id), node]));
+  const has = (list, id) => list.some((item) => String(item) === String(id));
+  const isActive = (edge) =>
+    activeEdges.some(
+      ([from, to]) =>
+        (String(from) === String(edge.from) && String(to) === String(edge.to)) ||
+        (!directed &&
+          String(from) === String(edge.to) &&
+          String(to) === String(edge.from))
+    );
+
+  return (
+    <div className="space-y-2">
+      {name && <p className="text-sm font-mono font-semibold">{name}</p>}
+      <svg
+        viewBox={`0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`}
+        className="w-full max-w-xl h-auto bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-700"
+      >
+        <defs>
+          <marker
+            id="trace-arrow"
+            viewBox="0 0 10 10"
+            refX="10"
+            refY="5"
+            markerWidth="6"
+            markerHeight="6"
+            orient="auto-start-reverse"
+          >
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="currentColor" />
+          </marker>
+        </defs>
+        {edges.map((edge, i) => {
+          const from = byId.get(String(edge.from));
+          const to = byId.get(String(edge.to));
+          const dx = to.px - from.px;
+          const dy = to.py - from.py;
+          const length = Math.hypot(dx, dy) || 1;
+          const x2 = to.px - (dx / length) * NODE_RADIUS;
+          const y2 = to.py - (dy / length) * NODE_RADIUS;
+          const active = isActive(edge);
+          return (
+            <g
+              key={i}
+              className={
+                active
+                  ? "text-orange-500"
+                  : "text-gray-400 dark:text-gray-500"
+              }
+            >
+              <line
+                x1={from.px}
+                y1={from.py}
+                x2={directed ? x2 : to.px}
+                y2={directed ? y2 : to.py}
+                stroke="currentColor"
+                strokeWidth={active ? 3 : 1.5}
+                markerEnd={directed ? "url(#trace-arrow)" : undefined}
+              />
+              {edge.weight !== undefined && (
+                <text
+                  x={(from.px + to.px) / 2}
+                  y={(from.py + to.py) / 2 - 4}
+                  textAnchor="middle"
+                  className="fill-current text-xs"
+                >
+                  {edge.weight}
+                </text>
+              )}
+            </g>
+          );
+        })}
+        {nodes.map((node) => {
+          const fill = has(highlight, node.id)
+            ? "fill-yellow-300 dark:fill-yellow-600"
+            : has(visited, node.id)
+            ? "fill-green-300 dark:fill-green-700"
+            : "fill-gray-100 dark:fill-gray-700";
+          return (
+            <g key={node.id}>
+              <circle
+                cx={node.px}
+                cy={node.py}
+                r={NODE_RADIUS}
+                className={`${fill} stroke-gray-500 transition-colors duration-300`}
+                strokeWidth="1.5"
+              />
+              <text
+                x={node.px}
+                y={node.py + 4}
+                textAnchor="middle"
+                className="fill-gray-900 dark:fill-white text-xs font-semibold"
+              >
+                {node.label ?? node.id}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
+
+const TracePlayer = ({ trace, code = "", language = "text" }) => {
+  const themeMode = useSelector((state) => state.theme.mode);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  const steps = trace.steps || [];
+  const lastIndex = steps.length - 1;
+  const step = steps[stepIndex] || {};
+  const highlighted = new Set(step.lines || []);
+
+  useEffect(() => {
+    if (!playing) return;
+    const timer = setTimeout(() => {
+      const next = Math.min(stepIndex + 1, lastIndex);
+      setStepIndex(next);
+      if (next >= lastIndex) setPlaying(false);
+    }, SPEEDS[speed].delay);
+    return () => clearTimeout(timer);
+  }, [playing, stepIndex, lastIndex, speed]);
+
+  const togglePlay = () => {
+    if (!playing && stepIndex >= lastIndex) setStepIndex(0);
+    setPlaying(!playing);
+  };
+
+  const goTo = (index) => {
+    setPlaying(false);
+    setStepIndex(Math.max(0, Math.min(index, lastIndex)));
+  };
+
+  const controlClass =
+    "p-2 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-40";
+
+  const variables = Object.entries(step.variables || {});
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={() => goTo(0)} disabled={stepIndex === 0} className={controlClass} aria-label="First step">
+          <SkipBack size={18} />
+        </button>
+        <button onClick={() => goTo(stepIndex - 1)} disabled={stepIndex === 0} className={controlClass} aria-label="Previous step">
+          <ChevronLeft size={18} />
+        </button>
+        <button
+          onClick={togglePlay}
+          className="p-2 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white"
+          aria-label={playing ? "Pause" : "Play"}
+        >
+          {playing ? <Pause size={18} /> : <Play size={18} />}
+        </button>
+        <button onClick={() => goTo(stepIndex + 1)} disabled={stepIndex >= lastIndex} className={controlClass} aria-label="Next step">
+          <ChevronRight size={18} />
+        </button>
+        <button onClick={() => goTo(lastIndex)} disabled={stepIndex >= lastIndex} className={controlClass} aria-label="Last step">
+          <SkipForward size={18} />
+        </button>
+        <input
+          type="range"
+          min="0"
+          max={Math.max(lastIndex, 0)}
+          value={stepIndex}
+          onChange={(e) => goTo(Number(e.target.value))}
+          className="flex-1 min-w-[8rem] accent-indigo-600"
+          aria-label="Scrub through steps"
+        />
+        <span className="text-sm font-mono text-gray-600 dark:text-gray-400">
+          {stepIndex + 1} / {steps.length}
+        </span>
+        <select
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+          className="text-sm p-1.5 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900"
+          aria-label="Playback speed"
+        >
+          {SPEEDS.map((option, i) => (
+            <option key={option.label} value={i}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {step.description && (
+        <p className="p-3 rounded-lg bg-indigo-50 dark:bg-indigo-900/30 text-indigo-900 dark:text-indigo-100 text-sm">
+          {step.description}
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        {code && (
+          <SyntaxHighlighter
+            language={language?.toLowerCase() || "text"}
+            style={themeMode === "dark" ? materialDark : materialLight}
+            showLineNumbers
+            wrapLines
+            lineProps={(lineNumber) => ({
+              style: {
+                display: "block",
+                backgroundColor: highlighted.has(lineNumber)
+                  ? themeMode === "dark"
+                    ? "rgba(99, 102, 241, 0.35)"
+                    : "rgba(99, 102, 241, 0.18)"
+                  : undefined,
+              },
+            })}
+            customStyle={{
+              margin: 0,
+              fontSize: "0.85rem",
+              borderRadius: "0.75rem",
+              maxHeight: "28rem",
+            }}
+          >
+            {code}
+          </SyntaxHighlighter>
+        )}
+
+        <div className="space-y-4">
+          {step.structures?.map((structure, i) =>
+            structure.type === "graph" ? (
+              <GraphView key={i} structure={structure} />
+            ) : (
+              <ArrayView key={i} structure={structure} />
+            )
+          )}
+
+          {variables.length > 0 && (
+            <table className="w-full text-sm border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden">
+              <thead className="bg-gray-100 dark:bg-gray-700 text-xs uppercase">
+                <tr>
+                  <th className="px-3 py-2 text-left">Variable</th>
+                  <th className="px-3 py-2 text-left">Value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {variables.map(([name, value]) => {
+                  const previous = steps[stepIndex - 1]?.variables?.[name];
+                  const changed =
+                    stepIndex > 0 &&
+                    JSON.stringify(previous) !== JSON.stringify(value);
+                  return (
+                    <tr
+                      key={name}
+                      className={`border-t border-gray-200 dark:border-gray-700 ${
+                        changed ? "bg-yellow-50 dark:bg-yellow-900/20" : ""
+                      }`}
+                    >
+                      <td className="px-3 py-1.5 font-mono">{name}</td>
+                      <td className="px-3 py-1.5 font-mono break-all">
+                        {formatValue(value)}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TracePlayer;
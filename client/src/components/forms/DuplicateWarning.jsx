@@ -0,0 +1,84 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { AlertTriangle } from "lucide-react";
+import { findDuplicates } from "../../features/proposal/proposalAPI";
+
+const CHECK_DELAY_MS = 800;
+
+/**
+ * Warns the author while they type when the draft resembles an existing
+ * algorithm or another open proposal. Pass `slug` when editing a proposal so
+ * it is not matched against itself.
+ */
+const DuplicateWarning = ({ draft, slug }) => {
+  const [matches, setMatches] = useState([]);
+
+  const title = draft.title?.trim() || "";
+  const problemStatement = draft.problemStatement?.trim() || "";
+  const enabled = title.length >= 3 || problemStatement.length >= 20;
+
+  // Serialized so the check only reruns when the compared fields change
+  const payload = JSON.stringify({
+    title,
+    problemStatement,
+    tags: (draft.tags || []).filter(Boolean),
+    codes: (draft.codes || []).filter((c) => c.code?.trim()),
+    slug,
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const data = await findDuplicates(JSON.parse(payload));
+        if (!cancelled) setMatches(data.matches || []);
+      } catch {
+        // The warning is advisory; a failed check shouldn't block the form
+      }
+    }, CHECK_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [payload, enabled]);
+
+  if (!enabled || matches.length === 0) return null;
+
+  return (
+    <div className="p-4 rounded-xl bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 text-sm text-amber-800 dark:text-amber-200">
+      <p className="flex items-center gap-2 font-semibold mb-2">
+        <AlertTriangle size={18} /> This may already exist
+      </p>
+      <p className="mb-2">
+        Check these before submitting. If one of them covers the same problem,
+        propose an edit to it instead.
+      </p>
+      <ul className="space-y-1">
+        {matches.map((match) => (
+          <li key={`${match.kind}-${match.ref}`} className="flex flex-wrap items-center gap-2">
+            {match.kind === "algorithm" ? (
+              <Link
+                to={`/algorithms/${match.slug}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="font-medium underline"
+              >
+                {match.title}
+              </Link>
+            ) : (
+              <span className="font-medium">{match.title}</span>
+            )}
+            <span className="text-xs text-amber-700 dark:text-amber-300">
+              {match.kind === "algorithm" ? "published algorithm" : "pending proposal"}
+              {" · "}
+              {Math.round(match.score * 100)}% similar
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DuplicateWarning;
@@ -3,6 +3,12 @@ import { Trash2, Plus, ChevronDown } from "lucide-react";
 import MonacoEditor from "@monaco-editor/react";
 import AlgorithmPreview from "../../pages/AlgorithmPreview";
 import { useSelector } from "react-redux";
+import PublishingFields from "./PublishingFields";
+import {
+  publishingError,
+  publishingFormState,
+  publishingPayload,
+} from "../../utils/publishing";
 
 const EditAlgorithmForm = ({ algorithm = {}, onSave, onCancel, categories }) => {
   const themeMode = useSelector((state) => state.theme.mode);
@@ -19,6 +25,7 @@ const EditAlgorithmForm = ({ algorithm = {}, onSave, onCancel, categories }) =>
     codes: algorithm.codes?.length ? algorithm.codes : [{ language: "", code: "" }],
   });
 
+  const [publishing, setPublishing] = useState(() => publishingFormState(algorithm));
   const [preview, setPreview] = useState(false);
   const [selectedCodeIndex, setSelectedCodeIndex] = useState(0);
   const [showDifficultyDropdown, setShowDifficultyDropdown] = useState(false);
@@ -312,6 +319,8 @@ const EditAlgorithmForm = ({ algorithm = {}, onSave, onCancel, categories }) =>
                 </div>
               </div>
 
+              <PublishingFields value={publishing} onChange={setPublishing} />
+
               {/* Actions */}
               <div className="flex flex-wrap gap-4 justify-end pt-6 border-t border-gray-200 dark:border-gray-700">
                 <button
@@ -321,8 +330,9 @@ const EditAlgorithmForm = ({ algorithm = {}, onSave, onCancel, categories }) =>
                   Cancel
                 </button>
                 <button
-                  onClick={() => onSave(editedData)}
-                  className="px-6 py-2 text-base rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+                  onClick={() => onSave({ ...editedData, ...publishingPayload(publishing) })}
+                  disabled={Boolean(publishingError(publishing))}
+                  className="px-6 py-2 text-base rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors disabled:opacity-50"
                 >
                   Save
                 </button>
@@ -5,6 +5,12 @@ import { useDispatch, useSelector } from "react-redux";
 import { motion } from "framer-motion";
 import { toast } from "react-toastify";
 import DataStructurePreview from "../../pages/DataStructurePreview";
+import PublishingFields from "./PublishingFields";
+import {
+  publishingError,
+  publishingFormState,
+  publishingPayload,
+} from "../../utils/publishing";
 import { fetchDataStructureCategories, updateExistingDataStructure } from "../../features/dataStructure/dataStructureSlice";
 
 const DATA_STRUCTURE_TYPES = ["Linear", "Non-Linear", "Hierarchical", "Graph", "Other"];
@@ -42,6 +48,7 @@ const EditDataStructureForm = ({ dataStructure = {}, dataStructures = [], onSave
     views: dataStructure.views || 0,
     contributors: Array.isArray(dataStructure.contributors) ? dataStructure.contributors : [],
   });
+  const [publishing, setPublishing] = useState(() => publishingFormState(dataStructure));
   const [preview, setPreview] = useState(false);
   const [selectedCodeIndex, setSelectedCodeIndex] = useState(0);
   const [selectedOperationIndex, setSelectedOperationIndex] = useState(0);
@@ -313,6 +320,7 @@ const EditDataStructureForm = ({ dataStructure = {}, dataStructures = [], onSave
         tags: editedData.tags.map((tag) => tag.trim()).filter(Boolean),
         references: editedData.references.map((ref) => ref.trim()).filter(Boolean),
         videoLinks: editedData.videoLinks.map((link) => link.trim()).filter(Boolean),
+        ...publishingPayload(publishing),
       };
       await dispatch(
         updateExistingDataStructure({ slug: dataStructure.slug, dataStructureData: formattedData })
@@ -1177,6 +1185,8 @@ const EditDataStructureForm = ({ dataStructure = {}, dataStructures = [], onSave
                 </div>
               </section>
 
+              <PublishingFields value={publishing} onChange={setPublishing} />
+
               <div className="flex justify-end gap-4 pt-6 border-t border-gray-200 dark:border-gray-700">
                 <motion.button
                   whileHover={{ scale: 1.05 }}
@@ -1190,7 +1200,8 @@ const EditDataStructureForm = ({ dataStructure = {}, dataStructures = [], onSave
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
                   onClick={handleSave}
-                  className="px-6 py-3 rounded-lg bg-blue-600 text-white hover:bg-blue-700 text-base font-medium transition-colors duration-200"
+                  disabled={Boolean(publishingError(publishing))}
+                  className="px-6 py-3 rounded-lg bg-blue-600 text-white hover:bg-blue-700 text-base font-medium transition-colors duration-200 disabled:opacity-50"
                 >
                   Save
                 </motion.button>
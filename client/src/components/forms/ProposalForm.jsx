@@ -4,8 +4,15 @@ import MonacoEditor from "@monaco-editor/react";
 import AlgorithmPreview from "../../pages/AlgorithmPreview"; // Ensure this path is correct
 import clsx from "clsx";
 import { useSelector } from "react-redux";
+import DuplicateWarning from "./DuplicateWarning";
 
-const ProposalForm = ({ proposal = {}, onSave, categories = [], mode }) => {
+const ProposalForm = ({
+  proposal = {},
+  onSave,
+  categories = [],
+  mode,
+  detectDuplicates = false,
+}) => {
   const themeMode = useSelector((state) => state.theme.mode);
   const [editedData, setEditedData] = useState(() => ({
     title: proposal.title || "",
@@ -172,6 +179,9 @@ const ProposalForm = ({ proposal = {}, onSave, categories = [], mode }) => {
             true,
             "Describe the problem this algorithm solves..."
           )}
+          {detectDuplicates && (
+            <DuplicateWarning draft={editedData} slug={proposal.slug} />
+          )}
           {renderInput(
             "Intuition",
             editedData.intuition,
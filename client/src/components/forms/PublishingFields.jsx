@@ -0,0 +1,74 @@
+import { CalendarClock } from "lucide-react";
+import { publishingError } from "../../utils/publishing";
+
+const modes = [
+  ["published", "Publish now"],
+  ["draft", "Save as draft"],
+  ["scheduled", "Schedule"],
+];
+
+const inputClass =
+  "p-2 text-base border rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white border-gray-300 dark:border-gray-600 focus:ring-2 focus:ring-blue-500 focus:border-blue-500";
+
+/**
+ * Publish now / draft / scheduled choice for the admin entry forms, with an
+ * optional unpublish date-time. `value` comes from `publishingFormState`.
+ */
+const PublishingFields = ({ value, onChange }) => {
+  const update = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+  const error = publishingError(value);
+
+  return (
+    <div className="space-y-3 p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+      <label className="flex items-center gap-2 text-lg font-semibold text-gray-800 dark:text-gray-200">
+        <CalendarClock size={18} /> Publishing
+      </label>
+
+      <div className="flex flex-wrap gap-4">
+        {modes.map(([mode, label]) => (
+          <label
+            key={mode}
+            className="inline-flex items-center gap-2 text-gray-700 dark:text-gray-300 cursor-pointer"
+          >
+            <input
+              type="radio"
+              name="publishing-mode"
+              checked={value.mode === mode}
+              onChange={() => update("mode", mode)}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-4">
+        {value.mode === "scheduled" && (
+          <label className="flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-400">
+            Publish at
+            <input
+              type="datetime-local"
+              value={value.publishAt}
+              onChange={(e) => update("publishAt", e.target.value)}
+              className={inputClass}
+            />
+          </label>
+        )}
+        {value.mode !== "draft" && (
+          <label className="flex flex-col gap-1 text-sm text-gray-600 dark:text-gray-400">
+            Unpublish at (optional)
+            <input
+              type="datetime-local"
+              value={value.unpublishAt}
+              onChange={(e) => update("unpublishAt", e.target.value)}
+              className={inputClass}
+            />
+          </label>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default PublishingFields;
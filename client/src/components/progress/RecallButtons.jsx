@@ -0,0 +1,45 @@
+// Self-rated recall on the SM-2 scale the server expects (0-5).
+const RATINGS = [
+  {
+    rating: 1,
+    label: "Again",
+    hint: "Couldn't recall it",
+    className: "bg-red-100 text-red-700 hover:bg-red-200 dark:bg-red-900/40 dark:text-red-300 dark:hover:bg-red-900",
+  },
+  {
+    rating: 3,
+    label: "Hard",
+    hint: "Recalled with serious effort",
+    className: "bg-orange-100 text-orange-700 hover:bg-orange-200 dark:bg-orange-900/40 dark:text-orange-300 dark:hover:bg-orange-900",
+  },
+  {
+    rating: 4,
+    label: "Good",
+    hint: "Recalled after a little thought",
+    className: "bg-blue-100 text-blue-700 hover:bg-blue-200 dark:bg-blue-900/40 dark:text-blue-300 dark:hover:bg-blue-900",
+  },
+  {
+    rating: 5,
+    label: "Easy",
+    hint: "Recalled instantly",
+    className: "bg-green-100 text-green-700 hover:bg-green-200 dark:bg-green-900/40 dark:text-green-300 dark:hover:bg-green-900",
+  },
+];
+
+const RecallButtons = ({ onRate, disabled }) => (
+  <div className="flex flex-wrap gap-2">
+    {RATINGS.map(({ rating, label, hint, className }) => (
+      <button
+        key={rating}
+        onClick={() => onRate(rating)}
+        disabled={disabled}
+        title={hint}
+        className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 ${className}`}
+      >
+        {label}
+      </button>
+    ))}
+  </div>
+);
+
+export default RecallButtons;
@@ -0,0 +1,106 @@
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+import { CalendarCheck, Database, Workflow } from "lucide-react";
+import { toast } from "react-toastify";
+import {
+  fetchReviewQueue,
+  submitReview,
+} from "../../features/progress/progressSlice";
+import { formatDueDate } from "../../utils/formatDueDate";
+import RecallButtons from "./RecallButtons";
+
+const ENTRY_PATHS = { Algorithm: "algorithms", DataStructure: "data-structures" };
+
+const ReviewQueue = ({ limit }) => {
+  const dispatch = useDispatch();
+  const { due, nextDueAt, queueLoading, saving } = useSelector(
+    (state) => state.progress
+  );
+
+  useEffect(() => {
+    dispatch(fetchReviewQueue());
+  }, [dispatch]);
+
+  const handleRate = async (item, rating) => {
+    try {
+      const { progress } = await dispatch(
+        submitReview({
+          entryType: ENTRY_PATHS[item.entryType],
+          slug: item.entry.slug,
+          rating,
+        })
+      ).unwrap();
+      toast.success(`${progress.entry.title}: next review ${formatDueDate(progress.dueAt)}`);
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  const shown = limit ? due.slice(0, limit) : due;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between gap-4">
+        <h2 className="text-xl font-semibold flex items-center gap-2">
+          <CalendarCheck size={22} /> Due for review
+          {due.length > 0 && (
+            <span className="px-2 py-0.5 rounded-full text-xs bg-indigo-600 text-white">
+              {due.length}
+            </span>
+          )}
+        </h2>
+        {limit && due.length > limit && (
+          <Link to="/dashboard" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">
+            See all
+          </Link>
+        )}
+      </div>
+
+      {queueLoading && due.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400">Loading your review queue...</p>
+      ) : due.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400">
+          Nothing to review right now.
+          {nextDueAt && ` Your next review is due ${formatDueDate(nextDueAt)}.`}
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {shown.map((item) => (
+            <li
+              key={item._id}
+              className="flex flex-col md:flex-row md:items-center justify-between gap-3 py-3"
+            >
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  {item.entryType === "Algorithm" ? (
+                    <Workflow size={16} className="text-purple-500" />
+                  ) : (
+                    <Database size={16} className="text-teal-500" />
+                  )}
+                  <Link
+                    to={`/${ENTRY_PATHS[item.entryType]}/${item.entry.slug}`}
+                    className="font-medium text-blue-600 dark:text-blue-400 hover:underline truncate"
+                  >
+                    {item.entry.title}
+                  </Link>
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  {item.status === "mastered" ? "Mastered" : "Learning"} · due{" "}
+                  {formatDueDate(item.dueAt)} · {item.reviewCount} review
+                  {item.reviewCount === 1 ? "" : "s"} so far
+                </p>
+              </div>
+              <RecallButtons
+                onRate={(rating) => handleRate(item, rating)}
+                disabled={saving}
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ReviewQueue;
@@ -0,0 +1,104 @@
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+import { Bookmark, BookOpen, GraduationCap, CalendarClock } from "lucide-react";
+import { toast } from "react-toastify";
+import {
+  fetchEntryProgress,
+  updateEntryStatus,
+  submitReview,
+  clearEntryProgress,
+} from "../../features/progress/progressSlice";
+import { formatDueDate } from "../../utils/formatDueDate";
+import RecallButtons from "./RecallButtons";
+
+const STATUSES = [
+  { value: "bookmarked", label: "Bookmark", icon: <Bookmark size={16} />, active: "bg-yellow-500 text-white" },
+  { value: "learning", label: "Learning", icon: <BookOpen size={16} />, active: "bg-blue-600 text-white" },
+  { value: "mastered", label: "Mastered", icon: <GraduationCap size={16} />, active: "bg-green-600 text-white" },
+];
+
+// entryType is the URL segment: "algorithms" or "data-structures"
+const StudyStatus = ({ entryType, slug }) => {
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const { entry: progress, saving } = useSelector((state) => state.progress);
+
+  useEffect(() => {
+    if (!user) return;
+    dispatch(fetchEntryProgress({ entryType, slug }));
+    return () => {
+      dispatch(clearEntryProgress());
+    };
+  }, [dispatch, entryType, slug, user]);
+
+  if (!user) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        <Link to="/login" className="text-blue-600 dark:text-blue-400 hover:underline">
+          Log in
+        </Link>{" "}
+        to bookmark this and schedule reviews.
+      </p>
+    );
+  }
+
+  const handleStatus = (status) => {
+    const next = progress?.status === status ? null : status;
+    dispatch(updateEntryStatus({ entryType, slug, status: next }))
+      .unwrap()
+      .catch((err) => toast.error(err));
+  };
+
+  const handleRate = async (rating) => {
+    try {
+      const { progress: updated } = await dispatch(
+        submitReview({ entryType, slug, rating })
+      ).unwrap();
+      toast.success(`Next review ${formatDueDate(updated.dueAt)}`);
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  const isDue = progress?.dueAt && new Date(progress.dueAt) <= new Date();
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        {STATUSES.map(({ value, label, icon, active }) => (
+          <button
+            key={value}
+            onClick={() => handleStatus(value)}
+            disabled={saving}
+            aria-pressed={progress?.status === value}
+            className={`flex items-center gap-2 px-4 py-2 rounded-full text-sm font-medium shadow-sm transition-all disabled:opacity-50 ${
+              progress?.status === value
+                ? active
+                : "bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600"
+            }`}
+          >
+            {icon}
+            {label}
+          </button>
+        ))}
+        {progress?.dueAt && !isDue && (
+          <span className="flex items-center gap-1 text-sm text-gray-500 dark:text-gray-400">
+            <CalendarClock size={16} /> Next review {formatDueDate(progress.dueAt)}
+          </span>
+        )}
+      </div>
+
+      {isDue && (
+        <div className="p-4 rounded-xl bg-indigo-50 dark:bg-indigo-900/20 border border-indigo-200 dark:border-indigo-800 space-y-3">
+          <p className="text-sm font-medium text-indigo-800 dark:text-indigo-200">
+            Due for review. Once you've gone over it, how well did you recall it?
+          </p>
+          <RecallButtons onRate={handleRate} disabled={saving} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StudyStatus;
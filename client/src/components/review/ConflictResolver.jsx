@@ -0,0 +1,127 @@
+import { useState } from "react";
+import { AlertTriangle, GitMerge } from "lucide-react";
+import { DiffSection } from "./ProposalDiff";
+
+const changedSections = (field) =>
+  (field?.sections || []).filter((section) => section.status !== "unchanged");
+
+const SideDiff = ({ title, field }) => (
+  <div className="space-y-2">
+    <p className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+      {title}
+    </p>
+    {changedSections(field).length === 0 ? (
+      <p className="text-sm text-gray-500 dark:text-gray-400">No changes.</p>
+    ) : (
+      changedSections(field).map((section) => (
+        <DiffSection key={section.key} section={section} />
+      ))
+    )}
+  </div>
+);
+
+/**
+ * Three-way view of a proposal whose target was edited after the proposal was
+ * started: what changed on the target and in the proposal since then, per
+ * field. Fields both sides changed are conflicts; the reviewer picks which
+ * side wins and `onResolve` receives `{ [field]: "proposal" | "target" }`.
+ */
+const ConflictResolver = ({ threeWay, target, onResolve }) => {
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(
+      threeWay.fields
+        .filter((field) => field.conflict && field.resolution)
+        .map((field) => [field.field, field.resolution])
+    )
+  );
+  const [saving, setSaving] = useState(false);
+
+  const conflicts = threeWay.fields.filter((field) => field.conflict);
+  const pending = Object.entries(choices).filter(
+    ([field, choice]) =>
+      threeWay.fields.find((f) => f.field === field)?.resolution !== choice
+  );
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onResolve(Object.fromEntries(pending));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mb-4 p-4 rounded-lg bg-white dark:bg-gray-900 border border-orange-300 dark:border-orange-800 text-sm text-gray-800 dark:text-gray-200 space-y-4">
+      <div className="flex items-start gap-2 text-orange-800 dark:text-orange-200">
+        <AlertTriangle size={18} className="mt-0.5 min-w-[18px]" />
+        <p>
+          <strong>{target?.title}</strong> has been edited since this proposal was
+          started (revision {threeWay.baseRevision} → {threeWay.targetRevision}).
+          Fields changed only on the entry keep their current value when merging.
+          {threeWay.unresolved.length > 0 &&
+            ` Resolve ${threeWay.unresolved.length} conflicting field${
+              threeWay.unresolved.length === 1 ? "" : "s"
+            } before this proposal can merge.`}
+        </p>
+      </div>
+
+      {threeWay.fields.map((field) => (
+        <section
+          key={field.field}
+          className="p-4 rounded-xl border border-gray-200 dark:border-gray-700 space-y-3"
+        >
+          <header className="flex flex-wrap items-center gap-3">
+            <h3 className="font-semibold">{field.label}</h3>
+            {field.conflict ? (
+              <span className="px-2 py-0.5 rounded-full text-xs font-semibold text-orange-700 bg-orange-100 dark:text-orange-300 dark:bg-orange-900/30">
+                {field.resolution ? "conflict resolved" : "conflict"}
+              </span>
+            ) : (
+              <span className="px-2 py-0.5 rounded-full text-xs font-semibold text-gray-700 bg-gray-100 dark:text-gray-300 dark:bg-gray-800">
+                {field.proposalChanged ? "same change on both sides" : "changed on entry only"}
+              </span>
+            )}
+          </header>
+
+          <div className="grid gap-4 lg:grid-cols-2">
+            <SideDiff title="Entry since the proposal's base" field={field.upstream} />
+            <SideDiff title="Proposal since its base" field={field.proposed} />
+          </div>
+
+          {field.conflict && (
+            <div className="flex flex-wrap items-center gap-4">
+              {[
+                ["target", "Keep the current entry"],
+                ["proposal", "Use the proposal"],
+              ].map(([choice, label]) => (
+                <label key={choice} className="inline-flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="radio"
+                    name={`resolution-${field.field}`}
+                    checked={choices[field.field] === choice}
+                    onChange={() => setChoices((prev) => ({ ...prev, [field.field]: choice }))}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          )}
+        </section>
+      ))}
+
+      {conflicts.length > 0 && (
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving || pending.length === 0}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-md bg-orange-600 text-white font-medium hover:bg-orange-700 disabled:opacity-50"
+        >
+          <GitMerge size={16} /> Save resolutions
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ConflictResolver;
@@ -0,0 +1,57 @@
+import { Link } from "react-router-dom";
+import { Copy } from "lucide-react";
+
+const signalLabels = {
+  title: "title",
+  statement: "problem statement",
+  tags: "tags",
+  code: "code",
+};
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * Existing algorithms and open proposals a new-algorithm proposal may
+ * duplicate, with the overall similarity and the signals behind it.
+ */
+const DuplicateMatches = ({ matches = [] }) => {
+  if (matches.length === 0) return null;
+
+  return (
+    <div className="mb-4 p-4 rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 text-sm text-amber-900 dark:text-amber-100">
+      <div className="flex items-center gap-2 mb-2 font-semibold">
+        <Copy size={16} />
+        <span>Possible duplicates</span>
+      </div>
+      <ul className="space-y-2">
+        {matches.map((match) => (
+          <li key={`${match.kind}-${match.ref}`}>
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-amber-200 text-amber-900 dark:bg-amber-800 dark:text-amber-100">
+                {percent(match.score)}
+              </span>
+              {match.kind === "algorithm" ? (
+                <Link to={`/algorithms/${match.slug}`} className="font-medium underline">
+                  {match.title}
+                </Link>
+              ) : (
+                <span className="font-medium">{match.title}</span>
+              )}
+              <span className="text-xs text-amber-700 dark:text-amber-300">
+                {match.kind === "algorithm" ? "published algorithm" : "pending proposal"}
+              </span>
+            </div>
+            <p className="text-xs text-amber-700 dark:text-amber-300">
+              {Object.entries(match.signals || {})
+                .filter(([, value]) => value != null)
+                .map(([signal, value]) => `${signalLabels[signal]} ${percent(value)}`)
+                .join(" · ")}
+            </p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DuplicateMatches;
@@ -0,0 +1,205 @@
+import { useState } from "react";
+import { GitCompare } from "lucide-react";
+
+// Equal lines kept around each change before a run is folded.
+const CONTEXT = 3;
+
+const statusStyles = {
+  added: "text-green-700 bg-green-100 dark:text-green-300 dark:bg-green-900/30",
+  removed: "text-red-700 bg-red-100 dark:text-red-300 dark:bg-red-900/30",
+  modified: "text-yellow-700 bg-yellow-100 dark:text-yellow-300 dark:bg-yellow-900/30",
+};
+
+const cellStyles = {
+  left: {
+    removed: "bg-red-50 dark:bg-red-900/20",
+    changed: "bg-red-50 dark:bg-red-900/20",
+  },
+  right: {
+    added: "bg-green-50 dark:bg-green-900/20",
+    changed: "bg-green-50 dark:bg-green-900/20",
+  },
+};
+
+// Splits rows into visible rows and folded runs of unchanged lines.
+const foldRows = (rows) => {
+  const near = rows.map(() => false);
+  rows.forEach((row, i) => {
+    if (row.type === "equal") return;
+    for (let k = Math.max(0, i - CONTEXT); k <= Math.min(rows.length - 1, i + CONTEXT); k++) {
+      near[k] = true;
+    }
+  });
+
+  const blocks = [];
+  rows.forEach((row, i) => {
+    if (near[i]) {
+      blocks.push({ row, index: i });
+    } else if (blocks.length && blocks[blocks.length - 1].folded) {
+      blocks[blocks.length - 1].folded.push(row);
+    } else {
+      blocks.push({ folded: [row], index: i });
+    }
+  });
+  return blocks;
+};
+
+const Cell = ({ side, row }) => {
+  const cell = row[side];
+  return (
+    <>
+      <td className="w-10 px-2 text-right text-gray-400 select-none align-top">
+        {cell?.line}
+      </td>
+      <td
+        className={`px-2 whitespace-pre-wrap break-all align-top ${
+          cell ? cellStyles[side][row.type] || "" : "bg-gray-100 dark:bg-gray-800/60"
+        }`}
+      >
+        {cell ? cell.text || " " : ""}
+      </td>
+    </>
+  );
+};
+
+export const DiffSection = ({ section }) => {
+  const [expanded, setExpanded] = useState(false);
+  const blocks = expanded
+    ? section.rows.map((row, index) => ({ row, index }))
+    : foldRows(section.rows);
+
+  return (
+    <div className="space-y-2">
+      {section.label && (
+        <p className="text-sm font-mono text-gray-700 dark:text-gray-300">
+          {section.label}{" "}
+          <span className={`ml-1 px-2 py-0.5 rounded-full text-xs font-sans ${statusStyles[section.status]}`}>
+            {section.status}
+          </span>
+        </p>
+      )}
+      <div className="overflow-x-auto rounded-lg border border-gray-200 dark:border-gray-700">
+        <table className="w-full table-fixed text-xs font-mono">
+          <colgroup>
+            <col className="w-10" />
+            <col />
+            <col className="w-10" />
+            <col />
+          </colgroup>
+          <tbody>
+            {blocks.map((block) =>
+              block.folded ? (
+                <tr key={block.index} className="bg-blue-50 dark:bg-blue-900/20">
+                  <td colSpan={4} className="px-2 py-1 text-center">
+                    <button
+                      type="button"
+                      onClick={() => setExpanded(true)}
+                      className="text-blue-600 dark:text-blue-400 hover:underline"
+                    >
+                      ⋯ {block.folded.length} unchanged line
+                      {block.folded.length === 1 ? "" : "s"}
+                    </button>
+                  </td>
+                </tr>
+              ) : (
+                <tr key={block.index}>
+                  <Cell side="left" row={block.row} />
+                  <Cell side="right" row={block.row} />
+                </tr>
+              )
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Side-by-side diff of a proposal against its target, as returned by the
+ * proposal diff endpoints.
+ */
+const ProposalDiff = ({ diff, loading, error }) => {
+  if (loading) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Loading changes...</p>;
+  }
+  if (error) {
+    return <p className="text-sm text-red-600 dark:text-red-400">{error}</p>;
+  }
+  if (!diff) return null;
+
+  const changed = diff.fields.filter((field) => field.status !== "unchanged");
+  const unchanged = diff.fields.filter((field) => field.status === "unchanged");
+
+  return (
+    <div className="space-y-5 text-gray-900 dark:text-gray-100">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <GitCompare size={18} />
+        <span>
+          {diff.round ? (
+            <>
+              Compared with <strong>round {diff.round}</strong> of this proposal
+            </>
+          ) : diff.threeWay ? (
+            <>
+              What merging would change in the current <strong>{diff.target.title}</strong>
+            </>
+          ) : diff.target ? (
+            <>
+              Compared with the current <strong>{diff.target.title}</strong>
+            </>
+          ) : (
+            "New entry: everything is an addition"
+          )}
+        </span>
+        <span className="font-mono text-green-600 dark:text-green-400">
+          +{diff.summary.additions}
+        </span>
+        <span className="font-mono text-red-600 dark:text-red-400">
+          −{diff.summary.deletions}
+        </span>
+        <span className="text-gray-500 dark:text-gray-400">
+          {changed.length} field{changed.length === 1 ? "" : "s"} changed,{" "}
+          {unchanged.length} unchanged
+        </span>
+      </div>
+
+      {changed.length === 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          The proposal matches the current entry.
+        </p>
+      )}
+
+      {changed.map((field) => (
+        <section
+          key={field.field}
+          className="p-4 rounded-xl bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 space-y-3"
+        >
+          <header className="flex items-center gap-3">
+            <h3 className="font-semibold">{field.label}</h3>
+            <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${statusStyles[field.status]}`}>
+              {field.status}
+            </span>
+            <span className="ml-auto text-xs font-mono">
+              <span className="text-green-600 dark:text-green-400">+{field.additions}</span>{" "}
+              <span className="text-red-600 dark:text-red-400">−{field.deletions}</span>
+            </span>
+          </header>
+          {field.sections
+            .filter((section) => section.status !== "unchanged")
+            .map((section) => (
+              <DiffSection key={section.key} section={section} />
+            ))}
+        </section>
+      ))}
+
+      {unchanged.length > 0 && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Unchanged: {unchanged.map((field) => field.label).join(", ")}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ProposalDiff;
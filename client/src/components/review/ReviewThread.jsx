@@ -0,0 +1,103 @@
+import { useState } from "react";
+import { MessageSquare, Send } from "lucide-react";
+
+const kindLabels = {
+  approved: { text: "approved", style: "text-green-700 bg-green-100 dark:text-green-300 dark:bg-green-900/30" },
+  rejected: { text: "rejected", style: "text-red-700 bg-red-100 dark:text-red-300 dark:bg-red-900/30" },
+  changes_requested: {
+    text: "requested changes",
+    style: "text-orange-700 bg-orange-100 dark:text-orange-300 dark:bg-orange-900/30",
+  },
+  resubmitted: { text: "resubmitted", style: "text-blue-700 bg-blue-100 dark:text-blue-300 dark:bg-blue-900/30" },
+};
+
+/**
+ * Review conversation on a proposal, grouped by submission round. `onPost`
+ * receives the comment text and should resolve once it has been saved.
+ */
+const ReviewThread = ({ proposal, onPost, canPost = true }) => {
+  const [body, setBody] = useState("");
+  const [posting, setPosting] = useState(false);
+
+  const thread = proposal.thread || [];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setPosting(true);
+    try {
+      await onPost(body.trim());
+      setBody("");
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  return (
+    <div className="mb-4 p-4 rounded-lg bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 text-sm text-gray-800 dark:text-gray-200">
+      <div className="flex items-center gap-2 mb-3 font-semibold">
+        <MessageSquare size={16} />
+        <span>Review conversation</span>
+        {proposal.round > 1 && (
+          <span className="ml-auto text-xs font-normal text-gray-500 dark:text-gray-400">
+            Round {proposal.round}
+          </span>
+        )}
+      </div>
+
+      {thread.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400">No messages yet.</p>
+      ) : (
+        <ol className="space-y-3">
+          {thread.map((message, i) => (
+            <li key={message._id || i}>
+              {(i === 0 || thread[i - 1].round !== message.round) && proposal.round > 1 && (
+                <div className="my-2 text-xs uppercase tracking-wide text-gray-400 dark:text-gray-500">
+                  Round {message.round}
+                </div>
+              )}
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="font-medium">{message.author?.username || "Unknown"}</span>
+                {kindLabels[message.kind] && (
+                  <span className={`px-2 py-0.5 rounded-full text-xs ${kindLabels[message.kind].style}`}>
+                    {kindLabels[message.kind].text}
+                  </span>
+                )}
+                <span className="text-xs text-gray-500 dark:text-gray-400">
+                  {new Date(message.createdAt).toLocaleString()}
+                </span>
+              </div>
+              {message.body && (
+                <p className="mt-1 whitespace-pre-wrap text-gray-700 dark:text-gray-300">
+                  {message.body}
+                </p>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {canPost && (
+        <form onSubmit={handleSubmit} className="mt-4 flex gap-2">
+          <textarea
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            rows={2}
+            maxLength={5000}
+            placeholder="Add to the conversation..."
+            className="flex-1 p-2 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={posting || !body.trim()}
+            className="self-end inline-flex items-center gap-1 px-4 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Send size={14} /> Comment
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ReviewThread;
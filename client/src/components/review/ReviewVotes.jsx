@@ -0,0 +1,63 @@
+import { CheckCircle2, XCircle, Users } from "lucide-react";
+
+/**
+ * Reviewer votes on the proposal's current round and progress towards the
+ * approvals the review policy requires. `policy` comes from the proposal diff
+ * endpoint and is preferred over the count stored with the last vote.
+ */
+const ReviewVotes = ({ proposal, policy }) => {
+  const reviews = (proposal.reviews || []).filter(
+    (review) => (review.round || 1) === (proposal.round || 1)
+  );
+  const approvals = reviews.filter((review) => review.decision === "approve").length;
+  const required = policy?.requiredApprovals ?? proposal.requiredApprovals;
+
+  return (
+    <div className="mb-4 p-4 rounded-lg bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 text-sm text-gray-800 dark:text-gray-200">
+      <div className="flex flex-wrap items-center gap-2 mb-2 font-semibold">
+        <Users size={16} />
+        <span>
+          {approvals}
+          {required ? ` / ${required}` : ""} approvals
+        </span>
+        {policy?.minor && (
+          <span className="px-2 py-0.5 rounded-full text-xs font-normal bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-300">
+            Minor change ({policy.changeSize} characters)
+          </span>
+        )}
+      </div>
+
+      {reviews.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400">
+          {proposal.round > 1 ? "No votes on this round yet." : "No votes yet."}
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {reviews.map((review) => (
+            <li key={review.reviewer?._id || review.reviewer} className="flex gap-2">
+              {review.decision === "approve" ? (
+                <CheckCircle2 size={16} className="mt-0.5 text-green-600 dark:text-green-400 min-w-[16px]" />
+              ) : (
+                <XCircle size={16} className="mt-0.5 text-red-600 dark:text-red-400 min-w-[16px]" />
+              )}
+              <div>
+                <span className="font-medium">
+                  {review.reviewer?.username || "Reviewer"}
+                </span>{" "}
+                <span className="text-gray-500 dark:text-gray-400">
+                  {review.decision === "approve" ? "approved" : "rejected"}
+                  {review.votedAt && ` on ${new Date(review.votedAt).toLocaleDateString()}`}
+                </span>
+                {review.comment && (
+                  <p className="text-gray-600 dark:text-gray-300">{review.comment}</p>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ReviewVotes;
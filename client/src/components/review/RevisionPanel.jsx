@@ -0,0 +1,70 @@
+import { useState } from "react";
+import { toast } from "react-toastify";
+import { RotateCcw } from "lucide-react";
+import ReviewThread from "./ReviewThread";
+
+/**
+ * Review conversation shown to the author while editing a proposal. When the
+ * reviewers have requested changes the author can resubmit from here; the
+ * conversation is kept locally so replying does not reset the form.
+ */
+const RevisionPanel = ({ proposal, postComment, onResubmit }) => {
+  const [current, setCurrent] = useState(proposal);
+  const [note, setNote] = useState("");
+  const [resubmitting, setResubmitting] = useState(false);
+
+  const handlePost = async (body) => {
+    try {
+      setCurrent(await postComment(body));
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to post comment");
+    }
+  };
+
+  const handleResubmit = async () => {
+    setResubmitting(true);
+    try {
+      await onResubmit(note.trim());
+    } finally {
+      setResubmitting(false);
+    }
+  };
+
+  const changesRequested = current.status === "changes_requested";
+
+  return (
+    <div className="space-y-4">
+      {changesRequested && (
+        <div className="p-4 rounded-lg bg-orange-50 dark:bg-orange-900/20 border border-orange-200 dark:border-orange-800 text-sm text-orange-800 dark:text-orange-200">
+          Reviewers asked for changes to round {current.round || 1}. Update the
+          proposal below, then resubmit it to start round {(current.round || 1) + 1}.
+        </div>
+      )}
+
+      <ReviewThread proposal={current} onPost={handlePost} />
+
+      {changesRequested && (
+        <div className="flex flex-col sm:flex-row gap-3">
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={5000}
+            placeholder="What did you change? (optional)"
+            className="flex-1 p-2 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-orange-500"
+          />
+          <button
+            type="button"
+            onClick={handleResubmit}
+            disabled={resubmitting}
+            className="inline-flex items-center justify-center gap-2 px-5 py-2 rounded-md bg-orange-600 text-white font-medium hover:bg-orange-700 disabled:opacity-50"
+          >
+            <RotateCcw size={16} /> Save and resubmit
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionPanel;
@@ -57,3 +57,63 @@ export const searchAlgorithms = async (params) => {
     currentPage: res.data.currentPage,
   };
 };
+
+export const getAlgorithmRevisions = async (slug) => {
+  const res = await api.get(`/algorithms/${slug}/revisions`);
+  return res.data;
+};
+
+export const diffAlgorithmRevisions = async (slug, params) => {
+  const res = await api.get(`/algorithms/${slug}/revisions/diff`, { params });
+  return res.data;
+};
+
+export const rollbackAlgorithm = async (slug, version) => {
+  const res = await api.post(`/algorithms/${slug}/revisions/${version}/rollback`);
+  return res.data;
+};
+
+export const runAlgorithmCode = async (slug, data) => {
+  const res = await api.post(`/algorithms/${slug}/run`, data);
+  return res.data;
+};
+
+export const getTestCases = async (slug) => {
+  const res = await api.get(`/algorithms/${slug}/test-cases`);
+  return res.data;
+};
+
+export const addTestCase = async (slug, data) => {
+  const res = await api.post(`/algorithms/${slug}/test-cases`, data);
+  return res.data;
+};
+
+export const updateTestCase = async (slug, testCaseId, data) => {
+  const res = await api.put(`/algorithms/${slug}/test-cases/${testCaseId}`, data);
+  return res.data;
+};
+
+export const deleteTestCase = async (slug, testCaseId) => {
+  const res = await api.delete(`/algorithms/${slug}/test-cases/${testCaseId}`);
+  return res.data;
+};
+
+export const verifyAlgorithm = async (slug) => {
+  const res = await api.post(`/algorithms/${slug}/verify`);
+  return res.data;
+};
+
+export const getTraces = async (slug) => {
+  const res = await api.get(`/algorithms/${slug}/traces`);
+  return res.data;
+};
+
+export const addTrace = async (slug, data) => {
+  const res = await api.post(`/algorithms/${slug}/traces`, data);
+  return res.data;
+};
+
+export const deleteTrace = async (slug, traceId) => {
+  const res = await api.delete(`/algorithms/${slug}/traces/${traceId}`);
+  return res.data;
+};
@@ -9,6 +9,17 @@ import {
   voteAlgorithm,
   getCategories,
   searchAlgorithms,
+  getAlgorithmRevisions,
+  diffAlgorithmRevisions,
+  rollbackAlgorithm,
+  runAlgorithmCode,
+  getTestCases,
+  addTestCase,
+  deleteTestCase,
+  verifyAlgorithm,
+  getTraces,
+  addTrace,
+  deleteTrace,
 } from "./algorithmAPI";
 
 const initialState = {
@@ -26,6 +37,18 @@ const initialState = {
     category: "",
   },
   isSearchingActive: false,
+  revisions: [],
+  currentRevision: 0,
+  revisionDiff: null,
+  revisionsLoading: false,
+  runResult: null,
+  runLoading: false,
+  runError: null,
+  testCases: [],
+  hiddenTestCaseCount: 0,
+  testCasesLoading: false,
+  traces: [],
+  tracesLoading: false,
 };
 
 const getUser = (getState) => getState().auth?.user;
@@ -56,6 +79,7 @@ export const fetchAlgorithms = createAsyncThunk(
       if (filters.difficulty) params.difficulty = filters.difficulty;
       if (filters.category) params.category = filters.category;
       if (filters.page) params.page = filters.page; // existing pagination support
+      if (filters.publication) params.publication = filters.publication;
 
       // existing helper function already calls axios.get('/api/algorithms', { params })
       return await getAllAlgorithms(params);
@@ -158,6 +182,155 @@ export const searchAllAlgorithms = createAsyncThunk(
   }
 );
 
+export const fetchAlgorithmRevisions = createAsyncThunk(
+  "algorithm/fetchAlgorithmRevisions",
+  async (slug, { rejectWithValue }) => {
+    try {
+      return await getAlgorithmRevisions(slug);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to fetch revisions"
+      );
+    }
+  }
+);
+
+export const fetchAlgorithmRevisionDiff = createAsyncThunk(
+  "algorithm/fetchAlgorithmRevisionDiff",
+  async ({ slug, from, to }, { rejectWithValue }) => {
+    try {
+      return await diffAlgorithmRevisions(slug, { from, to });
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to compare revisions"
+      );
+    }
+  }
+);
+
+export const rollbackAlgorithmToRevision = createAsyncThunk(
+  "algorithm/rollbackAlgorithmToRevision",
+  async ({ slug, version }, { rejectWithValue }) => {
+    try {
+      return await rollbackAlgorithm(slug, version);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to roll back algorithm"
+      );
+    }
+  }
+);
+
+export const runAlgorithmImplementation = createAsyncThunk(
+  "algorithm/runAlgorithmImplementation",
+  async ({ slug, language, stdin }, { rejectWithValue }) => {
+    try {
+      return await runAlgorithmCode(slug, { language, stdin });
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to run code"
+      );
+    }
+  }
+);
+
+export const fetchTestCases = createAsyncThunk(
+  "algorithm/fetchTestCases",
+  async (slug, { rejectWithValue }) => {
+    try {
+      return await getTestCases(slug);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to fetch test cases"
+      );
+    }
+  }
+);
+
+export const createTestCase = createAsyncThunk(
+  "algorithm/createTestCase",
+  async ({ slug, testCase }, { rejectWithValue }) => {
+    try {
+      return await addTestCase(slug, testCase);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          "Failed to add test case"
+      );
+    }
+  }
+);
+
+export const removeTestCase = createAsyncThunk(
+  "algorithm/removeTestCase",
+  async ({ slug, testCaseId }, { rejectWithValue }) => {
+    try {
+      await deleteTestCase(slug, testCaseId);
+      return testCaseId;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to delete test case"
+      );
+    }
+  }
+);
+
+export const rerunVerification = createAsyncThunk(
+  "algorithm/rerunVerification",
+  async (slug, { rejectWithValue }) => {
+    try {
+      return await verifyAlgorithm(slug);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to verify implementations"
+      );
+    }
+  }
+);
+
+export const fetchTraces = createAsyncThunk(
+  "algorithm/fetchTraces",
+  async (slug, { rejectWithValue }) => {
+    try {
+      return await getTraces(slug);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to fetch traces"
+      );
+    }
+  }
+);
+
+export const createTrace = createAsyncThunk(
+  "algorithm/createTrace",
+  async ({ slug, trace }, { rejectWithValue }) => {
+    try {
+      return await addTrace(slug, trace);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          "Failed to add trace"
+      );
+    }
+  }
+);
+
+export const removeTrace = createAsyncThunk(
+  "algorithm/removeTrace",
+  async ({ slug, traceId }, { rejectWithValue }) => {
+    try {
+      await deleteTrace(slug, traceId);
+      return traceId;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to delete trace"
+      );
+    }
+  }
+);
+
 const algorithmSlice = createSlice({
   name: "algorithm",
   initialState,
@@ -179,6 +352,10 @@ const algorithmSlice = createSlice({
     setIsSearchingActive: (state, action) => {
       state.isSearchingActive = action.payload;
     },
+    clearRunResult: (state) => {
+      state.runResult = null;
+      state.runError = null;
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -316,10 +493,100 @@ const algorithmSlice = createSlice({
       .addCase(searchAllAlgorithms.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
+      })
+      .addCase(fetchAlgorithmRevisions.pending, (state) => {
+        state.revisionsLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchAlgorithmRevisions.fulfilled, (state, action) => {
+        state.revisionsLoading = false;
+        state.revisions = action.payload.revisions;
+        state.currentRevision = action.payload.currentRevision;
+      })
+      .addCase(fetchAlgorithmRevisions.rejected, (state, action) => {
+        state.revisionsLoading = false;
+        state.error = action.payload;
+      })
+      .addCase(fetchAlgorithmRevisionDiff.pending, (state) => {
+        state.revisionDiff = null;
+      })
+      .addCase(fetchAlgorithmRevisionDiff.fulfilled, (state, action) => {
+        state.revisionDiff = action.payload;
+      })
+      .addCase(fetchAlgorithmRevisionDiff.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(runAlgorithmImplementation.pending, (state) => {
+        state.runLoading = true;
+        state.runError = null;
+      })
+      .addCase(runAlgorithmImplementation.fulfilled, (state, action) => {
+        state.runLoading = false;
+        state.runResult = action.payload;
+      })
+      .addCase(runAlgorithmImplementation.rejected, (state, action) => {
+        state.runLoading = false;
+        state.runError = action.payload;
+      })
+      .addCase(fetchTestCases.pending, (state) => {
+        state.testCasesLoading = true;
+      })
+      .addCase(fetchTestCases.fulfilled, (state, action) => {
+        state.testCasesLoading = false;
+        state.testCases = action.payload.testCases;
+        state.hiddenTestCaseCount = action.payload.hiddenCount;
+        if (state.algorithm) {
+          state.algorithm.verification = action.payload.verification;
+        }
+      })
+      .addCase(fetchTestCases.rejected, (state, action) => {
+        state.testCasesLoading = false;
+        state.error = action.payload;
+      })
+      .addCase(removeTestCase.fulfilled, (state, action) => {
+        state.testCases = state.testCases.filter(
+          (testCase) => testCase._id !== action.payload
+        );
+      })
+      .addCase(rerunVerification.fulfilled, (state, action) => {
+        if (state.algorithm) {
+          state.algorithm.verification = action.payload.verification;
+        }
+      })
+      .addCase(fetchTraces.pending, (state) => {
+        state.tracesLoading = true;
+      })
+      .addCase(fetchTraces.fulfilled, (state, action) => {
+        state.tracesLoading = false;
+        state.traces = action.payload;
+      })
+      .addCase(fetchTraces.rejected, (state, action) => {
+        state.tracesLoading = false;
+        state.error = action.payload;
+      })
+      .addCase(createTrace.fulfilled, (state, action) => {
+        state.traces.push(action.payload);
+      })
+      .addCase(removeTrace.fulfilled, (state, action) => {
+        state.traces = state.traces.filter(
+          (trace) => trace._id !== action.payload
+        );
+      })
+      .addCase(rollbackAlgorithmToRevision.fulfilled, (state, action) => {
+        if (state.algorithm?.slug === action.payload.slug) {
+          state.algorithm = action.payload;
+        }
+        state.currentRevision = action.payload.revision;
       });
   },
 });
 
-export const { resetAlgorithmState, clearAlgorithm, setFilters, clearFilters, setIsSearchingActive } =
-  algorithmSlice.actions;
+export const {
+  resetAlgorithmState,
+  clearAlgorithm,
+  setFilters,
+  clearFilters,
+  setIsSearchingActive,
+  clearRunResult,
+} = algorithmSlice.actions;
 export default algorithmSlice.reducer;
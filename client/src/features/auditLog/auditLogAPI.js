@@ -0,0 +1,12 @@
+import api from "../../utils/api";
+
+export const getAuditLogs = async (params) => {
+  const res = await api.get("/audit-logs", { params });
+  return res.data;
+};
+
+// Returns the raw file so the caller can offer it as a download.
+export const exportAuditLogs = async (params) => {
+  const res = await api.get("/audit-logs/export", { params, responseType: "blob" });
+  return res.data;
+};
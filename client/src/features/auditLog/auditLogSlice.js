@@ -0,0 +1,54 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import { getAuditLogs } from "./auditLogAPI";
+
+const initialState = {
+  logs: [],
+  total: 0,
+  pages: 1,
+  currentPage: 1,
+  actions: [],
+  targetTypes: [],
+  loading: false,
+  error: null,
+};
+
+export const fetchAuditLogs = createAsyncThunk(
+  "auditLog/fetchAuditLogs",
+  async (params, { rejectWithValue }) => {
+    try {
+      return await getAuditLogs(params);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to load the audit log"
+      );
+    }
+  }
+);
+
+const auditLogSlice = createSlice({
+  name: "auditLog",
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchAuditLogs.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchAuditLogs.fulfilled, (state, action) => {
+        state.loading = false;
+        state.logs = action.payload.logs;
+        state.total = action.payload.total;
+        state.pages = action.payload.pages || 1;
+        state.currentPage = action.payload.currentPage;
+        state.actions = action.payload.actions;
+        state.targetTypes = action.payload.targetTypes;
+      })
+      .addCase(fetchAuditLogs.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export default auditLogSlice.reducer;
@@ -10,6 +10,12 @@ export const loginUserAPI = async (userData) => {
   return response.data;
 };
 
+// Second step of a login with two-factor enabled
+export const loginTwoFactorAPI = async (data) => {
+  const response = await api.post("/auth/login/2fa", data);
+  return response.data;
+};
+
 export const getMeAPI = async (token) => {
   const response = await api.get("/auth/me", {
     headers: {
@@ -32,4 +38,85 @@ export const validateOTPAPI = async (otpData) => {
 export const resetPasswordAPI = async (resetData) => {
   const response = await api.post("/auth/reset-password", resetData);
   return response.data;
-};
\ No newline at end of file
+};
+
+export const verifyEmailAPI = async (code) => {
+  const response = await api.post("/auth/verify-email", { code });
+  return response.data;
+};
+
+export const resendVerificationEmailAPI = async () => {
+  const response = await api.post("/auth/verify-email/resend");
+  return response.data;
+};
+
+export const logoutAPI = async (refreshToken) => {
+  const response = await api.post("/auth/logout", { refreshToken });
+  return response.data;
+};
+
+export const getSessionsAPI = async () => {
+  const response = await api.get("/auth/sessions");
+  return response.data;
+};
+
+export const revokeSessionAPI = async (sessionId) => {
+  const response = await api.delete(`/auth/sessions/${sessionId}`);
+  return response.data;
+};
+
+// keepCurrent signs out every other device but leaves this one signed in
+export const revokeAllSessionsAPI = async ({ keepCurrent = false } = {}) => {
+  const response = await api.delete("/auth/sessions", { params: { keepCurrent } });
+  return response.data;
+};
+
+export const getTwoFactorStatusAPI = async () => {
+  const response = await api.get("/auth/2fa");
+  return response.data;
+};
+
+export const setupTwoFactorAPI = async () => {
+  const response = await api.post("/auth/2fa/setup");
+  return response.data;
+};
+
+export const enableTwoFactorAPI = async (code) => {
+  const response = await api.post("/auth/2fa/enable", { code });
+  return response.data;
+};
+
+export const disableTwoFactorAPI = async (data) => {
+  const response = await api.post("/auth/2fa/disable", data);
+  return response.data;
+};
+
+export const regenerateRecoveryCodesAPI = async (code) => {
+  const response = await api.post("/auth/2fa/recovery-codes", { code });
+  return response.data;
+};
+
+export const getOAuthProvidersAPI = async () => {
+  const response = await api.get("/auth/oauth/providers");
+  return response.data;
+};
+
+export const startOAuthLoginAPI = async (provider) => {
+  const response = await api.post(`/auth/oauth/${provider}/start`);
+  return response.data;
+};
+
+export const startOAuthLinkAPI = async (provider) => {
+  const response = await api.post(`/auth/oauth/${provider}/link`);
+  return response.data;
+};
+
+export const completeOAuthAPI = async ({ code, state }) => {
+  const response = await api.post("/auth/oauth/callback", { code, state });
+  return response.data;
+};
+
+export const unlinkOAuthAPI = async (provider) => {
+  const response = await api.delete(`/auth/oauth/${provider}`);
+  return response.data;
+};
@@ -1,7 +1,8 @@
 import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
-import { loginUserAPI, registerUserAPI, getMeAPI, forgotPasswordAPI, validateOTPAPI, resetPasswordAPI} from "./authAPI";
+import { loginUserAPI, registerUserAPI, getMeAPI, forgotPasswordAPI, validateOTPAPI, resetPasswordAPI, logoutAPI, verifyEmailAPI, resendVerificationEmailAPI, loginTwoFactorAPI, completeOAuthAPI} from "./authAPI";
+import { getAccessToken, getRefreshToken, storeTokens, clearTokens } from "../../utils/authTokens";
 
-const tokenFromStorage = localStorage.getItem("token");
+const tokenFromStorage = getAccessToken();
 
 const initialState = {
   user: null,
@@ -11,6 +12,9 @@ const initialState = {
   resetSuccess: false,
   otpSent: false,
   otpValidated: false,
+  // Set between the password and code steps of a two-factor login
+  twoFactorChallenge: null,
+  twoFactorSetupRequired: false,
 };
 
 export const registerUser = createAsyncThunk(
@@ -41,6 +45,40 @@ export const loginUser = createAsyncThunk(
   }
 );
 
+export const completeTwoFactorLogin = createAsyncThunk(
+  "auth/completeTwoFactorLogin",
+  async ({ code, recoveryCode }, thunkAPI) => {
+    try {
+      const { twoFactorChallenge } = thunkAPI.getState().auth;
+      const data = await loginTwoFactorAPI({
+        challengeToken: twoFactorChallenge,
+        code,
+        recoveryCode,
+      });
+      return data;
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || "Verification failed"
+      );
+    }
+  }
+);
+
+// Finishes a sign-in (or account link) after the provider redirects back.
+export const completeOAuthLogin = createAsyncThunk(
+  "auth/completeOAuthLogin",
+  async (params, thunkAPI) => {
+    try {
+      const data = await completeOAuthAPI(params);
+      return data;
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || "Sign-in failed"
+      );
+    }
+  }
+);
+
 export const getMe = createAsyncThunk("auth/getMe", async (token, thunkAPI) => {
   try {
     const data = await getMeAPI(token);
@@ -52,6 +90,48 @@ export const getMe = createAsyncThunk("auth/getMe", async (token, thunkAPI) => {
   }
 });
 
+export const verifyEmail = createAsyncThunk(
+  "auth/verifyEmail",
+  async (code, thunkAPI) => {
+    try {
+      const data = await verifyEmailAPI(code);
+      return data;
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || "Email verification failed"
+      );
+    }
+  }
+);
+
+export const resendVerificationEmail = createAsyncThunk(
+  "auth/resendVerificationEmail",
+  async (_, thunkAPI) => {
+    try {
+      const data = await resendVerificationEmailAPI();
+      return data;
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || "Could not send a new code"
+      );
+    }
+  }
+);
+
+// Ends the session on the server too; the local sign-out happens even if
+// that request fails.
+export const logoutUser = createAsyncThunk(
+  "auth/logoutUser",
+  async (_, thunkAPI) => {
+    try {
+      await logoutAPI(getRefreshToken());
+    } catch {
+      // Already signed out on the server
+    }
+    thunkAPI.dispatch(logout());
+  }
+);
+
 export const forgotPassword = createAsyncThunk(
   "auth/forgotPassword",
   async (emailData, thunkAPI) => {
@@ -94,6 +174,26 @@ export const resetPassword = createAsyncThunk(
   }
 );  
 
+// A password or provider sign-in either completes or asks for a
+// two-factor code first.
+const signedIn = (state, action) => {
+  state.loading = false;
+  if (action.payload.twoFactorRequired) {
+    state.twoFactorChallenge = action.payload.challengeToken;
+    return;
+  }
+  state.twoFactorSetupRequired = Boolean(action.payload.twoFactorSetupRequired);
+  state.user = {
+    _id: action.payload._id,
+    username: action.payload.username,
+    email: action.payload.email,
+    role: action.payload.role,
+    emailVerified: action.payload.emailVerified,
+  };
+  state.token = action.payload.token;
+  storeTokens(action.payload);
+};
+
 const authSlice = createSlice({
   name: "auth",
   initialState,
@@ -106,7 +206,21 @@ const authSlice = createSlice({
       state.resetSuccess = false;
       state.otpSent = false;
       state.otpValidated = false;
-      localStorage.removeItem("token");
+      state.twoFactorChallenge = null;
+      state.twoFactorSetupRequired = false;
+      clearTokens();
+    },
+    // The api client refreshed the access token or found the session gone
+    tokensRefreshed: (state, action) => {
+      state.token = action.payload;
+    },
+    sessionExpired: (state) => {
+      state.user = null;
+      state.token = null;
+    },
+    cancelTwoFactorLogin: (state) => {
+      state.twoFactorChallenge = null;
+      state.error = null;
     },
     clearResetSuccess: (state) => {
       state.resetSuccess = false;
@@ -128,9 +242,10 @@ const authSlice = createSlice({
           username: action.payload.username,
           email: action.payload.email,
           role: action.payload.role,
+          emailVerified: action.payload.emailVerified,
         };
         state.token = action.payload.token;
-        localStorage.setItem("token", action.payload.token);
+        storeTokens(action.payload);
       })
       .addCase(registerUser.rejected, (state, action) => {
         state.loading = false;
@@ -140,18 +255,45 @@ const authSlice = createSlice({
         state.loading = true;
         state.error = null;
       })
-      .addCase(loginUser.fulfilled, (state, action) => {
+      .addCase(loginUser.fulfilled, signedIn)
+      .addCase(loginUser.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(completeOAuthLogin.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(completeOAuthLogin.fulfilled, (state, action) => {
+        // Linking an identity leaves the session as it is
+        if (action.payload.linked) {
+          state.loading = false;
+          return;
+        }
+        signedIn(state, action);
+      })
+      .addCase(completeOAuthLogin.rejected, (state, action) => {
         state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(completeTwoFactorLogin.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(completeTwoFactorLogin.fulfilled, (state, action) => {
+        state.loading = false;
+        state.twoFactorChallenge = null;
         state.user = {
           _id: action.payload._id,
           username: action.payload.username,
           email: action.payload.email,
           role: action.payload.role,
+          emailVerified: action.payload.emailVerified,
         };
         state.token = action.payload.token;
-        localStorage.setItem("token", action.payload.token);
+        storeTokens(action.payload);
       })
-      .addCase(loginUser.rejected, (state, action) => {
+      .addCase(completeTwoFactorLogin.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
       })
@@ -164,7 +306,7 @@ const authSlice = createSlice({
         state.error = action.payload;
         state.user = null;
         state.token = null;
-        localStorage.removeItem("token");
+        clearTokens();
       })
       .addCase(getMe.fulfilled, (state, action) => {
         state.user = {
@@ -172,8 +314,12 @@ const authSlice = createSlice({
           username: action.payload.username,
           email: action.payload.email,
           role: action.payload.role,
+          emailVerified: action.payload.emailVerified,
         };
       })
+      .addCase(verifyEmail.fulfilled, (state) => {
+        if (state.user) state.user.emailVerified = true;
+      })
       .addCase(forgotPassword.pending, (state) => {
         state.loading = true;
         state.error = null;
@@ -224,5 +370,5 @@ const authSlice = createSlice({
 });
 export const selectCurrentUser = (state) => state.auth.user;
 
-export const { logout, clearResetSuccess } = authSlice.actions;
+export const { logout, clearResetSuccess, cancelTwoFactorLogin, tokensRefreshed, sessionExpired } = authSlice.actions;
 export default authSlice.reducer;
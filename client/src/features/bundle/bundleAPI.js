@@ -0,0 +1,12 @@
+import api from "../../utils/api";
+
+// Returns the raw file so the caller can offer it as a download.
+export const exportBundle = async (params) => {
+  const res = await api.get("/bundles/export", { params, responseType: "blob" });
+  return res.data;
+};
+
+export const importBundle = async (data) => {
+  const res = await api.post("/bundles/import", data);
+  return res.data;
+};
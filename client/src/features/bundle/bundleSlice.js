@@ -0,0 +1,50 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import { importBundle } from "./bundleAPI";
+
+const initialState = {
+  report: null,
+  importing: false,
+  error: null,
+};
+
+export const runImport = createAsyncThunk(
+  "bundle/runImport",
+  async (data, { rejectWithValue }) => {
+    try {
+      return await importBundle(data);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to import bundle"
+      );
+    }
+  }
+);
+
+const bundleSlice = createSlice({
+  name: "bundle",
+  initialState,
+  reducers: {
+    clearImportReport: (state) => {
+      state.report = null;
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(runImport.pending, (state) => {
+        state.importing = true;
+        state.error = null;
+      })
+      .addCase(runImport.fulfilled, (state, action) => {
+        state.importing = false;
+        state.report = action.payload;
+      })
+      .addCase(runImport.rejected, (state, action) => {
+        state.importing = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { clearImportReport } = bundleSlice.actions;
+export default bundleSlice.reducer;
@@ -30,6 +30,16 @@ export const addReplyToComment = async (commentId, data) => {
   }
 };
 
+export const resolveComment = async (id, resolved) => {
+  try {
+    const response = await api.patch(`/comments/${id}/resolve`, { resolved });
+    return response.data;
+  } catch (error) {
+    console.error("Error resolving comment:", error);
+    throw error;
+  }
+};
+
 export const deleteComment = async (id) => {
   try {
     const response = await api.delete(`/comments/${id}`);
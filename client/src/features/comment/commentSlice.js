@@ -3,6 +3,7 @@ import {
   addComment,
   getCommentsByParent,
   addReplyToComment,
+  resolveComment,
   deleteComment,
 } from "./commentAPI";
 
@@ -47,6 +48,17 @@ export const replyToComment = createAsyncThunk(
     }
   }
 );
+export const resolveCodeComment = createAsyncThunk(
+  "comment/resolveCodeComment",
+  async ({ id, resolved }, { rejectWithValue }) => {
+    try {
+      return await resolveComment(id, resolved);
+    } catch (error) {
+      return rejectWithValue(error.response.data);
+    }
+  }
+);
+
 export const removeComment = createAsyncThunk(
   "comment/removeComment",
   async (id, { rejectWithValue }) => {
@@ -105,6 +117,16 @@ const commentSlice = createSlice({
       state.error = action.payload || "Error replying to comment";
     });
 
+    builder.addCase(resolveCodeComment.fulfilled, (state, action) => {
+      const comment = state.comments.find((c) => c._id === action.payload._id);
+      if (comment) {
+        Object.assign(comment, action.payload);
+      }
+    });
+    builder.addCase(resolveCodeComment.rejected, (state, action) => {
+      state.error = action.payload || "Error resolving comment";
+    });
+
     builder.addCase(removeComment.pending, (state) => {
       state.loading = true;
     });
@@ -30,4 +30,26 @@ export const reviewProposal = async (slug, reviewData) => {
 export const deleteProposal = async (slug) => {
   const res = await api.delete(`/data-structure-proposals/${slug}`);
   return res.data;
-};
\ No newline at end of file
+};
+
+export const getProposalDiff = async (slug, round) => {
+  const res = await api.get(`/data-structure-proposals/${slug}/diff`, {
+    params: round ? { round } : undefined,
+  });
+  return res.data;
+};
+
+export const addThreadComment = async (slug, body) => {
+  const res = await api.post(`/data-structure-proposals/${slug}/thread`, { body });
+  return res.data;
+};
+
+export const resubmitProposal = async (slug, note) => {
+  const res = await api.post(`/data-structure-proposals/${slug}/resubmit`, { note });
+  return res.data;
+};
+
+export const resolveConflicts = async (slug, resolutions) => {
+  const res = await api.put(`/data-structure-proposals/${slug}/resolutions`, { resolutions });
+  return res.data;
+};
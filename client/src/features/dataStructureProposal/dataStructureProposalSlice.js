@@ -6,6 +6,10 @@ import {
   updateProposal,
   reviewProposal,
   deleteProposal,
+  getProposalDiff,
+  addThreadComment,
+  resubmitProposal,
+  resolveConflicts,
 } from "./dataStructureProposalAPI";
 
 const initialState = {
@@ -16,6 +20,9 @@ const initialState = {
   total: 0,
   pages: 1,
   currentPage: 1,
+  diff: null,
+  diffLoading: false,
+  diffError: null,
 };
 
 export const submitNewProposal = createAsyncThunk(
@@ -99,6 +106,69 @@ export const removeProposal = createAsyncThunk(
   }
 );
 
+export const fetchProposalDiff = createAsyncThunk(
+  "dataStructureProposal/fetchProposalDiff",
+  async ({ slug, round }, { rejectWithValue }) => {
+    try {
+      return await getProposalDiff(slug, round);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to load proposal diff"
+      );
+    }
+  }
+);
+
+export const postThreadComment = createAsyncThunk(
+  "dataStructureProposal/postThreadComment",
+  async ({ slug, body }, { rejectWithValue }) => {
+    try {
+      return await addThreadComment(slug, body);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to post comment"
+      );
+    }
+  }
+);
+
+export const resubmitExistingProposal = createAsyncThunk(
+  "dataStructureProposal/resubmitExistingProposal",
+  async ({ slug, note }, { rejectWithValue }) => {
+    try {
+      return await resubmitProposal(slug, note);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to resubmit proposal"
+      );
+    }
+  }
+);
+
+export const resolveProposalConflicts = createAsyncThunk(
+  "dataStructureProposal/resolveProposalConflicts",
+  async ({ slug, resolutions }, { rejectWithValue }) => {
+    try {
+      return await resolveConflicts(slug, resolutions);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to resolve conflicts"
+      );
+    }
+  }
+);
+
+// Puts a proposal returned by the thread and resolution endpoints back in place.
+const replaceProposal = (state, action) => {
+  const index = state.proposals.findIndex((p) => p._id === action.payload._id);
+  if (index !== -1) {
+    state.proposals[index] = action.payload;
+  }
+  if (state.currentProposal?.slug === action.payload.slug) {
+    state.currentProposal = action.payload;
+  }
+};
+
 const dataStructureProposalSlice = createSlice({
   name: "dataStructureProposal",
   initialState,
@@ -239,7 +309,27 @@ const dataStructureProposalSlice = createSlice({
       .addCase(removeProposal.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
-      });
+      })
+
+      // Diff
+      .addCase(fetchProposalDiff.pending, (state) => {
+        state.diff = null;
+        state.diffLoading = true;
+        state.diffError = null;
+      })
+      .addCase(fetchProposalDiff.fulfilled, (state, action) => {
+        state.diffLoading = false;
+        state.diff = action.payload;
+      })
+      .addCase(fetchProposalDiff.rejected, (state, action) => {
+        state.diffLoading = false;
+        state.diffError = action.payload;
+      })
+
+      // Review thread and resubmission
+      .addCase(postThreadComment.fulfilled, replaceProposal)
+      .addCase(resubmitExistingProposal.fulfilled, replaceProposal)
+      .addCase(resolveProposalConflicts.fulfilled, replaceProposal);
   },
 });
 
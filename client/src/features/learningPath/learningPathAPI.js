@@ -0,0 +1,31 @@
+import api from "../../utils/api";
+
+export const getLearningPaths = async () => {
+  const res = await api.get("/learning-paths");
+  return res.data;
+};
+
+export const getLearningPathBySlug = async (slug) => {
+  const res = await api.get(`/learning-paths/${slug}`);
+  return res.data;
+};
+
+export const createLearningPath = async (data) => {
+  const res = await api.post("/learning-paths", data);
+  return res.data;
+};
+
+export const updateLearningPath = async (slug, data) => {
+  const res = await api.put(`/learning-paths/${slug}`, data);
+  return res.data;
+};
+
+export const deleteLearningPath = async (slug) => {
+  const res = await api.delete(`/learning-paths/${slug}`);
+  return res.data;
+};
+
+export const updatePathProgress = async (slug, data) => {
+  const res = await api.put(`/learning-paths/${slug}/progress`, data);
+  return res.data;
+};
@@ -0,0 +1,177 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import {
+  getLearningPaths,
+  getLearningPathBySlug,
+  createLearningPath,
+  updateLearningPath,
+  deleteLearningPath,
+  updatePathProgress,
+} from "./learningPathAPI";
+
+const initialState = {
+  paths: [],
+  canCreate: false,
+  path: null,
+  loading: false,
+  saving: false,
+  error: null,
+};
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.errors?.[0]?.msg ||
+  error.response?.data?.message ||
+  fallback;
+
+export const fetchLearningPaths = createAsyncThunk(
+  "learningPath/fetchLearningPaths",
+  async (_, { rejectWithValue }) => {
+    try {
+      return await getLearningPaths();
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, "Failed to fetch learning paths"));
+    }
+  }
+);
+
+export const fetchLearningPath = createAsyncThunk(
+  "learningPath/fetchLearningPath",
+  async (slug, { rejectWithValue }) => {
+    try {
+      return await getLearningPathBySlug(slug);
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, "Failed to fetch learning path"));
+    }
+  }
+);
+
+export const createNewLearningPath = createAsyncThunk(
+  "learningPath/createNewLearningPath",
+  async (data, { rejectWithValue }) => {
+    try {
+      return await createLearningPath(data);
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, "Failed to create learning path"));
+    }
+  }
+);
+
+export const updateExistingLearningPath = createAsyncThunk(
+  "learningPath/updateExistingLearningPath",
+  async ({ slug, data }, { rejectWithValue }) => {
+    try {
+      return await updateLearningPath(slug, data);
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, "Failed to update learning path"));
+    }
+  }
+);
+
+export const deleteExistingLearningPath = createAsyncThunk(
+  "learningPath/deleteExistingLearningPath",
+  async (slug, { rejectWithValue }) => {
+    try {
+      await deleteLearningPath(slug);
+      return slug;
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, "Failed to delete learning path"));
+    }
+  }
+);
+
+export const togglePathItem = createAsyncThunk(
+  "learningPath/togglePathItem",
+  async ({ slug, itemId, completed }, { rejectWithValue }) => {
+    try {
+      return await updatePathProgress(slug, { itemId, completed });
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, "Failed to update progress"));
+    }
+  }
+);
+
+const learningPathSlice = createSlice({
+  name: "learningPath",
+  initialState,
+  reducers: {
+    clearLearningPath: (state) => {
+      state.path = null;
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchLearningPaths.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchLearningPaths.fulfilled, (state, action) => {
+        state.loading = false;
+        state.paths = action.payload.paths;
+        state.canCreate = action.payload.canCreate;
+      })
+      .addCase(fetchLearningPaths.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(fetchLearningPath.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchLearningPath.fulfilled, (state, action) => {
+        state.loading = false;
+        state.path = action.payload;
+      })
+      .addCase(fetchLearningPath.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(createNewLearningPath.pending, (state) => {
+        state.saving = true;
+      })
+      .addCase(createNewLearningPath.fulfilled, (state) => {
+        state.saving = false;
+      })
+      .addCase(createNewLearningPath.rejected, (state) => {
+        state.saving = false;
+      })
+      .addCase(updateExistingLearningPath.pending, (state) => {
+        state.saving = true;
+      })
+      .addCase(updateExistingLearningPath.fulfilled, (state) => {
+        state.saving = false;
+      })
+      .addCase(updateExistingLearningPath.rejected, (state) => {
+        state.saving = false;
+      })
+      .addCase(deleteExistingLearningPath.fulfilled, (state, action) => {
+        state.paths = state.paths.filter((p) => p.slug !== action.payload);
+      })
+      .addCase(togglePathItem.pending, (state, action) => {
+        const { itemId, completed } = action.meta.arg;
+        const item = state.path?.sections
+          .flatMap((section) => section.items)
+          .find((i) => i._id === itemId);
+        if (item) {
+          item.completed = completed;
+          state.path.completedCount += completed ? 1 : -1;
+        }
+      })
+      .addCase(togglePathItem.fulfilled, (state, action) => {
+        if (state.path) state.path.completedCount = action.payload.completedCount;
+      })
+      .addCase(togglePathItem.rejected, (state, action) => {
+        const { itemId, completed } = action.meta.arg;
+        const item = state.path?.sections
+          .flatMap((section) => section.items)
+          .find((i) => i._id === itemId);
+        if (item) {
+          item.completed = !completed;
+          state.path.completedCount += completed ? -1 : 1;
+        }
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { clearLearningPath } = learningPathSlice.actions;
+export default learningPathSlice.reducer;
@@ -0,0 +1,27 @@
+import api from "../../utils/api";
+
+export const getMyProgress = async (params) => {
+  const res = await api.get("/progress", { params });
+  return res.data;
+};
+
+export const getReviewQueue = async () => {
+  const res = await api.get("/progress/due");
+  return res.data;
+};
+
+// entryType is the URL segment: "algorithms" or "data-structures"
+export const getEntryProgress = async (entryType, slug) => {
+  const res = await api.get(`/progress/${entryType}/${slug}`);
+  return res.data;
+};
+
+export const setEntryStatus = async (entryType, slug, status) => {
+  const res = await api.put(`/progress/${entryType}/${slug}`, { status });
+  return res.data;
+};
+
+export const reviewEntry = async (entryType, slug, rating) => {
+  const res = await api.post(`/progress/${entryType}/${slug}/review`, { rating });
+  return res.data;
+};
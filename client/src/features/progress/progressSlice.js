@@ -0,0 +1,174 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import {
+  getMyProgress,
+  getReviewQueue,
+  getEntryProgress,
+  setEntryStatus,
+  reviewEntry,
+} from "./progressAPI";
+
+const initialState = {
+  items: [],
+  counts: { bookmarked: 0, learning: 0, mastered: 0 },
+  due: [],
+  nextDueAt: null,
+  entry: null,
+  entryKey: null,
+  loading: false,
+  queueLoading: false,
+  saving: false,
+  error: null,
+};
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.message || fallback;
+
+export const fetchMyProgress = createAsyncThunk(
+  "progress/fetchMyProgress",
+  async (params, { rejectWithValue }) => {
+    try {
+      return await getMyProgress(params);
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, "Failed to fetch your progress"));
+    }
+  }
+);
+
+export const fetchReviewQueue = createAsyncThunk(
+  "progress/fetchReviewQueue",
+  async (_, { rejectWithValue }) => {
+    try {
+      return await getReviewQueue();
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, "Failed to fetch review queue"));
+    }
+  }
+);
+
+export const fetchEntryProgress = createAsyncThunk(
+  "progress/fetchEntryProgress",
+  async ({ entryType, slug }, { rejectWithValue }) => {
+    try {
+      return await getEntryProgress(entryType, slug);
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, "Failed to fetch progress"));
+    }
+  }
+);
+
+export const updateEntryStatus = createAsyncThunk(
+  "progress/updateEntryStatus",
+  async ({ entryType, slug, status }, { rejectWithValue }) => {
+    try {
+      return await setEntryStatus(entryType, slug, status);
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, "Failed to update progress"));
+    }
+  }
+);
+
+export const submitReview = createAsyncThunk(
+  "progress/submitReview",
+  async ({ entryType, slug, rating }, { rejectWithValue }) => {
+    try {
+      return await reviewEntry(entryType, slug, rating);
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, "Failed to record review"));
+    }
+  }
+);
+
+// Keeps the lists in step with a record the server just returned.
+const applyRecord = (state, record, { entryType, slug }) => {
+  const matches = (item) =>
+    item.entry?.slug === slug &&
+    item.entryType === (entryType === "algorithms" ? "Algorithm" : "DataStructure");
+
+  const previous = state.items.find(matches);
+  if (previous) state.counts[previous.status] -= 1;
+  if (record) state.counts[record.status] += 1;
+
+  state.items = record
+    ? [record, ...state.items.filter((item) => !matches(item))]
+    : state.items.filter((item) => !matches(item));
+
+  const stillDue = record?.dueAt && new Date(record.dueAt) <= new Date();
+  state.due = stillDue
+    ? state.due.map((item) => (matches(item) ? record : item))
+    : state.due.filter((item) => !matches(item));
+
+  if (state.entryKey === `${entryType}/${slug}`) state.entry = record;
+};
+
+const progressSlice = createSlice({
+  name: "progress",
+  initialState,
+  reducers: {
+    clearEntryProgress: (state) => {
+      state.entry = null;
+      state.entryKey = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchMyProgress.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchMyProgress.fulfilled, (state, action) => {
+        state.loading = false;
+        state.items = action.payload.progress;
+        state.counts = action.payload.counts;
+      })
+      .addCase(fetchMyProgress.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(fetchReviewQueue.pending, (state) => {
+        state.queueLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchReviewQueue.fulfilled, (state, action) => {
+        state.queueLoading = false;
+        state.due = action.payload.due;
+        state.nextDueAt = action.payload.nextDueAt;
+      })
+      .addCase(fetchReviewQueue.rejected, (state, action) => {
+        state.queueLoading = false;
+        state.error = action.payload;
+      })
+      .addCase(fetchEntryProgress.pending, (state, action) => {
+        const { entryType, slug } = action.meta.arg;
+        state.entry = null;
+        state.entryKey = `${entryType}/${slug}`;
+      })
+      .addCase(fetchEntryProgress.fulfilled, (state, action) => {
+        state.entry = action.payload.progress;
+      })
+      .addCase(updateEntryStatus.pending, (state) => {
+        state.saving = true;
+      })
+      .addCase(updateEntryStatus.fulfilled, (state, action) => {
+        state.saving = false;
+        applyRecord(state, action.payload.progress, action.meta.arg);
+      })
+      .addCase(updateEntryStatus.rejected, (state, action) => {
+        state.saving = false;
+        state.error = action.payload;
+      })
+      .addCase(submitReview.pending, (state) => {
+        state.saving = true;
+      })
+      .addCase(submitReview.fulfilled, (state, action) => {
+        state.saving = false;
+        applyRecord(state, action.payload.progress, action.meta.arg);
+      })
+      .addCase(submitReview.rejected, (state, action) => {
+        state.saving = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { clearEntryProgress } = progressSlice.actions;
+export default progressSlice.reducer;
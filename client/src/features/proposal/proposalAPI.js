@@ -36,4 +36,36 @@ export const reviewProposal = async (slug, reviewData) => {
 export const deleteProposal = async (slug) => {
   const response = await api.delete(`proposal/${slug}`);
   return response.data;
-};
\ No newline at end of file
+};
+
+// Compare a proposal with its target algorithm, or with an earlier round
+export const getProposalDiff = async (slug, round) => {
+  const response = await api.get(`proposal/${slug}/diff`, {
+    params: round ? { round } : undefined,
+  });
+  return response.data;
+};
+
+// Comment on a proposal's review thread
+export const addThreadComment = async (slug, body) => {
+  const response = await api.post(`proposal/${slug}/thread`, { body });
+  return response.data;
+};
+
+// Resubmit a proposal after changes were requested
+export const resubmitProposal = async (slug, note) => {
+  const response = await api.post(`proposal/${slug}/resubmit`, { note });
+  return response.data;
+};
+
+// Find algorithms and open proposals that look like a draft
+export const findDuplicates = async (draft) => {
+  const response = await api.post(`proposal/duplicates`, draft);
+  return response.data;
+};
+
+// Resolve fields both the proposal and its changed target have edited
+export const resolveConflicts = async (slug, resolutions) => {
+  const response = await api.put(`proposal/${slug}/resolutions`, { resolutions });
+  return response.data;
+};
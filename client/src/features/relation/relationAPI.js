@@ -0,0 +1,17 @@
+import api from "../../utils/api";
+
+// entryType is the URL segment: "algorithms" or "data-structures"
+export const getNeighbourhood = async (entryType, slug, params) => {
+  const res = await api.get(`/relations/${entryType}/${slug}`, { params });
+  return res.data;
+};
+
+export const createRelation = async (data) => {
+  const res = await api.post("/relations", data);
+  return res.data;
+};
+
+export const deleteRelation = async (id) => {
+  const res = await api.delete(`/relations/${id}`);
+  return res.data;
+};
@@ -0,0 +1,87 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import {
+  getNeighbourhood,
+  createRelation,
+  deleteRelation,
+} from "./relationAPI";
+
+const initialState = {
+  center: null,
+  nodes: [],
+  edges: [],
+  loading: false,
+  error: null,
+};
+
+export const fetchNeighbourhood = createAsyncThunk(
+  "relation/fetchNeighbourhood",
+  async ({ entryType, slug, depth = 1 }, { rejectWithValue }) => {
+    try {
+      return await getNeighbourhood(entryType, slug, { depth });
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to fetch related content"
+      );
+    }
+  }
+);
+
+export const addRelation = createAsyncThunk(
+  "relation/addRelation",
+  async (data, { rejectWithValue }) => {
+    try {
+      return await createRelation(data);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          "Failed to add relation"
+      );
+    }
+  }
+);
+
+export const removeRelation = createAsyncThunk(
+  "relation/removeRelation",
+  async (id, { rejectWithValue }) => {
+    try {
+      await deleteRelation(id);
+      return id;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || "Failed to delete relation"
+      );
+    }
+  }
+);
+
+const relationSlice = createSlice({
+  name: "relation",
+  initialState,
+  reducers: {
+    clearNeighbourhood: () => initialState,
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchNeighbourhood.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchNeighbourhood.fulfilled, (state, action) => {
+        state.loading = false;
+        state.center = action.payload.center;
+        state.nodes = action.payload.nodes;
+        state.edges = action.payload.edges;
+      })
+      .addCase(fetchNeighbourhood.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(removeRelation.fulfilled, (state, action) => {
+        state.edges = state.edges.filter((edge) => edge._id !== action.payload);
+      });
+  },
+});
+
+export const { clearNeighbourhood } = relationSlice.actions;
+export default relationSlice.reducer;
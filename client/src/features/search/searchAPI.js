@@ -0,0 +1,11 @@
+import api from "../../utils/api";
+
+export const searchContent = async (params) => {
+  const res = await api.get("/search", { params });
+  return res.data;
+};
+
+export const fetchSuggestions = async (q, limit = 8) => {
+  const res = await api.get("/search/suggest", { params: { q, limit } });
+  return res.data;
+};
@@ -0,0 +1,55 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import { searchContent } from "./searchAPI";
+
+const initialState = {
+  results: [],
+  facets: {},
+  total: 0,
+  pages: 0,
+  currentPage: 1,
+  loading: false,
+  error: null,
+  requestId: null,
+};
+
+export const runSearch = createAsyncThunk(
+  "search/runSearch",
+  async (params, { rejectWithValue }) => {
+    try {
+      return await searchContent(params);
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || "Search failed");
+    }
+  }
+);
+
+const searchSlice = createSlice({
+  name: "search",
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(runSearch.pending, (state, action) => {
+        state.loading = true;
+        state.error = null;
+        state.requestId = action.meta.requestId;
+      })
+      // Typing fires overlapping requests; only the latest one may land.
+      .addCase(runSearch.fulfilled, (state, action) => {
+        if (action.meta.requestId !== state.requestId) return;
+        state.loading = false;
+        state.results = action.payload.results;
+        state.facets = action.payload.facets;
+        state.total = action.payload.total;
+        state.pages = action.payload.pages;
+        state.currentPage = action.payload.currentPage;
+      })
+      .addCase(runSearch.rejected, (state, action) => {
+        if (action.meta.requestId !== state.requestId) return;
+        state.loading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export default searchSlice.reducer;
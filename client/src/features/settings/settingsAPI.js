@@ -0,0 +1,11 @@
+import api from "../../utils/api";
+
+export const getSettingsAPI = async () => {
+  const response = await api.get("/settings");
+  return response.data;
+};
+
+export const updateSettingsAPI = async (changes) => {
+  const response = await api.patch("/settings", changes);
+  return response.data;
+};
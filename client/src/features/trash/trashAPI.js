@@ -0,0 +1,21 @@
+import api from "../../utils/api";
+
+export const getTrash = async (params) => {
+  const res = await api.get("/trash", { params });
+  return res.data;
+};
+
+export const restoreTrashItem = async ({ type, id }) => {
+  const res = await api.patch(`/trash/${type}/${id}/restore`);
+  return res.data;
+};
+
+export const deleteTrashItem = async ({ type, id }) => {
+  const res = await api.delete(`/trash/${type}/${id}`);
+  return res.data;
+};
+
+export const purgeTrash = async () => {
+  const res = await api.post("/trash/purge");
+  return res.data;
+};
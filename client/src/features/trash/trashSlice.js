@@ -0,0 +1,104 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import {
+  getTrash,
+  restoreTrashItem,
+  deleteTrashItem,
+  purgeTrash,
+} from "./trashAPI";
+
+const initialState = {
+  items: [],
+  total: 0,
+  pages: 1,
+  currentPage: 1,
+  retentionDays: null,
+  loading: false,
+  error: null,
+};
+
+const errorMessage = (error, fallback) => error.response?.data?.message || fallback;
+
+export const fetchTrash = createAsyncThunk(
+  "trash/fetchTrash",
+  async (params, { rejectWithValue }) => {
+    try {
+      return await getTrash(params);
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, "Failed to load the trash"));
+    }
+  }
+);
+
+export const restoreItem = createAsyncThunk(
+  "trash/restoreItem",
+  async ({ type, id }, { rejectWithValue }) => {
+    try {
+      const data = await restoreTrashItem({ type, id });
+      return { ...data, type, id };
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, "Failed to restore the item"));
+    }
+  }
+);
+
+export const deleteItemForever = createAsyncThunk(
+  "trash/deleteItemForever",
+  async ({ type, id }, { rejectWithValue }) => {
+    try {
+      const data = await deleteTrashItem({ type, id });
+      return { ...data, type, id };
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, "Failed to delete the item"));
+    }
+  }
+);
+
+export const purgeExpired = createAsyncThunk(
+  "trash/purgeExpired",
+  async (_, { rejectWithValue }) => {
+    try {
+      return await purgeTrash();
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, "Failed to purge the trash"));
+    }
+  }
+);
+
+const removeItem = (state, { type, id }) => {
+  const before = state.items.length;
+  state.items = state.items.filter((item) => !(item.type === type && item._id === id));
+  state.total -= before - state.items.length;
+};
+
+const trashSlice = createSlice({
+  name: "trash",
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchTrash.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchTrash.fulfilled, (state, action) => {
+        state.loading = false;
+        state.items = action.payload.items;
+        state.total = action.payload.total;
+        state.pages = action.payload.pages || 1;
+        state.currentPage = action.payload.currentPage;
+        state.retentionDays = action.payload.retentionDays;
+      })
+      .addCase(fetchTrash.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(restoreItem.fulfilled, (state, action) => {
+        removeItem(state, action.payload);
+      })
+      .addCase(deleteItemForever.fulfilled, (state, action) => {
+        removeItem(state, action.payload);
+      });
+  },
+});
+
+export default trashSlice.reducer;
@@ -13,6 +13,7 @@ import { toast } from "react-toastify";
 import Loader from "../components/Loader";
 import EditAlgorithmForm from "../components/forms/EditAlgorithmForm";
 import Pagination from "./Pagination";
+import PublicationBadge from "../components/PublicationBadge";
 import clsx from "clsx";
 
 // Helpers
@@ -32,15 +33,16 @@ const AdminAlgorithms = () => {
   const [addingNew, setAddingNew] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
   const [isSearchMode, setIsSearchMode] = useState(false);
+  const [publication, setPublication] = useState("");
 
   useEffect(() => {
     const payload = isSearchMode
       ? { q: search, category: selectedCategories.join(","), page: currentPage }
-      : { page: currentPage };
+      : { page: currentPage, publication };
 
     dispatch(isSearchMode ? searchAllAlgorithms(payload) : fetchAlgorithms(payload));
     dispatch(fetchCategories());
-  }, [dispatch, currentPage, isSearchMode, search, selectedCategories]);
+  }, [dispatch, currentPage, isSearchMode, search, selectedCategories, publication]);
 
   const handleSearch = useCallback(() => {
     setIsSearchMode(true);
@@ -61,9 +63,10 @@ const AdminAlgorithms = () => {
       .catch(() => toast.error("Delete failed"));
   };
 
-  const handleSave = (data) => {
+  const handleSave = (data, allowDuplicates = false) => {
     const formatted = {
       ...data,
+      allowDuplicates,
       category: formatArray(data.category),
       tags: formatArray(data.tags),
       links: formatArray(data.links),
@@ -82,10 +85,23 @@ const AdminAlgorithms = () => {
         setAddingNew(false);
         const payload = isSearchMode
           ? { q: search, category: selectedCategories.join(","), page: currentPage }
-          : { page: currentPage };
+          : { page: currentPage, publication };
         dispatch(isSearchMode ? searchAllAlgorithms(payload) : fetchAlgorithms(payload));
       })
-      .catch(() => toast.error(addingNew ? "Creation failed" : "Update failed"));
+      .catch((err) => {
+        // The server refuses likely duplicates until the admin confirms
+        const duplicates = err?.response?.data?.duplicates;
+        if (addingNew && err?.response?.status === 409 && duplicates) {
+          const list = duplicates
+            .map((d) => `- ${d.title} (${Math.round(d.score * 100)}% similar)`)
+            .join("\n");
+          if (window.confirm(`This looks like existing content:\n${list}\n\nCreate it anyway?`)) {
+            handleSave(data, true);
+          }
+          return;
+        }
+        toast.error(addingNew ? "Creation failed" : "Update failed");
+      });
   };
 
   const toggleCategory = (cat) => {
@@ -161,6 +177,27 @@ const AdminAlgorithms = () => {
         </div>
       </div>
 
+      <div className="flex items-center gap-3">
+        <label htmlFor="publication-filter" className="text-sm text-gray-600 dark:text-gray-300">
+          Show
+        </label>
+        <select
+          id="publication-filter"
+          value={publication}
+          onChange={(e) => {
+            setPublication(e.target.value);
+            setIsSearchMode(false);
+            setCurrentPage(1);
+          }}
+          className="px-3 py-2 rounded-xl bg-white dark:bg-gray-900 text-gray-800 dark:text-white border border-gray-300 dark:border-gray-700"
+        >
+          <option value="">All</option>
+          <option value="published">Published</option>
+          <option value="draft">Drafts</option>
+          <option value="scheduled">Scheduled</option>
+        </select>
+      </div>
+
       {/* Table */}
       <div className="overflow-x-auto bg-white dark:bg-gray-800 rounded-xl shadow">
         <table className="min-w-full text-sm text-left text-gray-600 dark:text-gray-300">
@@ -169,13 +206,14 @@ const AdminAlgorithms = () => {
               <th className="px-6 py-3">Title</th>
               <th className="px-6 py-3">Category</th>
               <th className="px-6 py-3">Difficulty</th>
+              <th className="px-6 py-3">Scheduled</th>
               <th className="px-6 py-3 text-right">Actions</th>
             </tr>
           </thead>
           <tbody>
             {loading && algorithms.length === 0 ? (
               <tr>
-                <td colSpan="4" className="text-center py-6">
+                <td colSpan="5" className="text-center py-6">
                   <Loader />
                 </td>
               </tr>
@@ -192,6 +230,9 @@ const AdminAlgorithms = () => {
                         : algo.category}
                     </td>
                     <td className="px-6 py-4">{algo.difficulty}</td>
+                    <td className="px-6 py-4">
+                      <PublicationBadge entry={algo} />
+                    </td>
                     <td className="px-6 py-4 text-right space-x-4">
                       <button
                         onClick={() => {
@@ -212,7 +253,7 @@ const AdminAlgorithms = () => {
                   </tr>
                   {editingSlug === algo.slug && (
                     <tr className="bg-gray-50 dark:bg-gray-900">
-                      <td colSpan="4" className="px-6 py-4">
+                      <td colSpan="5" className="px-6 py-4">
                         <EditAlgorithmForm
                           algorithm={algo}
                           categories={categories}
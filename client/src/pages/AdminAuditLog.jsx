@@ -0,0 +1,275 @@
+import { Fragment, useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { ChevronDown, ChevronRight, Download, Search } from "lucide-react";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import { fetchAuditLogs } from "../features/auditLog/auditLogSlice";
+import { exportAuditLogs } from "../features/auditLog/auditLogAPI";
+import Loader from "../components/Loader";
+import Pagination from "./Pagination";
+
+const inputClass =
+  "px-3 py-2 rounded-xl bg-white dark:bg-gray-900 text-gray-800 dark:text-white border border-gray-300 dark:border-gray-700 text-sm";
+
+const emptyFilters = { action: "", targetType: "", actor: "", q: "", from: "", to: "" };
+
+// Date inputs give a day; "to" should include the whole of it
+const toQuery = ({ from, to, ...rest }) => {
+  const params = Object.fromEntries(Object.entries(rest).filter(([, value]) => value));
+  if (from) params.from = new Date(`${from}T00:00:00`).toISOString();
+  if (to) params.to = new Date(`${to}T23:59:59.999`).toISOString();
+  return params;
+};
+
+const download = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const JsonBlock = ({ label, value }) => (
+  <div className="flex-1 min-w-[240px]">
+    <h4 className="text-xs font-semibold uppercase text-gray-500 dark:text-gray-400 mb-1">
+      {label}
+    </h4>
+    <pre className="text-xs bg-gray-100 dark:bg-gray-900 text-gray-800 dark:text-gray-200 rounded-lg p-3 overflow-x-auto whitespace-pre-wrap">
+      {value === undefined ? "—" : JSON.stringify(value, null, 2)}
+    </pre>
+  </div>
+);
+
+const AdminAuditLog = () => {
+  const dispatch = useDispatch();
+  const { logs, total, pages, actions, targetTypes, loading } = useSelector(
+    (state) => state.auditLog
+  );
+  const [draft, setDraft] = useState(emptyFilters);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [expandedId, setExpandedId] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchAuditLogs({ ...toQuery(filters), page: currentPage }));
+  }, [dispatch, filters, currentPage]);
+
+  const applyFilters = (next) => {
+    setFilters(next);
+    setCurrentPage(1);
+  };
+
+  const updateSelect = (field) => (e) => {
+    const next = { ...draft, [field]: e.target.value };
+    setDraft(next);
+    applyFilters(next);
+  };
+
+  const handleExport = async (fileFormat) => {
+    setExporting(true);
+    try {
+      const blob = await exportAuditLogs({ ...toQuery(filters), format: fileFormat });
+      const stamp = new Date().toISOString().slice(0, 10);
+      download(blob, `sdeverse-audit-${stamp}.${fileFormat}`);
+    } catch {
+      toast.error("Export failed");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-10 space-y-8">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">Audit Log</h1>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            Every privileged action, newest first. Entries cannot be edited or removed.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {["csv", "json"].map((fileFormat) => (
+            <button
+              key={fileFormat}
+              onClick={() => handleExport(fileFormat)}
+              disabled={exporting}
+              className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-xl disabled:opacity-50"
+            >
+              <Download size={16} /> {fileFormat.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          applyFilters(draft);
+        }}
+        className="flex flex-wrap items-end gap-3"
+      >
+        <select value={draft.action} onChange={updateSelect("action")} className={inputClass}>
+          <option value="">All actions</option>
+          {actions.map((action) => (
+            <option key={action} value={action}>
+              {action}
+            </option>
+          ))}
+        </select>
+        <select
+          value={draft.targetType}
+          onChange={updateSelect("targetType")}
+          className={inputClass}
+        >
+          <option value="">All targets</option>
+          {targetTypes.map((type) => (
+            <option key={type} value={type}>
+              {type}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={draft.actor}
+          onChange={(e) => setDraft({ ...draft, actor: e.target.value })}
+          placeholder="Actor"
+          className={inputClass}
+        />
+        <input
+          type="text"
+          value={draft.q}
+          onChange={(e) => setDraft({ ...draft, q: e.target.value })}
+          placeholder="Target, summary or IP"
+          className={inputClass}
+        />
+        <label className="text-sm text-gray-600 dark:text-gray-300 flex flex-col gap-1">
+          From
+          <input
+            type="date"
+            value={draft.from}
+            onChange={(e) => setDraft({ ...draft, from: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        <label className="text-sm text-gray-600 dark:text-gray-300 flex flex-col gap-1">
+          To
+          <input
+            type="date"
+            value={draft.to}
+            onChange={(e) => setDraft({ ...draft, to: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        <button
+          type="submit"
+          className="flex items-center gap-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-white px-4 py-2 rounded-xl"
+        >
+          <Search size={16} /> Filter
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            setDraft(emptyFilters);
+            applyFilters(emptyFilters);
+          }}
+          className="text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 px-2 py-2"
+        >
+          Clear
+        </button>
+        <span className="text-sm text-gray-500 dark:text-gray-400 ml-auto">{total} entries</span>
+      </form>
+
+      <div className="overflow-x-auto bg-white dark:bg-gray-800 rounded-xl shadow">
+        <table className="min-w-full text-sm text-left text-gray-600 dark:text-gray-300">
+          <thead className="bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-white text-xs uppercase">
+            <tr>
+              <th className="px-4 py-3" />
+              <th className="px-4 py-3">When</th>
+              <th className="px-4 py-3">Actor</th>
+              <th className="px-4 py-3">Action</th>
+              <th className="px-4 py-3">Target</th>
+              <th className="px-4 py-3">Summary</th>
+              <th className="px-4 py-3">IP</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading && logs.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="text-center py-6">
+                  <Loader />
+                </td>
+              </tr>
+            ) : logs.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="text-center py-6 text-gray-500 dark:text-gray-400">
+                  No entries match these filters.
+                </td>
+              </tr>
+            ) : (
+              logs.map((log) => (
+                <Fragment key={log._id}>
+                  <tr
+                    onClick={() => setExpandedId(expandedId === log._id ? null : log._id)}
+                    className="border-b border-gray-200 dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-900"
+                  >
+                    <td className="px-4 py-3">
+                      {expandedId === log._id ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      {format(new Date(log.createdAt), "d MMM yyyy, HH:mm:ss")}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className="font-medium text-gray-900 dark:text-white">
+                        {log.actorName || "Unknown"}
+                      </span>
+                      {log.actorRole && (
+                        <span className="block text-xs text-gray-500 dark:text-gray-400">
+                          {log.actorRole}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 font-mono text-xs">{log.action}</td>
+                    <td className="px-4 py-3">
+                      {log.targetLabel || "—"}
+                      {log.targetType && (
+                        <span className="block text-xs text-gray-500 dark:text-gray-400">
+                          {log.targetType}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3">{log.summary || "—"}</td>
+                    <td className="px-4 py-3 font-mono text-xs">{log.ip || "—"}</td>
+                  </tr>
+                  {expandedId === log._id && (
+                    <tr className="bg-gray-50 dark:bg-gray-900">
+                      <td colSpan="7" className="px-6 py-4 space-y-3">
+                        <div className="flex flex-wrap gap-4">
+                          <JsonBlock label="Before" value={log.before} />
+                          <JsonBlock label="After" value={log.after} />
+                        </div>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                          {log.targetId && <>Target id {log.targetId} · </>}
+                          {log.userAgent || "No user agent"}
+                        </p>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <Pagination
+        currentPage={currentPage}
+        totalPages={pages || 1}
+        onPageChange={(page) => setCurrentPage(page)}
+      />
+    </div>
+  );
+};
+
+export default AdminAuditLog;
@@ -3,18 +3,37 @@ import { useDispatch, useSelector } from "react-redux";
 import {
   fetchProposals,
   reviewExistingProposal,
+  fetchProposalDiff,
+  postThreadComment,
+  resolveProposalConflicts,
 } from "../features/dataStructureProposal/dataStructureProposalSlice";
 import { FileText, ChevronDown } from "lucide-react";
+import { fetchCommentsByParent } from "../features/comment/commentSlice";
 import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
+import ProposalDiff from "../components/review/ProposalDiff";
+import ReviewVotes from "../components/review/ReviewVotes";
+import ReviewThread from "../components/review/ReviewThread";
+import ConflictResolver from "../components/review/ConflictResolver";
 import { motion } from "framer-motion";
 import DataStructurePreview from "./DataStructurePreview";
 
 const AdminDataStructureProposalReview = () => {
   const dispatch = useDispatch();
-  const { proposals, loading, error, pages, currentPage, total } = useSelector(
+  const {
+    proposals,
+    loading,
+    error,
+    pages,
+    currentPage,
+    total,
+    diff,
+    diffLoading,
+    diffError,
+  } = useSelector(
     (state) => state.dataStructureProposal || {}
   );
+  const { user } = useSelector((state) => state.auth);
 
   const [search, setSearch] = useState("");
   const [statusFilter, setStatusFilter] = useState("");
@@ -24,6 +43,8 @@ const AdminDataStructureProposalReview = () => {
   const [reviewStatus, setReviewStatus] = useState("approved");
   const [reviewComment, setReviewComment] = useState("");
   const [reviewLoading, setReviewLoading] = useState(false);
+  const [view, setView] = useState("changes");
+  const [compareRound, setCompareRound] = useState("");
   const [showStatusDropdown, setShowStatusDropdown] = useState(false);
 
   useEffect(() => {
@@ -35,8 +56,44 @@ const AdminDataStructureProposalReview = () => {
   const toggleExpand = (proposal) => {
     const isAlreadyOpen = expandedProposalId === proposal._id;
     setExpandedProposalId(isAlreadyOpen ? null : proposal._id);
-    setReviewStatus(proposal.status || "pending");
-    setReviewComment(proposal.reviewComment || "");
+    if (!isAlreadyOpen) {
+      setView("changes");
+      setCompareRound("");
+      dispatch(fetchProposalDiff({ slug: proposal.slug }));
+      dispatch(
+        fetchCommentsByParent({ parentType: "DataStructureProposal", parentId: proposal._id })
+      );
+    }
+    const ownVote = proposal.reviews?.find(
+      (review) => (review.reviewer?._id || review.reviewer) === user?._id
+    );
+    setReviewStatus(ownVote?.decision === "reject" ? "rejected" : "approved");
+    setReviewComment(ownVote?.comment || "");
+  };
+
+  const handleCompareChange = (proposal, round) => {
+    setCompareRound(round);
+    dispatch(fetchProposalDiff({ slug: proposal.slug, round: round || undefined }));
+  };
+
+  const handleThreadPost = async (proposal, body) => {
+    try {
+      await dispatch(postThreadComment({ slug: proposal.slug, body })).unwrap();
+    } catch (err) {
+      toast.error(`Failed to post comment: ${err}`);
+    }
+  };
+
+  const handleResolve = async (proposal, resolutions) => {
+    try {
+      await dispatch(
+        resolveProposalConflicts({ slug: proposal.slug, resolutions })
+      ).unwrap();
+      toast.success("Resolutions saved.");
+      dispatch(fetchProposalDiff({ slug: proposal.slug }));
+    } catch (err) {
+      toast.error(`Failed to save resolutions: ${err}`);
+    }
   };
 
   const handleReviewSubmit = async (e, proposal) => {
@@ -54,7 +111,9 @@ const AdminDataStructureProposalReview = () => {
         })
       ).unwrap();
 
-      toast.success("Data structure proposal reviewed successfully.");
+      toast.success(
+        reviewStatus === "changes_requested" ? "Changes requested." : "Vote recorded."
+      );
       setExpandedProposalId(null);
       dispatch(fetchProposals({ page, limit, search, status: statusFilter }));
     } catch (err) {
@@ -122,10 +181,11 @@ const AdminDataStructureProposalReview = () => {
     );
   };
 
-  const statusOptions = ["", "pending", "approved", "rejected", "merged"];
+  const statusOptions = ["", "pending", "changes_requested", "approved", "rejected", "merged"];
   const statusDisplay = {
     "": "All Statuses",
     pending: "Pending",
+    changes_requested: "Changes requested",
     approved: "Approved",
     rejected: "Rejected",
     merged: "Merged",
@@ -274,10 +334,12 @@ const AdminDataStructureProposalReview = () => {
                               ? "text-red-700 bg-red-100 dark:bg-red-900/30"
                               : proposal.status === "merged"
                               ? "text-blue-700 bg-blue-100 dark:bg-blue-900/30"
+                              : proposal.status === "changes_requested"
+                              ? "text-orange-700 bg-orange-100 dark:bg-orange-900/30"
                               : "text-yellow-700 bg-yellow-100 dark:bg-yellow-900/30"
                           }`}
                         >
-                          {proposal.status || "pending"}
+                          {proposal.status?.replace("_", " ") || "pending"}
                         </span>
                       </td>
                       <td className="px-6 py-4 text-base">
@@ -313,82 +375,148 @@ const AdminDataStructureProposalReview = () => {
                             className="space-y-6"
                           >
                             <h2 className="text-2xl font-semibold text-gray-900 dark:text-gray-100">
-                              Proposal Preview: {proposal.title}
+                              Proposal Review: {proposal.title}
                             </h2>
-                            <div className="bg-white dark:bg-gray-900 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-4 sm:p-6">
-                              <DataStructurePreview dataStructure={proposal} />
+                            <ReviewVotes proposal={proposal} policy={diff?.policy} />
+                            <ReviewThread
+                              proposal={proposal}
+                              onPost={(body) => handleThreadPost(proposal, body)}
+                            />
+                            {diff?.threeWay && !compareRound && (
+                              <ConflictResolver
+                                key={`${proposal._id}-${diff.threeWay.targetRevision}-${diff.threeWay.unresolved.join()}`}
+                                threeWay={diff.threeWay}
+                                target={diff.target}
+                                onResolve={(resolutions) => handleResolve(proposal, resolutions)}
+                              />
+                            )}
+                            <div className="flex items-center gap-2 mb-4">
+                              {["changes", "preview"].map((tab) => (
+                                <button
+                                  key={tab}
+                                  type="button"
+                                  onClick={() => setView(tab)}
+                                  className={`px-4 py-1.5 rounded-full text-sm font-medium ${
+                                    view === tab
+                                      ? "bg-blue-600 text-white"
+                                      : "bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200"
+                                  }`}
+                                >
+                                  {tab === "changes" ? "Changes" : "Preview"}
+                                </button>
+                              ))}
+                              {view === "changes" && proposal.rounds?.length > 1 && (
+                                <select
+                                  value={compareRound}
+                                  onChange={(e) => handleCompareChange(proposal, e.target.value)}
+                                  className="ml-auto p-1.5 text-sm rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-800 dark:text-gray-100"
+                                >
+                                  <option value="">
+                                    Compare with {proposal.targetDataStructure ? "the current entry" : "an empty entry"}
+                                  </option>
+                                  {proposal.rounds
+                                    .filter((round) => round.number < proposal.round)
+                                    .map((round) => (
+                                      <option key={round.number} value={round.number}>
+                                        Compare with round {round.number}
+                                      </option>
+                                    ))}
+                                </select>
+                              )}
                             </div>
+                            {view === "changes" ? (
+                              <ProposalDiff
+                                diff={diff}
+                                loading={diffLoading}
+                                error={diffError}
+                              />
+                            ) : (
+                              <div className="bg-white dark:bg-gray-900 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-4 sm:p-6">
+                                <DataStructurePreview
+                                  dataStructure={proposal}
+                                  commentOn={{
+                                    parentType: "DataStructureProposal",
+                                    parentId: proposal._id,
+                                  }}
+                                />
+                              </div>
+                            )}
 
-                            <form
-                              onSubmit={(e) => handleReviewSubmit(e, proposal)}
-                              className="mt-6 space-y-6"
-                            >
-                              <motion.div
-                                initial={{ opacity: 0, y: 10 }}
-                                animate={{ opacity: 1, y: 0 }}
-                                transition={{ duration: 0.2 }}
-                                className="space-y-2"
+                            {proposal.contributor?._id === user?._id ? (
+                              <p className="text-sm text-gray-500 dark:text-gray-400">
+                                You cannot vote on your own proposal.
+                              </p>
+                            ) : (
+                              <form
+                                onSubmit={(e) => handleReviewSubmit(e, proposal)}
+                                className="mt-6 space-y-6"
                               >
-                                <label className="block text-base font-medium text-gray-800 dark:text-gray-200">
-                                  Review Status
-                                </label>
-                                <div className="relative w-full sm:w-64">
-                                  <select
-                                    id="reviewStatus"
-                                    value={reviewStatus}
-                                    onChange={(e) => setReviewStatus(e.target.value)}
-                                    className="w-full p-3 rounded-lg bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 focus:ring-2 focus:ring-gray-300 dark:focus:ring-gray-500 focus:border-gray-400 dark:focus:border-gray-500 text-base transition-colors duration-200 appearance-none pr-10"
-                                  >
-                                    <option value="approved">Approve</option>
-                                    <option value="rejected">Reject</option>
-                                    <option value="pending">Pending</option>
-                                    <option value="merged">Merged</option>
-                                  </select>
-                                  <div className="absolute inset-y-0 right-0 flex items-center px-3 pointer-events-none">
-                                    <ChevronDown size={20} className="text-gray-500 dark:text-gray-300" />
+                                <motion.div
+                                  initial={{ opacity: 0, y: 10 }}
+                                  animate={{ opacity: 1, y: 0 }}
+                                  transition={{ duration: 0.2 }}
+                                  className="space-y-2"
+                                >
+                                  <label className="block text-base font-medium text-gray-800 dark:text-gray-200">
+                                    Decision
+                                  </label>
+                                  <div className="relative w-full sm:w-64">
+                                    <select
+                                      id="reviewStatus"
+                                      value={reviewStatus}
+                                      onChange={(e) => setReviewStatus(e.target.value)}
+                                      className="w-full p-3 rounded-lg bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 focus:ring-2 focus:ring-gray-300 dark:focus:ring-gray-500 focus:border-gray-400 dark:focus:border-gray-500 text-base transition-colors duration-200 appearance-none pr-10"
+                                    >
+                                      <option value="approved">Approve</option>
+                                      <option value="changes_requested">Request changes</option>
+                                      <option value="rejected">Reject</option>
+                                    </select>
+                                    <div className="absolute inset-y-0 right-0 flex items-center px-3 pointer-events-none">
+                                      <ChevronDown size={20} className="text-gray-500 dark:text-gray-300" />
+                                    </div>
                                   </div>
-                                </div>
-                              </motion.div>
-
-                              <motion.div
-                                initial={{ opacity: 0, y: 10 }}
-                                animate={{ opacity: 1, y: 0 }}
-                                transition={{ duration: 0.2 }}
-                                className="space-y-2"
-                              >
-                                <label className="block text-base font-medium text-gray-800 dark:text-gray-200">
-                                  Review Comment
-                                </label>
-                                <textarea
-                                  value={reviewComment}
-                                  onChange={(e) => setReviewComment(e.target.value)}
-                                  className="w-full p-3 rounded-lg bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 focus:ring-2 focus:ring-gray-300 dark:focus:ring-gray-500 focus:border-gray-400 dark:focus:border-gray-500 text-base transition-colors duration-200"
-                                  rows={5}
-                                  placeholder="Optional comment for contributor"
-                                />
-                              </motion.div>
+                                </motion.div>
 
-                              <div className="flex justify-end gap-4">
-                                <motion.button
-                                  whileHover={{ scale: 1.05 }}
-                                  whileTap={{ scale: 0.95 }}
-                                  type="button"
-                                  onClick={() => setExpandedProposalId(null)}
-                                  className="px-6 py-3 rounded-lg border border-gray-300 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 text-base font-medium transition-colors duration-200"
+                                <motion.div
+                                  initial={{ opacity: 0, y: 10 }}
+                                  animate={{ opacity: 1, y: 0 }}
+                                  transition={{ duration: 0.2 }}
+                                  className="space-y-2"
                                 >
-                                  Cancel
-                                </motion.button>
-                                <motion.button
-                                  whileHover={{ scale: 1.05 }}
-                                  whileTap={{ scale: 0.95 }}
-                                  type="submit"
-                                  disabled={reviewLoading}
-                                  className="px-6 py-3 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-base font-medium transition-colors duration-200"
-                                >
-                                  Submit Review
-                                </motion.button>
-                              </div>
-                            </form>
+                                  <label className="block text-base font-medium text-gray-800 dark:text-gray-200">
+                                    Review Comment
+                                  </label>
+                                  <textarea
+                                    value={reviewComment}
+                                    onChange={(e) => setReviewComment(e.target.value)}
+                                    className="w-full p-3 rounded-lg bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 focus:ring-2 focus:ring-gray-300 dark:focus:ring-gray-500 focus:border-gray-400 dark:focus:border-gray-500 text-base transition-colors duration-200"
+                                    rows={5}
+                                    placeholder="Comment for the contributor (required when requesting changes)"
+                                  />
+                                </motion.div>
+
+                                <div className="flex justify-end gap-4">
+                                  <motion.button
+                                    whileHover={{ scale: 1.05 }}
+                                    whileTap={{ scale: 0.95 }}
+                                    type="button"
+                                    onClick={() => setExpandedProposalId(null)}
+                                    className="px-6 py-3 rounded-lg border border-gray-300 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 text-base font-medium transition-colors duration-200"
+                                  >
+                                    Cancel
+                                  </motion.button>
+                                  <motion.button
+                                    whileHover={{ scale: 1.05 }}
+                                    whileTap={{ scale: 0.95 }}
+                                    type="submit"
+                                    disabled={reviewLoading}
+                                    className="px-6 py-3 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-base font-medium transition-colors duration-200"
+                                  >
+                                    Submit Vote
+                                  </motion.button>
+                                </div>
+                              </form>
+                            )}
                           </motion.div>
                         </td>
                       </motion.tr>
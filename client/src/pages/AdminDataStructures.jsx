@@ -13,6 +13,7 @@ import { toast } from "react-toastify";
 import Loader from "../components/Loader";
 import EditDataStructureForm from "../components/forms/EditDataStructureForm";
 import Pagination from "./Pagination";
+import PublicationBadge from "../components/PublicationBadge";
 import clsx from "clsx";
 
 // Helpers
@@ -65,15 +66,16 @@ const AdminDataStructures = () => {
   const [addingNew, setAddingNew] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
   const [isSearchMode, setIsSearchMode] = useState(false);
+  const [publication, setPublication] = useState("");
 
   useEffect(() => {
     const payload = isSearchMode
       ? { q: search, category: selectedCategories.join(","), page: currentPage }
-      : { page: currentPage };
+      : { page: currentPage, publication };
 
     dispatch(isSearchMode ? searchAllDataStructures(payload) : fetchDataStructures(payload));
     dispatch(fetchDataStructureCategories());
-  }, [dispatch, currentPage, isSearchMode, search, selectedCategories]);
+  }, [dispatch, currentPage, isSearchMode, search, selectedCategories, publication]);
 
   const handleSearch = useCallback(() => {
     setIsSearchMode(true);
@@ -119,7 +121,7 @@ const AdminDataStructures = () => {
         setAddingNew(false);
         const payload = isSearchMode
           ? { q: search, category: selectedCategories.join(","), page: currentPage }
-          : { page: currentPage };
+          : { page: currentPage, publication };
         dispatch(isSearchMode ? searchAllDataStructures(payload) : fetchDataStructures(payload));
       })
       .catch(() => toast.error(addingNew ? "Creation failed" : "Update failed"));
@@ -198,6 +200,27 @@ const AdminDataStructures = () => {
         </div>
       </div>
 
+      <div className="flex items-center gap-3">
+        <label htmlFor="publication-filter" className="text-sm text-gray-600 dark:text-gray-300">
+          Show
+        </label>
+        <select
+          id="publication-filter"
+          value={publication}
+          onChange={(e) => {
+            setPublication(e.target.value);
+            setIsSearchMode(false);
+            setCurrentPage(1);
+          }}
+          className="px-3 py-2 rounded-xl bg-white dark:bg-gray-900 text-gray-800 dark:text-white border border-gray-300 dark:border-gray-700"
+        >
+          <option value="">All</option>
+          <option value="published">Published</option>
+          <option value="draft">Drafts</option>
+          <option value="scheduled">Scheduled</option>
+        </select>
+      </div>
+
       {/* Table */}
       <div className="overflow-x-auto bg-white dark:bg-gray-800 rounded-xl shadow">
         <table className="min-w-full text-sm text-left text-gray-600 dark:text-gray-300">
@@ -207,13 +230,14 @@ const AdminDataStructures = () => {
               <th className="px-6 py-3">Category</th>
               <th className="px-6 py-3">Type</th>
               <th className="px-6 py-3">Status</th>
+              <th className="px-6 py-3">Scheduled</th>
               <th className="px-6 py-3 text-right">Actions</th>
             </tr>
           </thead>
           <tbody>
             {loading && dataStructures.length === 0 ? (
               <tr>
-                <td colSpan="5" className="text-center py-6">
+                <td colSpan="6" className="text-center py-6">
                   <Loader />
                 </td>
               </tr>
@@ -231,6 +255,9 @@ const AdminDataStructures = () => {
                     </td>
                     <td className="px-6 py-4">{ds.type}</td>
                     <td className="px-6 py-4">{ds.status}</td>
+                    <td className="px-6 py-4">
+                      <PublicationBadge entry={ds} />
+                    </td>
                     <td className="px-6 py-4 text-right space-x-4">
                       <button
                         onClick={() => {
@@ -251,7 +278,7 @@ const AdminDataStructures = () => {
                   </tr>
                   {editingSlug === ds.slug && (
                     <tr className="bg-gray-50 dark:bg-gray-900">
-                      <td colSpan="5" className="px-6 py-4">
+                      <td colSpan="6" className="px-6 py-4">
                         <EditDataStructureForm
                           dataStructure={ds}
                           categories={categories}
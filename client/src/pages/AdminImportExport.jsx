@@ -0,0 +1,287 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Download, FileUp, PackageOpen } from "lucide-react";
+import { toast } from "react-toastify";
+import { fetchAlgorithmsForList } from "../features/algorithm/algorithmSlice";
+import { fetchAllDataStructuresForList } from "../features/dataStructure/dataStructureSlice";
+import { exportBundle } from "../features/bundle/bundleAPI";
+import { runImport, clearImportReport } from "../features/bundle/bundleSlice";
+
+const inputClass =
+  "p-2.5 text-sm border rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white border-gray-300 dark:border-gray-600";
+
+const cardClass =
+  "p-6 rounded-2xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 shadow space-y-5";
+
+const actionStyles = {
+  create: "bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300",
+  update: "bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300",
+  unchanged: "bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300",
+  error: "bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300",
+};
+
+const readFile = (file, asText) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error("Could not read the file"));
+    if (asText) reader.readAsText(file);
+    else reader.readAsDataURL(file);
+  });
+
+const download = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const ExportPanel = () => {
+  const dispatch = useDispatch();
+  const { algorithms } = useSelector((state) => state.algorithm);
+  const { dataStructures } = useSelector((state) => state.dataStructure);
+  const [entryType, setEntryType] = useState("algorithms");
+  const [format, setFormat] = useState("zip");
+  const [selected, setSelected] = useState([]);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchAlgorithmsForList());
+    dispatch(fetchAllDataStructuresForList());
+  }, [dispatch]);
+
+  const entries = entryType === "algorithms" ? algorithms : dataStructures;
+
+  const toggle = (slug) =>
+    setSelected((prev) =>
+      prev.includes(slug) ? prev.filter((s) => s !== slug) : [...prev, slug]
+    );
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const blob = await exportBundle({
+        entryType,
+        format,
+        ...(selected.length > 0 && { slugs: selected.join(",") }),
+      });
+      const stamp = new Date().toISOString().slice(0, 10);
+      download(blob, `sdeverse-${entryType}-${stamp}.${format}`);
+    } catch {
+      toast.error("Export failed");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <section className={cardClass}>
+      <h2 className="text-xl font-semibold flex items-center gap-2">
+        <Download size={22} /> Export
+      </h2>
+      <div className="flex flex-wrap gap-3">
+        <select
+          value={entryType}
+          onChange={(e) => {
+            setEntryType(e.target.value);
+            setSelected([]);
+          }}
+          className={inputClass}
+        >
+          <option value="algorithms">Algorithms</option>
+          <option value="data-structures">Data structures</option>
+        </select>
+        <select value={format} onChange={(e) => setFormat(e.target.value)} className={inputClass}>
+          <option value="zip">Zip of Markdown files</option>
+          <option value="json">JSON bundle</option>
+        </select>
+        <button
+          onClick={handleExport}
+          disabled={exporting}
+          className="px-5 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white font-medium disabled:opacity-50"
+        >
+          {exporting
+            ? "Exporting..."
+            : selected.length > 0
+              ? `Export ${selected.length} selected`
+              : "Export all"}
+        </button>
+      </div>
+      <div className="max-h-72 overflow-y-auto rounded-lg border border-gray-200 dark:border-gray-700 divide-y divide-gray-200 dark:divide-gray-700">
+        {entries.map((entry) => (
+          <label
+            key={entry.slug}
+            className="flex items-center gap-3 px-4 py-2 text-sm cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-900"
+          >
+            <input
+              type="checkbox"
+              checked={selected.includes(entry.slug)}
+              onChange={() => toggle(entry.slug)}
+            />
+            <span>{entry.title}</span>
+            <span className="ml-auto text-xs text-gray-500 dark:text-gray-400">
+              {entry.slug}
+            </span>
+          </label>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        Leave everything unticked to export the whole collection.
+      </p>
+    </section>
+  );
+};
+
+const ImportReport = ({ report }) => (
+  <div className="space-y-4">
+    <div className="flex flex-wrap gap-2 text-sm">
+      {report.dryRun && (
+        <span className="px-3 py-1 rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-200 font-medium">
+          Dry run: nothing was saved
+        </span>
+      )}
+      {Object.entries(report.summary).map(([action, count]) => (
+        <span key={action} className={`px-3 py-1 rounded-full ${actionStyles[action]}`}>
+          {count} {action}
+        </span>
+      ))}
+    </div>
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm text-left">
+        <thead className="text-xs uppercase text-gray-500 dark:text-gray-400">
+          <tr>
+            <th className="px-3 py-2">File</th>
+            <th className="px-3 py-2">Entry</th>
+            <th className="px-3 py-2">Result</th>
+            <th className="px-3 py-2">Details</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+          {report.items.map((item) => (
+            <tr key={item.file} className="align-top">
+              <td className="px-3 py-2 font-mono text-xs">{item.file}</td>
+              <td className="px-3 py-2">
+                {item.title || "—"}
+                {item.slug && (
+                  <span className="block text-xs text-gray-500 dark:text-gray-400">
+                    {item.slug}
+                  </span>
+                )}
+              </td>
+              <td className="px-3 py-2">
+                <span className={`px-2 py-0.5 rounded-full text-xs ${actionStyles[item.action]}`}>
+                  {item.action}
+                </span>
+              </td>
+              <td className="px-3 py-2 text-xs">
+                {item.errors.length > 0 ? (
+                  <ul className="list-disc list-inside text-red-600 dark:text-red-400">
+                    {item.errors.map((error) => (
+                      <li key={error}>{error}</li>
+                    ))}
+                  </ul>
+                ) : item.changes.length > 0 ? (
+                  `Changes: ${item.changes.join(", ")}`
+                ) : null}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+const ImportPanel = () => {
+  const dispatch = useDispatch();
+  const { report, importing, error } = useSelector((state) => state.bundle);
+  const [file, setFile] = useState(null);
+
+  useEffect(() => {
+    return () => {
+      dispatch(clearImportReport());
+    };
+  }, [dispatch]);
+
+  const submit = async (dryRun) => {
+    const isJson = file.name.toLowerCase().endsWith(".json");
+    try {
+      const content = await readFile(file, isJson);
+      const result = await dispatch(
+        runImport({ format: isJson ? "json" : "zip", content, dryRun })
+      ).unwrap();
+      if (!dryRun) {
+        toast.success(
+          `Imported: ${result.summary.create} created, ${result.summary.update} updated`
+        );
+      }
+    } catch (err) {
+      toast.error(err?.message || err);
+    }
+  };
+
+  const canApply =
+    report?.dryRun &&
+    report.summary.create + report.summary.update > 0;
+
+  return (
+    <section className={cardClass}>
+      <h2 className="text-xl font-semibold flex items-center gap-2">
+        <FileUp size={22} /> Import
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        Upload a zip of Markdown files or a JSON bundle in the export format.
+        Entries are matched to existing ones by slug, then by title. Start with
+        a dry run to see what would change; entries with errors are always
+        skipped.
+      </p>
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          type="file"
+          accept=".zip,.json"
+          onChange={(e) => {
+            setFile(e.target.files[0] || null);
+            dispatch(clearImportReport());
+          }}
+          className="text-sm"
+        />
+        <button
+          onClick={() => submit(true)}
+          disabled={!file || importing}
+          className="px-5 py-2 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 font-medium disabled:opacity-50"
+        >
+          {importing ? "Checking..." : "Dry run"}
+        </button>
+        <button
+          onClick={() => submit(false)}
+          disabled={!canApply || importing}
+          className="px-5 py-2 rounded-lg bg-green-600 hover:bg-green-700 text-white font-medium disabled:opacity-50"
+        >
+          Apply import
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+      {report && <ImportReport report={report} />}
+    </section>
+  );
+};
+
+const AdminImportExport = () => (
+  <div className="max-w-6xl mx-auto px-4 py-10 space-y-8 text-gray-900 dark:text-gray-100">
+    <header>
+      <h1 className="text-3xl font-bold flex items-center gap-3">
+        <PackageOpen size={32} /> Import &amp; Export
+      </h1>
+      <p className="mt-2 text-gray-600 dark:text-gray-300">
+        Sync algorithms and data structures with write-ups kept elsewhere, such
+        as a git repository of Markdown files.
+      </p>
+    </header>
+    <ExportPanel />
+    <ImportPanel />
+  </div>
+);
+
+export default AdminImportExport;
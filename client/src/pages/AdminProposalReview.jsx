@@ -3,17 +3,38 @@ import { useDispatch, useSelector } from "react-redux";
 import {
   fetchProposals,
   reviewExistingProposal,
+  fetchProposalDiff,
+  postThreadComment,
+  resolveProposalConflicts,
 } from "../features/proposal/proposalSlice";
+import { Link } from "react-router-dom";
 import { FileText } from "lucide-react";
 import AlgorithmPreview from "./AlgorithmPreview";
+import { fetchCommentsByParent } from "../features/comment/commentSlice";
 import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
+import ProposalDiff from "../components/review/ProposalDiff";
+import ReviewVotes from "../components/review/ReviewVotes";
+import ReviewThread from "../components/review/ReviewThread";
+import ConflictResolver from "../components/review/ConflictResolver";
+import DuplicateMatches from "../components/review/DuplicateMatches";
 
 const AdminProposalReview = () => {
   const dispatch = useDispatch();
-  const { proposals, loading, error, pages, currentPage, total } = useSelector(
+  const {
+    proposals,
+    loading,
+    error,
+    pages,
+    currentPage,
+    total,
+    diff,
+    diffLoading,
+    diffError,
+  } = useSelector(
     (state) => state.proposal
   );
+  const { user } = useSelector((state) => state.auth);
 
   const [search, setSearch] = useState("");
   const [statusFilter, setStatusFilter] = useState("");
@@ -24,6 +45,8 @@ const AdminProposalReview = () => {
   const [reviewStatus, setReviewStatus] = useState("approved");
   const [reviewComment, setReviewComment] = useState("");
   const [reviewLoading, setReviewLoading] = useState(false);
+  const [view, setView] = useState("changes");
+  const [compareRound, setCompareRound] = useState("");
 
   // Fetch proposals on filter/page changes
   useEffect(() => {
@@ -35,8 +58,42 @@ const AdminProposalReview = () => {
   const toggleExpand = (proposal) => {
     const isAlreadyOpen = expandedProposalId === proposal._id;
     setExpandedProposalId(isAlreadyOpen ? null : proposal._id);
-    setReviewStatus(proposal.status || "pending");
-    setReviewComment(proposal.reviewComment || "");
+    if (!isAlreadyOpen) {
+      setView("changes");
+      setCompareRound("");
+      dispatch(fetchProposalDiff({ slug: proposal.slug }));
+      dispatch(fetchCommentsByParent({ parentType: "Proposal", parentId: proposal._id }));
+    }
+    const ownVote = proposal.reviews?.find(
+      (review) => (review.reviewer?._id || review.reviewer) === user?._id
+    );
+    setReviewStatus(ownVote?.decision === "reject" ? "rejected" : "approved");
+    setReviewComment(ownVote?.comment || "");
+  };
+
+  const handleCompareChange = (proposal, round) => {
+    setCompareRound(round);
+    dispatch(fetchProposalDiff({ slug: proposal.slug, round: round || undefined }));
+  };
+
+  const handleThreadPost = async (proposal, body) => {
+    try {
+      await dispatch(postThreadComment({ slug: proposal.slug, body })).unwrap();
+    } catch (err) {
+      toast.error(`Failed to post comment: ${err}`);
+    }
+  };
+
+  const handleResolve = async (proposal, resolutions) => {
+    try {
+      await dispatch(
+        resolveProposalConflicts({ slug: proposal.slug, resolutions })
+      ).unwrap();
+      toast.success("Resolutions saved.");
+      dispatch(fetchProposalDiff({ slug: proposal.slug }));
+    } catch (err) {
+      toast.error(`Failed to save resolutions: ${err}`);
+    }
   };
 
   const handleReviewSubmit = async (e, proposal) => {
@@ -54,7 +111,9 @@ const AdminProposalReview = () => {
         })
       ).unwrap();
 
-      toast.success("Proposal reviewed successfully.");
+      toast.success(
+        reviewStatus === "changes_requested" ? "Changes requested." : "Vote recorded."
+      );
       setExpandedProposalId(null);
       dispatch(fetchProposals({ page, limit, search, status: statusFilter }));
     } catch (err) {
@@ -137,6 +196,7 @@ const AdminProposalReview = () => {
           >
             <option value="">All Statuses</option>
             <option value="pending">Pending</option>
+            <option value="changes_requested">Changes requested</option>
             <option value="approved">Approved</option>
             <option value="rejected">Rejected</option>
             <option value="merged">Merged</option>
@@ -206,6 +266,17 @@ const AdminProposalReview = () => {
                     <tr className="border-t border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-800 transition">
                       <td className="px-4 py-3 max-w-[150px] truncate">
                         {proposal.title}
+                        {proposal.targetAlgorithm && (
+                          <span className="block text-xs text-indigo-600 dark:text-indigo-400 truncate">
+                            Edit of {proposal.targetAlgorithm.title}
+                          </span>
+                        )}
+                        {proposal.possibleDuplicates?.length > 0 && (
+                          <span className="block text-xs text-amber-600 dark:text-amber-400 truncate">
+                            Possible duplicate (
+                            {Math.round(proposal.possibleDuplicates[0].score * 100)}% similar)
+                          </span>
+                        )}
                       </td>
                       <td className="px-4 py-3 max-w-[120px] truncate">
                         {proposal.contributor?.username || "N/A"}
@@ -223,10 +294,12 @@ const AdminProposalReview = () => {
                               ? "text-red-700 bg-red-100"
                               : proposal.status === "merged"
                               ? "text-blue-700 bg-blue-100"
+                              : proposal.status === "changes_requested"
+                              ? "text-orange-700 bg-orange-100"
                               : "text-yellow-700 bg-yellow-100"
                           }`}
                         >
-                          {proposal.status || "pending"}
+                          {proposal.status?.replace("_", " ") || "pending"}
                         </span>
                       </td>
                       <td className="px-4 py-3">
@@ -247,85 +320,169 @@ const AdminProposalReview = () => {
                     {expandedProposalId === proposal._id && (
                       <tr className="bg-gray-50 dark:bg-gray-800 border-t border-b border-gray-300 dark:border-gray-700">
                         <td colSpan="7" className="p-4">
-                          <AlgorithmPreview algorithm={proposal} />
-
-                          <form
-                            onSubmit={(e) => handleReviewSubmit(e, proposal)}
-                            className="mt-4 space-y-4"
-                          >
-                            <div className="flex items-center gap-4 flex-wrap">
-                              <div className="flex flex-col sm:flex-row sm:items-center gap-2 font-semibold">
-                                <label
-                                  htmlFor="reviewStatus"
-                                  className="text-sm text-gray-800 dark:text-gray-200"
-                                >
-                                  Review Status:
-                                </label>
+                          {proposal.targetAlgorithm && (
+                            <div className="mb-4 p-3 rounded-md bg-indigo-50 dark:bg-indigo-900/20 text-sm text-indigo-800 dark:text-indigo-200">
+                              Edits{" "}
+                              <Link
+                                to={`/algorithms/${proposal.targetAlgorithm.slug}`}
+                                className="font-semibold underline"
+                              >
+                                {proposal.targetAlgorithm.title}
+                              </Link>
+                              . Approving merges only the changed fields:{" "}
+                              {proposal.changedFields?.join(", ") || "none"}.
+                            </div>
+                          )}
+                          <DuplicateMatches matches={proposal.possibleDuplicates} />
+                          <ReviewVotes proposal={proposal} policy={diff?.policy} />
+                          <ReviewThread
+                            proposal={proposal}
+                            onPost={(body) => handleThreadPost(proposal, body)}
+                          />
+                          {diff?.threeWay && !compareRound && (
+                            <ConflictResolver
+                              key={`${proposal._id}-${diff.threeWay.targetRevision}-${diff.threeWay.unresolved.join()}`}
+                              threeWay={diff.threeWay}
+                              target={diff.target}
+                              onResolve={(resolutions) => handleResolve(proposal, resolutions)}
+                            />
+                          )}
+                          <div className="flex items-center gap-2 mb-4">
+                            {["changes", "preview"].map((tab) => (
+                              <button
+                                key={tab}
+                                type="button"
+                                onClick={() => setView(tab)}
+                                className={`px-4 py-1.5 rounded-full text-sm font-medium ${
+                                  view === tab
+                                    ? "bg-blue-600 text-white"
+                                    : "bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200"
+                                }`}
+                              >
+                                {tab === "changes" ? "Changes" : "Preview"}
+                              </button>
+                            ))}
+                            {view === "changes" && proposal.rounds?.length > 1 && (
+                              <select
+                                value={compareRound}
+                                onChange={(e) => handleCompareChange(proposal, e.target.value)}
+                                className="ml-auto p-1.5 text-sm rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-gray-800 dark:text-gray-100"
+                              >
+                                <option value="">
+                                  Compare with {proposal.targetAlgorithm ? "the current entry" : "an empty entry"}
+                                </option>
+                                {proposal.rounds
+                                  .filter((round) => round.number < proposal.round)
+                                  .map((round) => (
+                                    <option key={round.number} value={round.number}>
+                                      Compare with round {round.number}
+                                    </option>
+                                  ))}
+                              </select>
+                            )}
+                          </div>
+                          {view === "changes" ? (
+                            <ProposalDiff
+                              diff={diff}
+                              loading={diffLoading}
+                              error={diffError}
+                            />
+                          ) : (
+                            <AlgorithmPreview
+                              algorithm={proposal}
+                              commentOn={{ parentType: "Proposal", parentId: proposal._id }}
+                            />
+                          )}
 
-                                <div className="relative w-full sm:w-52">
-                                  <select
-                                    id="reviewStatus"
-                                    value={reviewStatus}
-                                    onChange={(e) =>
-                                      setReviewStatus(e.target.value)
-                                    }
-                                    className="appearance-none w-full p-2 pr-8 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-900 text-gray-800 dark:text-gray-100 shadow-sm focus:outline-none focus:ring-2 focus:ring-gray-300 dark:focus:ring-gray-500 focus:border-gray-400 dark:focus:border-gray-500"
+                          {proposal.contributor?._id === user?._id ? (
+                            <p className="mt-4 text-sm text-gray-500 dark:text-gray-400">
+                              You cannot vote on your own proposal.
+                            </p>
+                          ) : (
+                            <form
+                              onSubmit={(e) => handleReviewSubmit(e, proposal)}
+                              className="mt-4 space-y-4"
+                            >
+                              <div className="flex items-center gap-4 flex-wrap">
+                                <div className="flex flex-col sm:flex-row sm:items-center gap-2 font-semibold">
+                                  <label
+                                    htmlFor="reviewStatus"
+                                    className="text-sm text-gray-800 dark:text-gray-200"
                                   >
-                                    <option value="approved">Approve</option>
-                                    <option value="rejected">Reject</option>
-                                    <option value="pending">Pending</option>
-                                  </select>
-                                  <div className="absolute inset-y-0 right-0 flex items-center px-2 pointer-events-none">
-                                    <svg
-                                      className="w-4 h-4 text-gray-500 dark:text-gray-300"
-                                      fill="none"
-                                      stroke="currentColor"
-                                      viewBox="0 0 24 24"
+                                    Decision:
+                                  </label>
+
+                                  <div className="relative w-full sm:w-52">
+                                    <select
+                                      id="reviewStatus"
+                                      value={reviewStatus}
+                                      onChange={(e) =>
+                                        setReviewStatus(e.target.value)
+                                      }
+                                      className="appearance-none w-full p-2 pr-8 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-900 text-gray-800 dark:text-gray-100 shadow-sm focus:outline-none focus:ring-2 focus:ring-gray-300 dark:focus:ring-gray-500 focus:border-gray-400 dark:focus:border-gray-500"
                                     >
-                                      <path
-                                        strokeLinecap="round"
-                                        strokeLinejoin="round"
-                                        strokeWidth={2}
-                                        d="M19 9l-7 7-7-7"
-                                      />
-                                    </svg>
+                                      <option value="approved">
+                                        {proposal.targetAlgorithm
+                                          ? "Approve and merge"
+                                          : "Approve"}
+                                      </option>
+                                      <option value="changes_requested">
+                                      Request changes
+                                    </option>
+                                    <option value="rejected">Reject</option>
+                                    </select>
+                                    <div className="absolute inset-y-0 right-0 flex items-center px-2 pointer-events-none">
+                                      <svg
+                                        className="w-4 h-4 text-gray-500 dark:text-gray-300"
+                                        fill="none"
+                                        stroke="currentColor"
+                                        viewBox="0 0 24 24"
+                                      >
+                                        <path
+                                          strokeLinecap="round"
+                                          strokeLinejoin="round"
+                                          strokeWidth={2}
+                                          d="M19 9l-7 7-7-7"
+                                        />
+                                      </svg>
+                                    </div>
                                   </div>
                                 </div>
                               </div>
-                            </div>
 
-                            <div>
-                              <label className="block font-semibold">
-                                Review Comment:
-                              </label>
-                              <textarea
-                                value={reviewComment}
-                                onChange={(e) =>
-                                  setReviewComment(e.target.value)
-                                }
-                                className="w-full mt-1 p-2 border rounded-md"
-                                rows={4}
-                                placeholder="Optional comment for contributor"
-                              />
-                            </div>
+                              <div>
+                                <label className="block font-semibold">
+                                  Review Comment:
+                                </label>
+                                <textarea
+                                  value={reviewComment}
+                                  onChange={(e) =>
+                                    setReviewComment(e.target.value)
+                                  }
+                                  className="w-full mt-1 p-2 border rounded-md"
+                                  rows={4}
+                                  placeholder="Comment for the contributor (required when requesting changes)"
+                                />
+                              </div>
 
-                            <div className="flex justify-end gap-4">
-                              <button
-                                type="button"
-                                onClick={() => setExpandedProposalId(null)}
-                                className="px-4 py-2 bg-gray-300 rounded hover:bg-gray-400"
-                              >
-                                Cancel
-                              </button>
-                              <button
-                                type="submit"
-                                disabled={reviewLoading}
-                                className="px-6 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
-                              >
-                                Submit Review
-                              </button>
-                            </div>
-                          </form>
+                              <div className="flex justify-end gap-4">
+                                <button
+                                  type="button"
+                                  onClick={() => setExpandedProposalId(null)}
+                                  className="px-4 py-2 bg-gray-300 rounded hover:bg-gray-400"
+                                >
+                                  Cancel
+                                </button>
+                                <button
+                                  type="submit"
+                                  disabled={reviewLoading}
+                                  className="px-6 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                                >
+                                  Submit Vote
+                                </button>
+                              </div>
+                            </form>
+                          )}
                         </td>
                       </tr>
                     )}
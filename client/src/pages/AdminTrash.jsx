@@ -0,0 +1,202 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { RotateCcw, Trash2 } from "lucide-react";
+import { toast } from "react-toastify";
+import { format, formatDistanceToNow } from "date-fns";
+import {
+  fetchTrash,
+  restoreItem,
+  deleteItemForever,
+  purgeExpired,
+} from "../features/trash/trashSlice";
+import Loader from "../components/Loader";
+import Pagination from "./Pagination";
+
+const TYPE_LABELS = {
+  Algorithm: "Algorithm",
+  DataStructure: "Data structure",
+  Proposal: "Algorithm proposal",
+  DataStructureProposal: "Data structure proposal",
+};
+
+const inputClass =
+  "px-3 py-2 rounded-xl bg-white dark:bg-gray-900 text-gray-800 dark:text-white border border-gray-300 dark:border-gray-700";
+
+const AdminTrash = () => {
+  const dispatch = useDispatch();
+  const { items, total, pages, retentionDays, loading } = useSelector(
+    (state) => state.trash
+  );
+  const [type, setType] = useState("");
+  const [currentPage, setCurrentPage] = useState(1);
+  const [purging, setPurging] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchTrash({ type: type || undefined, page: currentPage }));
+  }, [dispatch, type, currentPage]);
+
+  const reload = () => dispatch(fetchTrash({ type: type || undefined, page: currentPage }));
+
+  const handleRestore = (item) => {
+    dispatch(restoreItem({ type: item.type, id: item._id }))
+      .unwrap()
+      .then(({ message }) => toast.success(message))
+      .catch((err) => toast.error(err));
+  };
+
+  const handleDeleteForever = (item) => {
+    if (!window.confirm(`Permanently delete "${item.title}"? This cannot be undone.`)) return;
+    dispatch(deleteItemForever({ type: item.type, id: item._id }))
+      .unwrap()
+      .then(() => toast.success("Permanently deleted"))
+      .catch((err) => toast.error(err));
+  };
+
+  const handlePurge = () => {
+    if (
+      !window.confirm(
+        `Permanently delete everything that has been in the trash for more than ${retentionDays} days?`
+      )
+    ) {
+      return;
+    }
+    setPurging(true);
+    dispatch(purgeExpired())
+      .unwrap()
+      .then(({ message }) => {
+        toast.success(message);
+        reload();
+      })
+      .catch((err) => toast.error(err))
+      .finally(() => setPurging(false));
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-10 space-y-8">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">Trash</h1>
+          {retentionDays !== null && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              Deleted items are kept for {retentionDays} days, then purged for good.
+            </p>
+          )}
+        </div>
+        <button
+          onClick={handlePurge}
+          disabled={purging}
+          className="flex items-center gap-2 bg-red-600 hover:bg-red-700 text-white px-6 py-2 rounded-xl disabled:opacity-50"
+        >
+          <Trash2 size={18} /> {purging ? "Purging..." : "Purge expired items"}
+        </button>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <label htmlFor="trash-type" className="text-sm text-gray-600 dark:text-gray-300">
+          Show
+        </label>
+        <select
+          id="trash-type"
+          value={type}
+          onChange={(e) => {
+            setType(e.target.value);
+            setCurrentPage(1);
+          }}
+          className={inputClass}
+        >
+          <option value="">Everything</option>
+          {Object.entries(TYPE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}s
+            </option>
+          ))}
+        </select>
+        <span className="text-sm text-gray-500 dark:text-gray-400">{total} items</span>
+      </div>
+
+      <div className="overflow-x-auto bg-white dark:bg-gray-800 rounded-xl shadow">
+        <table className="min-w-full text-sm text-left text-gray-600 dark:text-gray-300">
+          <thead className="bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-white text-xs uppercase">
+            <tr>
+              <th className="px-6 py-3">Title</th>
+              <th className="px-6 py-3">Type</th>
+              <th className="px-6 py-3">Deleted by</th>
+              <th className="px-6 py-3">Deleted</th>
+              <th className="px-6 py-3">Purged</th>
+              <th className="px-6 py-3 text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading && items.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="text-center py-6">
+                  <Loader />
+                </td>
+              </tr>
+            ) : items.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="text-center py-6 text-gray-500 dark:text-gray-400">
+                  The trash is empty.
+                </td>
+              </tr>
+            ) : (
+              items.map((item) => (
+                <tr
+                  key={`${item.type}-${item._id}`}
+                  className="border-b border-gray-200 dark:border-gray-700"
+                >
+                  <td className="px-6 py-4">
+                    <span className="font-medium text-gray-900 dark:text-white">{item.title}</span>
+                    {item.author?.username && (
+                      <span className="block text-xs text-gray-500 dark:text-gray-400">
+                        by {item.author.username}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4">{TYPE_LABELS[item.type]}</td>
+                  <td className="px-6 py-4">{item.deletedBy?.username || "Unknown"}</td>
+                  <td className="px-6 py-4">
+                    {item.deletedAt ? (
+                      <span title={format(new Date(item.deletedAt), "PPpp")}>
+                        {formatDistanceToNow(new Date(item.deletedAt), { addSuffix: true })}
+                      </span>
+                    ) : (
+                      "Unknown"
+                    )}
+                  </td>
+                  <td className="px-6 py-4">
+                    {item.purgeAt ? format(new Date(item.purgeAt), "d MMM yyyy") : "Never"}
+                  </td>
+                  <td className="px-6 py-4 text-right space-x-4 whitespace-nowrap">
+                    <button
+                      onClick={() => handleRestore(item)}
+                      className="text-blue-600 hover:text-blue-800"
+                      title="Restore"
+                    >
+                      <RotateCcw size={18} />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteForever(item)}
+                      className="text-red-600 hover:text-red-800"
+                      title="Delete forever"
+                    >
+                      <Trash2 size={18} />
+                    </button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <Pagination
+        currentPage={currentPage}
+        totalPages={pages || 1}
+        onPageChange={(page) => setCurrentPage(page)}
+      />
+    </div>
+  );
+};
+
+export default AdminTrash;
@@ -10,6 +10,7 @@ import { toast } from "react-toastify";
 import ProfileForm from "./ProfileForm";
 import Pagination from "./Pagination";
 import RoleEditModal from "./RoleEditModal";
+import StaffTwoFactorSetting from "../components/account/StaffTwoFactorSetting";
 
 function AdminUsersPage() {
   const dispatch = useDispatch();
@@ -64,6 +65,8 @@ function AdminUsersPage() {
     <div className={`max-w-7xl mx-auto px-4 py-10 ${themeMode === 'dark' ? 'text-white' : 'text-gray-900'}`}>
       <h1 className={`text-4xl font-bold text-center mb-8 ${themeMode === 'dark' ? 'text-white' : 'text-gray-900'}`}>User Management</h1>
 
+      <StaffTwoFactorSetting />
+
       {/* Search & Filters */}
       <form
         onSubmit={(e) => {
@@ -94,6 +97,7 @@ function AdminUsersPage() {
         >
           <option value="">All Roles</option>
           <option value="admin">Admin</option>
+          <option value="reviewer">Reviewer</option>
           <option value="user">User</option>
         </select>
         <button
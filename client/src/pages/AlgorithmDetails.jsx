@@ -8,12 +8,16 @@ import {
 import Loader from "../components/Loader";
 import AlgorithmPreview from "./AlgorithmPreview";
 import CommentSection from "./CommentSection";
+import RelationGraph from "../components/code/RelationGraph";
+import StudyStatus from "../components/progress/StudyStatus";
+import TestCases from "../components/code/TestCases";
 import {
   ArrowLeft,
   ArrowRight,
   ThumbsUp,
   ThumbsDown,
-  Sparkles,
+  PencilLine,
+  History,
 } from "lucide-react";
 import { motion } from "framer-motion";
 import { toast } from "react-toastify";
@@ -139,7 +143,17 @@ const AlgorithmDetail = () => {
       <main className="flex-1 container mx-auto px-4 sm:px-6 lg:px-8 py-8 max-w-7xl space-y-8">
         {/* Algorithm Preview */}
         <section className="bg-white dark:bg-gray-800 p-6 md:p-8 rounded-2xl shadow-lg border border-gray-200/50 dark:border-gray-700/50">
-          <AlgorithmPreview algorithm={algorithm} />
+          <AlgorithmPreview
+            algorithm={algorithm}
+            allowRun
+            showTraces
+            commentOn={{ parentType: "Algorithm", parentId: algorithm._id }}
+          />
+        </section>
+
+        {/* Test Cases Section */}
+        <section className="bg-white dark:bg-gray-800 p-6 md:p-8 rounded-2xl shadow-lg border border-gray-200/50 dark:border-gray-700/50">
+          <TestCases algorithm={algorithm} />
         </section>
 
         {/* Voting and Contribute Section */}
@@ -183,20 +197,43 @@ const AlgorithmDetail = () => {
               </motion.button>
             </div>
 
-            {/* Contribute Button */}
-            <motion.button
-              whileHover={{ scale: 1.05 }}
-              whileTap={{ scale: 0.95 }}
-              onClick={handleContribute}
-              className="flex items-center gap-2 px-6 py-3 rounded-full bg-gradient-to-r from-blue-600 to-blue-700 dark:from-blue-700 dark:to-blue-800 text-white font-medium shadow-lg hover:from-blue-700 hover:to-blue-800 transition-all"
-              aria-label="Contribute to algorithm"
-            >
-              <Sparkles size={20} />
-              <span>Contribute</span>
-            </motion.button>
+            <div className="flex items-center gap-4">
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => navigate(`/algorithms/${algorithm.slug}/history`)}
+                className="flex items-center gap-2 px-6 py-3 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 font-medium shadow-md hover:bg-gray-200 dark:hover:bg-gray-600 transition-all"
+                aria-label="View revision history"
+              >
+                <History size={20} />
+                <span>History</span>
+              </motion.button>
+
+              {/* Propose an Edit Button */}
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={handleContribute}
+                className="flex items-center gap-2 px-6 py-3 rounded-full bg-gradient-to-r from-blue-600 to-blue-700 dark:from-blue-700 dark:to-blue-800 text-white font-medium shadow-lg hover:from-blue-700 hover:to-blue-800 transition-all"
+                aria-label="Propose an edit to this algorithm"
+              >
+                <PencilLine size={20} />
+                <span>Propose an edit</span>
+              </motion.button>
+            </div>
           </div>
         </section>
 
+        {/* Study Progress Section */}
+        <section className="bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-lg border border-gray-200/50 dark:border-gray-700/50">
+          <StudyStatus entryType="algorithms" slug={algorithm.slug} />
+        </section>
+
+        {/* Related Content Section */}
+        <section className="bg-white dark:bg-gray-800 p-6 md:p-8 rounded-2xl shadow-lg border border-gray-200/50 dark:border-gray-700/50">
+          <RelationGraph entryType="algorithms" slug={algorithm.slug} />
+        </section>
+
         {/* Comment Section */}
         <section className="bg-white dark:bg-gray-800 p-6 md:p-8 rounded-2xl shadow-lg border border-gray-200/50 dark:border-gray-700/50">
           <CommentSection
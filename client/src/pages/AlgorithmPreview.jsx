@@ -2,8 +2,14 @@ import { motion } from "framer-motion";
 import AlgorithmInfo from "../components/code/AlgorithmInfo";
 import AlgorithmMetadata from "../components/code/AlgorithmMetadata";
 import CodeDisplay from "../components/code/CodeDisplay";
+import AlgorithmTraces from "../components/code/AlgorithmTraces";
 
-const AlgorithmPreview = ({ algorithm }) => {
+const AlgorithmPreview = ({
+  algorithm,
+  allowRun = false,
+  showTraces = false,
+  commentOn,
+}) => {
   if (!algorithm) {
     return (
       <div className="flex flex-col items-center justify-center py-10 text-gray-500 dark:text-gray-400">
@@ -28,7 +34,12 @@ const AlgorithmPreview = ({ algorithm }) => {
     >
       <AlgorithmInfo algorithm={algorithm} />
       <AlgorithmMetadata algorithm={algorithm} />
-      <CodeDisplay algorithm={algorithm} />
+      <CodeDisplay algorithm={algorithm} allowRun={allowRun} commentOn={commentOn} />
+      {showTraces && algorithm.slug && (
+        <div className="pt-6 border-t border-gray-200 dark:border-gray-700">
+          <AlgorithmTraces algorithm={algorithm} />
+        </div>
+      )}
     </motion.div>
   );
 };
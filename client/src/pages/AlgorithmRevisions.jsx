@@ -0,0 +1,238 @@
+import { useEffect, useState } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  fetchAlgorithmBySlug,
+  fetchAlgorithmRevisions,
+  fetchAlgorithmRevisionDiff,
+  rollbackAlgorithmToRevision,
+} from "../features/algorithm/algorithmSlice";
+import { ArrowLeft, History, RotateCcw, GitCompare } from "lucide-react";
+import { toast } from "react-toastify";
+import Loader from "../components/Loader";
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "—";
+  if (typeof value === "string") return value;
+  return JSON.stringify(value, null, 2);
+};
+
+const changeStyles = {
+  added: "text-green-700 bg-green-100 dark:bg-green-900/30",
+  removed: "text-red-700 bg-red-100 dark:bg-red-900/30",
+  modified: "text-yellow-700 bg-yellow-100 dark:bg-yellow-900/30",
+};
+
+const DiffColumns = ({ before, after }) => (
+  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+    <pre className="p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-sm whitespace-pre-wrap break-words max-h-80 overflow-auto">
+      {formatValue(before)}
+    </pre>
+    <pre className="p-3 rounded-lg bg-green-50 dark:bg-green-900/20 text-sm whitespace-pre-wrap break-words max-h-80 overflow-auto">
+      {formatValue(after)}
+    </pre>
+  </div>
+);
+
+const AlgorithmRevisions = () => {
+  const { slug } = useParams();
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { user } = useSelector((state) => state.auth);
+  const { algorithm, revisions, currentRevision, revisionDiff, revisionsLoading } =
+    useSelector((state) => state.algorithm);
+
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchAlgorithmBySlug(slug));
+    dispatch(fetchAlgorithmRevisions(slug));
+  }, [dispatch, slug]);
+
+  const canRollback =
+    user &&
+    algorithm &&
+    (user.role === "admin" || algorithm.createdBy === user._id);
+
+  const handleCompare = () => {
+    if (!fromVersion || !toVersion) {
+      toast.info("Select two revisions to compare.");
+      return;
+    }
+    dispatch(fetchAlgorithmRevisionDiff({ slug, from: fromVersion, to: toVersion }));
+  };
+
+  const handleRollback = async (version) => {
+    if (!window.confirm(`Roll back "${algorithm?.title}" to revision ${version}?`)) {
+      return;
+    }
+    try {
+      await dispatch(rollbackAlgorithmToRevision({ slug, version })).unwrap();
+      toast.success(`Rolled back to revision ${version}`);
+      dispatch(fetchAlgorithmRevisions(slug));
+    } catch (err) {
+      toast.error(err || "Rollback failed");
+    }
+  };
+
+  if (revisionsLoading && revisions.length === 0) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 py-10 space-y-8 text-gray-900 dark:text-gray-100">
+      <div className="flex items-center justify-between gap-4">
+        <button
+          onClick={() => navigate(`/algorithms/${slug}`)}
+          className="flex items-center gap-2 p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 text-gray-600 dark:text-gray-300 text-sm"
+        >
+          <ArrowLeft size={20} />
+          <span className="hidden md:inline">Back</span>
+        </button>
+        <h1 className="text-2xl md:text-3xl font-bold flex items-center gap-2">
+          <History size={28} /> Revision History
+          {algorithm?.title && (
+            <span className="text-gray-500 dark:text-gray-400 font-medium truncate">
+              · {algorithm.title}
+            </span>
+          )}
+        </h1>
+        <button
+          onClick={handleCompare}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-sm"
+        >
+          <GitCompare size={18} /> Compare
+        </button>
+      </div>
+
+      <div className="overflow-x-auto bg-white dark:bg-gray-800 rounded-xl shadow border border-gray-200 dark:border-gray-700">
+        <table className="min-w-full text-sm text-left text-gray-600 dark:text-gray-300">
+          <thead className="bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-white text-xs uppercase">
+            <tr>
+              <th className="px-4 py-3">From</th>
+              <th className="px-4 py-3">To</th>
+              <th className="px-4 py-3">Revision</th>
+              <th className="px-4 py-3">Action</th>
+              <th className="px-4 py-3">Summary</th>
+              <th className="px-4 py-3">Author</th>
+              <th className="px-4 py-3">Date</th>
+              <th className="px-4 py-3 text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {revisions.length === 0 ? (
+              <tr>
+                <td colSpan="8" className="text-center py-6 text-gray-500">
+                  No revisions recorded yet.
+                </td>
+              </tr>
+            ) : (
+              revisions.map((revision) => (
+                <tr
+                  key={revision._id}
+                  className="border-t border-gray-200 dark:border-gray-700"
+                >
+                  <td className="px-4 py-3">
+                    <input
+                      type="radio"
+                      name="fromVersion"
+                      checked={fromVersion === revision.version}
+                      onChange={() => setFromVersion(revision.version)}
+                    />
+                  </td>
+                  <td className="px-4 py-3">
+                    <input
+                      type="radio"
+                      name="toVersion"
+                      checked={toVersion === revision.version}
+                      onChange={() => setToVersion(revision.version)}
+                    />
+                  </td>
+                  <td className="px-4 py-3 font-semibold text-gray-900 dark:text-white">
+                    #{revision.version}
+                    {revision.version === currentRevision && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs text-blue-700 bg-blue-100 dark:bg-blue-900/30">
+                        current
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 capitalize">{revision.action}</td>
+                  <td className="px-4 py-3">{revision.summary}</td>
+                  <td className="px-4 py-3">
+                    {revision.author?.username || "Unknown"}
+                  </td>
+                  <td className="px-4 py-3">
+                    {new Date(revision.createdAt).toLocaleString()}
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    {canRollback && revision.version !== currentRevision && (
+                      <button
+                        onClick={() => handleRollback(revision.version)}
+                        className="inline-flex items-center gap-1 text-red-600 hover:text-red-800"
+                      >
+                        <RotateCcw size={16} /> Roll back
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {revisionDiff && (
+        <section className="space-y-4">
+          <h2 className="text-xl font-semibold">
+            Changes from #{revisionDiff.from} to #{revisionDiff.to}
+          </h2>
+          {revisionDiff.changes.length === 0 ? (
+            <p className="text-gray-500 dark:text-gray-400">
+              These revisions are identical.
+            </p>
+          ) : (
+            revisionDiff.changes.map((change) => (
+              <div
+                key={change.field}
+                className="bg-white dark:bg-gray-800 p-4 rounded-xl shadow border border-gray-200 dark:border-gray-700 space-y-3"
+              >
+                <div className="flex items-center gap-3">
+                  <h3 className="font-semibold">{change.field}</h3>
+                  <span
+                    className={`px-2 py-0.5 rounded-full text-xs font-semibold ${changeStyles[change.type]}`}
+                  >
+                    {change.type}
+                  </span>
+                </div>
+                {change.languages ? (
+                  change.languages.map((lang) => (
+                    <div key={lang.language} className="space-y-2">
+                      <p className="text-sm font-mono">
+                        {lang.language}{" "}
+                        <span
+                          className={`px-2 py-0.5 rounded-full text-xs font-semibold ${changeStyles[lang.type]}`}
+                        >
+                          {lang.type}
+                        </span>
+                      </p>
+                      <DiffColumns before={lang.before} after={lang.after} />
+                    </div>
+                  ))
+                ) : (
+                  <DiffColumns before={change.before} after={change.after} />
+                )}
+              </div>
+            ))
+          )}
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default AlgorithmRevisions;
@@ -3,12 +3,11 @@ import { useDispatch, useSelector } from "react-redux";
 import {
   fetchCategories,
   fetchAlgorithmsForList,
-  searchAllAlgorithms,
-  setIsSearchingActive,
 } from "../features/algorithm/algorithmSlice";
 import { Link, useNavigate } from "react-router-dom";
-import { ChevronDown, Search, ArrowLeft, ArrowRight, Info } from "lucide-react";
+import { ChevronDown, ArrowLeft, ArrowRight, Info } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
+import GlobalSearchBox from "../components/GlobalSearchBox";
 
 // ✅ Custom Hook — defined OUTSIDE the component
 const usePreserveScroll = () => {
@@ -201,15 +200,12 @@ const Algorithm = () => {
 
   usePreserveScroll();
 
-  const [searchQuery, setSearchQuery] = useState("");
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [expandedCategories, setExpandedCategories] = useState({});
   const [allowMultipleDropdowns, setAllowMultipleDropdowns] = useState(true);
   const [isFilterActive, setIsFilterActive] = useState(false);
   const [selectedDifficulty, setSelectedDifficulty] = useState("");
 
-  const isSearching = searchQuery.trim().length > 0;
-
   useEffect(() => {
     dispatch(fetchCategories());
     dispatch(fetchAlgorithmsForList());
@@ -227,19 +223,6 @@ const Algorithm = () => {
     };
   }, []);
 
-  const handleSearchChange = (e) => {
-    const query = e.target.value;
-    setSearchQuery(query);
-
-    if (query.trim()) {
-      dispatch(setIsSearchingActive(true));
-      dispatch(searchAllAlgorithms({ q: query }));
-    } else {
-      dispatch(setIsSearchingActive(false));
-      dispatch(fetchAlgorithmsForList());
-    }
-  };
-
   const toggleCategory = (category) => {
     setSelectedCategory(selectedCategory === category ? null : category);
 
@@ -331,6 +314,13 @@ const Algorithm = () => {
           step-by-step procedures for solving problems, forming the backbone of
           computer programming and data science.
         </p>
+        <Link
+          to="/learning-paths"
+          className="inline-flex items-center gap-2 mt-4 text-sm font-medium text-blue-600 dark:text-blue-400 hover:underline"
+        >
+          Not sure where to start? Follow a learning path
+          <ArrowRight size={16} />
+        </Link>
       </div>
 
       {/* 🔹 Filters Section */}
@@ -344,18 +334,10 @@ const Algorithm = () => {
 
       {/* Search Bar */}
       <div className="mb-10">
-        <div className="relative max-w-2xl mx-auto">
-          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-            <Search size={20} className="text-gray-500 dark:text-gray-400" />
-          </div>
-          <input
-            type="text"
-            value={searchQuery}
-            onChange={handleSearchChange}
-            placeholder="Search algorithms by name, category, or description..."
-            className="w-full py-3 pl-10 pr-4 rounded-xl bg-white dark:bg-gray-800 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent shadow-sm transition-all"
-          />
-        </div>
+        <GlobalSearchBox
+          type="algorithm"
+          placeholder="Search algorithms by name, category, or description..."
+        />
       </div>
 
       {/* Main Content */}
@@ -367,53 +349,6 @@ const Algorithm = () => {
         <div className="bg-red-100 dark:bg-red-900/20 border border-red-400 dark:border-red-700 text-red-700 dark:text-red-300 px-4 py-3 rounded-lg">
           {error?.message || String(error)}
         </div>
-      ) : isSearching ? (
-        <div className="space-y-6">
-          <h2 className="text-2xl font-semibold text-gray-900 dark:text-white">
-            Search Results {algorithms.length > 0 && `(${algorithms.length})`}
-          </h2>
-
-          {algorithms.length === 0 ? (
-            <div className="text-center py-10">
-              <p className="text-gray-500 dark:text-gray-400 text-lg">
-                No algorithms found matching "{searchQuery}"
-              </p>
-            </div>
-          ) : (
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-              {algorithms.map((algorithm) => (
-                <motion.div
-                  key={algorithm.slug}
-                  initial={{ opacity: 0, y: 10 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  transition={{ duration: 0.3 }}
-                >
-                  <Link
-                    to={`/algorithms/${algorithm.slug}`}
-                    className="block h-full p-6 rounded-xl bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 border border-gray-200 dark:border-gray-700 transition-all shadow-sm hover:shadow-md"
-                  >
-                    <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
-                      {algorithm.title}
-                    </h3>
-                    <div className="flex flex-wrap gap-2 mb-3">
-                      {algorithm.category?.map((cat) => (
-                        <span
-                          key={cat}
-                          className="px-2 py-1 text-xs font-medium rounded-full bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200"
-                        >
-                          {cat}
-                        </span>
-                      ))}
-                    </div>
-                    <p className="text-gray-600 dark:text-gray-400 line-clamp-2">
-                      {algorithm.description || algorithm.intuition}
-                    </p>
-                  </Link>
-                </motion.div>
-              ))}
-            </div>
-          )}
-        </div>
       ) : (
         <div className="space-y-8">
           <h2 className="text-2xl font-semibold text-gray-900 dark:text-white">
@@ -20,6 +20,7 @@ import "katex/dist/katex.min.css";
 import { toast } from "react-toastify";
 import { formatDistanceToNow } from "date-fns";
 import MentionInput from "../components/MentionInput";
+import { isAnchored } from "../utils/codeComments";
 
 export const MarkdownRenderer = ({ children }) => {
   // Process text to convert @mentions to markdown links, but disable @sdeverse links
@@ -123,7 +124,9 @@ const ReplyInput = ({ initialText = "", onCancel, onSubmit }) => {
 
 const CommentSection = ({ parentType, parentId, parentSlug }) => {
   const dispatch = useDispatch();
-  const { comments, loading } = useSelector((state) => state.comment);
+  const { comments: allComments, loading } = useSelector((state) => state.comment);
+  // Comments on lines of code are shown with the code instead
+  const comments = allComments.filter((comment) => !isAnchored(comment));
   const currentUser = useSelector((state) => state.auth.user);
   const [newCommentText, setNewCommentText] = useState("");
   const [replyOpenFor, setReplyOpenFor] = useState(null);
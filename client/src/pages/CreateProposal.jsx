@@ -118,7 +118,7 @@ const CreateProposal = () => {
       navigate("/proposals");
     } catch (err) {
       console.error("Submission failed", err);
-      toast.error("Failed to submit proposal. Please try again.", {
+      toast.error(err?.message || "Failed to submit proposal. Please try again.", {
         position: "top-right",
         autoClose: 3000,
         theme: "colored",
@@ -205,13 +205,19 @@ const CreateProposal = () => {
           
           <div className="text-left">
             <h1 className={`text-4xl md:text-5xl font-extrabold mb-2 leading-tight tracking-tight ${themeMode === 'dark' ? 'text-white' : 'text-gray-900'}`}>
-              {isContribution ? "Propose Algorithm Enhancements" : "Submit a New Algorithm Idea"}
+              {isContribution ? "Propose an Edit" : "Submit a New Algorithm Idea"}
             </h1>
             <p className={`text-xl mt-2 ${themeMode === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
               {isContribution
                 ? `Refine "${algorithm?.title || "an existing algorithm"}"`
                 : "Share your innovative solution with the community"}
             </p>
+            {isContribution && (
+              <p className="text-sm mt-2 text-gray-500">
+                The form starts from the live algorithm. Only the fields you
+                change are merged once a reviewer approves the proposal.
+              </p>
+            )}
           </div>
         </div>
 
@@ -249,6 +255,7 @@ const CreateProposal = () => {
             proposal={formData}
             onSave={handleFormChange}
             mode={mode}
+            detectDuplicates={!isContribution}
           />
         </div>
 
@@ -0,0 +1,131 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, Navigate } from "react-router-dom";
+import {
+  Bookmark,
+  BookOpen,
+  Database,
+  GraduationCap,
+  LayoutDashboard,
+  Workflow,
+} from "lucide-react";
+import { fetchMyProgress } from "../features/progress/progressSlice";
+import { formatDueDate } from "../utils/formatDueDate";
+import ReviewQueue from "../components/progress/ReviewQueue";
+import Loader from "../components/Loader";
+
+const ENTRY_PATHS = { Algorithm: "algorithms", DataStructure: "data-structures" };
+
+const TABS = [
+  { value: "learning", label: "Learning", icon: <BookOpen size={24} />, accent: "text-blue-600 dark:text-blue-400" },
+  { value: "bookmarked", label: "Bookmarked", icon: <Bookmark size={24} />, accent: "text-yellow-600 dark:text-yellow-400" },
+  { value: "mastered", label: "Mastered", icon: <GraduationCap size={24} />, accent: "text-green-600 dark:text-green-400" },
+];
+
+const cardClass =
+  "p-6 rounded-2xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 shadow";
+
+const Dashboard = () => {
+  const dispatch = useDispatch();
+  const { token, user } = useSelector((state) => state.auth);
+  const { items, counts, loading, error } = useSelector((state) => state.progress);
+  const [tab, setTab] = useState("learning");
+
+  useEffect(() => {
+    if (token) dispatch(fetchMyProgress());
+  }, [dispatch, token]);
+
+  if (!token) return <Navigate to="/login" replace />;
+
+  const shown = items.filter((item) => item.status === tab);
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 py-10 space-y-8 text-gray-900 dark:text-gray-100">
+      <header>
+        <h1 className="text-3xl md:text-4xl font-bold flex items-center gap-3">
+          <LayoutDashboard size={36} /> Your dashboard
+        </h1>
+        {user?.username && (
+          <p className="mt-2 text-gray-600 dark:text-gray-300">
+            Welcome back, {user.username}. Here's what to study next.
+          </p>
+        )}
+      </header>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        {TABS.map(({ value, label, icon, accent }) => (
+          <button
+            key={value}
+            onClick={() => setTab(value)}
+            className={`${cardClass} text-left transition-all ${
+              tab === value ? "ring-2 ring-indigo-500" : "hover:shadow-lg"
+            }`}
+          >
+            <span className={accent}>{icon}</span>
+            <p className="mt-3 text-3xl font-bold">{counts[value]}</p>
+            <p className="text-sm text-gray-500 dark:text-gray-400">{label}</p>
+          </button>
+        ))}
+      </div>
+
+      <section className={cardClass}>
+        <ReviewQueue />
+      </section>
+
+      <section className={`${cardClass} space-y-4`}>
+        <h2 className="text-xl font-semibold">
+          {TABS.find((t) => t.value === tab).label}
+        </h2>
+        {loading && items.length === 0 ? (
+          <div className="flex justify-center py-10">
+            <Loader />
+          </div>
+        ) : error ? (
+          <p className="text-red-600 dark:text-red-400">{error}</p>
+        ) : shown.length === 0 ? (
+          <p className="text-gray-500 dark:text-gray-400">
+            Nothing here yet. Use the buttons on any{" "}
+            <Link to="/algorithms" className="text-blue-600 dark:text-blue-400 hover:underline">
+              algorithm
+            </Link>{" "}
+            or{" "}
+            <Link to="/data-structures" className="text-blue-600 dark:text-blue-400 hover:underline">
+              data structure
+            </Link>{" "}
+            page to track it.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {shown.map((item) => (
+              <li key={item._id} className="flex flex-wrap items-center gap-3 py-3">
+                {item.entryType === "Algorithm" ? (
+                  <Workflow size={16} className="text-purple-500" />
+                ) : (
+                  <Database size={16} className="text-teal-500" />
+                )}
+                <Link
+                  to={`/${ENTRY_PATHS[item.entryType]}/${item.entry.slug}`}
+                  className="font-medium text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  {item.entry.title}
+                </Link>
+                {item.entry.difficulty && (
+                  <span className="text-xs text-gray-500 dark:text-gray-400">
+                    {item.entry.difficulty}
+                  </span>
+                )}
+                {item.dueAt && (
+                  <span className="ml-auto text-xs text-gray-500 dark:text-gray-400">
+                    Review {formatDueDate(item.dueAt)}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default Dashboard;
@@ -9,6 +9,8 @@ import {
 import Loader from "../components/Loader";
 import DataStructurePreview from "./DataStructurePreview";
 import CommentSection from "./CommentSection";
+import RelationGraph from "../components/code/RelationGraph";
+import StudyStatus from "../components/progress/StudyStatus";
 import { ArrowLeft, ArrowRight, ThumbsUp, ThumbsDown, Sparkles } from "lucide-react";
 import { motion } from "framer-motion";
 import { toast } from "react-toastify";
@@ -153,7 +155,10 @@ const DataStructureDetail = () => {
       <main className="flex-1 container mx-auto px-4 sm:px-6 lg:px-8 py-8 max-w-7xl space-y-8">
         {/* Data Structure Preview */}
         <section className="bg-white dark:bg-gray-800 p-6 md:p-8 rounded-2xl shadow-lg border border-gray-200/50 dark:border-gray-700/50">
-          <DataStructurePreview dataStructure={dataStructure} />
+          <DataStructurePreview
+            dataStructure={dataStructure}
+            commentOn={{ parentType: "DataStructure", parentId: dataStructure._id }}
+          />
         </section>
 
         {/* Voting and Contribute Section */}
@@ -213,6 +218,16 @@ const DataStructureDetail = () => {
           </div>
         </section>
 
+        {/* Study Progress Section */}
+        <section className="bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-lg border border-gray-200/50 dark:border-gray-700/50">
+          <StudyStatus entryType="data-structures" slug={dataStructure.slug} />
+        </section>
+
+        {/* Related Content Section */}
+        <section className="bg-white dark:bg-gray-800 p-6 md:p-8 rounded-2xl shadow-lg border border-gray-200/50 dark:border-gray-700/50">
+          <RelationGraph entryType="data-structures" slug={dataStructure.slug} />
+        </section>
+
         {/* Comment Section */}
         <section className="bg-white dark:bg-gray-800 p-6 md:p-8 rounded-2xl shadow-lg border border-gray-200/50 dark:border-gray-700/50">
           <CommentSection
@@ -30,7 +30,7 @@ const DataStructureContentBlock = ({ title, content, children }) => {
   );
 };
 
-const DataStructurePreview = ({ dataStructure }) => {
+const DataStructurePreview = ({ dataStructure, commentOn }) => {
   const currentUser = useSelector(selectCurrentUser);
   const isAdmin = currentUser?.role === "admin";
 
@@ -49,7 +49,11 @@ const DataStructurePreview = ({ dataStructure }) => {
         animate={{ opacity: 1, y: 0 }}
         transition={{ duration: 0.2 }}
       >
-        <CodeDisplay algorithm={adaptedAlgorithm} />
+        <CodeDisplay
+          algorithm={adaptedAlgorithm}
+          commentOn={commentOn}
+          commentSection="fullImplementations"
+        />
         
         {isAdmin && (
           <div className="mt-4">
@@ -254,7 +258,11 @@ const DataStructurePreview = ({ dataStructure }) => {
       </DataStructureContentBlock>
 
       {/* Operations */}
-      <DataStructureOperations dataStructure={dataStructure} isAdmin={isAdmin} />
+      <DataStructureOperations
+        dataStructure={dataStructure}
+        isAdmin={isAdmin}
+        commentOn={commentOn}
+      />
 
       {/* Full Implementation */}
       <DataStructureContentBlock title="Full Implementation">
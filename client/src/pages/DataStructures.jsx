@@ -3,12 +3,11 @@ import { useDispatch, useSelector } from "react-redux";
 import {
   fetchDataStructureCategories,
   fetchAllDataStructuresForList,
-  searchAllDataStructures,
-  setIsSearchingActive,
 } from "../features/dataStructure/dataStructureSlice";
 import { Link, useNavigate } from "react-router-dom";
-import { ChevronDown, Search, ArrowLeft, ArrowRight, Info } from "lucide-react";
+import { ChevronDown, ArrowLeft, ArrowRight, Info } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
+import GlobalSearchBox from "../components/GlobalSearchBox";
 
 // ✅ Preserve Scroll Position (same as Algorithm.jsx)
 const usePreserveScroll = () => {
@@ -206,15 +205,12 @@ const DataStructures = () => {
   const navigate = useNavigate();
   usePreserveScroll();
 
-  const [searchQuery, setSearchQuery] = useState("");
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [expandedCategories, setExpandedCategories] = useState({});
   const [allowMultipleDropdowns, setAllowMultipleDropdowns] = useState(true);
   const [isFilterActive, setIsFilterActive] = useState(false);
   const [selectedDifficulty, setSelectedDifficulty] = useState("");
 
-  const isSearching = searchQuery.trim().length > 0;
-
   useEffect(() => {
     dispatch(fetchDataStructureCategories());
     dispatch(fetchAllDataStructuresForList());
@@ -225,19 +221,6 @@ const DataStructures = () => {
     setSelectedCategory(null);
   }, [allowMultipleDropdowns, selectedDifficulty, isFilterActive]);
 
-  const handleSearchChange = (e) => {
-    const query = e.target.value;
-    setSearchQuery(query);
-
-    if (query.trim()) {
-      dispatch(setIsSearchingActive(true));
-      dispatch(searchAllDataStructures({ q: query }));
-    } else {
-      dispatch(setIsSearchingActive(false));
-      dispatch(fetchAllDataStructuresForList());
-    }
-  };
-
   const toggleCategory = (category) => {
     setSelectedCategory(selectedCategory === category ? null : category);
 
@@ -356,21 +339,10 @@ const DataStructures = () => {
 
       {/* Search Bar */}
       <div className="mb-10">
-        <div className="relative max-w-2xl mx-auto">
-          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-            <Search size={20} className="text-gray-500 dark:text-gray-400" />
-          </div>
-          <input
-            type="text"
-            value={searchQuery}
-            onChange={handleSearchChange}
-            placeholder="Search data structures by name, category, or definition..."
-            className="w-full py-3 pl-10 pr-4 rounded-xl bg-white dark:bg-gray-800 
-                       text-gray-900 dark:text-white border border-gray-300 
-                       dark:border-gray-600 focus:outline-none focus:ring-2 
-                       focus:ring-blue-500 focus:border-transparent shadow-sm transition-all"
-          />
-        </div>
+        <GlobalSearchBox
+          type="data-structure"
+          placeholder="Search data structures by name, category, or definition..."
+        />
       </div>
 
       {loading ? (
@@ -382,222 +354,149 @@ const DataStructures = () => {
           {error?.message || String(error)}
         </div>
       ) : (
-        <>
-          {isSearching ? (
-            <div className="space-y-6">
-              <h2 className="text-2xl font-semibold text-gray-900 dark:text-white">
-                Search Results{" "}
-                {dataStructures.length > 0 && `(${dataStructures.length})`}
-              </h2>
-
-              {dataStructures.length === 0 ? (
-                <div className="text-center py-10">
-                  <p className="text-gray-500 dark:text-gray-400 text-lg">
-                    No data structures found matching "{searchQuery}"
-                  </p>
-                </div>
-              ) : (
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                  {dataStructures.map((ds) => (
-                    <motion.div
-                      key={ds.slug}
-                      initial={{ opacity: 0, y: 10 }}
-                      animate={{ opacity: 1, y: 0 }}
-                      transition={{ duration: 0.3 }}
+        <div className="space-y-8">
+          <h2 className="text-2xl font-semibold text-gray-900 dark:text-white">
+            Browse by Category
+          </h2>
+
+          {categories.length === 0 ? (
+            <div className="text-center py-10">
+              <p className="text-gray-500 dark:text-gray-400">
+                No categories available.
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {[...categories]
+                .sort((a, b) => (isFilterActive ? a.localeCompare(b) : 0))
+                .map((category) => {
+                  const filtered = dataStructures.filter((ds) => {
+                    const matchesCategory = ds.category?.includes(category);
+                    const matchesDifficulty =
+                      !selectedDifficulty ||
+                      selectedDifficulty === "All Difficulty" ||
+                      (ds.difficulty &&
+                        ds.difficulty.toLowerCase() ===
+                          selectedDifficulty.toLowerCase());
+
+                    return matchesCategory && matchesDifficulty;
+                  });
+
+                  if (isFilterActive && filtered.length === 0) return null;
+
+                  return (
+                    <div
+                      key={category}
+                      className={`border rounded-xl overflow-hidden shadow-sm transition-all ${
+                        expandedCategories[category]
+                          ? "border-blue-400 dark:border-blue-600"
+                          : "border-gray-200 dark:border-gray-700"
+                      }`}
                     >
-                      <Link
-                        to={`/data-structures/${ds.slug}`}
-                        className="block h-full p-6 rounded-xl bg-white dark:bg-gray-800 
-                                   hover:bg-gray-50 dark:hover:bg-gray-700 
-                                   border border-gray-200 dark:border-gray-700 
-                                   transition-all shadow-sm hover:shadow-md"
+                      <button
+                        onClick={() => toggleCategory(category)}
+                        className="w-full flex justify-between items-center p-4 
+                                   bg-gray-50 dark:bg-gray-800 hover:bg-gray-100 
+                                   dark:hover:bg-gray-700 transition-colors"
                       >
-                        <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
-                          {ds.title}
-                        </h3>
-                        <div className="flex flex-wrap gap-2 mb-2">
-                          {/* 🟩 Difficulty badge */}
-                          {ds.difficulty && (
-                            <span
-                              className={`px-2 py-1 text-xs font-medium rounded-full ${
-                                ds.difficulty.toLowerCase() === "easy"
-                                  ? "bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200"
-                                  : ds.difficulty.toLowerCase() === "medium"
-                                  ? "bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200"
-                                  : "bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200"
-                              }`}
-                            >
-                              {ds.difficulty}
-                            </span>
-                          )}
-
-                          {/* 🔵 Tags badges */}
-                          {ds.tags?.map((tag) => (
-                            <span
-                              key={tag}
-                              className="px-2 py-1 text-xs font-medium rounded-full 
-                 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200"
-                            >
-                              {tag}
-                            </span>
-                          ))}
+                        <div className="flex items-center space-x-3">
+                          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+                            {category}
+                          </h3>
+                          <span
+                            className="px-2 py-1 text-xs font-medium rounded-full 
+                                       bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200"
+                          >
+                            {filtered.length}
+                          </span>
                         </div>
-
-                        <p className="text-gray-600 dark:text-gray-400 line-clamp-2">
-                          {ds.definition || "No description available"}
-                        </p>
-                      </Link>
-                    </motion.div>
-                  ))}
-                </div>
-              )}
-            </div>
-          ) : (
-            <div className="space-y-8">
-              <h2 className="text-2xl font-semibold text-gray-900 dark:text-white">
-                Browse by Category
-              </h2>
-
-              {categories.length === 0 ? (
-                <div className="text-center py-10">
-                  <p className="text-gray-500 dark:text-gray-400">
-                    No categories available.
-                  </p>
-                </div>
-              ) : (
-                <div className="space-y-4">
-                  {[...categories]
-                    .sort((a, b) => (isFilterActive ? a.localeCompare(b) : 0))
-                    .map((category) => {
-                      const filtered = dataStructures.filter((ds) => {
-                        const matchesCategory = ds.category?.includes(category);
-                        const matchesDifficulty =
-                          !selectedDifficulty ||
-                          selectedDifficulty === "All Difficulty" ||
-                          (ds.difficulty &&
-                            ds.difficulty.toLowerCase() ===
-                              selectedDifficulty.toLowerCase());
-
-                        return matchesCategory && matchesDifficulty;
-                      });
-
-                      if (isFilterActive && filtered.length === 0) return null;
-
-                      return (
-                        <div
-                          key={category}
-                          className={`border rounded-xl overflow-hidden shadow-sm transition-all ${
-                            expandedCategories[category]
-                              ? "border-blue-400 dark:border-blue-600"
-                              : "border-gray-200 dark:border-gray-700"
-                          }`}
-                        >
-                          <button
-                            onClick={() => toggleCategory(category)}
-                            className="w-full flex justify-between items-center p-4 
-                                       bg-gray-50 dark:bg-gray-800 hover:bg-gray-100 
-                                       dark:hover:bg-gray-700 transition-colors"
+                        <ChevronDown
+                          size={20}
+                          className={`transition-transform ${
+                            expandedCategories[category] ? "rotate-180" : ""
+                          } text-gray-500 dark:text-gray-400`}
+                        />
+                      </button>
+
+                      <AnimatePresence>
+                        {expandedCategories[category] && (
+                          <motion.div
+                            initial={{ opacity: 0, height: 0 }}
+                            animate={{ opacity: 1, height: "auto" }}
+                            exit={{ opacity: 0, height: 0 }}
+                            transition={{ duration: 0.2 }}
+                            className="overflow-hidden"
                           >
-                            <div className="flex items-center space-x-3">
-                              <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
-                                {category}
-                              </h3>
-                              <span
-                                className="px-2 py-1 text-xs font-medium rounded-full 
-                                           bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200"
-                              >
-                                {filtered.length}
-                              </span>
+                            <div className="p-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+                              {filtered.length > 0 ? (
+                                filtered.map((ds) => (
+                                  <motion.div
+                                    key={ds.slug}
+                                    initial={{ opacity: 0 }}
+                                    animate={{ opacity: 1 }}
+                                    transition={{ duration: 0.2 }}
+                                  >
+                                    <Link
+                                      to={`/data-structures/${ds.slug}`}
+                                      className="block p-4 rounded-lg bg-white dark:bg-gray-800 
+                                                 hover:bg-gray-50 dark:hover:bg-gray-700 
+                                                 border border-gray-200 dark:border-gray-700 transition-all"
+                                    >
+                                      <h4 className="font-medium text-gray-900 dark:text-white mb-1">
+                                        {ds.title}
+                                      </h4>
+
+                                      <div className="flex flex-wrap gap-2 mb-2">
+                                        {/* 🟩 Difficulty badge */}
+                                        {ds.difficulty && (
+                                          <span
+                                            className={`px-2 py-1 text-xs font-medium rounded-full ${
+                                              ds.difficulty.toLowerCase() ===
+                                              "easy"
+                                                ? "bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200"
+                                                : ds.difficulty.toLowerCase() ===
+                                                  "medium"
+                                                ? "bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200"
+                                                : "bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200"
+                                            }`}
+                                          >
+                                            {ds.difficulty}
+                                          </span>
+                                        )}
+
+                                        {/* 🔵 Tags badges */}
+                                        {ds.tags?.map((tag) => (
+                                          <span
+                                            key={tag}
+                                            className="px-2 py-1 text-xs font-medium rounded-full 
+             bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200"
+                                          >
+                                            {tag}
+                                          </span>
+                                        ))}
+                                      </div>
+
+                                      <p className="text-sm text-gray-600 dark:text-gray-400 line-clamp-2">
+                                        {ds.definition}
+                                      </p>
+                                    </Link>
+                                  </motion.div>
+                                ))
+                              ) : (
+                                <p className="text-gray-500 dark:text-gray-400 col-span-full py-2">
+                                  No data structures in this category.
+                                </p>
+                              )}
                             </div>
-                            <ChevronDown
-                              size={20}
-                              className={`transition-transform ${
-                                expandedCategories[category] ? "rotate-180" : ""
-                              } text-gray-500 dark:text-gray-400`}
-                            />
-                          </button>
-
-                          <AnimatePresence>
-                            {expandedCategories[category] && (
-                              <motion.div
-                                initial={{ opacity: 0, height: 0 }}
-                                animate={{ opacity: 1, height: "auto" }}
-                                exit={{ opacity: 0, height: 0 }}
-                                transition={{ duration: 0.2 }}
-                                className="overflow-hidden"
-                              >
-                                <div className="p-4 grid grid-cols-1 md:grid-cols-2 gap-3">
-                                  {filtered.length > 0 ? (
-                                    filtered.map((ds) => (
-                                      <motion.div
-                                        key={ds.slug}
-                                        initial={{ opacity: 0 }}
-                                        animate={{ opacity: 1 }}
-                                        transition={{ duration: 0.2 }}
-                                      >
-                                        <Link
-                                          to={`/data-structures/${ds.slug}`}
-                                          className="block p-4 rounded-lg bg-white dark:bg-gray-800 
-                                                     hover:bg-gray-50 dark:hover:bg-gray-700 
-                                                     border border-gray-200 dark:border-gray-700 transition-all"
-                                        >
-                                          <h4 className="font-medium text-gray-900 dark:text-white mb-1">
-                                            {ds.title}
-                                          </h4>
-
-                                          <div className="flex flex-wrap gap-2 mb-2">
-                                            {/* 🟩 Difficulty badge */}
-                                            {ds.difficulty && (
-                                              <span
-                                                className={`px-2 py-1 text-xs font-medium rounded-full ${
-                                                  ds.difficulty.toLowerCase() ===
-                                                  "easy"
-                                                    ? "bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200"
-                                                    : ds.difficulty.toLowerCase() ===
-                                                      "medium"
-                                                    ? "bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200"
-                                                    : "bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200"
-                                                }`}
-                                              >
-                                                {ds.difficulty}
-                                              </span>
-                                            )}
-
-                                            {/* 🔵 Tags badges */}
-                                            {ds.tags?.map((tag) => (
-                                              <span
-                                                key={tag}
-                                                className="px-2 py-1 text-xs font-medium rounded-full 
-                 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200"
-                                              >
-                                                {tag}
-                                              </span>
-                                            ))}
-                                          </div>
-
-                                          <p className="text-sm text-gray-600 dark:text-gray-400 line-clamp-2">
-                                            {ds.definition}
-                                          </p>
-                                        </Link>
-                                      </motion.div>
-                                    ))
-                                  ) : (
-                                    <p className="text-gray-500 dark:text-gray-400 col-span-full py-2">
-                                      No data structures in this category.
-                                    </p>
-                                  )}
-                                </div>
-                              </motion.div>
-                            )}
-                          </AnimatePresence>
-                        </div>
-                      );
-                    })}
-                </div>
-              )}
+                          </motion.div>
+                        )}
+                      </AnimatePresence>
+                    </div>
+                  );
+                })}
             </div>
           )}
-        </>
+        </div>
       )}
     </motion.div>
   );
@@ -3,7 +3,13 @@ import { useDispatch, useSelector } from "react-redux";
 import { useNavigate, useParams } from "react-router-dom";
 import { DotLoader } from "react-spinners";
 import DataStructureProposalForm from "../components/forms/DataStructureProposalForm";
-import { fetchProposalDetails, saveUpdatedProposal } from "../features/dataStructureProposal/dataStructureProposalSlice";
+import {
+  fetchProposalDetails,
+  saveUpdatedProposal,
+  resubmitExistingProposal,
+} from "../features/dataStructureProposal/dataStructureProposalSlice";
+import { addThreadComment } from "../features/dataStructureProposal/dataStructureProposalAPI";
+import RevisionPanel from "../components/review/RevisionPanel";
 import { fetchDataStructureCategories } from "../features/dataStructure/dataStructureSlice";
 import { toast } from "react-toastify";
 
@@ -89,6 +95,22 @@ const EditDataStructureProposal = () => {
     }
   };
 
+  // Saves the current edits, then starts a new review round
+  const handleResubmit = async (note) => {
+    if (!formRef.current.validate().isValid) {
+      toast.error("Fill in the required fields before resubmitting.");
+      return;
+    }
+    try {
+      await dispatch(saveUpdatedProposal({ slug, proposalData: formData })).unwrap();
+      await dispatch(resubmitExistingProposal({ slug, note })).unwrap();
+      toast.success("Proposal resubmitted for review.");
+      navigate("/proposals");
+    } catch (err) {
+      toast.error(err?.message || err || "Failed to resubmit proposal.");
+    }
+  };
+
   if (dsProposalLoading || categoriesLoading || !formData || dsCategories.length === 0) {
     return (
       <div className="flex justify-center items-center min-h-screen">
@@ -108,6 +130,17 @@ const EditDataStructureProposal = () => {
             Update your data structure proposal details
           </p>
         </div>
+        {(currentProposal.thread?.length > 0 ||
+          currentProposal.status === "changes_requested") && (
+          <div className="p-6 sm:p-8 lg:p-10 border-b border-gray-200 dark:border-gray-700">
+            <RevisionPanel
+              key={currentProposal._id}
+              proposal={currentProposal}
+              postComment={(body) => addThreadComment(slug, body)}
+              onResubmit={handleResubmit}
+            />
+          </div>
+        )}
         <div className="p-6 sm:p-8 lg:p-10">
           <DataStructureProposalForm
             initialData={formData}
@@ -6,7 +6,11 @@ import ProposalForm from "../components/forms/ProposalForm";
 import {
   fetchProposalDetails,
   saveUpdatedProposal,
+  resubmitExistingProposal,
 } from "../features/proposal/proposalSlice";
+import { addThreadComment } from "../features/proposal/proposalAPI";
+import RevisionPanel from "../components/review/RevisionPanel";
+import { toast } from "react-toastify";
 import { fetchCategories } from "../features/algorithm/algorithmSlice";
 import { motion } from "framer-motion";
 import { ChevronLeft } from "lucide-react"; // Importing an icon for a back button
@@ -67,6 +71,20 @@ const EditProposal = () => {
     }
   };
 
+  // Saves the current edits, then starts a new review round
+  const handleResubmit = async (note) => {
+    try {
+      await dispatch(
+        saveUpdatedProposal({ slug, proposalData: formData })
+      ).unwrap();
+      await dispatch(resubmitExistingProposal({ slug, note })).unwrap();
+      toast.success("Proposal resubmitted for review.");
+      navigate("/proposals");
+    } catch (err) {
+      toast.error(err?.message || err || "Failed to resubmit proposal.");
+    }
+  };
+
   const handleCancel = () => {
     navigate(-1); // Go back to the previous page
   };
@@ -136,6 +154,18 @@ const EditProposal = () => {
           ))}
         </div>
 
+        {(currentProposal.thread?.length > 0 ||
+          currentProposal.status === "changes_requested") && (
+          <div className="p-6 md:p-8 lg:p-10 border-b border-gray-100 dark:border-gray-750">
+            <RevisionPanel
+              key={currentProposal._id}
+              proposal={currentProposal}
+              postComment={(body) => addThreadComment(slug, body)}
+              onResubmit={handleResubmit}
+            />
+          </div>
+        )}
+
         {/* Proposal Form Section */}
         <div className="p-6 md:p-8 lg:p-10 bg-gray-25 dark:bg-gray-850"> {/* Lighter background for form */}
           <ProposalForm
@@ -143,6 +173,7 @@ const EditProposal = () => {
             categories={categories}
             onSave={handleFormChange}
             mode={mode}
+            detectDuplicates={!currentProposal.targetAlgorithm}
           />
         </div>
 
@@ -0,0 +1,240 @@
+import { useEffect } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  ArrowLeft,
+  CheckCircle2,
+  Circle,
+  Clock,
+  Database,
+  Pencil,
+  Trash2,
+  Workflow,
+} from "lucide-react";
+import { toast } from "react-toastify";
+import {
+  fetchLearningPath,
+  togglePathItem,
+  deleteExistingLearningPath,
+  clearLearningPath,
+} from "../features/learningPath/learningPathSlice";
+import { formatEffort } from "../utils/formatEffort";
+import Loader from "../components/Loader";
+
+const ENTRY_PATHS = { Algorithm: "algorithms", DataStructure: "data-structures" };
+
+const LearningPathDetail = () => {
+  const { slug } = useParams();
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { user } = useSelector((state) => state.auth);
+  const { path, loading, error } = useSelector((state) => state.learningPath);
+
+  useEffect(() => {
+    dispatch(fetchLearningPath(slug));
+    return () => {
+      dispatch(clearLearningPath());
+    };
+  }, [dispatch, slug, user]);
+
+  if (loading && !path) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader />
+      </div>
+    );
+  }
+
+  if (error && !path) {
+    return (
+      <div className="max-w-xl mx-auto py-20 text-center text-red-600 dark:text-red-400">
+        {error}
+      </div>
+    );
+  }
+
+  if (!path) return null;
+
+  const canEdit =
+    user && (user.role === "admin" || path.createdBy?._id === user._id);
+  const percent = path.itemCount
+    ? Math.round((path.completedCount / path.itemCount) * 100)
+    : 0;
+
+  const handleToggle = (item) => {
+    dispatch(
+      togglePathItem({ slug, itemId: item._id, completed: !item.completed })
+    )
+      .unwrap()
+      .catch((err) => toast.error(err));
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the learning path "${path.title}"?`)) return;
+    try {
+      await dispatch(deleteExistingLearningPath(slug)).unwrap();
+      toast.success("Learning path deleted");
+      navigate("/learning-paths");
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 py-10 space-y-8 text-gray-900 dark:text-gray-100">
+      <div className="flex items-center justify-between gap-4">
+        <button
+          onClick={() => navigate("/learning-paths")}
+          className="flex items-center gap-2 p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 text-gray-600 dark:text-gray-300 text-sm"
+        >
+          <ArrowLeft size={20} />
+          <span className="hidden md:inline">All paths</span>
+        </button>
+        {canEdit && (
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => navigate(`/learning-paths/${slug}/edit`)}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-sm"
+            >
+              <Pencil size={16} /> Edit
+            </button>
+            <button
+              onClick={handleDelete}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-red-600 hover:bg-red-700 text-white text-sm"
+            >
+              <Trash2 size={16} /> Delete
+            </button>
+          </div>
+        )}
+      </div>
+
+      <header className="space-y-3">
+        <h1 className="text-3xl md:text-4xl font-bold">{path.title}</h1>
+        {path.description && (
+          <p className="text-gray-600 dark:text-gray-300 text-lg">
+            {path.description}
+          </p>
+        )}
+        <div className="flex flex-wrap gap-4 text-sm text-gray-500 dark:text-gray-400">
+          <span>{path.level}</span>
+          <span>
+            {path.sectionCount} sections · {path.itemCount} entries
+          </span>
+          <span className="flex items-center gap-1">
+            <Clock size={14} /> {formatEffort(path.totalEffortMinutes)}
+          </span>
+          {path.createdBy?.username && (
+            <span>
+              Curated by{" "}
+              <Link
+                to={`/profile/${path.createdBy.username}`}
+                className="text-blue-600 dark:text-blue-400 hover:underline"
+              >
+                {path.createdBy.username}
+              </Link>
+            </span>
+          )}
+        </div>
+      </header>
+
+      {user ? (
+        <div className="p-5 rounded-2xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 shadow">
+          <div className="flex justify-between text-sm mb-2">
+            <span className="font-semibold">Your progress</span>
+            <span>
+              {path.completedCount} / {path.itemCount} ({percent}%)
+            </span>
+          </div>
+          <div className="h-3 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+            <div
+              className="h-full bg-green-500 transition-all duration-500"
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          <Link to="/login" className="text-blue-600 dark:text-blue-400 hover:underline">
+            Log in
+          </Link>{" "}
+          to track your progress through this path.
+        </p>
+      )}
+
+      <ol className="space-y-6">
+        {path.sections.map((section, sectionIndex) => (
+          <li
+            key={section._id}
+            className="p-6 rounded-2xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 shadow space-y-4"
+          >
+            <div>
+              <h2 className="text-xl font-semibold">
+                {sectionIndex + 1}. {section.title}
+              </h2>
+              {section.description && (
+                <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                  {section.description}
+                </p>
+              )}
+            </div>
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {section.items.map((item) => (
+                <li key={item._id} className="flex items-start gap-3 py-3">
+                  {user && (
+                    <button
+                      onClick={() => handleToggle(item)}
+                      className={
+                        item.completed
+                          ? "text-green-600 dark:text-green-400"
+                          : "text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                      }
+                      aria-label={item.completed ? "Mark as not done" : "Mark as done"}
+                    >
+                      {item.completed ? <CheckCircle2 size={22} /> : <Circle size={22} />}
+                    </button>
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <div className="flex flex-wrap items-center gap-2">
+                      {item.entryType === "Algorithm" ? (
+                        <Workflow size={16} className="text-purple-500" />
+                      ) : (
+                        <Database size={16} className="text-teal-500" />
+                      )}
+                      {item.missing ? (
+                        <span className="text-gray-400 line-through">{item.title}</span>
+                      ) : (
+                        <Link
+                          to={`/${ENTRY_PATHS[item.entryType]}/${item.slug}`}
+                          className="font-medium text-blue-600 dark:text-blue-400 hover:underline"
+                        >
+                          {item.title}
+                        </Link>
+                      )}
+                      {item.difficulty && (
+                        <span className="text-xs text-gray-500 dark:text-gray-400">
+                          {item.difficulty}
+                        </span>
+                      )}
+                      {item.effortMinutes > 0 && (
+                        <span className="ml-auto flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+                          <Clock size={12} /> {formatEffort(item.effortMinutes)}
+                        </span>
+                      )}
+                    </div>
+                    {item.note && (
+                      <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                        {item.note}
+                      </p>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default LearningPathDetail;
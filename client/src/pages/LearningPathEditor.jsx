@@ -0,0 +1,356 @@
+import { useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { ArrowDown, ArrowUp, Plus, Trash2, Route } from "lucide-react";
+import { toast } from "react-toastify";
+import {
+  fetchLearningPath,
+  createNewLearningPath,
+  updateExistingLearningPath,
+  clearLearningPath,
+} from "../features/learningPath/learningPathSlice";
+import { fetchAlgorithmsForList } from "../features/algorithm/algorithmSlice";
+import { fetchAllDataStructuresForList } from "../features/dataStructure/dataStructureSlice";
+import Loader from "../components/Loader";
+
+const inputClass =
+  "w-full p-2.5 text-sm border rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white border-gray-300 dark:border-gray-600 focus:ring-2 focus:ring-indigo-500";
+
+const emptyItem = () => ({
+  entryType: "Algorithm",
+  slug: "",
+  note: "",
+  effortMinutes: 30,
+});
+
+const emptySection = () => ({ title: "", description: "", items: [emptyItem()] });
+
+const toFormState = (path) =>
+  path
+    ? {
+        title: path.title,
+        description: path.description || "",
+        level: path.level,
+        isPublished: path.isPublished !== false,
+        sections: path.sections.map((section) => ({
+          title: section.title,
+          description: section.description || "",
+          items: section.items.map(({ _id, entryType, slug, note, effortMinutes }) => ({
+            _id,
+            entryType,
+            slug,
+            note: note || "",
+            effortMinutes: effortMinutes || 0,
+          })),
+        })),
+      }
+    : {
+        title: "",
+        description: "",
+        level: "Beginner",
+        isPublished: true,
+        sections: [emptySection()],
+      };
+
+const move = (list, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= list.length) return list;
+  const copy = [...list];
+  [copy[index], copy[target]] = [copy[target], copy[index]];
+  return copy;
+};
+
+const LearningPathForm = ({ initialPath }) => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { algorithms } = useSelector((state) => state.algorithm);
+  const { dataStructures } = useSelector((state) => state.dataStructure);
+  const { saving } = useSelector((state) => state.learningPath);
+  const [form, setForm] = useState(() => toFormState(initialPath));
+
+  useEffect(() => {
+    dispatch(fetchAlgorithmsForList());
+    dispatch(fetchAllDataStructuresForList());
+  }, [dispatch]);
+
+  const options = { Algorithm: algorithms, DataStructure: dataStructures };
+
+  const updateSection = (sectionIndex, changes) =>
+    setForm((prev) => ({
+      ...prev,
+      sections: prev.sections.map((section, i) =>
+        i === sectionIndex ? { ...section, ...changes } : section
+      ),
+    }));
+
+  const updateItem = (sectionIndex, itemIndex, changes) =>
+    updateSection(sectionIndex, {
+      items: form.sections[sectionIndex].items.map((item, i) =>
+        i === itemIndex ? { ...item, ...changes } : item
+      ),
+    });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const data = {
+      ...form,
+      sections: form.sections.map((section) => ({
+        ...section,
+        items: section.items.map((item) => ({
+          ...item,
+          effortMinutes: Number(item.effortMinutes) || 0,
+        })),
+      })),
+    };
+
+    try {
+      const saved = initialPath
+        ? await dispatch(
+            updateExistingLearningPath({ slug: initialPath.slug, data })
+          ).unwrap()
+        : await dispatch(createNewLearningPath(data)).unwrap();
+      toast.success(initialPath ? "Learning path updated" : "Learning path created");
+      navigate(`/learning-paths/${saved.slug}`);
+    } catch (err) {
+      toast.error(err);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="max-w-5xl mx-auto px-4 py-10 space-y-8 text-gray-900 dark:text-gray-100"
+    >
+      <h1 className="text-3xl font-bold flex items-center gap-3">
+        <Route size={32} /> {initialPath ? "Edit learning path" : "New learning path"}
+      </h1>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <input
+          value={form.title}
+          onChange={(e) => setForm({ ...form, title: e.target.value })}
+          placeholder="Title, e.g. Graphs from zero"
+          className={`${inputClass} md:col-span-2`}
+          required
+        />
+        <select
+          value={form.level}
+          onChange={(e) => setForm({ ...form, level: e.target.value })}
+          className={inputClass}
+        >
+          <option>Beginner</option>
+          <option>Intermediate</option>
+          <option>Advanced</option>
+        </select>
+      </div>
+      <textarea
+        value={form.description}
+        onChange={(e) => setForm({ ...form, description: e.target.value })}
+        rows={3}
+        placeholder="Who is this path for and what will they be able to do?"
+        className={inputClass}
+      />
+      {initialPath && (
+        <label className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={form.isPublished}
+            onChange={(e) => setForm({ ...form, isPublished: e.target.checked })}
+          />
+          Published
+        </label>
+      )}
+
+      {form.sections.map((section, sectionIndex) => (
+        <section
+          key={sectionIndex}
+          className="p-5 rounded-2xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 shadow space-y-4"
+        >
+          <div className="flex items-center gap-2">
+            <span className="font-semibold">{sectionIndex + 1}.</span>
+            <input
+              value={section.title}
+              onChange={(e) => updateSection(sectionIndex, { title: e.target.value })}
+              placeholder="Section title"
+              className={inputClass}
+              required
+            />
+            <button
+              type="button"
+              onClick={() => setForm({ ...form, sections: move(form.sections, sectionIndex, -1) })}
+              className="p-2 rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+              aria-label="Move section up"
+            >
+              <ArrowUp size={16} />
+            </button>
+            <button
+              type="button"
+              onClick={() => setForm({ ...form, sections: move(form.sections, sectionIndex, 1) })}
+              className="p-2 rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+              aria-label="Move section down"
+            >
+              <ArrowDown size={16} />
+            </button>
+            <button
+              type="button"
+              onClick={() =>
+                setForm({
+                  ...form,
+                  sections: form.sections.filter((_, i) => i !== sectionIndex),
+                })
+              }
+              disabled={form.sections.length === 1}
+              className="p-2 rounded text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 disabled:opacity-30"
+              aria-label="Remove section"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+          <input
+            value={section.description}
+            onChange={(e) => updateSection(sectionIndex, { description: e.target.value })}
+            placeholder="Section description (optional)"
+            className={inputClass}
+          />
+
+          <div className="space-y-3">
+            {section.items.map((item, itemIndex) => (
+              <div
+                key={itemIndex}
+                className="grid grid-cols-1 md:grid-cols-12 gap-2 items-start p-3 rounded-lg bg-gray-50 dark:bg-gray-900"
+              >
+                <select
+                  value={item.entryType}
+                  onChange={(e) =>
+                    updateItem(sectionIndex, itemIndex, {
+                      entryType: e.target.value,
+                      slug: "",
+                    })
+                  }
+                  className={`${inputClass} md:col-span-2`}
+                >
+                  <option value="Algorithm">Algorithm</option>
+                  <option value="DataStructure">Data structure</option>
+                </select>
+                <select
+                  value={item.slug}
+                  onChange={(e) => updateItem(sectionIndex, itemIndex, { slug: e.target.value })}
+                  className={`${inputClass} md:col-span-4`}
+                  required
+                >
+                  <option value="">Select an entry…</option>
+                  {options[item.entryType].map((entry) => (
+                    <option key={entry.slug} value={entry.slug}>
+                      {entry.title}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  value={item.note}
+                  onChange={(e) => updateItem(sectionIndex, itemIndex, { note: e.target.value })}
+                  placeholder="Why this, what to focus on"
+                  className={`${inputClass} md:col-span-3`}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  value={item.effortMinutes}
+                  onChange={(e) =>
+                    updateItem(sectionIndex, itemIndex, { effortMinutes: e.target.value })
+                  }
+                  className={`${inputClass} md:col-span-2`}
+                  aria-label="Estimated effort in minutes"
+                  title="Estimated effort in minutes"
+                />
+                <div className="flex md:col-span-1 justify-end">
+                  <button
+                    type="button"
+                    onClick={() =>
+                      updateSection(sectionIndex, {
+                        items: move(section.items, itemIndex, -1),
+                      })
+                    }
+                    className="p-2 rounded hover:bg-gray-200 dark:hover:bg-gray-700"
+                    aria-label="Move entry up"
+                  >
+                    <ArrowUp size={14} />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() =>
+                      updateSection(sectionIndex, {
+                        items: section.items.filter((_, i) => i !== itemIndex),
+                      })
+                    }
+                    disabled={section.items.length === 1}
+                    className="p-2 rounded text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 disabled:opacity-30"
+                    aria-label="Remove entry"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() =>
+                updateSection(sectionIndex, { items: [...section.items, emptyItem()] })
+              }
+              className="flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:underline"
+            >
+              <Plus size={14} /> Add entry
+            </button>
+          </div>
+        </section>
+      ))}
+
+      <div className="flex flex-wrap justify-between gap-4">
+        <button
+          type="button"
+          onClick={() => setForm({ ...form, sections: [...form.sections, emptySection()] })}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-sm"
+        >
+          <Plus size={16} /> Add section
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-6 py-2 rounded-lg bg-green-600 hover:bg-green-700 text-white font-semibold disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save learning path"}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const LearningPathEditor = () => {
+  const { slug } = useParams();
+  const dispatch = useDispatch();
+  const { path, loading, error } = useSelector((state) => state.learningPath);
+
+  useEffect(() => {
+    if (slug) dispatch(fetchLearningPath(slug));
+    return () => {
+      dispatch(clearLearningPath());
+    };
+  }, [dispatch, slug]);
+
+  if (!slug) return <LearningPathForm />;
+
+  if (error) {
+    return <p className="py-20 text-center text-red-600 dark:text-red-400">{error}</p>;
+  }
+
+  if (loading || !path) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader />
+      </div>
+    );
+  }
+
+  return <LearningPathForm key={path._id} initialPath={path} />;
+};
+
+export default LearningPathEditor;
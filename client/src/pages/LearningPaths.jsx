@@ -0,0 +1,115 @@
+import { useEffect } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { Route, Plus, Clock, Layers } from "lucide-react";
+import { fetchLearningPaths } from "../features/learningPath/learningPathSlice";
+import { formatEffort } from "../utils/formatEffort";
+import Loader from "../components/Loader";
+
+const levelStyles = {
+  Beginner: "bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300",
+  Intermediate: "bg-yellow-100 text-yellow-700 dark:bg-yellow-900/40 dark:text-yellow-300",
+  Advanced: "bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300",
+};
+
+const LearningPaths = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { user } = useSelector((state) => state.auth);
+  const { paths, canCreate, loading, error } = useSelector(
+    (state) => state.learningPath
+  );
+
+  useEffect(() => {
+    dispatch(fetchLearningPaths());
+  }, [dispatch, user]);
+
+  return (
+    <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-8 max-w-7xl text-gray-900 dark:text-gray-100">
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-10">
+        <div>
+          <h1 className="text-3xl sm:text-4xl md:text-5xl font-bold mb-4 flex items-center gap-3">
+            <Route size={40} /> Learning Paths
+          </h1>
+          <p className="text-base sm:text-lg text-gray-600 dark:text-gray-300 max-w-3xl">
+            Curated roadmaps that put algorithms and data structures in the
+            order you should study them.
+          </p>
+        </div>
+        {canCreate && (
+          <button
+            onClick={() => navigate("/learning-paths/new")}
+            className="flex items-center gap-2 px-5 py-2.5 rounded-lg bg-blue-600 hover:bg-blue-700 text-white font-medium shadow"
+          >
+            <Plus size={18} /> New path
+          </button>
+        )}
+      </div>
+
+      {loading && paths.length === 0 ? (
+        <div className="flex justify-center py-20">
+          <Loader />
+        </div>
+      ) : error ? (
+        <p className="text-red-600 dark:text-red-400">{error}</p>
+      ) : paths.length === 0 ? (
+        <p className="text-gray-500 dark:text-gray-400">
+          No learning paths have been published yet.
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {paths.map((path) => {
+            const percent = path.itemCount
+              ? Math.round(((path.completedCount || 0) / path.itemCount) * 100)
+              : 0;
+            return (
+              <Link
+                key={path._id}
+                to={`/learning-paths/${path.slug}`}
+                className="flex flex-col gap-4 p-6 rounded-2xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 shadow hover:shadow-lg transition-all"
+              >
+                <div className="flex items-start justify-between gap-3">
+                  <h2 className="text-xl font-semibold">{path.title}</h2>
+                  <span
+                    className={`px-3 py-1 rounded-full text-xs font-medium whitespace-nowrap ${levelStyles[path.level]}`}
+                  >
+                    {path.level}
+                  </span>
+                </div>
+                {path.description && (
+                  <p className="text-sm text-gray-600 dark:text-gray-400 line-clamp-3">
+                    {path.description}
+                  </p>
+                )}
+                <div className="mt-auto flex flex-wrap gap-4 text-xs text-gray-500 dark:text-gray-400">
+                  <span className="flex items-center gap-1">
+                    <Layers size={14} /> {path.sectionCount} sections ·{" "}
+                    {path.itemCount} entries
+                  </span>
+                  <span className="flex items-center gap-1">
+                    <Clock size={14} /> {formatEffort(path.totalEffortMinutes)}
+                  </span>
+                </div>
+                {user && path.completedCount !== undefined && (
+                  <div>
+                    <div className="h-2 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                      <div
+                        className="h-full bg-green-500 transition-all"
+                        style={{ width: `${percent}%` }}
+                      />
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                      {percent}% complete
+                    </p>
+                  </div>
+                )}
+              </Link>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LearningPaths;
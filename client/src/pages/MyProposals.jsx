@@ -95,8 +95,8 @@ const MyProposals = () => {
 
   const handleEdit = (proposal, type) => {
     const path = type === "data-structure"
-      ? `/data-structure-proposals/${proposal.slug}/edit`
-      : `/proposals/${proposal.slug}/edit`;
+      ? `/data-structures/proposals/${proposal.slug}/edit`
+      : `/algorithms/proposals/${proposal.slug}/edit`;
     navigate(path);
   };
 
@@ -108,6 +108,8 @@ const MyProposals = () => {
         return "text-red-700 bg-red-100 dark:bg-red-900/30";
       case "merged":
         return "text-blue-700 bg-blue-100 dark:bg-blue-900/30";
+      case "changes_requested":
+        return "text-orange-700 bg-orange-100 dark:bg-orange-900/30";
       case "pending":
       default:
         return "text-yellow-700 bg-yellow-100 dark:bg-yellow-900/30";
@@ -219,9 +221,10 @@ const MyProposals = () => {
           >
             <option value="">All Statuses</option>
             <option value="pending">Pending</option>
+            <option value="changes_requested">Changes requested</option>
             <option value="approved">Approved</option>
             <option value="rejected">Rejected</option>
-            {activeTab === "data-structure" && <option value="merged">Merged</option>}
+            <option value="merged">Merged</option>
           </select>
         </div>
       </motion.div>
@@ -384,6 +387,11 @@ const MyProposals = () => {
                     >
                       {proposal.title}
                     </div>
+                    {proposal.targetAlgorithm && (
+                      <div className="text-xs text-indigo-600 dark:text-indigo-400 truncate max-w-[200px]">
+                        Edit of {proposal.targetAlgorithm.title}
+                      </div>
+                    )}
                     <Tooltip id={`title-tooltip-${proposal._id}`} place="top" />
                   </div>
 
@@ -416,11 +424,22 @@ const MyProposals = () => {
                         proposal.status
                       )}`}
                       data-tooltip-id={`status-tooltip-${proposal._id}`}
-                      data-tooltip-content={proposal.status || "pending"}
+                      data-tooltip-content={
+                        proposal.status === "changes_requested"
+                          ? "Reviewers asked for changes. Edit the proposal and resubmit it."
+                          : proposal.status || "pending"
+                      }
                     >
-                      {proposal.status || "pending"}
+                      {proposal.status?.replace("_", " ") || "pending"}
                     </span>
                     <Tooltip id={`status-tooltip-${proposal._id}`} place="top" />
+                    {proposal.status === "pending" && proposal.reviews?.length > 0 && (
+                      <div className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        {proposal.reviews.filter((r) => r.decision === "approve").length}
+                        {proposal.requiredApprovals ? ` / ${proposal.requiredApprovals}` : ""}{" "}
+                        approvals
+                      </div>
+                    )}
                   </div>
 
                   <div className="mb-4 md:mb-0">
@@ -0,0 +1,77 @@
+import { useEffect, useRef, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { toast } from "react-toastify";
+import { completeOAuthLogin } from "../features/auth/authSlice";
+import { takeExpectedState } from "../utils/oauthRedirect";
+import Loader from "../components/Loader";
+
+// Where sign-in providers send the browser back to (OAUTH_REDIRECT_URI).
+const OAuthCallback = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const [params] = useSearchParams();
+  const user = useSelector((state) => state.auth.user);
+  const [error, setError] = useState("");
+  const started = useRef(false);
+
+  useEffect(() => {
+    // The state can only be checked once
+    if (started.current) return;
+    started.current = true;
+
+    const finish = async () => {
+      if (params.get("error")) {
+        throw new Error(params.get("error_description") || "Sign-in was cancelled");
+      }
+      const state = params.get("state");
+      if (!takeExpectedState(state)) {
+        throw new Error("This sign-in was not started here. Please try again.");
+      }
+
+      const data = await dispatch(
+        completeOAuthLogin({ code: params.get("code"), state })
+      ).unwrap();
+
+      if (data.linked) {
+        toast.success("Account linked");
+        navigate(user ? `/profile/${user.username}` : "/", { replace: true });
+      } else if (data.twoFactorRequired) {
+        navigate("/login", { replace: true });
+      } else if (data.twoFactorSetupRequired) {
+        toast.warn("Your role requires two-factor authentication. Please set it up.");
+        navigate(`/profile/${data.username}`, { replace: true });
+      } else {
+        toast.success("Login successful!");
+        navigate("/", { replace: true });
+      }
+    };
+
+    finish().catch((err) => setError(err.message || err));
+  }, [dispatch, navigate, params, user]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-indigo-50 via-purple-50 to-pink-50 p-4">
+      <div className="max-w-md w-full bg-white/80 backdrop-blur-lg rounded-2xl shadow-xl p-8 border border-white/30 text-center">
+        {error ? (
+          <>
+            <h2 className="text-2xl font-bold text-indigo-700 mb-4">Sign-in failed</h2>
+            <p className="mb-6 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+              {error}
+            </p>
+            <Link to="/login" className="font-medium text-indigo-600 hover:text-indigo-500">
+              Back to Login
+            </Link>
+          </>
+        ) : (
+          <>
+            <Loader />
+            <p className="mt-4 text-gray-600">Signing you in...</p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OAuthCallback;
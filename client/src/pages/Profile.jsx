@@ -10,6 +10,10 @@ import {
 } from "../features/user/userSlice";
 import { Facebook, Instagram, Loader2 } from "lucide-react";
 import ProfileForm from "./ProfileForm";
+import ReviewQueue from "../components/progress/ReviewQueue";
+import ActiveSessions from "../components/account/ActiveSessions";
+import TwoFactorSettings from "../components/account/TwoFactorSettings";
+import LinkedAccounts from "../components/account/LinkedAccounts";
 
 function formatKey(key) {
   return key
@@ -414,6 +418,26 @@ export default function Profile() {
         actionError={actionError}
         readonly={isViewingOtherUser}
       />
+      {!isViewingOtherUser && (
+        <section className="max-w-7xl mx-auto mt-8 p-6 sm:p-8 rounded-2xl shadow-xl border bg-white dark:bg-gray-900 border-gray-200 dark:border-gray-800">
+          <ReviewQueue limit={5} />
+        </section>
+      )}
+      {!isViewingOtherUser && authUser && (
+        <section className="max-w-7xl mx-auto mt-8 p-6 sm:p-8 rounded-2xl shadow-xl border bg-white dark:bg-gray-900 border-gray-200 dark:border-gray-800">
+          <TwoFactorSettings />
+        </section>
+      )}
+      {!isViewingOtherUser && authUser && (
+        <section className="max-w-7xl mx-auto mt-8 p-6 sm:p-8 rounded-2xl shadow-xl border bg-white dark:bg-gray-900 border-gray-200 dark:border-gray-800 empty:hidden">
+          <LinkedAccounts />
+        </section>
+      )}
+      {!isViewingOtherUser && authUser && (
+        <section className="max-w-7xl mx-auto mt-8 p-6 sm:p-8 rounded-2xl shadow-xl border bg-white dark:bg-gray-900 border-gray-200 dark:border-gray-800">
+          <ActiveSessions />
+        </section>
+      )}
     </div>
   );
 }
\ No newline at end of file
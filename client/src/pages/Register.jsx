@@ -6,6 +6,7 @@ import { motion } from "framer-motion";
 import { Loader2, Eye, EyeOff, ArrowLeft, Check, X } from "lucide-react";
 import SDEverse from "../assets/sdeverse.png";
 import { toast } from "react-toastify";
+import OAuthButtons from "../components/account/OAuthButtons";
 
 const Register = () => {
   const dispatch = useDispatch();
@@ -112,7 +113,7 @@ const Register = () => {
   useEffect(() => {
     if (user) {
       toast.success("Successfully Registered")
-      navigate("/");
+      navigate(user.emailVerified === false ? "/verify-email" : "/");
     } 
   }, [user, navigate]);
 
@@ -346,6 +347,8 @@ const Register = () => {
           </motion.button>
         </form>
 
+        <OAuthButtons />
+
         <div className="mt-8 text-center">
           <p className="text-gray-600">
             Already have an account?{" "}
@@ -1,5 +1,15 @@
 import { useEffect, useState } from "react";
 
+const ROLES = [
+  { value: "user", label: "User", description: "Can contribute and submit proposals." },
+  {
+    value: "reviewer",
+    label: "Reviewer",
+    description: "Can also vote on proposals, but not delete content or manage users.",
+  },
+  { value: "admin", label: "Admin", description: "Full access." },
+];
+
 function RoleEditModal({ isOpen, onClose, onConfirm, user }) {
   const [newRole, setNewRole] = useState("user");
 
@@ -11,8 +21,6 @@ function RoleEditModal({ isOpen, onClose, onConfirm, user }) {
 
   if (!isOpen || !user) return null;
 
-  const isAdmin = newRole === "admin";
-
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-60 px-4">
       <div className="bg-gray-900 rounded-2xl p-6 w-full max-w-sm shadow-xl text-white">
@@ -21,20 +29,30 @@ function RoleEditModal({ isOpen, onClose, onConfirm, user }) {
           Change role for <strong className="text-white">{user.fullName}</strong>
         </p>
 
-        {/* Toggle Switch */}
-        <div className="flex items-center justify-between mb-6">
-          <span className="text-gray-400 font-medium">User</span>
-          <label className="relative inline-flex items-center cursor-pointer">
-            <input
-              type="checkbox"
-              className="sr-only peer"
-              checked={isAdmin}
-              onChange={() => setNewRole(isAdmin ? "user" : "admin")}
-            />
-            <div className="w-14 h-8 bg-gray-600 peer-focus:outline-none peer-focus:ring-2 peer-focus:ring-indigo-500 rounded-full peer peer-checked:bg-indigo-600 transition-all duration-200"></div>
-            <span className="absolute left-1 top-1 w-6 h-6 bg-white rounded-full transition-all duration-200 peer-checked:translate-x-6"></span>
-          </label>
-          <span className="text-gray-400 font-medium">Admin</span>
+        <div className="space-y-2 mb-6">
+          {ROLES.map((role) => (
+            <label
+              key={role.value}
+              className={`flex items-start gap-3 p-3 rounded-lg border cursor-pointer transition ${
+                newRole === role.value
+                  ? "border-indigo-500 bg-indigo-600/20"
+                  : "border-gray-700 hover:bg-gray-800"
+              }`}
+            >
+              <input
+                type="radio"
+                name="role"
+                value={role.value}
+                checked={newRole === role.value}
+                onChange={() => setNewRole(role.value)}
+                className="mt-1 accent-indigo-500"
+              />
+              <span>
+                <span className="block font-medium">{role.label}</span>
+                <span className="block text-sm text-gray-400">{role.description}</span>
+              </span>
+            </label>
+          ))}
         </div>
 
         {/* Buttons */}
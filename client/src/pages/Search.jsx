@@ -0,0 +1,268 @@
+import { useEffect, useRef } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, useSearchParams } from "react-router-dom";
+import { Search as SearchIcon, X } from "lucide-react";
+import { runSearch } from "../features/search/searchSlice";
+import Pagination from "./Pagination";
+import Loader from "../components/Loader";
+
+const FACET_LABELS = {
+  type: "Type",
+  category: "Category",
+  difficulty: "Difficulty",
+  tags: "Tags",
+  languages: "Languages",
+};
+
+const TYPE_LABELS = {
+  algorithm: "Algorithm",
+  "data-structure": "Data structure",
+  "algorithm-proposal": "Algorithm proposal",
+  "data-structure-proposal": "Data structure proposal",
+};
+
+const typeStyles = {
+  algorithm: "bg-purple-100 text-purple-700 dark:bg-purple-900/40 dark:text-purple-300",
+  "data-structure": "bg-teal-100 text-teal-700 dark:bg-teal-900/40 dark:text-teal-300",
+  "algorithm-proposal": "bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300",
+  "data-structure-proposal": "bg-orange-100 text-orange-700 dark:bg-orange-900/40 dark:text-orange-300",
+};
+
+const canReview = (user) => ["admin", "reviewer"].includes(user?.role);
+
+const resultLink = (result, user) => {
+  switch (result.type) {
+    case "algorithm":
+      return `/algorithms/${result.slug}`;
+    case "data-structure":
+      return `/data-structures/${result.slug}`;
+    case "algorithm-proposal":
+      return canReview(user)
+        ? "/admin/proposals/review"
+        : `/algorithms/proposals/${result.slug}/edit`;
+    default:
+      return canReview(user)
+        ? "/admin/data-structures/proposals/review"
+        : `/data-structures/proposals/${result.slug}/edit`;
+  }
+};
+
+const Highlighted = ({ segments }) =>
+  segments.map((segment, i) =>
+    segment.highlight ? (
+      <mark
+        key={i}
+        className="bg-yellow-200 dark:bg-yellow-600/50 text-inherit rounded px-0.5"
+      >
+        {segment.text}
+      </mark>
+    ) : (
+      <span key={i}>{segment.text}</span>
+    )
+  );
+
+const Search = () => {
+  const dispatch = useDispatch();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { user } = useSelector((state) => state.auth);
+  const { results, facets, total, pages, currentPage, loading, error } =
+    useSelector((state) => state.search);
+  const debounce = useRef(null);
+
+  const query = searchParams.get("q") || "";
+  const paramString = searchParams.toString();
+
+  useEffect(() => {
+    dispatch(runSearch(Object.fromEntries(new URLSearchParams(paramString))));
+  }, [dispatch, paramString, user]);
+
+  useEffect(() => () => clearTimeout(debounce.current), []);
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value);
+      else next.delete(key);
+    });
+    if (!("page" in changes)) next.delete("page");
+    setSearchParams(next, { replace: true });
+  };
+
+  const handleQueryChange = (e) => {
+    const value = e.target.value;
+    clearTimeout(debounce.current);
+    debounce.current = setTimeout(() => updateParams({ q: value.trim() }), 300);
+  };
+
+  const selected = (facet) =>
+    (searchParams.get(facet) || "").split(",").filter(Boolean);
+
+  const toggleFacet = (facet, value) => {
+    const current = selected(facet);
+    const next = current.includes(value)
+      ? current.filter((v) => v !== value)
+      : [...current, value];
+    updateParams({ [facet]: next.join(",") });
+  };
+
+  const activeFilters = Object.keys(FACET_LABELS).flatMap((facet) =>
+    selected(facet).map((value) => ({ facet, value }))
+  );
+
+  return (
+    <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-8 max-w-7xl text-gray-900 dark:text-gray-100">
+      <h1 className="text-3xl sm:text-4xl font-bold mb-6">Search</h1>
+
+      <div className="relative max-w-3xl mb-6">
+        <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+          <SearchIcon size={20} className="text-gray-500 dark:text-gray-400" />
+        </div>
+        <input
+          type="search"
+          defaultValue={query}
+          onChange={handleQueryChange}
+          autoFocus
+          placeholder="Search algorithms, data structures and proposals..."
+          className="w-full py-3 pl-10 pr-4 rounded-xl bg-white dark:bg-gray-800 text-gray-900 dark:text-white border border-gray-300 dark:border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent shadow-sm"
+        />
+      </div>
+
+      {activeFilters.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          {activeFilters.map(({ facet, value }) => (
+            <button
+              key={`${facet}:${value}`}
+              onClick={() => toggleFacet(facet, value)}
+              className="flex items-center gap-1 px-3 py-1 rounded-full text-sm bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-200 hover:bg-blue-200 dark:hover:bg-blue-900"
+            >
+              {facet === "type" ? TYPE_LABELS[value] : value}
+              <X size={14} />
+            </button>
+          ))}
+          <button
+            onClick={() =>
+              updateParams(
+                Object.fromEntries(Object.keys(FACET_LABELS).map((f) => [f, ""]))
+              )
+            }
+            className="text-sm text-gray-500 dark:text-gray-400 hover:underline"
+          >
+            Clear all
+          </button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+        <aside className="space-y-6">
+          {Object.entries(FACET_LABELS).map(([facet, label]) =>
+            facets[facet]?.length ? (
+              <div key={facet}>
+                <h2 className="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">
+                  {label}
+                </h2>
+                <ul className="space-y-1 max-h-56 overflow-y-auto pr-1">
+                  {facets[facet].map(({ value, count }) => (
+                    <li key={value}>
+                      <label className="flex items-center gap-2 text-sm cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={selected(facet).includes(value)}
+                          onChange={() => toggleFacet(facet, value)}
+                        />
+                        <span className="truncate">
+                          {facet === "type" ? TYPE_LABELS[value] : value}
+                        </span>
+                        <span className="ml-auto text-xs text-gray-500 dark:text-gray-400">
+                          {count}
+                        </span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ) : null
+          )}
+        </aside>
+
+        <section className="lg:col-span-3 space-y-4">
+          {loading && results.length === 0 ? (
+            <div className="flex justify-center py-20">
+              <Loader />
+            </div>
+          ) : error ? (
+            <p className="text-red-600 dark:text-red-400">{error}</p>
+          ) : results.length === 0 ? (
+            <p className="text-gray-500 dark:text-gray-400 py-10 text-center">
+              {query ? `Nothing matched "${query}".` : "Nothing to show yet."}
+            </p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {total} result{total === 1 ? "" : "s"}
+                {query && ` for "${query}"`}
+              </p>
+              {results.map((result) => (
+                <Link
+                  key={`${result.type}:${result._id}`}
+                  to={resultLink(result, user)}
+                  className="block p-5 rounded-xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 shadow-sm hover:shadow-md transition-all"
+                >
+                  <div className="flex flex-wrap items-center gap-2 mb-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${typeStyles[result.type]}`}>
+                      {TYPE_LABELS[result.type]}
+                    </span>
+                    {result.status && (
+                      <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 dark:bg-gray-700">
+                        {result.status}
+                      </span>
+                    )}
+                    {result.difficulty && (
+                      <span className="text-xs text-gray-500 dark:text-gray-400">
+                        {result.difficulty}
+                      </span>
+                    )}
+                  </div>
+                  <h3 className="text-lg font-semibold">
+                    <Highlighted segments={result.highlights.title} />
+                  </h3>
+                  {result.highlights.snippet.length > 0 && (
+                    <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+                      <Highlighted segments={result.highlights.snippet} />
+                    </p>
+                  )}
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    {result.category.map((cat) => (
+                      <span
+                        key={cat}
+                        className="px-2 py-0.5 text-xs rounded-full bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200"
+                      >
+                        {cat}
+                      </span>
+                    ))}
+                    {result.languages.map((language) => (
+                      <span
+                        key={language}
+                        className="px-2 py-0.5 text-xs rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+                      >
+                        {language}
+                      </span>
+                    ))}
+                  </div>
+                </Link>
+              ))}
+              {pages > 1 && (
+                <Pagination
+                  currentPage={currentPage}
+                  totalPages={pages}
+                  onPageChange={(page) => updateParams({ page: String(page) })}
+                />
+              )}
+            </>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Search;
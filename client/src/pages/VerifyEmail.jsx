@@ -0,0 +1,137 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, Navigate, useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import { Loader2, KeyRound, MailCheck } from "lucide-react";
+import { verifyEmail, resendVerificationEmail } from "../features/auth/authSlice";
+import SDEverse from "../assets/sdeverse.png";
+
+const VerifyEmail = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { token, user } = useSelector((state) => state.auth);
+
+  const [code, setCode] = useState("");
+  const [verifying, setVerifying] = useState(false);
+  const [resending, setResending] = useState(false);
+  const [error, setError] = useState("");
+
+  if (!token) return <Navigate to="/login" replace />;
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError("");
+    setVerifying(true);
+    try {
+      await dispatch(verifyEmail(code)).unwrap();
+      toast.success("Email verified");
+      navigate("/");
+    } catch (err) {
+      setError(err);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const handleResend = async () => {
+    setError("");
+    setResending(true);
+    try {
+      const data = await dispatch(resendVerificationEmail()).unwrap();
+      toast.success(data.message);
+      setCode("");
+    } catch (err) {
+      setError(err);
+    } finally {
+      setResending(false);
+    }
+  };
+
+  const verified = user?.emailVerified !== false;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-indigo-50 via-purple-50 to-pink-50 p-4">
+      <div className="relative z-10 max-w-md w-full bg-white/80 backdrop-blur-lg rounded-2xl shadow-xl p-8 border border-white/30">
+        <div className="text-center mb-6">
+          <img src={SDEverse} alt="SDEverse Logo" className="w-20 h-20 mx-auto object-contain mb-4" />
+          <h2 className="text-3xl font-bold text-indigo-700 mb-2">Verify Your Email</h2>
+          <p className="text-gray-600">
+            {verified
+              ? "Your email address is verified."
+              : `Enter the 6-digit code we sent to ${user?.email || "your email"}`}
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+            {error}
+          </div>
+        )}
+
+        {verified ? (
+          <Link
+            to="/"
+            className="w-full bg-gradient-to-r from-indigo-600 to-purple-600 text-white py-3 rounded-lg font-medium shadow-lg flex items-center justify-center"
+          >
+            <MailCheck className="mr-2 h-5 w-5" />
+            Continue to SDEverse
+          </Link>
+        ) : (
+          <form onSubmit={handleVerify} className="space-y-6">
+            <div className="relative">
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value.replace(/\D/g, "").slice(0, 6))}
+                required
+                maxLength={6}
+                autoComplete="one-time-code"
+                className="w-full px-4 py-3 bg-white rounded-lg border border-gray-300 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 transition text-center text-2xl tracking-widest"
+                placeholder="000000"
+              />
+              <KeyRound className="absolute right-3 top-3 h-5 w-5 text-gray-400" />
+            </div>
+
+            <button
+              type="submit"
+              disabled={verifying || code.length !== 6}
+              className="w-full bg-gradient-to-r from-indigo-600 to-purple-600 text-white py-3 rounded-lg font-medium shadow-lg hover:shadow-indigo-200/50 transition-all duration-300 flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {verifying ? (
+                <>
+                  <Loader2 className="mr-2 h-5 w-5 animate-spin" />
+                  Verifying...
+                </>
+              ) : (
+                <>
+                  <MailCheck className="mr-2 h-5 w-5" />
+                  Verify Email
+                </>
+              )}
+            </button>
+
+            <div className="flex justify-between text-sm">
+              <button
+                type="button"
+                onClick={handleResend}
+                disabled={resending}
+                className="text-indigo-600 hover:text-indigo-500 transition disabled:opacity-50"
+              >
+                {resending ? "Sending..." : "Send a new code"}
+              </button>
+              <Link to="/" className="text-gray-500 hover:text-gray-700">
+                Skip for now
+              </Link>
+            </div>
+            <p className="text-xs text-gray-500 text-center">
+              Codes expire after 5 minutes. Until you verify, you can browse and study but
+              not submit proposals or comments.
+            </p>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
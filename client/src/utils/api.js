@@ -1,16 +1,71 @@
 import axios from 'axios';
+import {
+  getAccessToken,
+  getRefreshToken,
+  storeTokens,
+  clearTokens,
+  AUTH_REFRESHED_EVENT,
+  AUTH_EXPIRED_EVENT,
+} from './authTokens';
 
-const api = axios.create({
-  baseURL: import.meta.env.VITE_BACKEND_URL || 'http://localhost:5000/api',
-});
+const baseURL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:5000/api';
+
+const api = axios.create({ baseURL });
 
 // Automatically attach token (if it exists)
 api.interceptors.request.use((config) => {
-  const token = localStorage.getItem('token'); // or use Redux state if preferred
+  const token = getAccessToken();
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
   }
   return config;
 });
 
+// Requests that must not trigger a refresh themselves
+const NO_REFRESH = ['/auth/login', '/auth/login/2fa', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+let refreshing = null;
+
+const refreshTokens = async () => {
+  const sent = getRefreshToken();
+  try {
+    const { data } = await axios.post(`${baseURL}/auth/refresh`, { refreshToken: sent });
+    storeTokens(data);
+    window.dispatchEvent(new CustomEvent(AUTH_REFRESHED_EVENT, { detail: data.token }));
+  } catch (error) {
+    // Another tab may have refreshed with the same token a moment earlier
+    if (getRefreshToken() !== sent) return;
+    clearTokens();
+    window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+    throw error;
+  }
+};
+
+// An expired access token is refreshed once and the request retried; all
+// requests failing at the same time share one refresh.
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const config = error.config;
+    if (
+      error.response?.status !== 401 ||
+      !config ||
+      config._retried ||
+      NO_REFRESH.includes(config.url) ||
+      !getRefreshToken()
+    ) {
+      throw error;
+    }
+
+    refreshing = refreshing || refreshTokens().finally(() => (refreshing = null));
+    try {
+      await refreshing;
+    } catch {
+      throw error;
+    }
+    config._retried = true;
+    return api(config);
+  }
+);
+
 export default api;
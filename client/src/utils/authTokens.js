@@ -0,0 +1,25 @@
+// The access token (short-lived) and refresh token are kept in
+// localStorage so every tab shares them; utils/api.js refreshes them.
+
+const ACCESS_KEY = "token";
+const REFRESH_KEY = "refreshToken";
+
+export const getAccessToken = () => localStorage.getItem(ACCESS_KEY);
+
+export const getRefreshToken = () => localStorage.getItem(REFRESH_KEY);
+
+export const storeTokens = ({ token, refreshToken }) => {
+  if (token) localStorage.setItem(ACCESS_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken);
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem(ACCESS_KEY);
+  localStorage.removeItem(REFRESH_KEY);
+};
+
+// Fired on window when the tokens change outside of Redux, so the store
+// can follow: "auth:refreshed" with the new access token, "auth:expired"
+// when the session can't be refreshed any more.
+export const AUTH_REFRESHED_EVENT = "auth:refreshed";
+export const AUTH_EXPIRED_EVENT = "auth:expired";
@@ -0,0 +1,41 @@
+// Helpers for comments anchored to lines of code (see CodeWithComments).
+
+// Comments saved before line anchors existed may carry a plain string codeRef
+export const isAnchored = (comment) => Boolean(comment?.codeRef?.section);
+
+const sameLanguage = (a, b) =>
+  String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+/**
+ * Comments on one implementation of a parent, ordered by line.
+ * @param {object} commentOn - { parentType, parentId }
+ * @param {object} anchor - { section, operation, language }
+ */
+export const threadsFor = (comments, commentOn, anchor) =>
+  comments
+    .filter(
+      (comment) =>
+        isAnchored(comment) &&
+        comment.parentType === commentOn.parentType &&
+        String(comment.parentId) === String(commentOn.parentId) &&
+        comment.codeRef.section === anchor.section &&
+        (anchor.section !== "operations" || comment.codeRef.operation === anchor.operation) &&
+        sameLanguage(comment.codeRef.language, anchor.language)
+    )
+    .sort((a, b) => a.codeRef.startLine - b.codeRef.startLine);
+
+// Line number -> "open" | "resolved" for every line a thread covers. A line
+// covered by any open thread counts as open.
+export const commentedLines = (threads) => {
+  const lines = new Map();
+  threads.forEach((thread) => {
+    const state = thread.resolved ? "resolved" : "open";
+    for (let line = thread.codeRef.startLine; line <= thread.codeRef.endLine; line++) {
+      if (lines.get(line) !== "open") lines.set(line, state);
+    }
+  });
+  return lines;
+};
+
+export const lineRangeLabel = ({ startLine, endLine }) =>
+  startLine === endLine ? `line ${startLine}` : `lines ${startLine}-${endLine}`;
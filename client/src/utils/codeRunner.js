@@ -0,0 +1,13 @@
+// Languages the server-side runner accepts (see server/utils/codeRunner.js).
+const RUNNABLE_LANGUAGES = [
+  "javascript",
+  "js",
+  "node",
+  "nodejs",
+  "python",
+  "python3",
+  "py",
+];
+
+export const isRunnableLanguage = (language = "") =>
+  RUNNABLE_LANGUAGES.includes(language.trim().toLowerCase());
@@ -0,0 +1,14 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "today", "tomorrow", "in 5 days", "3 days overdue"
+export const formatDueDate = (date) => {
+  if (!date) return "—";
+  const startOfToday = new Date().setHours(0, 0, 0, 0);
+  const startOfDue = new Date(date).setHours(0, 0, 0, 0);
+  const days = Math.round((startOfDue - startOfToday) / DAY_MS);
+
+  if (days === 0) return "today";
+  if (days === 1) return "tomorrow";
+  if (days > 1) return `in ${days} days`;
+  return days === -1 ? "1 day overdue" : `${-days} days overdue`;
+};
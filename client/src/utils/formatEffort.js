@@ -0,0 +1,7 @@
+export const formatEffort = (minutes = 0) => {
+  if (!minutes) return "—";
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest} min`;
+  return rest ? `${hours} h ${rest} min` : `${hours} h`;
+};
@@ -0,0 +1,17 @@
+// The state of the sign-in we sent the browser off to a provider for. The
+// callback page only accepts a redirect carrying the same state, so nobody
+// can complete a sign-in this tab didn't start.
+
+const KEY = "oauthState";
+
+export const redirectToProvider = ({ authorizationUrl, state }) => {
+  sessionStorage.setItem(KEY, state);
+  window.location.assign(authorizationUrl);
+};
+
+// Returns whether `state` is the one we're waiting for; it can only be used once.
+export const takeExpectedState = (state) => {
+  const expected = sessionStorage.getItem(KEY);
+  sessionStorage.removeItem(KEY);
+  return Boolean(state) && state === expected;
+};
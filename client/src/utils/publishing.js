@@ -0,0 +1,61 @@
+import { format } from "date-fns";
+
+// Publication state of algorithms and data structures as edited in the admin
+// forms: published now, kept as a draft, or scheduled to publish later; any
+// of them can also be scheduled to unpublish.
+
+// <input type="datetime-local"> works in local time without a zone
+const toLocalInput = (date) => (date ? format(new Date(date), "yyyy-MM-dd'T'HH:mm") : "");
+
+export const publishingFormState = (entry = {}) => ({
+  mode: entry.publishAt
+    ? "scheduled"
+    : entry.isPublished === false
+    ? "draft"
+    : "published",
+  publishAt: toLocalInput(entry.publishAt),
+  unpublishAt: toLocalInput(entry.unpublishAt),
+});
+
+// The fields the create/update endpoints expect
+export const publishingPayload = ({ mode, publishAt, unpublishAt }) => ({
+  isPublished: mode === "published",
+  publishAt: mode === "scheduled" && publishAt ? new Date(publishAt).toISOString() : null,
+  unpublishAt: mode !== "draft" && unpublishAt ? new Date(unpublishAt).toISOString() : null,
+});
+
+// Returns a message when the form can't be saved as is
+export const publishingError = ({ mode, publishAt, unpublishAt }) => {
+  if (mode === "scheduled" && !publishAt) return "Pick a publish date and time.";
+  if (mode === "scheduled" && new Date(publishAt) <= new Date()) {
+    return "The publish date must be in the future.";
+  }
+  if (mode !== "draft" && unpublishAt) {
+    if (new Date(unpublishAt) <= new Date()) return "The unpublish date must be in the future.";
+    if (mode === "scheduled" && new Date(unpublishAt) <= new Date(publishAt)) {
+      return "The unpublish date must be after the publish date.";
+    }
+  }
+  return null;
+};
+
+const formatWhen = (date) => format(new Date(date), "EEE d MMM yyyy, HH:mm");
+
+/**
+ * What the admin lists show in their "Scheduled" column.
+ * @returns {{ label: string, detail?: string, tone: "published" | "draft" | "scheduled" }}
+ */
+export const publicationStatus = (entry) => {
+  if (entry.publishAt) {
+    return {
+      label: `Publishes ${formatWhen(entry.publishAt)}`,
+      detail: entry.unpublishAt && `Unpublishes ${formatWhen(entry.unpublishAt)}`,
+      tone: "scheduled",
+    };
+  }
+  if (entry.isPublished === false) return { label: "Draft", tone: "draft" };
+  if (entry.unpublishAt) {
+    return { label: `Unpublishes ${formatWhen(entry.unpublishAt)}`, tone: "scheduled" };
+  }
+  return { label: "Published", tone: "published" };
+};
@@ -1,8 +1,34 @@
 const asyncHandler = require("express-async-handler");
 const Algorithm = require("../models/algorithm.model");
-const Notification = require("../models/notification.model");
-const User = require("../models/user.model");
+const Revision = require("../models/revision.model");
 const generateUniqueSlug = require("../utils/generateUniqueSlug");
+const { recordAudit } = require("../utils/auditLog");
+const {
+  REVISION_FIELDS,
+  recordRevision,
+  diffSnapshots,
+} = require("../utils/revisionHistory");
+const {
+  isRunnableLanguage,
+  sandboxState,
+  isSandboxed,
+  runCode,
+} = require("../utils/codeRunner");
+const { findDuplicates } = require("../utils/duplicateDetection");
+const {
+  hasPublicationInput,
+  resolvePublication,
+  applyPublication,
+  describePublication,
+  publicationState,
+  announceEntry,
+  publicationFilter,
+} = require("../utils/publishing");
+const {
+  resetVerification,
+  scheduleVerification,
+  verifyAlgorithm,
+} = require("../utils/testCaseVerifier");
 
 const { ALGORITHM } = require("../utils/categoryTypes");
 
@@ -18,6 +44,7 @@ const createAlgorithm = asyncHandler(async (req, res) => {
     tags,
     links,
     codes,
+    allowDuplicates,
   } = req.body;
 
   if (!problemStatement) {
@@ -37,6 +64,31 @@ const createAlgorithm = asyncHandler(async (req, res) => {
       .json({ message: `Invalid categories: ${invalid.join(", ")}` });
   }
 
+  // Unique titles don't catch "Kadane's Algorithm" next to "Kadane
+  // Algorithm"; make the admin confirm before adding a likely duplicate.
+  if (!allowDuplicates) {
+    const duplicates = await findDuplicates({ title, problemStatement, tags, codes });
+    if (duplicates.length > 0) {
+      return res.status(409).json({
+        message: "This algorithm looks like one that already exists.",
+        duplicates,
+      });
+    }
+  }
+
+  // Admins can save drafts or schedule publication; otherwise new
+  // algorithms are published right away
+  let publication;
+  try {
+    publication = resolvePublication(
+      { isPublished: true },
+      req.user.role === "admin" ? req.body : {}
+    );
+  } catch (error) {
+    res.status(400);
+    throw error;
+  }
+
   const slug = await generateUniqueSlug(title);
 
   const algorithm = new Algorithm({
@@ -52,7 +104,6 @@ const createAlgorithm = asyncHandler(async (req, res) => {
     links,
     codes,
     createdBy: req.user._id,
-    isPublished: true,
     contributors: [
       {
         user: req.user._id,
@@ -61,27 +112,29 @@ const createAlgorithm = asyncHandler(async (req, res) => {
       },
     ],
   });
+  resetVerification(algorithm);
+  const announce = applyPublication(algorithm, publication, req.user._id);
 
   const createdAlgorithm = await algorithm.save();
+  await recordRevision("Algorithm", createdAlgorithm, {
+    author: req.user._id,
+    action: "create",
+    summary: "Initial creation",
+  });
+  scheduleVerification(createdAlgorithm._id);
 
-  const users = await User.find({}, "_id").lean();
-
-  const notifications = users.map((user) => ({
-    recipient: user._id,
-    sender: req.user._id,
-    type: "new_algorithm",
-    message: `A new algorithm "${title}" has been added.`,
-    link: `/algorithms/${slug}`,
-    read: false,
-  }));
-
-  await Notification.insertMany(notifications);
+  if (announce) {
+    await announceEntry("Algorithm", createdAlgorithm, req.user._id);
+  }
 
   res.status(201).json(createdAlgorithm);
 });
 
 const updateAlgorithm = asyncHandler(async (req, res) => {
-  const algorithm = await Algorithm.findOne({ slug: req.params.slug });
+  const algorithm = await Algorithm.findOne({
+    slug: req.params.slug,
+    isDeleted: { $ne: true },
+  });
 
   if (!algorithm) {
     res.status(404);
@@ -117,6 +170,11 @@ const updateAlgorithm = asyncHandler(async (req, res) => {
   if (explanation && explanation !== algorithm.explanation)
     changes.push("explanation");
 
+  const previousCodes = algorithm.codes.map(({ language, code }) => ({
+    language,
+    code,
+  }));
+
   algorithm.title = title || algorithm.title;
   algorithm.problemStatement = problemStatement || algorithm.problemStatement;
   algorithm.category = category || algorithm.category;
@@ -127,6 +185,25 @@ const updateAlgorithm = asyncHandler(async (req, res) => {
   algorithm.tags = tags || algorithm.tags;
   algorithm.links = links || algorithm.links;
   algorithm.codes = codes || algorithm.codes;
+  const codesChanged = resetVerification(algorithm, previousCodes);
+
+  let announce = false;
+  let publicationChange = null;
+  if (req.user.role === "admin" && hasPublicationInput(req.body)) {
+    let publication;
+    try {
+      publication = resolvePublication(algorithm, req.body);
+    } catch (error) {
+      res.status(400);
+      throw error;
+    }
+    const previous = publicationState(algorithm);
+    announce = applyPublication(algorithm, publication, req.user._id);
+    if (algorithm.isModified(["isPublished", "publishAt", "unpublishAt"])) {
+      changes.push(describePublication(publication));
+      publicationChange = { before: previous, after: publicationState(algorithm) };
+    }
+  }
 
   if (changes.length > 0) {
     algorithm.contributors.push({
@@ -135,21 +212,61 @@ const updateAlgorithm = asyncHandler(async (req, res) => {
       description: `Updated ${changes.join(", ")}`,
     });
   }
+  algorithm.updatedBy = req.user._id;
 
   const updatedAlgorithm = await algorithm.save();
+  await recordRevision("Algorithm", updatedAlgorithm, {
+    author: req.user._id,
+    action: "edit",
+    summary: changes.length ? `Updated ${changes.join(", ")}` : "Saved without text changes",
+  });
+  if (codesChanged) scheduleVerification(updatedAlgorithm._id);
+  if (announce) {
+    await announceEntry("Algorithm", updatedAlgorithm, req.user._id);
+  }
+  if (publicationChange) {
+    await recordAudit(req, {
+      action: "algorithm.publication",
+      target: { type: "Algorithm", id: updatedAlgorithm._id, label: updatedAlgorithm.title },
+      summary: describePublication(publicationChange.after),
+      ...publicationChange,
+    });
+  }
 
   res.json(updatedAlgorithm);
 });
 
+const canManageAttachments = (user, algorithm) =>
+  user &&
+  (user.role === "admin" ||
+    algorithm.createdBy.toString() === user._id.toString());
+
+// Any signed-in user may add code, test cases and traces to what they can
+// see; drafts only take them from their creator and admins.
+const canContributeTo = (user, algorithm) =>
+  isVisibleTo(user, algorithm) || canManageAttachments(user, algorithm);
+
 const addAlgorithmCode = asyncHandler(async (req, res) => {
   const { language, code } = req.body;
 
-  const algorithm = await Algorithm.findOne({ slug: req.params.slug });
+  const algorithm = await Algorithm.findOne({
+    slug: req.params.slug,
+    isDeleted: { $ne: true },
+  });
   if (!algorithm) {
     res.status(404);
     throw new Error("Algorithm not found");
   }
 
+  if (!canContributeTo(req.user, algorithm)) {
+    res.status(404);
+    throw new Error("Algorithm not found");
+  }
+
+  const previousCodes = algorithm.codes.map(({ language, code }) => ({
+    language,
+    code,
+  }));
   const existingCodeIndex = algorithm.codes.findIndex(
     (c) => c.language === language
   );
@@ -159,16 +276,27 @@ const addAlgorithmCode = asyncHandler(async (req, res) => {
   } else {
     algorithm.codes.push({ language, code });
   }
+  resetVerification(algorithm, previousCodes);
+
+  const description = `${
+    existingCodeIndex >= 0 ? "Updated" : "Added"
+  } ${language} implementation`;
 
   algorithm.contributors.push({
     user: req.user._id,
     contributionType: "code",
-    description: `${
-      existingCodeIndex >= 0 ? "Updated" : "Added"
-    } ${language} implementation`,
+    description,
   });
+  algorithm.updatedBy = req.user._id;
 
   const updatedAlgorithm = await algorithm.save();
+  await recordRevision("Algorithm", updatedAlgorithm, {
+    author: req.user._id,
+    action: "code",
+    summary: description,
+  });
+  scheduleVerification(updatedAlgorithm._id);
+
   res.json(updatedAlgorithm);
 });
 
@@ -179,12 +307,13 @@ const getAllAlgorithms = asyncHandler(async (req, res) => {
     search = "",
     category = "",
     difficulty = "",
+    publication = "",
   } = req.query;
 
   const pageNumber = parseInt(page) || 1;
   const limitNumber = parseInt(limit) || 10;
 
-  const filters = {};
+  const filters = { isDeleted: { $ne: true } };
 
   if (category) {
     if (Array.isArray(category)) {
@@ -206,14 +335,18 @@ const getAllAlgorithms = asyncHandler(async (req, res) => {
 
   if (req.user?.role !== "admin") {
     filters.isPublished = true;
+  } else if (publicationFilter(publication)) {
+    Object.assign(filters, publicationFilter(publication));
   }
+  // Lists upcoming changes in the order they will happen
+  const scheduledFirst = req.user?.role === "admin" && publication === "scheduled";
 
   try {
     const total = await Algorithm.countDocuments(filters);
     const algorithms = await Algorithm.find(filters)
       .skip((pageNumber - 1) * limitNumber)
       .limit(limitNumber)
-      .sort({ title: 1 })
+      .sort(scheduledFirst ? { publishAt: 1, unpublishAt: 1 } : { title: 1 })
       .lean();
 
     res.json({
@@ -234,7 +367,7 @@ const getAllAlgorithms = asyncHandler(async (req, res) => {
 const getAlgorithmsForList = asyncHandler(async (req, res) => {
   const { search = "", category = "", difficulty = "" } = req.query;
 
-  const filters = {};
+  const filters = { isDeleted: { $ne: true } };
 
   if (category) {
     filters.category = { $in: [new RegExp(`^${category}$`, "i")] }; // ✅ case-insensitive
@@ -272,13 +405,18 @@ const getAlgorithmsForList = asyncHandler(async (req, res) => {
   }
 });
 
+// Drafts and scheduled algorithms are only visible to admins, on every read
+// path (revisions, contributors, test cases, traces, runs).
+const isVisibleTo = (user, algorithm) =>
+  algorithm.isPublished || user?.role === "admin";
+
 const getAlgorithmBySlug = asyncHandler(async (req, res) => {
-  const algorithm = await Algorithm.findOne({ slug: req.params.slug }).populate(
-    "contributors.user",
-    "username avatarUrl"
-  );
+  const algorithm = await Algorithm.findOne({
+    slug: req.params.slug,
+    isDeleted: { $ne: true },
+  }).populate("contributors.user", "username avatarUrl");
 
-  if (!algorithm) {
+  if (!algorithm || !isVisibleTo(req.user, algorithm)) {
     res.status(404);
     throw new Error("Algorithm not found");
   }
@@ -302,7 +440,10 @@ const getAlgorithmBySlug = asyncHandler(async (req, res) => {
 });
 
 const deleteAlgorithm = asyncHandler(async (req, res) => {
-  const algorithm = await Algorithm.findOne({ slug: req.params.slug });
+  const algorithm = await Algorithm.findOne({
+    slug: req.params.slug,
+    isDeleted: { $ne: true },
+  });
 
   if (!algorithm) {
     res.status(404);
@@ -320,6 +461,12 @@ const deleteAlgorithm = asyncHandler(async (req, res) => {
 
   await algorithm.save();
 
+  await recordAudit(req, {
+    action: "algorithm.delete",
+    target: { type: "Algorithm", id: algorithm._id, label: algorithm.title },
+    before: { slug: algorithm.slug, isPublished: algorithm.isPublished },
+  });
+
   res.json({ message: "Algorithm soft-deleted successfully" });
 });
 
@@ -337,7 +484,10 @@ const voteAlgorithm = asyncHandler(async (req, res) => {
     throw new Error("Invalid vote type. Must be 'upvote' or 'downvote'.");
   }
 
-  const algorithm = await Algorithm.findOne({ slug: req.params.slug });
+  const algorithm = await Algorithm.findOne({
+    slug: req.params.slug,
+    isDeleted: { $ne: true },
+  });
   if (!algorithm) {
     res.status(404);
     throw new Error("Algorithm not found");
@@ -423,7 +573,7 @@ const searchAlgorithms = asyncHandler(async (req, res) => {
     limit = 10,
   } = req.query;
 
-  const filters = {};
+  const filters = { isDeleted: { $ne: true } };
 
   if (q) filters.$text = { $search: q };
 
@@ -444,6 +594,8 @@ const searchAlgorithms = asyncHandler(async (req, res) => {
     filters.tags = { $in: tagList };
   }
 
+  if (req.user?.role !== "admin") filters.isPublished = true;
+
   const total = await Algorithm.countDocuments(filters);
 
   const algorithms = await Algorithm.find(
@@ -464,11 +616,14 @@ const searchAlgorithms = asyncHandler(async (req, res) => {
 });
 
 const getContributors = asyncHandler(async (req, res) => {
-  const item = await Algorithm.findOne({ slug: req.params.slug })
+  const item = await Algorithm.findOne({
+    slug: req.params.slug,
+    isDeleted: { $ne: true },
+  })
     .populate("contributors.user", "username avatarUrl")
-    .select("contributors");
+    .select("contributors isPublished");
 
-  if (!item) {
+  if (!item || !isVisibleTo(req.user, item)) {
     res.status(404);
     throw new Error("Algorithm not found");
   }
@@ -476,6 +631,443 @@ const getContributors = asyncHandler(async (req, res) => {
   res.json(item.contributors);
 });
 
+const findAlgorithmOr404 = async (req, res) => {
+  const algorithm = await Algorithm.findOne({
+    slug: req.params.slug,
+    isDeleted: { $ne: true },
+  });
+  if (!algorithm || !isVisibleTo(req.user, algorithm)) {
+    res.status(404);
+    throw new Error("Algorithm not found");
+  }
+  return algorithm;
+};
+
+const findRevisionOr404 = async (algorithm, version, res) => {
+  const revision = await Revision.findOne({
+    targetType: "Algorithm",
+    targetId: algorithm._id,
+    version: Number(version),
+  }).populate("author", "username avatarUrl");
+
+  if (!revision) {
+    res.status(404);
+    throw new Error(`Revision ${version} not found`);
+  }
+  return revision;
+};
+
+const getAlgorithmRevisions = asyncHandler(async (req, res) => {
+  const algorithm = await findAlgorithmOr404(req, res);
+
+  const revisions = await Revision.find({
+    targetType: "Algorithm",
+    targetId: algorithm._id,
+  })
+    .select("-snapshot")
+    .populate("author", "username avatarUrl")
+    .sort({ version: -1 })
+    .lean();
+
+  res.json({ currentRevision: algorithm.revision, revisions });
+});
+
+const getAlgorithmRevision = asyncHandler(async (req, res) => {
+  const algorithm = await findAlgorithmOr404(req, res);
+  const revision = await findRevisionOr404(algorithm, req.params.version, res);
+
+  res.json(revision);
+});
+
+const diffAlgorithmRevisions = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  if (!from || !to || isNaN(Number(from)) || isNaN(Number(to))) {
+    res.status(400);
+    throw new Error("Query parameters 'from' and 'to' must be revision numbers.");
+  }
+
+  const algorithm = await findAlgorithmOr404(req, res);
+  const [fromRevision, toRevision] = await Promise.all([
+    findRevisionOr404(algorithm, from, res),
+    findRevisionOr404(algorithm, to, res),
+  ]);
+
+  res.json({
+    from: fromRevision.version,
+    to: toRevision.version,
+    changes: diffSnapshots(
+      "Algorithm",
+      fromRevision.snapshot,
+      toRevision.snapshot
+    ),
+  });
+});
+
+const rollbackAlgorithm = asyncHandler(async (req, res) => {
+  const algorithm = await findAlgorithmOr404(req, res);
+
+  if (
+    algorithm.createdBy.toString() !== req.user._id.toString() &&
+    req.user.role !== "admin"
+  ) {
+    res.status(403);
+    throw new Error("Not authorized to roll back this algorithm");
+  }
+
+  const revision = await findRevisionOr404(algorithm, req.params.version, res);
+
+  if (revision.version === algorithm.revision) {
+    res.status(400);
+    throw new Error("Algorithm is already at this revision");
+  }
+
+  const previousCodes = algorithm.codes.map(({ language, code }) => ({
+    language,
+    code,
+  }));
+  REVISION_FIELDS.Algorithm.forEach((field) => {
+    algorithm[field] = revision.snapshot[field];
+  });
+  resetVerification(algorithm, previousCodes);
+
+  const summary = `Rolled back to revision ${revision.version}`;
+  algorithm.contributors.push({
+    user: req.user._id,
+    contributionType: "edit",
+    description: summary,
+  });
+  algorithm.updatedBy = req.user._id;
+
+  const updatedAlgorithm = await algorithm.save();
+  await recordRevision("Algorithm", updatedAlgorithm, {
+    author: req.user._id,
+    action: "rollback",
+    summary,
+    restoredFrom: revision.version,
+  });
+  scheduleVerification(updatedAlgorithm._id);
+
+  res.json(updatedAlgorithm);
+});
+
+const runAlgorithmCode = asyncHandler(async (req, res) => {
+  const { language, stdin = "" } = req.body || {};
+
+  if (!language) {
+    res.status(400);
+    throw new Error("Language is required.");
+  }
+
+  if (typeof stdin !== "string") {
+    res.status(400);
+    throw new Error("Input must be a string.");
+  }
+
+  if (!isRunnableLanguage(language)) {
+    res.status(400);
+    throw new Error(`Running ${language} code is not supported yet.`);
+  }
+
+  const sandbox = sandboxState();
+  if (sandbox === "unavailable") {
+    res.status(503);
+    throw new Error("Running code is unavailable: the code sandbox is not set up on this server");
+  }
+  // Without the sandbox a program can reach the server's files and secrets
+  if (sandbox === "unsandboxed" && req.user.role !== "admin") {
+    res.status(403);
+    throw new Error("Running code is disabled on this server");
+  }
+
+  const algorithm = await Algorithm.findOne({
+    slug: req.params.slug,
+    isDeleted: { $ne: true },
+  })
+    .select("codes isPublished")
+    .lean();
+  if (!algorithm || !isVisibleTo(req.user, algorithm)) {
+    res.status(404);
+    throw new Error("Algorithm not found");
+  }
+
+  const implementation = algorithm.codes.find((c) => c.language === language);
+  if (!implementation) {
+    res.status(404);
+    throw new Error(`No ${language} implementation found for this algorithm`);
+  }
+
+  try {
+    const result = await runCode({
+      language,
+      code: implementation.code,
+      stdin,
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(400);
+    throw error;
+  }
+});
+
+const findTestCaseOr404 = (algorithm, testCaseId, res) => {
+  const testCase = algorithm.testCases.id(testCaseId);
+  if (!testCase) {
+    res.status(404);
+    throw new Error("Test case not found");
+  }
+  return testCase;
+};
+
+const getTestCases = asyncHandler(async (req, res) => {
+  const algorithm = await Algorithm.findOne({
+    slug: req.params.slug,
+    isDeleted: { $ne: true },
+  })
+    .select("createdBy isPublished verification +testCases")
+    .populate("testCases.addedBy", "username avatarUrl")
+    .lean();
+
+  if (!algorithm || !isVisibleTo(req.user, algorithm)) {
+    res.status(404);
+    throw new Error("Algorithm not found");
+  }
+
+  const showHidden = canManageAttachments(req.user, algorithm);
+  const testCases = algorithm.testCases.filter(
+    (testCase) => showHidden || testCase.visibility === "public"
+  );
+
+  res.json({
+    testCases,
+    hiddenCount: algorithm.testCases.length - testCases.length,
+    verification: algorithm.verification,
+  });
+});
+
+const addTestCase = asyncHandler(async (req, res) => {
+  const { input = "", expectedOutput, visibility, checker } = req.body;
+
+  const algorithm = await Algorithm.findOne({
+    slug: req.params.slug,
+    isDeleted: { $ne: true },
+  }).select("+testCases");
+  if (!algorithm) {
+    res.status(404);
+    throw new Error("Algorithm not found");
+  }
+
+  if (!canContributeTo(req.user, algorithm)) {
+    res.status(404);
+    throw new Error("Algorithm not found");
+  }
+
+  algorithm.testCases.push({
+    input,
+    expectedOutput,
+    visibility,
+    checker,
+    addedBy: req.user._id,
+  });
+  algorithm.contributors.push({
+    user: req.user._id,
+    contributionType: "content",
+    description: "Added a test case",
+  });
+
+  await algorithm.save();
+  scheduleVerification(algorithm._id);
+
+  res.status(201).json(algorithm.testCases[algorithm.testCases.length - 1]);
+});
+
+const updateTestCase = asyncHandler(async (req, res) => {
+  const { input, expectedOutput, visibility, checker } = req.body;
+
+  const algorithm = await Algorithm.findOne({
+    slug: req.params.slug,
+    isDeleted: { $ne: true },
+  }).select("+testCases");
+  if (!algorithm) {
+    res.status(404);
+    throw new Error("Algorithm not found");
+  }
+
+  const testCase = findTestCaseOr404(algorithm, req.params.testCaseId, res);
+  if (
+    testCase.addedBy?.toString() !== req.user._id.toString() &&
+    !canManageAttachments(req.user, algorithm)
+  ) {
+    res.status(403);
+    throw new Error("Not authorized to update this test case");
+  }
+
+  if (input !== undefined) testCase.input = input;
+  testCase.expectedOutput = expectedOutput;
+  if (visibility) testCase.visibility = visibility;
+  if (checker?.mode) testCase.checker.mode = checker.mode;
+  if (checker?.tolerance !== undefined) {
+    testCase.checker.tolerance = checker.tolerance;
+  }
+
+  await algorithm.save();
+  scheduleVerification(algorithm._id);
+
+  res.json(testCase);
+});
+
+const deleteTestCase = asyncHandler(async (req, res) => {
+  const algorithm = await Algorithm.findOne({
+    slug: req.params.slug,
+    isDeleted: { $ne: true },
+  }).select("+testCases");
+  if (!algorithm) {
+    res.status(404);
+    throw new Error("Algorithm not found");
+  }
+
+  const testCase = findTestCaseOr404(algorithm, req.params.testCaseId, res);
+  if (
+    testCase.addedBy?.toString() !== req.user._id.toString() &&
+    !canManageAttachments(req.user, algorithm)
+  ) {
+    res.status(403);
+    throw new Error("Not authorized to delete this test case");
+  }
+
+  testCase.deleteOne();
+  await algorithm.save();
+  scheduleVerification(algorithm._id);
+
+  res.json({ message: "Test case deleted successfully" });
+});
+
+const verifyAlgorithmImplementations = asyncHandler(async (req, res) => {
+  // Runs other users' code, which is only safe inside the sandbox
+  if (!isSandboxed()) {
+    res.status(503);
+    throw new Error("Verification is unavailable: the code sandbox is not set up on this server");
+  }
+  const algorithm = await findAlgorithmOr404(req, res);
+  const verification = await verifyAlgorithm(algorithm._id);
+
+  res.json({ verification });
+});
+
+const findTraceOr404 = (algorithm, traceId, res) => {
+  const trace = algorithm.traces.id(traceId);
+  if (!trace) {
+    res.status(404);
+    throw new Error("Trace not found");
+  }
+  return trace;
+};
+
+const getTraces = asyncHandler(async (req, res) => {
+  const algorithm = await Algorithm.findOne({
+    slug: req.params.slug,
+    isDeleted: { $ne: true },
+  })
+    .select("isPublished +traces")
+    .populate("traces.createdBy", "username avatarUrl")
+    .lean();
+
+  if (!algorithm || !isVisibleTo(req.user, algorithm)) {
+    res.status(404);
+    throw new Error("Algorithm not found");
+  }
+
+  res.json(algorithm.traces);
+});
+
+const addTrace = asyncHandler(async (req, res) => {
+  const { title, description, language, input, steps } = req.body;
+
+  const algorithm = await Algorithm.findOne({
+    slug: req.params.slug,
+    isDeleted: { $ne: true },
+  }).select("+traces");
+  if (!algorithm || !canContributeTo(req.user, algorithm)) {
+    res.status(404);
+    throw new Error("Algorithm not found");
+  }
+
+  algorithm.traces.push({
+    title,
+    description,
+    language,
+    input,
+    steps,
+    createdBy: req.user._id,
+  });
+  algorithm.contributors.push({
+    user: req.user._id,
+    contributionType: "content",
+    description: `Added trace "${title}"`,
+  });
+
+  await algorithm.save();
+
+  res.status(201).json(algorithm.traces[algorithm.traces.length - 1]);
+});
+
+const updateTrace = asyncHandler(async (req, res) => {
+  const { title, description, language, input, steps } = req.body;
+
+  const algorithm = await Algorithm.findOne({
+    slug: req.params.slug,
+    isDeleted: { $ne: true },
+  }).select("+traces");
+  if (!algorithm) {
+    res.status(404);
+    throw new Error("Algorithm not found");
+  }
+
+  const trace = findTraceOr404(algorithm, req.params.traceId, res);
+  if (
+    trace.createdBy?.toString() !== req.user._id.toString() &&
+    !canManageAttachments(req.user, algorithm)
+  ) {
+    res.status(403);
+    throw new Error("Not authorized to update this trace");
+  }
+
+  trace.title = title;
+  trace.description = description;
+  trace.language = language;
+  trace.input = input;
+  trace.steps = steps;
+
+  await algorithm.save();
+
+  res.json(trace);
+});
+
+const deleteTrace = asyncHandler(async (req, res) => {
+  const algorithm = await Algorithm.findOne({
+    slug: req.params.slug,
+    isDeleted: { $ne: true },
+  }).select("+traces");
+  if (!algorithm) {
+    res.status(404);
+    throw new Error("Algorithm not found");
+  }
+
+  const trace = findTraceOr404(algorithm, req.params.traceId, res);
+  if (
+    trace.createdBy?.toString() !== req.user._id.toString() &&
+    !canManageAttachments(req.user, algorithm)
+  ) {
+    res.status(403);
+    throw new Error("Not authorized to delete this trace");
+  }
+
+  trace.deleteOne();
+  await algorithm.save();
+
+  res.json({ message: "Trace deleted successfully" });
+});
+
 module.exports = {
   createAlgorithm,
   getAllAlgorithms,
@@ -488,4 +1080,18 @@ module.exports = {
   searchAlgorithms,
   addAlgorithmCode,
   getContributors,
+  getAlgorithmRevisions,
+  getAlgorithmRevision,
+  diffAlgorithmRevisions,
+  rollbackAlgorithm,
+  runAlgorithmCode,
+  getTestCases,
+  addTestCase,
+  updateTestCase,
+  deleteTestCase,
+  verifyAlgorithmImplementations,
+  getTraces,
+  addTrace,
+  updateTrace,
+  deleteTrace,
 };
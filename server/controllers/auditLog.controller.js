@@ -0,0 +1,125 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const AuditLog = require("../models/auditLog.model");
+
+const EXPORT_LIMIT = Number(process.env.AUDIT_EXPORT_LIMIT) || 10000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseDate = (value, name, res) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    res.status(400);
+    throw new Error(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+// Query params shared by the list and the export:
+// action, actor (username), targetType, targetId, from, to, q (free text).
+const buildFilter = (query, res) => {
+  const { action, actor, targetType, targetId, from, to, q } = query;
+  const filter = {};
+
+  if (action) filter.action = String(action);
+  if (targetType) filter.targetType = String(targetType);
+  if (targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      res.status(400);
+      throw new Error("Invalid targetId");
+    }
+    filter.targetId = targetId;
+  }
+  if (actor) {
+    filter.actorName = { $regex: escapeRegex(String(actor)), $options: "i" };
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = parseDate(from, "from", res);
+    if (to) filter.createdAt.$lte = parseDate(to, "to", res);
+  }
+  if (q) {
+    const pattern = { $regex: escapeRegex(String(q)), $options: "i" };
+    filter.$or = [{ targetLabel: pattern }, { summary: pattern }, { ip: pattern }];
+  }
+  return filter;
+};
+
+// --- List Audit Entries ---
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const filter = buildFilter(req.query, res);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+
+  const [logs, total, actions, targetTypes] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(filter),
+    AuditLog.distinct("action"),
+    AuditLog.distinct("targetType"),
+  ]);
+
+  res.json({
+    logs,
+    total,
+    pages: Math.ceil(total / limit),
+    currentPage: page,
+    actions: actions.sort(),
+    targetTypes: targetTypes.filter(Boolean).sort(),
+  });
+});
+
+const CSV_COLUMNS = [
+  ["createdAt", (log) => new Date(log.createdAt).toISOString()],
+  ["actor", (log) => log.actorName],
+  ["actorRole", (log) => log.actorRole],
+  ["action", (log) => log.action],
+  ["targetType", (log) => log.targetType],
+  ["targetId", (log) => log.targetId],
+  ["target", (log) => log.targetLabel],
+  ["summary", (log) => log.summary],
+  ["before", (log) => (log.before === undefined ? "" : JSON.stringify(log.before))],
+  ["after", (log) => (log.after === undefined ? "" : JSON.stringify(log.after))],
+  ["ip", (log) => log.ip],
+];
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (logs) =>
+  [
+    CSV_COLUMNS.map(([name]) => name).join(","),
+    ...logs.map((log) => CSV_COLUMNS.map(([, value]) => csvCell(value(log))).join(",")),
+  ].join("\n");
+
+// --- Export Audit Entries ---
+// Same filters as the list; format is "csv" (default) or "json".
+const exportAuditLogs = asyncHandler(async (req, res) => {
+  const { format = "csv" } = req.query;
+  if (!["csv", "json"].includes(format)) {
+    res.status(400);
+    throw new Error("format must be 'csv' or 'json'");
+  }
+
+  const logs = await AuditLog.find(buildFilter(req.query, res))
+    .sort({ createdAt: -1 })
+    .limit(EXPORT_LIMIT)
+    .lean();
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="sdeverse-audit-${stamp}.${format}"`
+  );
+  if (format === "json") {
+    return res.json(logs);
+  }
+  res.type("text/csv").send(toCsv(logs));
+});
+
+module.exports = { getAuditLogs, exportAuditLogs };
@@ -1,8 +1,28 @@
 const asyncHandler = require("express-async-handler");
 const User = require("../models/user.model");
 const OTP = require("../models/otp.model");
-const generateToken = require("../utils/generateToken");
+const mongoose = require("mongoose");
+const {
+  startSession,
+  refreshSession,
+  endSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/sessions");
 const sendEmail = require("../config/sendEmail");
+const {
+  resendWaitSeconds,
+  sendVerificationCode,
+  consumeVerificationCode,
+} = require("../utils/emailVerification");
+const {
+  verifySecondFactor,
+  isTwoFactorRequired,
+  issueLoginChallenge,
+  readLoginChallenge,
+} = require("../utils/twoFactor");
+const { ensureNotLocked, recordFailure, clearFailures } = require("../utils/lockout");
 
 const validateEmail = (email) => {
   if (typeof email !== "string") return false;
@@ -81,15 +101,25 @@ const registerUser = asyncHandler(async (req, res) => {
     username: sanitizedUsername,
     email: sanitizedEmail.toLowerCase(), 
     password, 
+    emailVerified: false,
   });
 
   if (user) {
+    // The account is usable without the email; a new code can be requested
+    try {
+      await sendVerificationCode(user);
+    } catch (error) {
+      console.error(`Verification email for ${user.email} failed:`, error.message);
+    }
+
     const userObj = user.toObject();
     delete userObj.password;
+    const { token, refreshToken } = await startSession(user, req);
 
     res.status(201).json({
       ...userObj,
-      token: generateToken(user._id),
+      token,
+      refreshToken,
     });
   } else {
     res.status(400);
@@ -119,22 +149,77 @@ const loginUser = asyncHandler(async (req, res) => {
   }
 
   
+  await ensureNotLocked(res, "login", sanitizedEmail);
   const user = await User.findOne({ email: sanitizedEmail.toLowerCase() });
 
   if (user && (await user.matchPassword(password))) {
+    await clearFailures("login", sanitizedEmail);
+
+    // The password alone isn't enough; see completeTwoFactorLogin
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: issueLoginChallenge(user),
+      });
+    }
+
     const userObj = user.toObject();
     delete userObj.password;
+    const { token, refreshToken } = await startSession(user, req);
 
     res.json({
       ...userObj,
-      token: generateToken(user._id),
+      token,
+      refreshToken,
+      twoFactorSetupRequired: await isTwoFactorRequired(user),
     });
   } else {
+    // Unknown emails count too, so a lockout says nothing about the account
+    await recordFailure("login", sanitizedEmail);
     res.status(401);
     throw new Error("Invalid email or password");
   }
 });
 
+// Second step of a login with two-factor enabled.
+// Body: { challengeToken, code } or { challengeToken, recoveryCode }.
+const completeTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body || {};
+  const userId = readLoginChallenge(challengeToken);
+  if (!userId) {
+    res.status(401);
+    throw new Error("Login expired, please enter your password again");
+  }
+
+  const user = await User.findById(userId).select(
+    "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+  );
+  if (!user || !user.twoFactor?.enabled) {
+    res.status(401);
+    throw new Error("Login expired, please enter your password again");
+  }
+  await ensureNotLocked(res, "two_factor", userId);
+  if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+    await recordFailure("two_factor", userId);
+    res.status(401);
+    throw new Error(recoveryCode ? "Invalid recovery code" : "Invalid authentication code");
+  }
+  await clearFailures("two_factor", userId);
+
+  const userObj = user.toObject();
+  delete userObj.password;
+  delete userObj.twoFactor;
+  const { token, refreshToken } = await startSession(user, req);
+
+  res.json({
+    ...userObj,
+    twoFactor: { enabled: true, enabledAt: user.twoFactor.enabledAt },
+    token,
+    refreshToken,
+    recoveryCodesLeft: user.twoFactor.recoveryCodes.length,
+  });
+});
+
 const getMe = asyncHandler(async (req, res) => {
   if (!req.user) {
     res.status(401);
@@ -194,9 +279,16 @@ const validateOTP = asyncHandler(async (req, res) => {
   const { email, code } = req.body;
 
   const sanitizedEmail = sanitizeInput(email);
-  const otpRecord = await OTP.findOne({ email: sanitizedEmail, code: Number(code) });
+  // Six digits are quick to guess without a limit on wrong answers
+  await ensureNotLocked(res, "otp", sanitizedEmail);
+  const otpRecord = await OTP.findOne({
+    email: sanitizedEmail,
+    code: Number(code),
+    purpose: "password_reset",
+  });
     
   if (!otpRecord || Date.now() > otpRecord.createdAt.getTime() + 5 * 60 * 1000) {
+    await recordFailure("otp", sanitizedEmail);
     res.status(400);
     throw new Error("Invalid or expired OTP");
   }
@@ -217,9 +309,15 @@ const resetPassword = asyncHandler(async (req, res) => {
   }
 
   sanitizedEmail = sanitizeInput(email);
-  const otpRecord = await OTP.findOne({ email: sanitizedEmail, code: Number(code) });
+  await ensureNotLocked(res, "otp", sanitizedEmail);
+  const otpRecord = await OTP.findOne({
+    email: sanitizedEmail,
+    code: Number(code),
+    purpose: "password_reset",
+  });
     
   if (!otpRecord || Date.now() > otpRecord.createdAt.getTime() + 5 * 60 * 1000) {
+    await recordFailure("otp", sanitizedEmail);
     res.status(400);
     throw new Error("Invalid or expired OTP");
   }
@@ -246,19 +344,121 @@ const resetPassword = asyncHandler(async (req, res) => {
 
   // Update password (will be hashed by the pre-save hook in user model)
   user.password = newPassword;
+  // The reset code reached this address, which proves it
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.passwordLogin = true;
   await user.save();
 
+  // Whoever knew the old password may still be signed in somewhere
+  await revokeAllSessions(user._id, { reason: "password_reset" });
+  await Promise.all([clearFailures("otp", sanitizedEmail), clearFailures("login", user.email)]);
+
   res.status(200).json({ 
     message: "Password reset successfully",
     success: true 
   });
 });
 
+// Body: { code }. Confirms the signed-in user's email address.
+const verifyEmail = asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) {
+    return res.json({ message: "Email already verified", emailVerified: true });
+  }
+  await ensureNotLocked(res, "email_verification", req.user._id);
+  if (!(await consumeVerificationCode(req.user, req.body?.code))) {
+    await recordFailure("email_verification", req.user._id);
+    res.status(400);
+    throw new Error("Invalid or expired verification code");
+  }
+  await clearFailures("email_verification", req.user._id);
+
+  req.user.emailVerified = true;
+  req.user.emailVerifiedAt = new Date();
+  await req.user.save();
+  res.json({ message: "Email verified", emailVerified: true });
+});
+
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) {
+    res.status(400);
+    throw new Error("Email already verified");
+  }
+  const wait = await resendWaitSeconds(req.user.email);
+  if (wait > 0) {
+    res.status(429);
+    throw new Error(`Please wait ${wait} seconds before requesting another code`);
+  }
+
+  await sendVerificationCode(req.user);
+  res.json({ message: `Verification code sent to ${req.user.email}` });
+});
+
+// Body: { refreshToken }. Returns a new access token and refresh token; the
+// one sent can't be used again.
+const refreshAccessToken = asyncHandler(async (req, res) => {
+  try {
+    const { token, refreshToken } = await refreshSession(req.body?.refreshToken, req);
+    res.json({ token, refreshToken });
+  } catch (error) {
+    res.status(401);
+    throw error;
+  }
+});
+
+// Body: { refreshToken }. Works with an expired access token too.
+const logoutUser = asyncHandler(async (req, res) => {
+  await endSession(req.body?.refreshToken);
+  res.json({ message: "Logged out" });
+});
+
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await listSessions(req.user._id);
+  res.json(
+    sessions.map((session) => ({
+      ...session,
+      current: String(session._id) === String(req.sessionId),
+    }))
+  );
+});
+
+const revokeUserSession = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error("Invalid session id");
+  }
+  if (!(await revokeSession(req.user._id, req.params.id))) {
+    res.status(404);
+    throw new Error("Session not found");
+  }
+  res.json({ message: "Session revoked" });
+});
+
+// ?keepCurrent=true signs out every other device.
+const revokeUserSessions = asyncHandler(async (req, res) => {
+  const keepCurrent = req.query.keepCurrent === "true";
+  const count = await revokeAllSessions(req.user._id, {
+    except: keepCurrent ? req.sessionId : undefined,
+  });
+  res.json({
+    message: `${count} session${count === 1 ? "" : "s"} revoked`,
+    count,
+  });
+});
+
 module.exports = {
   registerUser,
   loginUser,
+  completeTwoFactorLogin,
   getMe,
   forgotPassword,
   validateOTP,
   resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshAccessToken,
+  logoutUser,
+  getSessions,
+  revokeUserSession,
+  revokeUserSessions,
 };
\ No newline at end of file
@@ -0,0 +1,365 @@
+const asyncHandler = require("express-async-handler");
+const { validationResult } = require("express-validator");
+const Algorithm = require("../models/algorithm.model");
+const DataStructure = require("../models/dataStructure.model");
+const generateUniqueSlug = require("../utils/generateUniqueSlug");
+const { recordAudit } = require("../utils/auditLog");
+const { recordRevision } = require("../utils/revisionHistory");
+const {
+  resetVerification,
+  scheduleVerification,
+} = require("../utils/testCaseVerifier");
+const {
+  FIELDS,
+  pickFields,
+  writeZip,
+  writeJson,
+  readZip,
+  readJson,
+} = require("../utils/contentBundle");
+const { ALGORITHM, DATA_STRUCTURE } = require("../utils/categoryTypes");
+const validateAlgorithm = require("../middleware/validateAlgorithm");
+const validateDataStructure = require("../middleware/validateDataStructure");
+
+const MODELS = { Algorithm, DataStructure };
+const CATEGORIES = { Algorithm: ALGORITHM, DataStructure: DATA_STRUCTURE };
+const VALIDATORS = {
+  Algorithm: validateAlgorithm,
+  DataStructure: validateDataStructure,
+};
+const PATH_TYPES = { algorithms: "Algorithm", "data-structures": "DataStructure" };
+
+// Trailing whitespace is not preserved by the Markdown format, so it must
+// not count as a change either.
+const normalize = (value) =>
+  JSON.stringify(value ?? null, (key, v) =>
+    typeof v === "string" ? v.trimEnd() : v
+  );
+
+const changedFields = (entryType, existing, data) => {
+  const current = pickFields(entryType, existing);
+  return FIELDS[entryType].filter(
+    (field) =>
+      field !== "slug" &&
+      data[field] !== undefined &&
+      normalize(current[field]) !== normalize(data[field])
+  );
+};
+
+// Runs the same express-validator chains the create/update routes use.
+const runValidators = async (entryType, data) => {
+  const req = { body: JSON.parse(JSON.stringify(data)) };
+  for (const chain of VALIDATORS[entryType]) {
+    if (typeof chain.run === "function") await chain.run(req);
+  }
+  return validationResult(req)
+    .array()
+    .map((error) => error.msg);
+};
+
+const validateItem = async (entryType, data, user) => {
+  const errors = await runValidators(entryType, data);
+
+  if (Array.isArray(data.category)) {
+    const invalid = data.category.filter(
+      (cat) => !CATEGORIES[entryType].includes(cat)
+    );
+    if (invalid.length > 0) {
+      errors.push(`Invalid categories: ${invalid.join(", ")}`);
+    }
+  } else if (entryType === "Algorithm") {
+    errors.push("Category must be a non-empty array.");
+  }
+
+  // Catches enum and type problems the request validators leave to Mongoose.
+  const candidate = new MODELS[entryType]({
+    ...data,
+    slug: data.slug || "pending",
+    createdBy: user._id,
+  });
+  const schemaErrors = candidate.validateSync();
+  if (schemaErrors) {
+    Object.values(schemaErrors.errors).forEach((error) =>
+      errors.push(error.message)
+    );
+  }
+
+  return [...new Set(errors)];
+};
+
+const findMatch = async (entryType, data) => {
+  const conditions = [
+    data.slug && { slug: data.slug },
+    data.title && { title: data.title },
+  ].filter(Boolean);
+  if (conditions.length === 0) return null;
+
+  return MODELS[entryType].findOne({ $or: conditions });
+};
+
+// Works out what importing each entry would do, without writing anything.
+const planImport = async (items, user) => {
+  const seen = new Set();
+
+  return Promise.all(
+    items.map(async (item) => {
+      const report = {
+        file: item.file,
+        entryType: item.entryType,
+        title: item.data?.title,
+        slug: item.data?.slug,
+        action: "error",
+        changes: [],
+        errors: [],
+      };
+      if (item.error) {
+        report.errors.push(item.error);
+        return report;
+      }
+
+      const key = `${item.entryType}:${item.data.slug || item.data.title}`;
+      if (seen.has(key)) {
+        report.errors.push("Appears more than once in this bundle");
+        return report;
+      }
+      seen.add(key);
+
+      report.errors = await validateItem(item.entryType, item.data, user);
+      const existing = await findMatch(item.entryType, item.data);
+
+      if (existing?.isDeleted) {
+        report.errors.push(
+          `Matches the deleted entry "${existing.slug}"; restore it before importing`
+        );
+      } else if (existing && item.data.title && item.data.title !== existing.title) {
+        const clash = await MODELS[item.entryType].exists({
+          title: item.data.title,
+          _id: { $ne: existing._id },
+        });
+        if (clash) {
+          report.errors.push(`Another entry is already titled "${item.data.title}"`);
+        }
+      }
+
+      if (report.errors.length > 0) return report;
+
+      if (existing) {
+        report.slug = existing.slug;
+        report.changes = changedFields(item.entryType, existing, item.data);
+        report.action = report.changes.length > 0 ? "update" : "unchanged";
+      } else {
+        report.action = "create";
+      }
+      return Object.assign(report, { existing, data: item.data });
+    })
+  );
+};
+
+const createEntry = async (entryType, data, user) => {
+  const Model = MODELS[entryType];
+  const fields = { ...data };
+  delete fields.slug;
+
+  const doc = new Model({
+    ...fields,
+    slug: await generateUniqueSlug(data.title, Model),
+    createdBy: user._id,
+    isPublished: true,
+    publishedAt: new Date(),
+    publishedBy: user._id,
+    contributors: [
+      {
+        user: user._id,
+        contributionType: "create",
+        description: "Imported from bundle",
+      },
+    ],
+  });
+
+  if (entryType === "Algorithm") resetVerification(doc);
+  const saved = await doc.save();
+
+  if (entryType === "Algorithm") {
+    await recordRevision("Algorithm", saved, {
+      author: user._id,
+      action: "create",
+      summary: "Imported from bundle",
+    });
+    scheduleVerification(saved._id);
+  }
+  return saved;
+};
+
+const updateEntry = async (entryType, doc, data, changes, user) => {
+  const previousCodes =
+    entryType === "Algorithm"
+      ? doc.codes.map(({ language, code }) => ({ language, code }))
+      : null;
+
+  changes.forEach((field) => {
+    doc[field] = data[field];
+  });
+  const codesChanged =
+    entryType === "Algorithm" && resetVerification(doc, previousCodes);
+
+  doc.contributors.push({
+    user: user._id,
+    contributionType: "edit",
+    description: `Imported update: ${changes.join(", ")}`,
+  });
+  doc.updatedBy = user._id;
+
+  const saved = await doc.save();
+
+  if (entryType === "Algorithm") {
+    await recordRevision("Algorithm", saved, {
+      author: user._id,
+      action: "edit",
+      summary: `Imported update: ${changes.join(", ")}`,
+    });
+    if (codesChanged) scheduleVerification(saved._id);
+  }
+  return saved;
+};
+
+// GET /api/bundles/export?entryType=algorithms&slugs=a,b&format=zip
+// entryType may be "algorithms", "data-structures" or "all" (default).
+const exportBundle = asyncHandler(async (req, res) => {
+  const { entryType = "all", format = "zip" } = req.query;
+  const slugs = req.query.slugs
+    ? String(req.query.slugs)
+        .split(",")
+        .map((slug) => slug.trim())
+        .filter(Boolean)
+    : null;
+
+  if (entryType !== "all" && !PATH_TYPES[entryType]) {
+    res.status(400);
+    throw new Error("entryType must be 'algorithms', 'data-structures' or 'all'");
+  }
+  if (!["zip", "json"].includes(format)) {
+    res.status(400);
+    throw new Error("format must be 'zip' or 'json'");
+  }
+
+  const types =
+    entryType === "all" ? Object.keys(MODELS) : [PATH_TYPES[entryType]];
+  const results = await Promise.all(
+    types.map((type) =>
+      MODELS[type]
+        .find({ isDeleted: { $ne: true }, ...(slugs && { slug: { $in: slugs } }) })
+        .select(FIELDS[type].join(" "))
+        .sort({ title: 1 })
+        .lean()
+    )
+  );
+  const entries = results.flatMap((docs, i) =>
+    docs.map((doc) => ({ entryType: types[i], doc }))
+  );
+
+  if (entries.length === 0) {
+    res.status(404);
+    throw new Error("No entries matched the export");
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === "json") {
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="sdeverse-${stamp}.json"`
+    );
+    return res.json(writeJson(entries));
+  }
+
+  res.set({
+    "Content-Type": "application/zip",
+    "Content-Disposition": `attachment; filename="sdeverse-${stamp}.zip"`,
+  });
+  res.send(writeZip(entries));
+});
+
+// POST /api/bundles/import  { format: "zip" | "json", content, dryRun }
+// Zip content is base64; JSON content is the bundle object (or its text).
+// Entries with errors are skipped, the rest are applied unless dryRun is set.
+const importBundle = asyncHandler(async (req, res) => {
+  const { format, content, dryRun = true } = req.body || {};
+
+  if (!content) {
+    res.status(400);
+    throw new Error("Bundle content is required");
+  }
+
+  if (!["zip", "json"].includes(format)) {
+    res.status(400);
+    throw new Error("format must be 'zip' or 'json'");
+  }
+
+  let items;
+  try {
+    if (format === "zip") {
+      const base64 = String(content).replace(/^data:[^,]*,/, "");
+      items = readZip(Buffer.from(base64, "base64"));
+    } else {
+      items = readJson(typeof content === "string" ? JSON.parse(content) : content);
+    }
+  } catch (error) {
+    res.status(400);
+    throw new Error(`Could not read bundle: ${error.message}`);
+  }
+
+  if (items.length === 0) {
+    res.status(400);
+    throw new Error("The bundle does not contain any entries");
+  }
+
+  const plan = await planImport(items, req.user);
+
+  if (!dryRun) {
+    for (const item of plan) {
+      if (item.action === "create") {
+        const created = await createEntry(item.entryType, item.data, req.user);
+        item.slug = created.slug;
+      } else if (item.action === "update") {
+        await updateEntry(
+          item.entryType,
+          item.existing,
+          item.data,
+          item.changes,
+          req.user
+        );
+      }
+    }
+  }
+
+  const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+  plan.forEach((item) => (summary[item.action] += 1));
+
+  if (!dryRun) {
+    await recordAudit(req, {
+      action: "bundle.import",
+      summary: `${summary.create} created, ${summary.update} updated from a ${format} bundle`,
+      after: {
+        summary,
+        entries: plan
+          .filter((item) => item.action === "create" || item.action === "update")
+          .map(({ entryType, slug, action }) => ({ entryType, slug, action })),
+      },
+    });
+  }
+
+  res.json({
+    dryRun: Boolean(dryRun),
+    summary,
+    items: plan.map(({ file, entryType, title, slug, action, changes, errors }) => ({
+      file,
+      entryType,
+      title,
+      slug,
+      action,
+      changes,
+      errors,
+    })),
+  });
+});
+
+module.exports = { exportBundle, importBundle };
@@ -7,6 +7,9 @@ const Notification = require("../models/notification.model");
 
 const DataStructure = require("../models/dataStructure.model");
 const DataStructureProposal = require("../models/dataStructureProposal.model");
+const { createAnchor, reanchor } = require("../utils/codeAnchors");
+const { canReview } = require("../utils/reviewPolicy");
+const { recordAudit } = require("../utils/auditLog");
 
 const extractMentions = (text) => {
   const matches = text.match(/@(\w+)/g) || [];
@@ -28,6 +31,10 @@ const getParentModel = (parentType) => {
   }
 };
 
+// Trashed parents are hidden, along with their comments.
+const findLiveParent = (parentType, parentId) =>
+  getParentModel(parentType).findOne({ _id: parentId, isDeleted: { $ne: true } });
+
 const getParentAuthorId = (parentType, parentDoc) => {
   if (!parentDoc) return null;
 
@@ -58,14 +65,23 @@ const addComment = asyncHandler(async (req, res) => {
     );
   }
 
-  const parentModel = getParentModel(parentType);
-  const parent = await parentModel.findById(parentId);
+  const parent = await findLiveParent(parentType, parentId);
 
   if (!parent) {
     res.status(404);
     throw new Error(`${parentType} not found`);
   }
 
+  let anchor;
+  if (codeRef) {
+    try {
+      anchor = createAnchor(parentType, parent, codeRef);
+    } catch (error) {
+      res.status(400);
+      throw error;
+    }
+  }
+
   const mentionedUsernames = extractMentions(text);
   const mentionedUsers = await User.find({
     username: { $in: mentionedUsernames },
@@ -77,7 +93,7 @@ const addComment = asyncHandler(async (req, res) => {
     parentSlug: parent.slug,
     user: req.user._id,
     text,
-    codeRef,
+    codeRef: anchor,
     mentions: mentionedUsers.map((u) => u._id),
   });
 
@@ -159,11 +175,33 @@ const getCommentsByParent = asyncHandler(async (req, res) => {
     );
   }
 
+  const parent = await findLiveParent(parentType, parentId).lean();
+  if (!parent) {
+    res.status(404);
+    throw new Error(`${parentType} not found`);
+  }
+
   const comments = await Comment.find({ parentType, parentId })
     .populate("user", "username avatarUrl role")
     .populate("replies.user", "username avatarUrl role")
     .lean();
 
+  // Move line anchors along with edits made to the code since they were
+  // last placed, and remember where they ended up
+  if (comments.some((comment) => comment.codeRef?.section)) {
+    const moved = [];
+    comments.forEach((comment) => {
+      if (!comment.codeRef?.section) return;
+      const next = reanchor(parentType, parent, comment.codeRef);
+      if (!next) return;
+      comment.codeRef = next;
+      moved.push({
+        updateOne: { filter: { _id: comment._id }, update: { $set: { codeRef: next } } },
+      });
+    });
+    if (moved.length > 0) await Comment.bulkWrite(moved);
+  }
+
   // Add displayUsername for admins as 'sdeverse' while preserving original username for links
   const transformed = comments.map((comment) => {
     const updated = { ...comment };
@@ -208,10 +246,13 @@ const addReplyToComment = asyncHandler(async (req, res) => {
   const parentType = comment.parentType;
   const parentId = comment.parentId;
 
-  const parentModel = getParentModel(parentType);
-  const parent = await parentModel.findById(parentId);
+  const parent = await findLiveParent(parentType, parentId);
+  if (!parent) {
+    res.status(404);
+    throw new Error(`${parentType} not found`);
+  }
 
-  const slug = parent?.slug || "unknown-parent";
+  const slug = parent.slug;
 
   const mentionedUsernames = extractMentions(text);
   const mentionedUsers = await User.find({
@@ -283,6 +324,50 @@ const addReplyToComment = asyncHandler(async (req, res) => {
   res.status(201).json({ message: "Reply added", replies: comment.replies });
 });
 
+// Marks an inline code comment resolved or reopens it. Allowed for the
+// comment's author, the author of what it is on, and reviewers.
+const resolveComment = asyncHandler(async (req, res) => {
+  const resolved = req.body.resolved !== false;
+
+  const comment = await Comment.findById(req.params.id);
+  if (!comment) {
+    res.status(404);
+    throw new Error("Comment not found");
+  }
+  if (!comment.codeRef) {
+    res.status(400);
+    throw new Error("Only comments on code can be resolved");
+  }
+
+  const parent = await findLiveParent(comment.parentType, comment.parentId);
+  if (!parent) {
+    res.status(404);
+    throw new Error(`${comment.parentType} not found`);
+  }
+  const parentAuthorId = getParentAuthorId(comment.parentType, parent);
+  const userId = req.user._id.toString();
+  if (
+    comment.user.toString() !== userId &&
+    parentAuthorId?.toString() !== userId &&
+    !canReview(req.user)
+  ) {
+    res.status(403);
+    throw new Error("Not authorized to resolve this comment");
+  }
+
+  comment.resolved = resolved;
+  comment.resolvedBy = resolved ? req.user._id : undefined;
+  comment.resolvedAt = resolved ? new Date() : undefined;
+  await comment.save();
+
+  res.json({
+    _id: comment._id,
+    resolved: comment.resolved,
+    resolvedBy: comment.resolvedBy,
+    resolvedAt: comment.resolvedAt,
+  });
+});
+
 const deleteComment = asyncHandler(async (req, res) => {
   const comment = await Comment.findById(req.params.id);
 
@@ -303,6 +388,15 @@ const deleteComment = asyncHandler(async (req, res) => {
 
   await Comment.findByIdAndDelete(req.params.id);
 
+  // Authors removing their own comments is not a privileged action
+  if (comment.user.toString() !== req.user._id.toString()) {
+    await recordAudit(req, {
+      action: "comment.delete",
+      target: { type: "Comment", id: comment._id, label: comment.parentSlug },
+      before: { user: comment.user, parentType: comment.parentType, text: comment.text },
+    });
+  }
+
   res.json({ message: "Comment and related notifications deleted" });
 });
 
@@ -310,5 +404,6 @@ module.exports = {
   addComment,
   getCommentsByParent,
   addReplyToComment,
+  resolveComment,
   deleteComment,
 };
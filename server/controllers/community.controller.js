@@ -5,7 +5,7 @@ const User = require("../models/user.model");
 exports.getTopContributors = async (req, res) => {
   try {
     const topContributors = await Proposal.aggregate([
-      { $match: { status: "approved" } },
+      { $match: { status: "approved", isDeleted: { $ne: true } } },
       { $group: { 
           _id: "$contributor", 
           count: { $sum: 1 } 
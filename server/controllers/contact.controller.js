@@ -1,4 +1,5 @@
 const Contact = require("../models/contact.model");
+const { recordAudit } = require("../utils/auditLog");
 
 // Submit contact form
  const submitContactForm = async (req, res) => {
@@ -31,7 +32,18 @@ const Contact = require("../models/contact.model");
 const deleteContactById = async (req, res) => {
   try {
     const { id } = req.params;
-    await Contact.findByIdAndDelete(id);
+    const contact = await Contact.findByIdAndDelete(id);
+    if (contact) {
+      await recordAudit(req, {
+        action: "contact.delete",
+        target: { type: "Contact", id: contact._id, label: contact.subject },
+        before: {
+          name: `${contact.firstName} ${contact.lastName}`,
+          email: contact.email,
+          subject: contact.subject,
+        },
+      });
+    }
     res.status(200).json({ message: "Contact deleted successfully" });
   } catch (error) {
     res.status(500).json({ message: "Error deleting contact", error });
@@ -1,8 +1,16 @@
 const asyncHandler = require("express-async-handler");
 const DataStructure = require("../models/dataStructure.model");
-const Notification = require("../models/notification.model");
-const User = require("../models/user.model");
 const generateUniqueSlug = require("../utils/generateUniqueSlug");
+const { recordAudit } = require("../utils/auditLog");
+const {
+  hasPublicationInput,
+  resolvePublication,
+  applyPublication,
+  describePublication,
+  publicationState,
+  announceEntry,
+  publicationFilter,
+} = require("../utils/publishing");
 
 const { DATA_STRUCTURE } = require("../utils/categoryTypes");
 
@@ -60,6 +68,19 @@ const createDataStructure = asyncHandler(async (req, res) => {
     });
   }
 
+  // Admins can save drafts or schedule publication; otherwise new data
+  // structures are published right away
+  let publication;
+  try {
+    publication = resolvePublication(
+      { isPublished: true },
+      req.user.role === "admin" ? req.body : {}
+    );
+  } catch (error) {
+    res.status(400);
+    throw error;
+  }
+
   const slug = await generateUniqueSlug(title);
 
   const dataStructure = new DataStructure({
@@ -78,10 +99,6 @@ const createDataStructure = asyncHandler(async (req, res) => {
     references,
     videoLinks,
     createdBy: req.user._id,
-    isPublished: true,
-    publishedAt: new Date(),
-    publishedBy: req.user._id,
-
     contributors: [
       {
         user: req.user._id,
@@ -91,24 +108,22 @@ const createDataStructure = asyncHandler(async (req, res) => {
     ],
   });
 
+  const announce = applyPublication(dataStructure, publication, req.user._id);
+
   const createdDataStructure = await dataStructure.save();
 
-  const users = await User.find({}, "_id").lean();
-  const notifications = users.map((user) => ({
-    recipient: user._id,
-    sender: req.user._id,
-    type: "new_data_structure",
-    message: `A new data structure "${title}" has been added.`,
-    link: `/data-structures/${slug}`,
-    read: false,
-  }));
-  await Notification.insertMany(notifications);
+  if (announce) {
+    await announceEntry("DataStructure", createdDataStructure, req.user._id);
+  }
 
   res.status(201).json(createdDataStructure);
 });
 
 const updateDataStructure = asyncHandler(async (req, res) => {
-  const dataStructure = await DataStructure.findOne({ slug: req.params.slug });
+  const dataStructure = await DataStructure.findOne({
+    slug: req.params.slug,
+    isDeleted: false,
+  });
 
   if (!dataStructure) {
     res.status(404);
@@ -139,7 +154,6 @@ const updateDataStructure = asyncHandler(async (req, res) => {
     videoLinks,
     status,
     isVerified,
-    isPublished,
   } = req.body;
 
   const changes = [];
@@ -267,6 +281,8 @@ const updateDataStructure = asyncHandler(async (req, res) => {
     dataStructure.videoLinks = videoLinks;
   }
 
+  let announce = false;
+  let publicationChange = null;
   if (req.user.role === "admin") {
     if (status !== undefined && status !== dataStructure.status) {
       dataStructure.status = status;
@@ -285,20 +301,21 @@ const updateDataStructure = asyncHandler(async (req, res) => {
       changes.push(`verified status to ${isVerified}`);
       contributionType = "review";
     }
-    if (
-      typeof isPublished === "boolean" &&
-      isPublished !== dataStructure.isPublished
-    ) {
-      dataStructure.isPublished = isPublished;
-      if (isPublished) {
-        dataStructure.publishedAt = new Date();
-        dataStructure.publishedBy = req.user._id;
-      } else {
-        dataStructure.publishedAt = undefined;
-        dataStructure.publishedBy = undefined;
+    if (hasPublicationInput(req.body)) {
+      let publication;
+      try {
+        publication = resolvePublication(dataStructure, req.body);
+      } catch (error) {
+        res.status(400);
+        throw error;
+      }
+      const previous = publicationState(dataStructure);
+      announce = applyPublication(dataStructure, publication, req.user._id);
+      if (dataStructure.isModified(["isPublished", "publishAt", "unpublishAt"])) {
+        changes.push(describePublication(publication));
+        contributionType = "review";
+        publicationChange = { before: previous, after: publicationState(dataStructure) };
       }
-      changes.push(`published status to ${isPublished}`);
-      contributionType = "review";
     }
   }
 
@@ -317,6 +334,21 @@ const updateDataStructure = asyncHandler(async (req, res) => {
   }
 
   const updatedDataStructure = await dataStructure.save();
+  if (announce) {
+    await announceEntry("DataStructure", updatedDataStructure, req.user._id);
+  }
+  if (publicationChange) {
+    await recordAudit(req, {
+      action: "data_structure.publication",
+      target: {
+        type: "DataStructure",
+        id: updatedDataStructure._id,
+        label: updatedDataStructure.title,
+      },
+      summary: describePublication(publicationChange.after),
+      ...publicationChange,
+    });
+  }
   res.json(updatedDataStructure);
 });
 
@@ -338,7 +370,10 @@ const addOperationImplementation = asyncHandler(async (req, res) => {
     });
   }
 
-  const dataStructure = await DataStructure.findOne({ slug: req.params.slug });
+  const dataStructure = await DataStructure.findOne({
+    slug: req.params.slug,
+    isDeleted: false,
+  });
   if (!dataStructure) {
     res.status(404);
     throw new Error("Data structure not found.");
@@ -391,6 +426,7 @@ const getAllDataStructures = asyncHandler(async (req, res) => {
     category = "",
     type = "",
     difficulty = "",
+    publication = "",
   } = req.query;
 
   const pageNumber = parseInt(page) || 1;
@@ -416,7 +452,11 @@ const getAllDataStructures = asyncHandler(async (req, res) => {
 
   if (req.user?.role !== "admin") {
     filters.isPublished = true;
+  } else if (publicationFilter(publication)) {
+    Object.assign(filters, publicationFilter(publication));
   }
+  // Lists upcoming changes in the order they will happen
+  const scheduledFirst = req.user?.role === "admin" && publication === "scheduled";
 
   try {
     const total = await DataStructure.countDocuments(filters);
@@ -424,10 +464,18 @@ const getAllDataStructures = asyncHandler(async (req, res) => {
       filters,
       search ? { score: { $meta: "textScore" } } : {}
     )
-      .select("title slug category definition difficulty tags")
+      .select(
+        "title slug category definition difficulty tags isPublished publishedAt publishAt unpublishAt"
+      )
       .skip((pageNumber - 1) * limitNumber)
       .limit(limitNumber)
-      .sort(search ? { score: { $meta: "textScore" } } : { title: 1 })
+      .sort(
+        search
+          ? { score: { $meta: "textScore" } }
+          : scheduledFirst
+          ? { publishAt: 1, unpublishAt: 1 }
+          : { title: 1 }
+      )
       .lean();
 
     res.json({
@@ -544,7 +592,10 @@ const getDataStructureBySlug = asyncHandler(async (req, res) => {
 });
 
 const deleteDataStructure = asyncHandler(async (req, res) => {
-  const dataStructure = await DataStructure.findOne({ slug: req.params.slug });
+  const dataStructure = await DataStructure.findOne({
+    slug: req.params.slug,
+    isDeleted: false,
+  });
 
   if (!dataStructure) {
     res.status(404);
@@ -562,12 +613,22 @@ const deleteDataStructure = asyncHandler(async (req, res) => {
       isDeleted: true,
       deletedAt: new Date(),
       deletedBy: req.user._id,
+      stateBeforeDelete: {
+        isPublished: dataStructure.isPublished,
+        status: dataStructure.status,
+      },
       isPublished: false,
       status: "rejected",
     },
     { new: true }
   );
 
+  await recordAudit(req, {
+    action: "data_structure.delete",
+    target: { type: "DataStructure", id: dataStructure._id, label: dataStructure.title },
+    before: { slug: dataStructure.slug, isPublished: dataStructure.isPublished },
+  });
+
   res.json({
     message: "Data structure soft-deleted successfully.",
     dataStructure: updatedDataStructure,
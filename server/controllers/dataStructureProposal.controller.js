@@ -4,9 +4,52 @@ const DataStructure = require("../models/dataStructure.model");
 const User = require("../models/user.model");
 const Notification = require("../models/notification.model");
 const generateUniqueSlug = require("../utils/generateUniqueSlug");
+const { recordAudit } = require("../utils/auditLog");
+const { diffProposal, contentFields } = require("../utils/proposalDiff");
+const {
+  REVIEWER_ROLES,
+  canReview,
+  policyFor,
+  currentVotes,
+  recordVote,
+  tally,
+} = require("../utils/reviewPolicy");
+const {
+  MAX_MESSAGE_LENGTH,
+  startRound,
+  findRound,
+  reviseRound,
+  isUnderReview,
+  canSeeReview,
+  proposalForViewer,
+  addMessage,
+  notifyThread,
+} = require("../utils/reviewThread");
+const {
+  RESOLUTION_CHOICES,
+  captureBase,
+  compareWithBase,
+  fieldsToMerge,
+  recordResolution,
+  threeWayView,
+  mergePreview,
+} = require("../utils/staleBase");
 
 const { DATA_STRUCTURE } = require("../utils/categoryTypes");
 
+const reviewLinks = (proposal) => ({
+  contributorLink: `/data-structures/proposals/${proposal.slug}/edit`,
+  reviewerLink: "/admin/data-structures/proposals/review",
+});
+
+// Populated on proposals returned to the review screens.
+const REVIEW_POPULATE = [
+  { path: "contributor", select: "username avatarUrl" },
+  { path: "reviewedBy", select: "username avatarUrl" },
+  { path: "reviews.reviewer", select: "username avatarUrl" },
+  { path: "thread.author", select: "username avatarUrl" },
+];
+
 const createProposal = asyncHandler(async (req, res) => {
   const {
     title,
@@ -61,6 +104,15 @@ const createProposal = asyncHandler(async (req, res) => {
     });
   }
 
+  const target = targetDataStructure
+    ? await DataStructure.findById(targetDataStructure)
+    : null;
+  if (targetDataStructure && !target) {
+    return res
+      .status(404)
+      .json({ message: "Specified target data structure does not exist." });
+  }
+
   const slug = await generateUniqueSlug(title);
 
   const proposal = new DataStructureProposal({
@@ -79,15 +131,20 @@ const createProposal = asyncHandler(async (req, res) => {
     references,
     videoLinks,
     targetDataStructure: targetDataStructure || null,
+    base: target ? captureBase("DataStructure", target) : null,
     contributor: req.user._id,
     status: "pending",
   });
 
+  startRound("DataStructure", proposal);
   const createdProposal = await proposal.save();
 
-  const admins = await User.find({ role: "admin" }, "_id").lean();
-  const notifications = admins.map((admin) => ({
-    recipient: admin._id,
+  const reviewers = await User.find(
+    { role: { $in: REVIEWER_ROLES } },
+    "_id"
+  ).lean();
+  const notifications = reviewers.map((reviewer) => ({
+    recipient: reviewer._id,
     sender: req.user._id,
     type: "new_data_structure_proposal",
     message: `User "${req.user.username}" has submitted a new data structure proposal "${title}".`,
@@ -107,7 +164,13 @@ const getAllProposals = asyncHandler(async (req, res) => {
   const filters = { isDeleted: false };
 
   if (status) {
-    const validStatuses = ["pending", "approved", "rejected", "merged"];
+    const validStatuses = [
+      "pending",
+      "changes_requested",
+      "approved",
+      "rejected",
+      "merged",
+    ];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({ message: "Invalid status provided." });
     }
@@ -123,13 +186,15 @@ const getAllProposals = asyncHandler(async (req, res) => {
     ];
   }
 
-  if (req.user.role !== "admin") {
+  if (!canReview(req.user)) {
     filters.contributor = req.user._id;
   }
 
   const proposals = await DataStructureProposal.find(filters)
     .populate("contributor", "username avatarUrl")
     .populate("reviewedBy", "username avatarUrl")
+    .populate("reviews.reviewer", "username avatarUrl")
+    .populate("thread.author", "username avatarUrl")
     .populate("mergedBy", "username avatarUrl")
     .populate("mergedWith", "title slug")
     .skip((page - 1) * limit)
@@ -155,7 +220,30 @@ const getProposalBySlug = asyncHandler(async (req, res) => {
     .populate("contributor", "username avatarUrl")
     .populate("reviewedBy", "username avatarUrl")
     .populate("mergedBy", "username avatarUrl")
-    .populate("mergedWith", "title slug");
+    .populate("mergedWith", "title slug")
+    .populate("thread.author", "username avatarUrl");
+
+  if (!proposal) {
+    res.status(404);
+    throw new Error("Proposal not found.");
+  }
+
+  if (!canSeeReview(proposal, req.user)) {
+    res.status(403);
+    throw new Error("Not authorized to view this proposal.");
+  }
+
+  res.json(proposalForViewer(proposal, req.user));
+});
+
+// Compares the proposal with its target data structure, or with an empty
+// entry when it proposes a new one. With ?round=N it is compared with what was
+// submitted in that round instead.
+const getProposalDiff = asyncHandler(async (req, res) => {
+  const proposal = await DataStructureProposal.findOne({
+    slug: req.params.slug,
+    isDeleted: false,
+  });
 
   if (!proposal) {
     res.status(404);
@@ -164,18 +252,48 @@ const getProposalBySlug = asyncHandler(async (req, res) => {
 
   if (
     proposal.contributor.toString() !== req.user._id.toString() &&
-    req.user.role !== "admin"
+    !canReview(req.user)
   ) {
     res.status(403);
     throw new Error("Not authorized to view this proposal.");
   }
 
-  res.json(proposal);
+  const target = proposal.targetDataStructure
+    ? await DataStructure.findById(proposal.targetDataStructure)
+    : null;
+
+  let base = target;
+  let proposed = proposal;
+  let threeWay = null;
+  if (req.query.round) {
+    const round = findRound(proposal, req.query.round);
+    if (!round) {
+      res.status(404);
+      throw new Error(`Round ${req.query.round} not found.`);
+    }
+    base = round.snapshot;
+  } else if (target) {
+    // When the data structure has moved on, show what merging would actually do
+    const comparison = compareWithBase("DataStructure", proposal, target);
+    if (comparison.stale) {
+      threeWay = threeWayView("DataStructure", proposal, target, comparison);
+      proposed = mergePreview("DataStructure", proposal, target, comparison);
+    }
+  }
+
+  res.json({
+    target: target && { _id: target._id, title: target.title, slug: target.slug },
+    ...(req.query.round && { round: Number(req.query.round) }),
+    ...diffProposal("DataStructure", base, proposed),
+    threeWay,
+    policy: policyFor("DataStructure", target, proposal),
+  });
 });
 
 const updateProposal = asyncHandler(async (req, res) => {
   const proposal = await DataStructureProposal.findOne({
     slug: req.params.slug,
+    isDeleted: false,
   });
 
   if (!proposal) {
@@ -183,26 +301,19 @@ const updateProposal = asyncHandler(async (req, res) => {
     throw new Error("Proposal not found.");
   }
 
-  if (req.user.role !== "admin") {
-    if (proposal.contributor.toString() !== req.user._id.toString()) {
-      res.status(403);
-      throw new Error("Not authorized to update this proposal.");
-    }
-    if (proposal.status !== "pending") {
-      res.status(400);
-      throw new Error(
-        `Proposal is already ${proposal.status} and cannot be updated by a contributor.`
-      );
-    }
+  if (
+    req.user.role !== "admin" &&
+    proposal.contributor.toString() !== req.user._id.toString()
+  ) {
+    res.status(403);
+    throw new Error("Not authorized to update this proposal.");
   }
 
-  if (proposal.status === "approved" || proposal.status === "merged") {
-    if (req.user.role !== "admin") {
-      res.status(400);
-      throw new Error(
-        `Proposal is already ${proposal.status} and cannot be updated.`
-      );
-    }
+  if (!isUnderReview(proposal)) {
+    res.status(409);
+    throw new Error(
+      `Proposal is already ${proposal.status} and cannot be updated.`
+    );
   }
 
   const {
@@ -350,10 +461,10 @@ const updateProposal = asyncHandler(async (req, res) => {
       typeof targetDataStructure === "string" ||
       targetDataStructure === null
     ) {
-      if (
-        targetDataStructure &&
-        !(await DataStructure.findById(targetDataStructure))
-      ) {
+      const target = targetDataStructure
+        ? await DataStructure.findById(targetDataStructure)
+        : null;
+      if (targetDataStructure && !target) {
         res.status(400);
         throw new Error("Specified target data structure does not exist.");
       }
@@ -361,7 +472,10 @@ const updateProposal = asyncHandler(async (req, res) => {
         proposal.targetDataStructure?.toString() !==
         targetDataStructure?.toString()
       ) {
+        // A new target means a new base to detect later changes against
         proposal.targetDataStructure = targetDataStructure;
+        proposal.base = target ? captureBase("DataStructure", target) : null;
+        proposal.resolutions = [];
         hasChanged = true;
       }
     } else {
@@ -377,12 +491,47 @@ const updateProposal = asyncHandler(async (req, res) => {
     });
   }
 
+  const round = reviseRound("DataStructure", proposal);
+  if (round) {
+    addMessage(
+      proposal,
+      req.user,
+      "resubmitted",
+      "Edited during review; earlier votes no longer count."
+    );
+  }
+
   const updatedProposal = await proposal.save();
+  if (round) {
+    await notifyThread(proposal, req.user, {
+      type: "proposal_resubmitted",
+      message: `${req.user.username} edited "${proposal.title}" during review (round ${round}).`,
+      ...reviewLinks(proposal),
+    });
+  }
   res.json(updatedProposal);
 });
 
+// Reviews are recorded with the status before and after the vote
+const auditReview = (req, proposal, previousStatus, vote) =>
+  recordAudit(req, {
+    action: "proposal.review",
+    target: { type: "DataStructureProposal", id: proposal._id, label: proposal.title },
+    summary: `Voted ${vote}; proposal is now ${proposal.status}`,
+    before: { status: previousStatus },
+    after: {
+      status: proposal.status,
+      vote,
+      reviewComment: proposal.reviewComment,
+      mergedWith: proposal.mergedWith,
+    },
+  });
+
+// Records the reviewer's vote on the current round; the proposal is merged once
+// the review policy has enough approvals and rejected once it has enough
+// rejections. Requesting changes sends it back to the author for another round.
 const reviewProposal = asyncHandler(async (req, res) => {
-  if (req.user.role !== "admin") {
+  if (!canReview(req.user)) {
     res.status(403);
     throw new Error("Not authorized to review proposals.");
   }
@@ -397,55 +546,120 @@ const reviewProposal = asyncHandler(async (req, res) => {
     throw new Error("Proposal not found.");
   }
 
-  if (proposal.status === "merged") {
-    res.status(400);
+  if (!isUnderReview(proposal)) {
+    res.status(409);
     throw new Error(
-      "This proposal has already been merged and cannot be reviewed again."
+      `Proposal is already ${proposal.status} and cannot be reviewed again.`
     );
   }
 
-  const { status, reviewComment } = req.body;
+  const { status, reviewComment = "" } = req.body;
 
-  if (!["approved", "rejected"].includes(status)) {
+  if (!["approved", "rejected", "changes_requested"].includes(status)) {
     res.status(400);
-    throw new Error("Status must be 'approved' or 'rejected'.");
+    throw new Error(
+      "Status must be 'approved', 'rejected' or 'changes_requested'."
+    );
   }
 
-  proposal.status = status;
+  if (proposal.contributor.toString() === req.user._id.toString()) {
+    res.status(403);
+    throw new Error("You cannot review your own proposal.");
+  }
+
+  const previousStatus = proposal.status;
   proposal.reviewedBy = req.user._id;
   proposal.reviewedAt = new Date();
-  proposal.reviewComment = reviewComment || "";
+  proposal.reviewComment = reviewComment;
+
+  if (status === "changes_requested") {
+    if (!reviewComment.trim()) {
+      res.status(400);
+      throw new Error("Describe the changes you are requesting.");
+    }
+    addMessage(proposal, req.user, "changes_requested", reviewComment);
+    proposal.status = "changes_requested";
+    const updatedProposal = await proposal.save();
+
+    await Notification.create({
+      recipient: proposal.contributor,
+      sender: req.user._id,
+      type: "proposal_changes_requested",
+      message: `${req.user.username} requested changes to your proposal "${proposal.title}".`,
+      link: reviewLinks(proposal).contributorLink,
+      read: false,
+    });
+    await auditReview(req, proposal, previousStatus, status);
+    return res.json(updatedProposal);
+  }
+
+  addMessage(proposal, req.user, status, reviewComment);
+  recordVote(
+    proposal,
+    req.user,
+    status === "approved" ? "approve" : "reject",
+    reviewComment
+  );
+
+  const target = proposal.targetDataStructure
+    ? await DataStructure.findById(proposal.targetDataStructure)
+    : null;
+  const { requiredApprovals } = policyFor("DataStructure", target, proposal);
+  const { outcome, approvals, approvers } = tally(
+    currentVotes(proposal),
+    requiredApprovals
+  );
+  proposal.requiredApprovals = requiredApprovals;
+  // A vote that does not decide the proposal leaves requested changes open
+  proposal.status =
+    outcome === "pending" && proposal.status === "changes_requested"
+      ? "changes_requested"
+      : outcome;
 
   let notificationMessage = "";
   let notificationType = "proposal_status_update";
   let notificationLink = `/proposals/${proposal.slug}`;
 
-  if (status === "approved") {
+  if (outcome === "pending") {
+    notificationMessage = `${req.user.username} voted to ${
+      status === "approved" ? "approve" : "reject"
+    } your proposal "${proposal.title}" (${approvals}/${requiredApprovals} approvals).`;
+    notificationType = "proposal_review";
+  } else if (outcome === "approved") {
+    // Only the fields the proposal changed since its base are written, so
+    // edits made to the data structure in the meantime survive the merge.
+    let mergeFields = contentFields("DataStructure");
+    if (target) {
+      const comparison = compareWithBase("DataStructure", proposal, target);
+      if (comparison.unresolved.length > 0) {
+        res.status(409);
+        throw new Error(
+          `"${target.title}" has changed since this proposal was made. Resolve the conflicting fields before merging: ${comparison.unresolved.join(", ")}.`
+        );
+      }
+      if (comparison.tracked) mergeFields = fieldsToMerge(comparison);
+      if (mergeFields.length === 0) {
+        res.status(409);
+        throw new Error("Nothing is left to merge; reject the proposal instead.");
+      }
+    }
+
     try {
       let dataStructure;
       if (proposal.targetDataStructure) {
-        dataStructure = await DataStructure.findById(
-          proposal.targetDataStructure
-        );
+        dataStructure = target;
         if (!dataStructure) {
           res.status(404);
           throw new Error("Target data structure for update not found.");
         }
 
-        dataStructure.title = proposal.title;
-        dataStructure.slug = await generateUniqueSlug(proposal.title);
-        dataStructure.definition = proposal.definition;
-        dataStructure.category = proposal.category;
-        dataStructure.type = proposal.type;
-        dataStructure.characteristics = proposal.characteristics;
-        dataStructure.visualization = proposal.visualization;
-        dataStructure.operations = proposal.operations;
-        dataStructure.fullImplementations = proposal.fullImplementations;
-        dataStructure.applications = proposal.applications;
-        dataStructure.comparisons = proposal.comparisons;
-        dataStructure.tags = proposal.tags;
-        dataStructure.references = proposal.references;
-        dataStructure.videoLinks = proposal.videoLinks;
+        const proposed = proposal.toObject();
+        mergeFields.forEach((field) => {
+          dataStructure[field] = proposed[field];
+        });
+        if (mergeFields.includes("title")) {
+          dataStructure.slug = await generateUniqueSlug(proposal.title);
+        }
 
         dataStructure.updatedBy = req.user._id;
 
@@ -455,11 +669,13 @@ const reviewProposal = asyncHandler(async (req, res) => {
           description: `Merged update from proposal: "${proposal.title}"`,
         });
 
-        dataStructure.contributors.push({
-          user: req.user._id,
-          contributionType: "review",
-          description: `Approved and merged proposal by ${req.user.username}`,
-        });
+        approvers.forEach((user) =>
+          dataStructure.contributors.push({
+            user,
+            contributionType: "review",
+            description: "Approved and merged proposal",
+          })
+        );
 
         await dataStructure.save();
         notificationMessage = `Your proposal "${proposal.title}" has been approved and merged into the existing data structure.`;
@@ -491,11 +707,11 @@ const reviewProposal = asyncHandler(async (req, res) => {
               contributionType: "create",
               description: "Initial creation via proposal",
             },
-            {
-              user: req.user._id,
+            ...approvers.map((user) => ({
+              user,
               contributionType: "review",
-              description: `Approved and published by ${req.user.username}`,
-            },
+              description: "Approved and published proposal",
+            })),
           ],
         });
 
@@ -516,7 +732,7 @@ const reviewProposal = asyncHandler(async (req, res) => {
         `Failed to merge proposal to data structure: ${error.message}`
       );
     }
-  } else if (status === "rejected") {
+  } else {
     notificationMessage = `Your proposal "${
       proposal.title
     }" has been rejected. Reason: ${reviewComment || "No reason provided."}`;
@@ -534,12 +750,139 @@ const reviewProposal = asyncHandler(async (req, res) => {
     read: false,
   });
 
+  await auditReview(req, proposal, previousStatus, status);
   res.json(updatedProposal);
 });
 
+// Body: { resolutions: { [field]: "proposal" | "target" } }, for fields that
+// both the proposal and the data structure changed since the proposal's base.
+const resolveConflicts = asyncHandler(async (req, res) => {
+  const proposal = await DataStructureProposal.findOne({
+    slug: req.params.slug,
+    isDeleted: false,
+  });
+
+  if (!proposal) {
+    res.status(404);
+    throw new Error("Proposal not found.");
+  }
+
+  if (proposal.status === "merged" || proposal.status === "rejected") {
+    res.status(400);
+    throw new Error("This proposal is no longer under review.");
+  }
+
+  const target = proposal.targetDataStructure
+    ? await DataStructure.findById(proposal.targetDataStructure)
+    : null;
+  const comparison = compareWithBase("DataStructure", proposal, target);
+  if (!comparison.tracked || comparison.conflicts.length === 0) {
+    res.status(400);
+    throw new Error("This proposal has no conflicts to resolve.");
+  }
+
+  const resolutions = Object.entries(req.body.resolutions || {});
+  const invalid = resolutions.filter(
+    ([field, choice]) =>
+      !comparison.conflicts.includes(field) || !RESOLUTION_CHOICES.includes(choice)
+  );
+  if (resolutions.length === 0 || invalid.length > 0) {
+    res.status(400);
+    throw new Error(
+      `Resolve conflicting fields (${comparison.conflicts.join(", ")}) with "proposal" or "target".`
+    );
+  }
+
+  resolutions.forEach(([field, choice]) =>
+    recordResolution("DataStructure", proposal, target, field, choice, req.user)
+  );
+  await proposal.save();
+
+  res.json(await proposal.populate(REVIEW_POPULATE));
+});
+
+const addThreadComment = asyncHandler(async (req, res) => {
+  const proposal = await DataStructureProposal.findOne({
+    slug: req.params.slug,
+    isDeleted: false,
+  });
+
+  if (!proposal) {
+    res.status(404);
+    throw new Error("Proposal not found.");
+  }
+
+  if (
+    proposal.contributor.toString() !== req.user._id.toString() &&
+    !canReview(req.user)
+  ) {
+    res.status(403);
+    throw new Error("Not authorized to comment on this proposal.");
+  }
+
+  const body = String(req.body.body || "").trim();
+  if (!body) {
+    res.status(400);
+    throw new Error("Comment cannot be empty.");
+  }
+  if (body.length > MAX_MESSAGE_LENGTH) {
+    res.status(400);
+    throw new Error(`Comments are limited to ${MAX_MESSAGE_LENGTH} characters.`);
+  }
+
+  addMessage(proposal, req.user, "comment", body);
+  const updatedProposal = await proposal.save();
+
+  await notifyThread(proposal, req.user, {
+    type: "proposal_comment",
+    message: `${req.user.username} commented on the data structure proposal "${proposal.title}".`,
+    ...reviewLinks(proposal),
+  });
+
+  res.status(201).json(await updatedProposal.populate(REVIEW_POPULATE));
+});
+
+// Starts a new review round with the proposal's current content.
+const resubmitProposal = asyncHandler(async (req, res) => {
+  const proposal = await DataStructureProposal.findOne({
+    slug: req.params.slug,
+    isDeleted: false,
+  });
+
+  if (!proposal) {
+    res.status(404);
+    throw new Error("Proposal not found.");
+  }
+
+  if (proposal.contributor.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error("Only the author can resubmit this proposal.");
+  }
+
+  if (proposal.status !== "changes_requested") {
+    res.status(400);
+    throw new Error("Only proposals with requested changes can be resubmitted.");
+  }
+
+  const note = String(req.body.note || "").trim().slice(0, MAX_MESSAGE_LENGTH);
+  const round = startRound("DataStructure", proposal, note);
+  addMessage(proposal, req.user, "resubmitted", note);
+  proposal.status = "pending";
+  const updatedProposal = await proposal.save();
+
+  await notifyThread(proposal, req.user, {
+    type: "proposal_resubmitted",
+    message: `${req.user.username} resubmitted "${proposal.title}" for review (round ${round}).`,
+    ...reviewLinks(proposal),
+  });
+
+  res.json(await updatedProposal.populate(REVIEW_POPULATE));
+});
+
 const deleteProposal = asyncHandler(async (req, res) => {
   const proposal = await DataStructureProposal.findOne({
     slug: req.params.slug,
+    isDeleted: false,
   });
 
   if (!proposal) {
@@ -568,11 +911,18 @@ const deleteProposal = asyncHandler(async (req, res) => {
       isDeleted: true,
       deletedAt: new Date(),
       deletedBy: req.user._id,
+      stateBeforeDelete: { status: proposal.status },
       status: "rejected",
     },
     { new: true }
   );
 
+  await recordAudit(req, {
+    action: "proposal.delete",
+    target: { type: "DataStructureProposal", id: proposal._id, label: proposal.title },
+    before: { status: proposal.status },
+  });
+
   res.json({
     message: "Proposal soft-deleted successfully.",
     proposal: updatedProposal,
@@ -583,7 +933,11 @@ module.exports = {
   createProposal,
   getAllProposals,
   getProposalBySlug,
+  getProposalDiff,
   updateProposal,
   reviewProposal,
+  addThreadComment,
+  resubmitProposal,
+  resolveConflicts,
   deleteProposal,
 };
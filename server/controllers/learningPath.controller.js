@@ -0,0 +1,289 @@
+const asyncHandler = require("express-async-handler");
+const LearningPath = require("../models/learningPath.model");
+const PathProgress = require("../models/pathProgress.model");
+const Algorithm = require("../models/algorithm.model");
+const DataStructure = require("../models/dataStructure.model");
+const generateUniqueSlug = require("../utils/generateUniqueSlug");
+const { recordAudit } = require("../utils/auditLog");
+const { isTrustedContributor } = require("../middleware/auth.middleware");
+
+const MODELS = { Algorithm, DataStructure };
+
+const entryKey = (entryType, slug) => `${entryType}:${slug}`;
+
+const pathItems = (path) => path.sections.flatMap((section) => section.items);
+
+const visibleFilter = (user) => ({
+  isDeleted: { $ne: true },
+  ...(user?.role !== "admin" && { isPublished: { $ne: false } }),
+});
+
+// Unpublished paths stay visible to their creator, who can still edit and
+// republish them.
+const pathFilter = (user) => {
+  if (!user || user.role === "admin") return visibleFilter(user);
+  return {
+    isDeleted: { $ne: true },
+    $or: [{ isPublished: { $ne: false } }, { createdBy: user._id }],
+  };
+};
+
+// Looks up the referenced entries; returns a map keyed by entryKey.
+const resolveEntries = async (items, user) => {
+  const slugsByType = { Algorithm: new Set(), DataStructure: new Set() };
+  items.forEach((item) => slugsByType[item.entryType].add(item.slug));
+
+  const entries = new Map();
+  await Promise.all(
+    Object.entries(slugsByType).map(async ([entryType, slugs]) => {
+      if (slugs.size === 0) return;
+      const found = await MODELS[entryType]
+        .find({ slug: { $in: [...slugs] }, ...visibleFilter(user) })
+        .select("title slug difficulty")
+        .lean();
+      found.forEach((entry) =>
+        entries.set(entryKey(entryType, entry.slug), entry)
+      );
+    })
+  );
+  return entries;
+};
+
+const normalizeSections = (sections) =>
+  sections.map((section) => ({
+    title: section.title,
+    description: section.description || "",
+    items: section.items.map((item) => ({
+      ...(item._id && { _id: item._id }),
+      entryType: item.entryType,
+      slug: item.slug.trim(),
+      note: item.note || "",
+      effortMinutes: Number(item.effortMinutes) || 0,
+    })),
+  }));
+
+const assertEntriesExist = async (sections, user, res) => {
+  const items = sections.flatMap((section) => section.items);
+  const entries = await resolveEntries(items, user);
+  const missing = items.filter(
+    (item) => !entries.has(entryKey(item.entryType, item.slug))
+  );
+
+  if (missing.length > 0) {
+    res.status(400);
+    throw new Error(
+      `Unknown entries: ${missing.map((item) => item.slug).join(", ")}`
+    );
+  }
+};
+
+const summarize = (path, completedCount) => {
+  const items = pathItems(path);
+  return {
+    _id: path._id,
+    title: path.title,
+    slug: path.slug,
+    description: path.description,
+    level: path.level,
+    isPublished: path.isPublished,
+    createdBy: path.createdBy,
+    updatedAt: path.updatedAt,
+    sectionCount: path.sections.length,
+    itemCount: items.length,
+    totalEffortMinutes: items.reduce((sum, item) => sum + item.effortMinutes, 0),
+    ...(completedCount !== undefined && { completedCount }),
+  };
+};
+
+const findPathOr404 = async (slug, user, res) => {
+  const path = await LearningPath.findOne({ slug, ...pathFilter(user) });
+  if (!path) {
+    res.status(404);
+    throw new Error("Learning path not found");
+  }
+  return path;
+};
+
+const assertCanEdit = (path, user, res) => {
+  if (
+    path.createdBy.toString() !== user._id.toString() &&
+    user.role !== "admin"
+  ) {
+    res.status(403);
+    throw new Error("Not authorized to modify this learning path");
+  }
+};
+
+const getLearningPaths = asyncHandler(async (req, res) => {
+  const paths = await LearningPath.find(pathFilter(req.user))
+    .populate("createdBy", "username avatarUrl")
+    .sort({ title: 1 })
+    .lean();
+
+  let completed = new Map();
+  if (req.user) {
+    const progress = await PathProgress.find({
+      user: req.user._id,
+      path: { $in: paths.map((path) => path._id) },
+    }).lean();
+    completed = new Map(
+      progress.map((p) => [p.path.toString(), p.completedItems.length])
+    );
+  }
+
+  res.json({
+    paths: paths.map((path) =>
+      summarize(
+        path,
+        req.user ? completed.get(path._id.toString()) || 0 : undefined
+      )
+    ),
+    canCreate: await isTrustedContributor(req.user),
+  });
+});
+
+const getLearningPathBySlug = asyncHandler(async (req, res) => {
+  const path = await LearningPath.findOne({
+    slug: req.params.slug,
+    ...pathFilter(req.user),
+  })
+    .populate("createdBy", "username avatarUrl")
+    .lean();
+
+  if (!path) {
+    res.status(404);
+    throw new Error("Learning path not found");
+  }
+
+  const [entries, progress] = await Promise.all([
+    resolveEntries(pathItems(path), req.user),
+    req.user
+      ? PathProgress.findOne({ user: req.user._id, path: path._id }).lean()
+      : null,
+  ]);
+  const completed = new Set(
+    (progress?.completedItems || []).map((id) => id.toString())
+  );
+
+  const sections = path.sections.map((section) => ({
+    ...section,
+    items: section.items.map((item) => {
+      const entry = entries.get(entryKey(item.entryType, item.slug));
+      return {
+        ...item,
+        title: entry?.title || item.slug,
+        difficulty: entry?.difficulty,
+        missing: !entry,
+        ...(req.user && { completed: completed.has(item._id.toString()) }),
+      };
+    }),
+  }));
+
+  res.json({
+    ...summarize(path, req.user ? completed.size : undefined),
+    sections,
+  });
+});
+
+const createLearningPath = asyncHandler(async (req, res) => {
+  const { title, description, level, sections } = req.body;
+
+  const normalized = normalizeSections(sections);
+  await assertEntriesExist(normalized, req.user, res);
+
+  const path = await LearningPath.create({
+    title,
+    slug: await generateUniqueSlug(title, LearningPath),
+    description,
+    level,
+    sections: normalized,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json(path);
+});
+
+const updateLearningPath = asyncHandler(async (req, res) => {
+  const { title, description, level, sections, isPublished } = req.body;
+
+  const path = await findPathOr404(req.params.slug, req.user, res);
+  assertCanEdit(path, req.user, res);
+
+  const normalized = normalizeSections(sections);
+  await assertEntriesExist(normalized, req.user, res);
+
+  path.title = title;
+  path.description = description ?? path.description;
+  path.level = level || path.level;
+  path.sections = normalized;
+  if (typeof isPublished === "boolean") path.isPublished = isPublished;
+  path.updatedBy = req.user._id;
+
+  const updatedPath = await path.save();
+
+  // Progress may point at items that no longer exist.
+  const itemIds = pathItems(updatedPath).map((item) => item._id);
+  await PathProgress.updateMany(
+    { path: updatedPath._id },
+    { $pull: { completedItems: { $nin: itemIds } } }
+  );
+
+  res.json(updatedPath);
+});
+
+const deleteLearningPath = asyncHandler(async (req, res) => {
+  const path = await findPathOr404(req.params.slug, req.user, res);
+  assertCanEdit(path, req.user, res);
+
+  path.isDeleted = true;
+  await path.save();
+
+  if (path.createdBy.toString() !== req.user._id.toString()) {
+    await recordAudit(req, {
+      action: "learning_path.delete",
+      target: { type: "LearningPath", id: path._id, label: path.title },
+      before: { slug: path.slug, createdBy: path.createdBy },
+    });
+  }
+
+  res.json({ message: "Learning path deleted successfully" });
+});
+
+const updatePathProgress = asyncHandler(async (req, res) => {
+  const { itemId, completed } = req.body || {};
+
+  if (!itemId || typeof completed !== "boolean") {
+    res.status(400);
+    throw new Error("Provide an itemId and a boolean 'completed' flag.");
+  }
+
+  const path = await findPathOr404(req.params.slug, req.user, res);
+  const item = pathItems(path).find((i) => i._id.toString() === itemId);
+  if (!item) {
+    res.status(404);
+    throw new Error("Item not found in this learning path");
+  }
+
+  const progress = await PathProgress.findOneAndUpdate(
+    { user: req.user._id, path: path._id },
+    completed
+      ? { $addToSet: { completedItems: item._id } }
+      : { $pull: { completedItems: item._id } },
+    { new: true, upsert: true }
+  );
+
+  res.json({
+    completedItems: progress.completedItems,
+    completedCount: progress.completedItems.length,
+    itemCount: pathItems(path).length,
+  });
+});
+
+module.exports = {
+  getLearningPaths,
+  getLearningPathBySlug,
+  createLearningPath,
+  updateLearningPath,
+  deleteLearningPath,
+  updatePathProgress,
+};
@@ -1,6 +1,7 @@
 const asyncHandler = require("express-async-handler");
 const Notification = require("../models/notification.model");
 const User = require("../models/user.model");
+const { recordAudit } = require("../utils/auditLog");
 
 const colorMap = {
   mention: "blue",
@@ -75,6 +76,12 @@ const broadcastNotification = asyncHandler(async (req, res) => {
 
   await Notification.insertMany(notifications);
 
+  await recordAudit(req, {
+    action: "notification.broadcast",
+    summary: `Sent to ${users.length} users`,
+    after: { type, message, link: link || null, recipients: users.length },
+  });
+
   res.status(201).json({ message: `Broadcast sent to ${users.length} users.` });
 });
 
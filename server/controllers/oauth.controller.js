@@ -0,0 +1,188 @@
+const asyncHandler = require("express-async-handler");
+const crypto = require("crypto");
+const User = require("../models/user.model");
+const { configuredProviders, getProvider } = require("../utils/oauthProviders");
+const { beginAuthorization, completeAuthorization } = require("../utils/oauth");
+const { startSession } = require("../utils/sessions");
+const { isTwoFactorRequired, issueLoginChallenge } = require("../utils/twoFactor");
+
+const providerOr404 = (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    res.status(404);
+    throw new Error("Unknown sign-in provider");
+  }
+  return provider;
+};
+
+// Same response as a password login, including the two-factor step.
+const signIn = async (user, req, res) => {
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      twoFactorRequired: true,
+      challengeToken: issueLoginChallenge(user),
+    });
+  }
+
+  const userObj = user.toObject();
+  delete userObj.password;
+  const { token, refreshToken } = await startSession(user, req);
+  res.json({
+    ...userObj,
+    token,
+    refreshToken,
+    twoFactorSetupRequired: await isTwoFactorRequired(user),
+  });
+};
+
+// A free username based on the provider's, e.g. "octo_cat" or "octo_cat42".
+const availableUsername = async (profile) => {
+  const base =
+    (profile.username || profile.email.split("@")[0])
+      .replace(/[^a-zA-Z0-9_]/g, "_")
+      .slice(0, 16)
+      .padEnd(3, "_");
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const candidate = attempt === 0 ? base : `${base}${crypto.randomInt(10, 10000)}`;
+    if (!(await User.exists({ username: candidate }))) return candidate;
+  }
+  throw new Error("Could not pick a username, please register with a password");
+};
+
+const linkedAccount = (provider, profile) => ({
+  provider: provider.id,
+  subject: profile.subject,
+  email: profile.email,
+  username: profile.username,
+});
+
+// The profile URL is only filled in from a verified GitHub login, never
+// matched against: anyone can type any URL into socialLinks.
+const fillGithubLink = (user, provider, profile) => {
+  if (provider.id === "github" && profile.profileUrl && !user.socialLinks?.github) {
+    user.set("socialLinks.github", profile.profileUrl);
+  }
+};
+
+const getOAuthProviders = asyncHandler(async (req, res) => {
+  res.json(configuredProviders().map(({ id, name }) => ({ id, name })));
+});
+
+const startOAuthLogin = asyncHandler(async (req, res) => {
+  const provider = providerOr404(req, res);
+  res.json(await beginAuthorization(provider, { intent: "login" }));
+});
+
+const startOAuthLink = asyncHandler(async (req, res) => {
+  const provider = providerOr404(req, res);
+  if (req.user.oauthAccounts?.some((account) => account.provider === provider.id)) {
+    res.status(400);
+    throw new Error(`Your account is already linked to ${provider.name}`);
+  }
+  res.json(await beginAuthorization(provider, { intent: "link", user: req.user }));
+});
+
+/**
+ * Body: { code, state } from the provider's redirect. Signs in with the
+ * identity, linking it to the account with the same verified email or
+ * creating a new account; or links it to the signed-in user when the
+ * request was started with startOAuthLink.
+ */
+const completeOAuth = asyncHandler(async (req, res) => {
+  let result;
+  try {
+    result = await completeAuthorization(req.body || {});
+  } catch (error) {
+    res.status(400);
+    throw error;
+  }
+  const { provider, intent, profile } = result;
+  const owner = await User.findOne({
+    oauthAccounts: { $elemMatch: { provider: provider.id, subject: profile.subject } },
+  });
+
+  if (intent === "link") {
+    if (!req.user || String(req.user._id) !== String(result.user)) {
+      res.status(401);
+      throw new Error("Sign in to the account you are linking first");
+    }
+    if (owner && !owner._id.equals(req.user._id)) {
+      res.status(409);
+      throw new Error(`This ${provider.name} account is linked to another user`);
+    }
+    if (!owner) {
+      req.user.oauthAccounts.push(linkedAccount(provider, profile));
+      fillGithubLink(req.user, provider, profile);
+      await req.user.save();
+    }
+    return res.json({ linked: true, provider: provider.id });
+  }
+
+  if (owner) return signIn(owner, req, res);
+
+  if (!profile.email || !profile.emailVerified) {
+    res.status(400);
+    throw new Error(`Your ${provider.name} account has no verified email address`);
+  }
+
+  let user = await User.findOne({ email: profile.email });
+  if (user) {
+    // Unless whoever registered this address proved they own it (accounts
+    // from before verification never did), linking would hand the
+    // account's password holder this identity
+    if (!user.emailVerifiedAt) {
+      res.status(409);
+      throw new Error(
+        `An account already uses this email. Sign in with its password and link ${provider.name} from your profile.`
+      );
+    }
+    user.oauthAccounts.push(linkedAccount(provider, profile));
+  } else {
+    user = new User({
+      username: await availableUsername(profile),
+      email: profile.email,
+      // Unusable until the user sets one through the password reset flow
+      password: crypto.randomBytes(32).toString("hex"),
+      passwordLogin: false,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      fullName: profile.name || "",
+      avatarUrl: profile.avatarUrl || "",
+      oauthAccounts: [linkedAccount(provider, profile)],
+    });
+  }
+  fillGithubLink(user, provider, profile);
+  await user.save();
+
+  return signIn(user, req, res);
+});
+
+// Removes a linked identity, unless it is the only way into the account.
+const unlinkOAuthAccount = asyncHandler(async (req, res) => {
+  const linked = req.user.oauthAccounts || [];
+  if (!linked.some((account) => account.provider === req.params.provider)) {
+    res.status(404);
+    throw new Error("That provider is not linked to your account");
+  }
+  if (!req.user.passwordLogin && linked.length === 1) {
+    res.status(400);
+    throw new Error(
+      "Set a password with 'Forgot password' before unlinking your only sign-in method"
+    );
+  }
+
+  req.user.oauthAccounts = linked.filter(
+    (account) => account.provider !== req.params.provider
+  );
+  await req.user.save();
+  res.json({ message: "Account unlinked", oauthAccounts: req.user.oauthAccounts });
+});
+
+module.exports = {
+  getOAuthProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  completeOAuth,
+  unlinkOAuthAccount,
+};
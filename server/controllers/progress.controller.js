@@ -0,0 +1,196 @@
+const asyncHandler = require("express-async-handler");
+const StudyProgress = require("../models/studyProgress.model");
+const Algorithm = require("../models/algorithm.model");
+const DataStructure = require("../models/dataStructure.model");
+const { addDays, scheduleReview } = require("../utils/spacedRepetition");
+
+const MODELS = { Algorithm, DataStructure };
+const PATH_TYPES = { algorithms: "Algorithm", "data-structures": "DataStructure" };
+const STATUSES = ["bookmarked", "learning", "mastered"];
+
+// Days until the first review after an entry is marked learning or mastered.
+const FIRST_REVIEW_DAYS = { learning: 1, mastered: 7 };
+
+const ENTRY_FIELDS = "title slug category difficulty isDeleted isPublished";
+
+const findEntryOr404 = async (req, res) => {
+  const entryType = PATH_TYPES[req.params.entryType];
+  if (!entryType) {
+    res.status(400);
+    throw new Error("Entry type must be 'algorithms' or 'data-structures'");
+  }
+
+  const entry = await MODELS[entryType]
+    .findOne({
+      slug: req.params.slug,
+      isDeleted: { $ne: true },
+      ...(req.user.role !== "admin" && { isPublished: { $ne: false } }),
+    })
+    .select("title slug");
+
+  if (!entry) {
+    res.status(404);
+    throw new Error(
+      `${entryType === "DataStructure" ? "Data structure" : "Algorithm"} not found`
+    );
+  }
+  return { entryType, entry };
+};
+
+// Drops records whose entry has since been deleted or unpublished.
+const withVisibleEntries = (records) =>
+  records.filter(
+    (record) =>
+      record.entry && !record.entry.isDeleted && record.entry.isPublished !== false
+  );
+
+const toResponse = (record) => ({
+  _id: record._id,
+  entryType: record.entryType,
+  entry: record.entry && {
+    _id: record.entry._id,
+    title: record.entry.title,
+    slug: record.entry.slug,
+    category: record.entry.category,
+    difficulty: record.entry.difficulty,
+  },
+  status: record.status,
+  interval: record.interval,
+  repetitions: record.repetitions,
+  dueAt: record.dueAt,
+  lastReviewedAt: record.lastReviewedAt,
+  lastRating: record.lastRating,
+  reviewCount: record.reviewCount,
+  updatedAt: record.updatedAt,
+});
+
+// GET /api/progress?status=learning
+const getMyProgress = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  if (status && !STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`Status must be one of: ${STATUSES.join(", ")}`);
+  }
+
+  const records = await StudyProgress.find({
+    user: req.user._id,
+    ...(status && { status }),
+  })
+    .populate("entry", ENTRY_FIELDS)
+    .sort({ updatedAt: -1 })
+    .lean();
+
+  const visible = withVisibleEntries(records);
+  const counts = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+  visible.forEach((record) => (counts[record.status] += 1));
+
+  res.json({ progress: visible.map(toResponse), counts });
+});
+
+// GET /api/progress/due
+// Everything whose next review date has passed, oldest first.
+const getReviewQueue = asyncHandler(async (req, res) => {
+  const now = new Date();
+
+  const [due, next] = await Promise.all([
+    StudyProgress.find({ user: req.user._id, dueAt: { $ne: null, $lte: now } })
+      .populate("entry", ENTRY_FIELDS)
+      .sort({ dueAt: 1 })
+      .lean(),
+    StudyProgress.findOne({ user: req.user._id, dueAt: { $gt: now } })
+      .sort({ dueAt: 1 })
+      .select("dueAt")
+      .lean(),
+  ]);
+
+  res.json({
+    due: withVisibleEntries(due).map(toResponse),
+    nextDueAt: next?.dueAt || null,
+  });
+});
+
+// GET /api/progress/:entryType/:slug
+const getEntryProgress = asyncHandler(async (req, res) => {
+  const { entryType, entry } = await findEntryOr404(req, res);
+
+  const record = await StudyProgress.findOne({
+    user: req.user._id,
+    entryType,
+    entry: entry._id,
+  })
+    .populate("entry", ENTRY_FIELDS)
+    .lean();
+
+  res.json({ progress: record ? toResponse(record) : null });
+});
+
+// PUT /api/progress/:entryType/:slug  { status }
+// A null status stops tracking the entry altogether.
+const setEntryStatus = asyncHandler(async (req, res) => {
+  const { status } = req.body || {};
+  if (status !== null && !STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`Status must be null or one of: ${STATUSES.join(", ")}`);
+  }
+
+  const { entryType, entry } = await findEntryOr404(req, res);
+  const filter = { user: req.user._id, entryType, entry: entry._id };
+
+  if (status === null) {
+    await StudyProgress.deleteOne(filter);
+    return res.json({ progress: null });
+  }
+
+  const record =
+    (await StudyProgress.findOne(filter)) || new StudyProgress(filter);
+  record.status = status;
+
+  if (status === "bookmarked") {
+    record.dueAt = null;
+  } else if (!record.dueAt) {
+    record.dueAt = addDays(new Date(), FIRST_REVIEW_DAYS[status]);
+  }
+
+  await record.save();
+  await record.populate("entry", ENTRY_FIELDS);
+
+  res.json({ progress: toResponse(record) });
+});
+
+// POST /api/progress/:entryType/:slug/review  { rating: 0-5 }
+const reviewEntry = asyncHandler(async (req, res) => {
+  const rating = Number(req.body?.rating);
+  if (!Number.isInteger(rating) || rating < 0 || rating > 5) {
+    res.status(400);
+    throw new Error("Rating must be a whole number from 0 to 5");
+  }
+
+  const { entryType, entry } = await findEntryOr404(req, res);
+  const filter = { user: req.user._id, entryType, entry: entry._id };
+
+  const record =
+    (await StudyProgress.findOne(filter)) ||
+    new StudyProgress({ ...filter, status: "learning" });
+
+  Object.assign(record, scheduleReview(record, rating));
+  record.reviewCount += 1;
+
+  // Reviewing a bookmark means the user has started learning it; forgetting
+  // a mastered entry puts it back into learning.
+  if (record.status === "bookmarked" || (record.status === "mastered" && rating < 3)) {
+    record.status = "learning";
+  }
+
+  await record.save();
+  await record.populate("entry", ENTRY_FIELDS);
+
+  res.json({ progress: toResponse(record) });
+});
+
+module.exports = {
+  getMyProgress,
+  getReviewQueue,
+  getEntryProgress,
+  setEntryStatus,
+  reviewEntry,
+};
@@ -4,6 +4,67 @@ const Algorithm = require("../models/algorithm.model");
 const User = require("../models/user.model");
 const Notification = require("../models/notification.model");
 const generateUniqueSlug = require("../utils/generateUniqueSlug");
+const {
+  createSnapshot,
+  recordRevision,
+  diffSnapshots,
+} = require("../utils/revisionHistory");
+const {
+  resetVerification,
+  scheduleVerification,
+} = require("../utils/testCaseVerifier");
+const { diffProposal } = require("../utils/proposalDiff");
+const {
+  REVIEWER_ROLES,
+  canReview,
+  policyFor,
+  currentVotes,
+  recordVote,
+  tally,
+} = require("../utils/reviewPolicy");
+const {
+  MAX_MESSAGE_LENGTH,
+  startRound,
+  reviseRound,
+  isUnderReview,
+  proposalForViewer,
+  findRound,
+  addMessage,
+  notifyThread,
+} = require("../utils/reviewThread");
+const { findDuplicates } = require("../utils/duplicateDetection");
+const { recordAudit } = require("../utils/auditLog");
+const {
+  RESOLUTION_CHOICES,
+  captureBase,
+  compareWithBase,
+  fieldsToMerge,
+  recordResolution,
+  threeWayView,
+  mergePreview,
+} = require("../utils/staleBase");
+
+// Populated on proposals returned to the review screens.
+const REVIEW_POPULATE = [
+  { path: "contributor", select: "username" },
+  { path: "targetAlgorithm", select: "title slug" },
+  { path: "reviews.reviewer", select: "username avatarUrl" },
+  { path: "thread.author", select: "username avatarUrl" },
+];
+
+const reviewLinks = (proposal) => ({
+  contributorLink: `/algorithms/proposals/${proposal.slug}/edit`,
+  reviewerLink: "/admin/proposals/review",
+});
+
+// Fields of an edit proposal that differ from `algorithm`: the target itself,
+// or the proposal's base snapshot of it.
+const diffAgainstTarget = (algorithm, proposal) =>
+  diffSnapshots(
+    "Algorithm",
+    createSnapshot("Algorithm", algorithm),
+    createSnapshot("Algorithm", proposal)
+  ).map((change) => change.field);
 
 // --- Create Proposal ---
 const createProposal = asyncHandler(async (req, res) => {
@@ -18,11 +79,29 @@ const createProposal = asyncHandler(async (req, res) => {
     tags,
     links,
     codes,
+    algorithmSlug,
   } = req.body;
 
-  const slug = await generateUniqueSlug(title);
+  // Proposals started from an existing algorithm edit it instead of
+  // creating a new one.
+  let target = null;
+  if (algorithmSlug) {
+    target = await Algorithm.findOne({
+      slug: algorithmSlug,
+      isDeleted: { $ne: true },
+    });
+    if (!target) {
+      res.status(404);
+      throw new Error("Algorithm not found");
+    }
+  }
+
+  const slug = target
+    ? await generateUniqueSlug(`${target.title} edit`, Proposal)
+    : await generateUniqueSlug(title);
 
   const proposal = new Proposal({
+    targetAlgorithm: target?._id || null,
     title,
     slug,
     problemStatement,
@@ -37,17 +116,33 @@ const createProposal = asyncHandler(async (req, res) => {
     contributor: req.user._id,
   });
 
+  if (target) {
+    proposal.base = captureBase("Algorithm", target);
+    proposal.changedFields = diffAgainstTarget(target, proposal);
+    if (proposal.changedFields.length === 0) {
+      res.status(400);
+      throw new Error("The proposal does not change anything");
+    }
+  } else {
+    proposal.possibleDuplicates = await findDuplicates(proposal, {
+      proposalId: proposal._id,
+    });
+  }
+  startRound("Algorithm", proposal);
+
   const createdProposal = await proposal.save();
 
-  // Find all admins
-  const admins = await User.find({ role: "admin" }, "_id").lean();
+  // Find everyone who can review proposals
+  const reviewers = await User.find({ role: { $in: REVIEWER_ROLES } }, "_id").lean();
 
-  // Prepare notifications for all admins
-  const notifications = admins.map((admin) => ({
-    recipient: admin._id,
+  // Prepare notifications for all reviewers
+  const notifications = reviewers.map((reviewer) => ({
+    recipient: reviewer._id,
     sender: req.user._id,
     type: "new_proposal", // dynamic type for proposal notifications
-    message: `User "${req.user.username}" has submitted a new proposal "${title}".`,
+    message: target
+      ? `User "${req.user.username}" has proposed changes to "${target.title}".`
+      : `User "${req.user.username}" has submitted a new proposal "${title}".`,
     link: `/admin/proposals/review`,
     read: false,
   }));
@@ -74,13 +169,13 @@ const getAllProposals = asyncHandler(async (req, res) => {
     ];
   }
 
-  // For non-admins, only show their own proposals
-  if (req.user.role !== "admin") {
+  // Contributors only see their own proposals; reviewers and admins see all
+  if (!canReview(req.user)) {
     filters.contributor = req.user._id;
   }
 
   const proposals = await Proposal.find(filters)
-    .populate("contributor", "username")
+    .populate(REVIEW_POPULATE)
     .skip((page - 1) * limit)
     .limit(limit)
     .sort({ createdAt: -1 });
@@ -94,21 +189,107 @@ const getAllProposals = asyncHandler(async (req, res) => {
     currentPage: page,
   });
 });
+// --- Check a Draft for Duplicates ---
+// Lets the proposal form warn while the author is still typing. Pass `slug`
+// when editing a proposal so it is not reported as its own duplicate.
+const checkDuplicates = asyncHandler(async (req, res) => {
+  const { title, problemStatement, tags, codes, slug } = req.body;
+
+  const exclude = {};
+  if (slug) {
+    const own = await Proposal.findOne({ slug, isDeleted: false }, "_id");
+    if (own) exclude.proposalId = own._id;
+  }
+
+  const matches = await findDuplicates(
+    {
+      title,
+      problemStatement,
+      tags: Array.isArray(tags) ? tags : [],
+      codes: Array.isArray(codes) ? codes : [],
+    },
+    exclude
+  );
+  res.json({ matches });
+});
+
 // --- Get Proposal by Slug ---
 const getProposalBySlug = asyncHandler(async (req, res) => {
-  const proposal = await Proposal.findOne({ slug: req.params.slug });
+  const proposal = await Proposal.findOne({
+    slug: req.params.slug,
+    isDeleted: false,
+  })
+    .populate("targetAlgorithm", "title slug")
+    .populate("thread.author", "username avatarUrl");
+
+  if (!proposal) {
+    res.status(404);
+    throw new Error("Proposal not found");
+  }
+
+  res.json(proposalForViewer(proposal, req.user));
+});
+
+// --- Diff Proposal Against Its Target ---
+// New-algorithm proposals are compared with an empty entry. With ?round=N the
+// proposal is compared with what was submitted in that round instead.
+const getProposalDiff = asyncHandler(async (req, res) => {
+  const proposal = await Proposal.findOne({
+    slug: req.params.slug,
+    isDeleted: false,
+  });
 
   if (!proposal) {
     res.status(404);
     throw new Error("Proposal not found");
   }
 
-  res.json(proposal);
+  if (
+    proposal.contributor.toString() !== req.user._id.toString() &&
+    !canReview(req.user)
+  ) {
+    res.status(403);
+    throw new Error("Not authorized to view this proposal");
+  }
+
+  const target = proposal.targetAlgorithm
+    ? await Algorithm.findById(proposal.targetAlgorithm)
+    : null;
+
+  let base = target;
+  let proposed = proposal;
+  let threeWay = null;
+  if (req.query.round) {
+    const round = findRound(proposal, req.query.round);
+    if (!round) {
+      res.status(404);
+      throw new Error(`Round ${req.query.round} not found`);
+    }
+    base = round.snapshot;
+  } else if (target) {
+    // When the algorithm has moved on, show what merging would actually do
+    const comparison = compareWithBase("Algorithm", proposal, target);
+    if (comparison.stale) {
+      threeWay = threeWayView("Algorithm", proposal, target, comparison);
+      proposed = mergePreview("Algorithm", proposal, target, comparison);
+    }
+  }
+
+  res.json({
+    target: target && { _id: target._id, title: target.title, slug: target.slug },
+    ...(req.query.round && { round: Number(req.query.round) }),
+    ...diffProposal("Algorithm", base, proposed),
+    threeWay,
+    policy: policyFor("Algorithm", target, proposal),
+  });
 });
 
 // --- Update Proposal ---
 const updateProposal = asyncHandler(async (req, res) => {
-  const proposal = await Proposal.findOne({ slug: req.params.slug });
+  const proposal = await Proposal.findOne({
+    slug: req.params.slug,
+    isDeleted: false,
+  });
 
   if (!proposal) {
     res.status(404);
@@ -123,6 +304,13 @@ const updateProposal = asyncHandler(async (req, res) => {
     throw new Error("Not authorized to update this proposal");
   }
 
+  if (!isUnderReview(proposal)) {
+    res.status(409);
+    throw new Error(
+      `Proposal is already ${proposal.status} and cannot be updated.`
+    );
+  }
+
   const fieldsToUpdate = [
     "title",
     "problemStatement",
@@ -142,36 +330,260 @@ const updateProposal = asyncHandler(async (req, res) => {
     }
   }
 
-  if (req.body.title && req.body.title !== proposal.title) {
-    proposal.slug = await generateUniqueSlug(req.body.title);
+  if (proposal.targetAlgorithm) {
+    const target = await Algorithm.findById(proposal.targetAlgorithm);
+    if (target) {
+      proposal.changedFields = diffAgainstTarget(
+        proposal.base?.snapshot || target,
+        proposal
+      );
+    }
+  } else {
+    if (req.body.title && req.body.title !== proposal.title) {
+      proposal.slug = await generateUniqueSlug(req.body.title);
+    }
+    proposal.possibleDuplicates = await findDuplicates(proposal, {
+      proposalId: proposal._id,
+    });
+  }
+
+  const round = reviseRound("Algorithm", proposal);
+  if (round) {
+    addMessage(
+      proposal,
+      req.user,
+      "resubmitted",
+      "Edited during review; earlier votes no longer count."
+    );
   }
 
   const updated = await proposal.save();
+  if (round) {
+    await notifyThread(proposal, req.user, {
+      type: "proposal_resubmitted",
+      message: `${req.user.username} edited "${proposal.title}" during review (round ${round}).`,
+      ...reviewLinks(proposal),
+    });
+  }
   res.json(updated);
 });
 
-// --- Review (Approve / Reject) ---
+// Applies an approved edit proposal to its target algorithm. Only the fields
+// the proposer changed are written, so unrelated edits made since survive;
+// fields both sides changed must have been resolved by a reviewer first.
+// `approvers` are credited as reviewers; `reviewer` cast the deciding vote.
+const mergeEditProposal = async (proposal, reviewer, approvers, res) => {
+  const algorithm = await Algorithm.findOne({
+    _id: proposal.targetAlgorithm,
+    isDeleted: { $ne: true },
+  });
+  if (!algorithm) {
+    res.status(404);
+    throw new Error("The algorithm this proposal edits no longer exists.");
+  }
+
+  const comparison = compareWithBase("Algorithm", proposal, algorithm);
+  if (comparison.unresolved.length > 0) {
+    res.status(409);
+    throw new Error(
+      `"${algorithm.title}" has changed since this proposal was made. Resolve the conflicting fields before merging: ${comparison.unresolved.join(", ")}.`
+    );
+  }
+
+  let fields;
+  if (comparison.tracked) {
+    fields = fieldsToMerge(comparison);
+  } else {
+    fields = proposal.changedFields?.length
+      ? proposal.changedFields
+      : diffAgainstTarget(algorithm, proposal);
+  }
+  if (fields.length === 0) {
+    res.status(409);
+    throw new Error("Nothing is left to merge; reject the proposal instead.");
+  }
+
+  if (fields.includes("title") && proposal.title !== algorithm.title) {
+    const clash = await Algorithm.exists({
+      title: proposal.title,
+      _id: { $ne: algorithm._id },
+    });
+    if (clash) {
+      res.status(409);
+      throw new Error(`Another algorithm is already titled "${proposal.title}".`);
+    }
+  }
+
+  const previousCodes = algorithm.codes.map(({ language, code }) => ({
+    language,
+    code,
+  }));
+  const proposed = proposal.toObject();
+  fields.forEach((field) => {
+    algorithm[field] = proposed[field];
+  });
+  const codesChanged = resetVerification(algorithm, previousCodes);
+
+  const summary = `Merged proposal "${proposal.slug}": ${fields.join(", ")}`;
+  algorithm.contributors.push(
+    {
+      user: proposal.contributor,
+      contributionType: "edit",
+      description: `Proposed changes to ${fields.join(", ")}`,
+    },
+    ...approvers.map((user) => ({
+      user,
+      contributionType: "review",
+      description: "Approved edit proposal",
+    }))
+  );
+  algorithm.updatedBy = reviewer._id;
+
+  const updatedAlgorithm = await algorithm.save();
+  await recordRevision("Algorithm", updatedAlgorithm, {
+    author: proposal.contributor,
+    action: "merge",
+    summary,
+  });
+  if (codesChanged) scheduleVerification(updatedAlgorithm._id);
+
+  proposal.status = "merged";
+  proposal.changedFields = fields;
+  proposal.mergedWith = updatedAlgorithm._id;
+  proposal.mergedBy = reviewer._id;
+  proposal.mergedAt = new Date();
+
+  await Notification.create({
+    recipient: proposal.contributor,
+    sender: reviewer._id,
+    type: "proposal_merged",
+    message: `Your changes to "${updatedAlgorithm.title}" have been merged.`,
+    link: `/algorithms/${updatedAlgorithm.slug}`,
+  });
+};
+
+// Reviews are recorded with the status before and after the vote
+const auditReview = (req, proposal, previousStatus, vote) =>
+  recordAudit(req, {
+    action: "proposal.review",
+    target: { type: "Proposal", id: proposal._id, label: proposal.title },
+    summary: `Voted ${vote}; proposal is now ${proposal.status}`,
+    before: { status: previousStatus },
+    after: {
+      status: proposal.status,
+      vote,
+      reviewComment: proposal.reviewComment,
+      mergedWith: proposal.mergedWith,
+    },
+  });
+
+// --- Review (Vote to Approve / Reject, or Request Changes) ---
+// Each reviewer casts one vote per round. The proposal is merged once the
+// review policy has enough approvals, and rejected as soon as it has enough
+// rejections. Requesting changes sends it back to the author for another round.
 const reviewProposal = asyncHandler(async (req, res) => {
-  const proposal = await Proposal.findOne({ slug: req.params.slug });
+  const proposal = await Proposal.findOne({
+    slug: req.params.slug,
+    isDeleted: false,
+  });
 
-  if (!proposal || proposal.isDeleted) {
+  if (!proposal) {
     res.status(404);
     throw new Error("Proposal not found");
   }
 
-  const { status, reviewComment } = req.body;
+  const { status, reviewComment = "" } = req.body;
 
-  if (!["approved", "rejected"].includes(status)) {
+  if (!["approved", "rejected", "changes_requested"].includes(status)) {
     res.status(400);
-    throw new Error("Status must be 'approved' or 'rejected'.");
+    throw new Error(
+      "Status must be 'approved', 'rejected' or 'changes_requested'."
+    );
   }
 
-  proposal.status = status;
+  if (!isUnderReview(proposal) || proposal.mergedWith) {
+    res.status(409);
+    throw new Error(
+      `Proposal is already ${proposal.status} and cannot be reviewed again.`
+    );
+  }
+
+  if (proposal.contributor.toString() === req.user._id.toString()) {
+    res.status(403);
+    throw new Error("You cannot review your own proposal.");
+  }
+
+  const previousStatus = proposal.status;
   proposal.reviewedBy = req.user._id;
   proposal.reviewedAt = new Date();
-  proposal.reviewComment = reviewComment || "";
+  proposal.reviewComment = reviewComment;
+
+  if (status === "changes_requested") {
+    if (!reviewComment.trim()) {
+      res.status(400);
+      throw new Error("Describe the changes you are requesting.");
+    }
+    addMessage(proposal, req.user, "changes_requested", reviewComment);
+    proposal.status = "changes_requested";
+    const updatedProposal = await proposal.save();
+
+    await Notification.create({
+      recipient: proposal.contributor,
+      sender: req.user._id,
+      type: "proposal_changes_requested",
+      message: `${req.user.username} requested changes to your proposal "${proposal.title}".`,
+      link: reviewLinks(proposal).contributorLink,
+    });
+    await auditReview(req, proposal, previousStatus, status);
+    return res.json(updatedProposal);
+  }
 
-  if (status === "approved" && !proposal.mergedWith) {
+  addMessage(proposal, req.user, status, reviewComment);
+  recordVote(
+    proposal,
+    req.user,
+    status === "approved" ? "approve" : "reject",
+    reviewComment
+  );
+
+  const target = proposal.targetAlgorithm
+    ? await Algorithm.findById(proposal.targetAlgorithm)
+    : null;
+  const { requiredApprovals } = policyFor("Algorithm", target, proposal);
+  const { outcome, approvals, approvers } = tally(
+    currentVotes(proposal),
+    requiredApprovals
+  );
+  proposal.requiredApprovals = requiredApprovals;
+  // A vote that does not decide the proposal leaves requested changes open
+  proposal.status =
+    outcome === "pending" && proposal.status === "changes_requested"
+      ? "changes_requested"
+      : outcome;
+
+  if (outcome === "pending") {
+    await Notification.create({
+      recipient: proposal.contributor,
+      sender: req.user._id,
+      type: "proposal_review",
+      message: `${req.user.username} voted to ${
+        status === "approved" ? "approve" : "reject"
+      } your proposal "${proposal.title}" (${approvals}/${requiredApprovals} approvals).`,
+      link: "/proposals",
+    });
+  } else if (outcome === "rejected") {
+    await Notification.create({
+      recipient: proposal.contributor,
+      sender: req.user._id,
+      type: "proposal_rejected",
+      message: `Your proposal "${proposal.title}" has been rejected. Reason: ${
+        reviewComment || "No reason provided."
+      }`,
+      link: "/proposals",
+    });
+  } else if (outcome === "approved" && proposal.targetAlgorithm) {
+    await mergeEditProposal(proposal, req.user, approvers, res);
+  } else if (outcome === "approved") {
     try {
       const algorithm = new Algorithm({
         title: proposal.title,
@@ -187,32 +599,38 @@ const reviewProposal = asyncHandler(async (req, res) => {
         codes: proposal.codes,
         createdBy: proposal.contributor,
         isPublished: true,
-        createdBy: proposal.contributor,
-        isPublished: true,
+        publishedAt: new Date(),
+        publishedBy: req.user._id,
+        // Announced to all users below
+        announcedAt: new Date(),
         // Add contributor record
-        contributors: [{
-          user: proposal.contributor,
-          contributionType: "create",
-          description: "Initial creation from proposal"
-        }]
+        contributors: [
+          {
+            user: proposal.contributor,
+            contributionType: "create",
+            description: "Initial creation from proposal",
+          },
+          ...approvers.map((user) => ({
+            user,
+            contributionType: "review",
+            description: "Approved and merged proposal",
+          })),
+        ],
       });
+      resetVerification(algorithm);
 
       const createdAlgorithm = await algorithm.save();
+      await recordRevision("Algorithm", createdAlgorithm, {
+        author: proposal.contributor,
+        action: "merge",
+        summary: `Created from proposal "${proposal.title}"`,
+      });
+      scheduleVerification(createdAlgorithm._id);
 
       proposal.mergedWith = createdAlgorithm._id;
       proposal.mergedBy = req.user._id;
       proposal.mergedAt = new Date();
 
-      await TargetModel.findByIdAndUpdate(createdItem._id, {
-        $push: {
-          contributors: {
-            user: req.user._id,
-            contributionType: "review",
-            description: "Approved and merged proposal"
-          }
-        }
-      });
-      
       // Notify all users/admins
       const users = await User.find({}, "_id").lean();
 
@@ -234,12 +652,144 @@ const reviewProposal = asyncHandler(async (req, res) => {
   }
 
   const updatedProposal = await proposal.save();
+  await auditReview(req, proposal, previousStatus, status);
   res.json(updatedProposal);
 });
 
+// --- Resolve Conflicts With a Changed Target ---
+// Body: { resolutions: { [field]: "proposal" | "target" } }, for fields that
+// both the proposal and the algorithm changed since the proposal's base.
+const resolveConflicts = asyncHandler(async (req, res) => {
+  const proposal = await Proposal.findOne({
+    slug: req.params.slug,
+    isDeleted: false,
+  });
+
+  if (!proposal) {
+    res.status(404);
+    throw new Error("Proposal not found");
+  }
+
+  if (proposal.status === "merged" || proposal.status === "rejected") {
+    res.status(400);
+    throw new Error("This proposal is no longer under review.");
+  }
+
+  const target = proposal.targetAlgorithm
+    ? await Algorithm.findById(proposal.targetAlgorithm)
+    : null;
+  const comparison = compareWithBase("Algorithm", proposal, target);
+  if (!comparison.tracked || comparison.conflicts.length === 0) {
+    res.status(400);
+    throw new Error("This proposal has no conflicts to resolve.");
+  }
+
+  const resolutions = Object.entries(req.body.resolutions || {});
+  const invalid = resolutions.filter(
+    ([field, choice]) =>
+      !comparison.conflicts.includes(field) || !RESOLUTION_CHOICES.includes(choice)
+  );
+  if (resolutions.length === 0 || invalid.length > 0) {
+    res.status(400);
+    throw new Error(
+      `Resolve conflicting fields (${comparison.conflicts.join(", ")}) with "proposal" or "target".`
+    );
+  }
+
+  resolutions.forEach(([field, choice]) =>
+    recordResolution("Algorithm", proposal, target, field, choice, req.user)
+  );
+  await proposal.save();
+
+  res.json(await proposal.populate(REVIEW_POPULATE));
+});
+
+// --- Comment on the Review Thread ---
+const addThreadComment = asyncHandler(async (req, res) => {
+  const proposal = await Proposal.findOne({
+    slug: req.params.slug,
+    isDeleted: false,
+  });
+
+  if (!proposal) {
+    res.status(404);
+    throw new Error("Proposal not found");
+  }
+
+  if (
+    proposal.contributor.toString() !== req.user._id.toString() &&
+    !canReview(req.user)
+  ) {
+    res.status(403);
+    throw new Error("Not authorized to comment on this proposal");
+  }
+
+  const body = String(req.body.body || "").trim();
+  if (!body) {
+    res.status(400);
+    throw new Error("Comment cannot be empty");
+  }
+  if (body.length > MAX_MESSAGE_LENGTH) {
+    res.status(400);
+    throw new Error(`Comments are limited to ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  addMessage(proposal, req.user, "comment", body);
+  const updatedProposal = await proposal.save();
+
+  await notifyThread(proposal, req.user, {
+    type: "proposal_comment",
+    message: `${req.user.username} commented on the proposal "${proposal.title}".`,
+    ...reviewLinks(proposal),
+  });
+
+  res.status(201).json(await updatedProposal.populate(REVIEW_POPULATE));
+});
+
+// --- Resubmit After Requested Changes ---
+// Starts a new review round with the proposal's current content.
+const resubmitProposal = asyncHandler(async (req, res) => {
+  const proposal = await Proposal.findOne({
+    slug: req.params.slug,
+    isDeleted: false,
+  });
+
+  if (!proposal) {
+    res.status(404);
+    throw new Error("Proposal not found");
+  }
+
+  if (proposal.contributor.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error("Only the author can resubmit this proposal");
+  }
+
+  if (proposal.status !== "changes_requested") {
+    res.status(400);
+    throw new Error("Only proposals with requested changes can be resubmitted");
+  }
+
+  const note = String(req.body.note || "").trim().slice(0, MAX_MESSAGE_LENGTH);
+  const round = startRound("Algorithm", proposal, note);
+  addMessage(proposal, req.user, "resubmitted", note);
+  proposal.status = "pending";
+  const updatedProposal = await proposal.save();
+
+  await notifyThread(proposal, req.user, {
+    type: "proposal_resubmitted",
+    message: `${req.user.username} resubmitted "${proposal.title}" for review (round ${round}).`,
+    ...reviewLinks(proposal),
+  });
+
+  res.json(await updatedProposal.populate(REVIEW_POPULATE));
+});
+
 // --- Soft Delete Proposal ---
 const deleteProposal = asyncHandler(async (req, res) => {
-  const proposal = await Proposal.findOne({ slug: req.params.slug });
+  const proposal = await Proposal.findOne({
+    slug: req.params.slug,
+    isDeleted: false,
+  });
 
   if (!proposal) {
     res.status(404);
@@ -251,6 +801,11 @@ const deleteProposal = asyncHandler(async (req, res) => {
   proposal.deletedBy = req.user._id;
 
   await proposal.save();
+  await recordAudit(req, {
+    action: "proposal.delete",
+    target: { type: "Proposal", id: proposal._id, label: proposal.title },
+    before: { status: proposal.status },
+  });
   res.json({ message: "Proposal deleted successfully" });
 });
 
@@ -258,7 +813,12 @@ module.exports = {
   createProposal,
   getAllProposals,
   getProposalBySlug,
+  checkDuplicates,
+  getProposalDiff,
   updateProposal,
   reviewProposal,
+  addThreadComment,
+  resubmitProposal,
+  resolveConflicts,
   deleteProposal,
 };
@@ -0,0 +1,204 @@
+const asyncHandler = require("express-async-handler");
+const Relation = require("../models/relation.model");
+const Algorithm = require("../models/algorithm.model");
+const DataStructure = require("../models/dataStructure.model");
+const { recordAudit } = require("../utils/auditLog");
+
+const MODELS = { Algorithm, DataStructure };
+const PATH_TYPES = { algorithms: "Algorithm", "data-structures": "DataStructure" };
+const MAX_DEPTH = 2;
+
+const nodeKey = (type, id) => `${type}:${id}`;
+
+// Only entries a visitor could open themselves may appear in a graph.
+const visibleFilter = (user) => ({
+  isDeleted: { $ne: true },
+  ...(user?.role !== "admin" && { isPublished: { $ne: false } }),
+});
+
+const findEntryOr404 = async (type, slug, user, res) => {
+  const Model = MODELS[type];
+  const entry = Model
+    ? await Model.findOne({ slug, ...visibleFilter(user) }).select("title slug")
+    : null;
+
+  if (!entry) {
+    res.status(404);
+    throw new Error(
+      `${type === "DataStructure" ? "Data structure" : "Algorithm"} "${slug}" not found`
+    );
+  }
+  return entry;
+};
+
+// GET /api/relations/:entryType/:slug?depth=1
+// Breadth-first walk over relations in both directions, up to `depth` hops.
+const getNeighbourhood = asyncHandler(async (req, res) => {
+  const type = PATH_TYPES[req.params.entryType];
+  if (!type) {
+    res.status(400);
+    throw new Error("Entry type must be 'algorithms' or 'data-structures'");
+  }
+
+  const depth = Math.min(Math.max(parseInt(req.query.depth) || 1, 1), MAX_DEPTH);
+  const center = await findEntryOr404(type, req.params.slug, req.user, res);
+
+  const depths = new Map([[nodeKey(type, center._id), 0]]);
+  const edges = new Map();
+  let frontier = [{ type, id: center._id }];
+
+  for (let level = 1; level <= depth && frontier.length > 0; level++) {
+    const relations = await Relation.find({
+      $or: frontier.flatMap(({ type: entryType, id }) => [
+        { sourceType: entryType, source: id },
+        { targetType: entryType, target: id },
+      ]),
+    }).lean();
+
+    const next = [];
+    for (const relation of relations) {
+      edges.set(relation._id.toString(), relation);
+      for (const [entryType, id] of [
+        [relation.sourceType, relation.source],
+        [relation.targetType, relation.target],
+      ]) {
+        const key = nodeKey(entryType, id);
+        if (!depths.has(key)) {
+          depths.set(key, level);
+          next.push({ type: entryType, id });
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  const idsByType = { Algorithm: [], DataStructure: [] };
+  for (const key of depths.keys()) {
+    const [entryType, id] = key.split(":");
+    idsByType[entryType].push(id);
+  }
+
+  const [algorithms, dataStructures] = await Promise.all(
+    ["Algorithm", "DataStructure"].map((entryType) =>
+      MODELS[entryType]
+        .find({ _id: { $in: idsByType[entryType] }, ...visibleFilter(req.user) })
+        .select("title slug difficulty")
+        .lean()
+    )
+  );
+
+  const nodes = [
+    ...algorithms.map((entry) => ({ ...entry, entryType: "Algorithm" })),
+    ...dataStructures.map((entry) => ({ ...entry, entryType: "DataStructure" })),
+  ].map((entry) => ({
+    key: nodeKey(entry.entryType, entry._id),
+    _id: entry._id,
+    entryType: entry.entryType,
+    title: entry.title,
+    slug: entry.slug,
+    difficulty: entry.difficulty,
+    depth: depths.get(nodeKey(entry.entryType, entry._id)),
+  }));
+  const visible = new Set(nodes.map((node) => node.key));
+
+  res.json({
+    center: nodeKey(type, center._id),
+    nodes,
+    edges: [...edges.values()]
+      .map((relation) => ({
+        _id: relation._id,
+        type: relation.type,
+        note: relation.note,
+        from: nodeKey(relation.sourceType, relation.source),
+        to: nodeKey(relation.targetType, relation.target),
+      }))
+      .filter((edge) => visible.has(edge.from) && visible.has(edge.to)),
+  });
+});
+
+const createRelation = asyncHandler(async (req, res) => {
+  const { sourceType, sourceSlug, targetType, targetSlug, type, note } = req.body;
+
+  const [source, target] = await Promise.all([
+    findEntryOr404(sourceType, sourceSlug, req.user, res),
+    findEntryOr404(targetType, targetSlug, req.user, res),
+  ]);
+
+  if (sourceType === targetType && source._id.equals(target._id)) {
+    res.status(400);
+    throw new Error("An entry cannot be related to itself");
+  }
+
+  // "alternative to" reads the same in both directions, so store it once.
+  const reverse =
+    type === "alternative_to" &&
+    (await Relation.exists({
+      sourceType: targetType,
+      source: target._id,
+      targetType: sourceType,
+      target: source._id,
+      type,
+    }));
+  const existing = await Relation.exists({
+    sourceType,
+    source: source._id,
+    targetType,
+    target: target._id,
+    type,
+  });
+  if (existing || reverse) {
+    res.status(409);
+    throw new Error("This relation already exists");
+  }
+
+  const relation = await Relation.create({
+    sourceType,
+    source: source._id,
+    targetType,
+    target: target._id,
+    type,
+    note,
+    createdBy: req.user._id,
+  });
+
+  await recordAudit(req, {
+    action: "relation.create",
+    target: {
+      type: "Relation",
+      id: relation._id,
+      label: `${source.title} ${type} ${target.title}`,
+    },
+    after: { sourceType, sourceSlug, targetType, targetSlug, type, note },
+  });
+
+  res.status(201).json(relation);
+});
+
+const deleteRelation = asyncHandler(async (req, res) => {
+  const relation = await Relation.findById(req.params.id);
+  if (!relation) {
+    res.status(404);
+    throw new Error("Relation not found");
+  }
+
+  await relation.deleteOne();
+  await recordAudit(req, {
+    action: "relation.delete",
+    target: { type: "Relation", id: relation._id, label: relation.type },
+    before: {
+      sourceType: relation.sourceType,
+      source: relation.source,
+      targetType: relation.targetType,
+      target: relation.target,
+      type: relation.type,
+      note: relation.note,
+    },
+  });
+  res.json({ message: "Relation deleted successfully" });
+});
+
+module.exports = {
+  getNeighbourhood,
+  createRelation,
+  deleteRelation,
+};
@@ -0,0 +1,313 @@
+const asyncHandler = require("express-async-handler");
+const Algorithm = require("../models/algorithm.model");
+const DataStructure = require("../models/dataStructure.model");
+const Proposal = require("../models/proposal.model");
+const DataStructureProposal = require("../models/dataStructureProposal.model");
+const User = require("../models/user.model");
+const {
+  FACETS,
+  buildDocument,
+  parseQuery,
+  scoreDocument,
+  scoreLabel,
+  highlight,
+  snippet,
+  passes,
+  facetCounts,
+} = require("../utils/searchIndex");
+const { canReview } = require("../utils/reviewPolicy");
+
+// Documents are reloaded at most this often; edits show up after the delay.
+const CACHE_TTL_MS = parseInt(process.env.SEARCH_CACHE_TTL_MS, 10) || 30000;
+const MAX_LIMIT = 50;
+const MAX_SUGGESTIONS = 20;
+const MAX_USER_SUGGESTIONS = 5;
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+const dataStructureLanguages = (entry) =>
+  unique([
+    ...(entry.fullImplementations || []).map((impl) => impl.language),
+    ...(entry.operations || []).flatMap((operation) =>
+      (operation.implementations || []).map(
+        (impl) => impl.codeDetails?.language
+      )
+    ),
+  ]);
+
+const SOURCES = [
+  {
+    type: "algorithm",
+    load: () =>
+      Algorithm.find({ isDeleted: { $ne: true } })
+        .select(
+          "title slug category difficulty tags problemStatement intuition explanation codes.language isPublished updatedAt"
+        )
+        .lean(),
+    toRecord: (entry) => ({
+      title: entry.title,
+      slug: entry.slug,
+      category: entry.category,
+      difficulty: entry.difficulty,
+      tags: entry.tags,
+      languages: unique((entry.codes || []).map((code) => code.language)),
+      summary: entry.problemStatement,
+      body: `${entry.intuition || ""}\n${entry.explanation || ""}`,
+      isPublished: entry.isPublished,
+    }),
+  },
+  {
+    type: "data-structure",
+    load: () =>
+      DataStructure.find({ isDeleted: { $ne: true } })
+        .select(
+          "title slug category difficulty tags definition characteristics fullImplementations.language operations.name operations.implementations.codeDetails.language isPublished updatedAt"
+        )
+        .lean(),
+    toRecord: (entry) => ({
+      title: entry.title,
+      slug: entry.slug,
+      category: entry.category,
+      difficulty: entry.difficulty,
+      tags: entry.tags,
+      languages: dataStructureLanguages(entry),
+      summary: entry.definition,
+      body: `${entry.characteristics || ""}\n${(entry.operations || [])
+        .map((operation) => operation.name)
+        .join(" ")}`,
+      isPublished: entry.isPublished,
+    }),
+  },
+  {
+    type: "algorithm-proposal",
+    load: () =>
+      Proposal.find({ isDeleted: { $ne: true } })
+        .select(
+          "title slug category difficulty tags problemStatement intuition codes.language status contributor updatedAt"
+        )
+        .lean(),
+    toRecord: (entry) => ({
+      title: entry.title,
+      slug: entry.slug,
+      category: entry.category,
+      difficulty: entry.difficulty,
+      tags: entry.tags,
+      languages: unique((entry.codes || []).map((code) => code.language)),
+      summary: entry.problemStatement,
+      body: entry.intuition,
+      status: entry.status,
+      contributor: entry.contributor?.toString(),
+    }),
+  },
+  {
+    type: "data-structure-proposal",
+    load: () =>
+      DataStructureProposal.find({ isDeleted: { $ne: true } })
+        .select(
+          "title slug category tags definition characteristics fullImplementations.language operations.implementations.codeDetails.language status contributor updatedAt"
+        )
+        .lean(),
+    toRecord: (entry) => ({
+      title: entry.title,
+      slug: entry.slug,
+      category: entry.category,
+      tags: entry.tags,
+      languages: dataStructureLanguages(entry),
+      summary: entry.definition,
+      body: entry.characteristics,
+      status: entry.status,
+      contributor: entry.contributor?.toString(),
+    }),
+  },
+];
+
+let cache = { docs: null, loadedAt: 0, loading: null };
+
+const loadDocuments = async () => {
+  if (cache.docs && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.docs;
+
+  if (!cache.loading) {
+    cache.loading = Promise.all(
+      SOURCES.map(async ({ type, load, toRecord }) =>
+        (await load()).map((entry) =>
+          buildDocument({
+            type,
+            _id: entry._id,
+            updatedAt: entry.updatedAt,
+            ...toRecord(entry),
+          })
+        )
+      )
+    )
+      .then((lists) => {
+        cache = { docs: lists.flat(), loadedAt: Date.now(), loading: null };
+        return cache.docs;
+      })
+      .catch((error) => {
+        cache.loading = null;
+        throw error;
+      });
+  }
+  return cache.loading;
+};
+
+// Proposals are private to their contributor, the reviewers and the admins.
+const isVisible = (doc, user) => {
+  if (doc.type.endsWith("-proposal")) {
+    return canReview(user) || (user && doc.contributor === user._id.toString());
+  }
+  return user?.role === "admin" || doc.isPublished === true;
+};
+
+const listParam = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// GET /api/search?q=&type=&category=&difficulty=&tags=&languages=&page=&limit=
+// Facet filters accept comma-separated values; values of one facet are OR-ed,
+// different facets are AND-ed.
+const search = asyncHandler(async (req, res) => {
+  const q = String(req.query.q || "").slice(0, 200);
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_LIMIT);
+
+  const filters = FACETS.reduce((result, facet) => {
+    result[facet] = listParam(req.query[facet]);
+    return result;
+  }, {});
+
+  const terms = parseQuery(q);
+  const docs = (await loadDocuments()).filter((doc) => isVisible(doc, req.user));
+
+  const matches = [];
+  for (const doc of docs) {
+    const result = scoreDocument(doc, terms, q);
+    if (result) matches.push({ doc, ...result });
+  }
+
+  const hits = matches
+    .filter(({ doc }) => passes(doc, filters))
+    .sort(
+      (a, b) => b.score - a.score || a.doc.title.localeCompare(b.doc.title)
+    );
+
+  const total = hits.length;
+  const results = hits
+    .slice((page - 1) * limit, page * limit)
+    .map(({ doc, score, matched }) => ({
+      _id: doc._id,
+      type: doc.type,
+      title: doc.title,
+      slug: doc.slug,
+      category: doc.category || [],
+      difficulty: doc.difficulty,
+      tags: doc.tags || [],
+      languages: doc.languages,
+      ...(doc.status && { status: doc.status }),
+      updatedAt: doc.updatedAt,
+      score: Math.round(score * 100) / 100,
+      highlights: {
+        title: highlight(doc.title, matched),
+        snippet: snippet(doc, matched),
+      },
+    }));
+
+  res.json({
+    query: q,
+    total,
+    results,
+    pages: Math.ceil(total / limit),
+    currentPage: page,
+    facets: facetCounts(
+      matches.map(({ doc }) => doc),
+      filters
+    ),
+  });
+});
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Usernames only complete by prefix, which the username index can serve.
+const userSuggestions = async (q) => {
+  const prefix = q.trim();
+  if (!prefix) return [];
+
+  const users = await User.find({
+    username: { $regex: `^${escapeRegex(prefix)}`, $options: "i" },
+  })
+    .select("username fullName avatarUrl")
+    .limit(MAX_USER_SUGGESTIONS)
+    .lean();
+
+  return users.map((user) => ({
+    kind: "user",
+    label: user.username,
+    value: user.username,
+    detail: user.fullName || undefined,
+    avatarUrl: user.avatarUrl || undefined,
+    score: user.username.toLowerCase() === prefix.toLowerCase() ? 3 : 1.75,
+    highlight: [
+      { text: user.username.slice(0, prefix.length), highlight: true },
+      { text: user.username.slice(prefix.length), highlight: false },
+    ].filter((segment) => segment.text),
+  }));
+};
+
+// GET /api/search/suggest?q=&limit=
+// Title, tag, category and username completions for search-as-you-type.
+// Proposals are left out; they are reachable from the full search.
+const suggest = asyncHandler(async (req, res) => {
+  const q = String(req.query.q || "").slice(0, 100);
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || 8, 1),
+    MAX_SUGGESTIONS
+  );
+
+  const terms = parseQuery(q);
+  if (terms.length === 0) return res.json({ query: q, suggestions: [] });
+
+  const [docs, users] = await Promise.all([
+    loadDocuments(),
+    userSuggestions(q),
+  ]);
+
+  const suggestions = [...users];
+  const add = (kind, label, extra) => {
+    const result = scoreLabel(label, terms, q);
+    if (!result) return;
+    suggestions.push({
+      kind,
+      label,
+      ...extra,
+      score: result.score,
+      highlight: highlight(label, result.matched),
+    });
+  };
+
+  const tags = new Set();
+  const categories = new Set();
+  docs
+    .filter((doc) => !doc.type.endsWith("-proposal") && isVisible(doc, req.user))
+    .forEach((doc) => {
+      add(doc.type, doc.title, { slug: doc.slug });
+      (doc.tags || []).forEach((tag) => tags.add(tag));
+      (doc.category || []).forEach((category) => categories.add(category));
+    });
+  tags.forEach((tag) => add("tag", tag, { value: tag }));
+  categories.forEach((category) => add("category", category, { value: category }));
+
+  suggestions.sort(
+    (a, b) => b.score - a.score || a.label.localeCompare(b.label)
+  );
+
+  res.json({
+    query: q,
+    suggestions: suggestions.slice(0, limit).map((suggestion) => ({
+      ...suggestion,
+      score: Math.round(suggestion.score * 100) / 100,
+    })),
+  });
+});
+
+module.exports = { search, suggest };
@@ -0,0 +1,51 @@
+const asyncHandler = require("express-async-handler");
+const { getSettings, updateSettings } = require("../utils/settings");
+const { recordAudit } = require("../utils/auditLog");
+
+const getSiteSettings = asyncHandler(async (req, res) => {
+  res.json(await getSettings());
+});
+
+// Body: any of { requireTwoFactorForStaff }.
+const updateSiteSettings = asyncHandler(async (req, res) => {
+  const { requireTwoFactorForStaff } = req.body || {};
+  const changes = {};
+
+  if (requireTwoFactorForStaff !== undefined) {
+    if (typeof requireTwoFactorForStaff !== "boolean") {
+      res.status(400);
+      throw new Error("requireTwoFactorForStaff must be true or false");
+    }
+    // Otherwise the admin making the change is locked out of admin pages
+    if (requireTwoFactorForStaff && !req.user.twoFactor?.enabled) {
+      res.status(400);
+      throw new Error("Enable two-factor authentication on your own account first");
+    }
+    changes.requireTwoFactorForStaff = requireTwoFactorForStaff;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    res.status(400);
+    throw new Error("No settings to update");
+  }
+
+  const before = await getSettings();
+  const settings = await updateSettings(changes, req.user._id);
+
+  await recordAudit(req, {
+    action: "settings.update",
+    target: { type: "Settings", label: Object.keys(changes).join(", ") },
+    summary: Object.entries(changes)
+      .map(([key, value]) => `${key}: ${before[key]} → ${value}`)
+      .join("; "),
+    before: Object.fromEntries(Object.keys(changes).map((key) => [key, before[key]])),
+    after: changes,
+  });
+
+  res.json(settings);
+});
+
+module.exports = {
+  getSiteSettings,
+  updateSiteSettings,
+};
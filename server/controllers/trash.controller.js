@@ -0,0 +1,104 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const {
+  TRASH_TYPES,
+  retentionDays,
+  listTrash,
+  restoreItem,
+  purgeItem,
+  purgeExpired,
+} = require("../utils/trash");
+const { recordAudit } = require("../utils/auditLog");
+
+const checkType = (type, res) => {
+  if (!TRASH_TYPES[type]) {
+    res.status(400);
+    throw new Error(`type must be one of ${Object.keys(TRASH_TYPES).join(", ")}`);
+  }
+};
+
+const checkId = (id, res) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error("Invalid id");
+  }
+};
+
+// --- List Deleted Items ---
+const getTrash = asyncHandler(async (req, res) => {
+  const { type } = req.query;
+  if (type) checkType(type, res);
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const trash = await listTrash({ type, page, limit });
+  res.json({ ...trash, retentionDays: retentionDays() });
+});
+
+// --- Restore a Deleted Item ---
+const restoreTrashItem = asyncHandler(async (req, res) => {
+  const { type, id } = req.params;
+  checkType(type, res);
+  checkId(id, res);
+
+  const item = await restoreItem(type, id);
+  if (!item) {
+    res.status(404);
+    throw new Error("Item not found in the trash");
+  }
+
+  await recordAudit(req, {
+    action: "trash.restore",
+    target: { type, id: item._id, label: item.title },
+  });
+
+  res.json({ message: `"${item.title}" restored`, type, _id: item._id, slug: item.slug });
+});
+
+// --- Permanently Delete One Item ---
+const purgeTrashItem = asyncHandler(async (req, res) => {
+  const { type, id } = req.params;
+  checkType(type, res);
+  checkId(id, res);
+
+  const item = await purgeItem(type, id);
+  if (!item) {
+    res.status(404);
+    throw new Error("Item not found in the trash");
+  }
+
+  await recordAudit(req, {
+    action: "trash.purge_item",
+    target: { type, id: item._id, label: item.title },
+    before: { slug: item.slug, deletedAt: item.deletedAt, deletedBy: item.deletedBy },
+  });
+
+  res.json({ message: "Item permanently deleted" });
+});
+
+// --- Purge Items Past the Retention Period ---
+const purgeTrash = asyncHandler(async (req, res) => {
+  const purged = await purgeExpired();
+  const total = Object.values(purged).reduce((sum, n) => sum + n, 0);
+
+  await recordAudit(req, {
+    action: "trash.purge_expired",
+    summary: `${total} items older than ${retentionDays()} days`,
+    after: { purged },
+  });
+
+  res.json({
+    message: `${total} item${total === 1 ? "" : "s"} permanently deleted`,
+    purged,
+    total,
+    retentionDays: retentionDays(),
+  });
+});
+
+module.exports = {
+  getTrash,
+  restoreTrashItem,
+  purgeTrashItem,
+  purgeTrash,
+};
@@ -0,0 +1,111 @@
+const asyncHandler = require("express-async-handler");
+const User = require("../models/user.model");
+const {
+  beginEnrollment,
+  completeEnrollment,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  verifySecondFactor,
+  consumeTotp,
+  isTwoFactorRequired,
+} = require("../utils/twoFactor");
+const { ensureNotLocked, recordFailure, clearFailures } = require("../utils/lockout");
+
+const SECRETS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+const loadUser = (req) => User.findById(req.user._id).select(SECRETS);
+
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+  res.json({
+    enabled: Boolean(user.twoFactor?.enabled),
+    enabledAt: user.twoFactor?.enabledAt,
+    recoveryCodesLeft: user.twoFactor?.enabled ? user.twoFactor.recoveryCodes.length : 0,
+    required: await isTwoFactorRequired(user),
+  });
+});
+
+// Returns a QR code and the secret for manual entry. Two-factor isn't on
+// until enableTwoFactor confirms a code from the app.
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+  if (user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is already enabled");
+  }
+  res.json(await beginEnrollment(user));
+});
+
+// Body: { code }. Returns the recovery codes; they are not shown again.
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+  if (user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is already enabled");
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    res.status(400);
+    throw new Error("Start two-factor setup first");
+  }
+
+  const recoveryCodes = await completeEnrollment(user, req.body?.code);
+  if (!recoveryCodes) {
+    res.status(400);
+    throw new Error("Invalid authentication code");
+  }
+  res.json({ message: "Two-factor authentication enabled", recoveryCodes });
+});
+
+// Body: { password, code } or { password, recoveryCode }.
+const disableUserTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body || {};
+  const user = await User.findById(req.user._id).select(`+password ${SECRETS}`);
+  if (!user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is not enabled");
+  }
+  if (await isTwoFactorRequired(user)) {
+    res.status(403);
+    throw new Error("Two-factor authentication is required for your role");
+  }
+  await ensureNotLocked(res, "two_factor", user._id);
+  if (typeof password !== "string" || !(await user.matchPassword(password))) {
+    await recordFailure("two_factor", user._id);
+    res.status(400);
+    throw new Error("Incorrect password");
+  }
+  if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+    await recordFailure("two_factor", user._id);
+    res.status(400);
+    throw new Error(recoveryCode ? "Invalid recovery code" : "Invalid authentication code");
+  }
+  await clearFailures("two_factor", user._id);
+
+  await disableTwoFactor(user);
+  res.json({ message: "Two-factor authentication disabled" });
+});
+
+// Body: { code }. Replaces all recovery codes with new ones.
+const regenerateUserRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await loadUser(req);
+  if (!user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is not enabled");
+  }
+  await ensureNotLocked(res, "two_factor", user._id);
+  if (!(await consumeTotp(user, req.body?.code))) {
+    await recordFailure("two_factor", user._id);
+    res.status(400);
+    throw new Error("Invalid authentication code");
+  }
+  await clearFailures("two_factor", user._id);
+  res.json({ recoveryCodes: await regenerateRecoveryCodes(user) });
+});
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableUserTwoFactor,
+  regenerateUserRecoveryCodes,
+};
@@ -22,6 +22,7 @@ const {
 } = require("../utils/socialProfileFetchers");
 
 const cloudinary = require("../config/cloudinary");
+const { recordAudit } = require("../utils/auditLog");
 
 const socialStatsFieldsMap = {
   github: [
@@ -44,6 +45,8 @@ const getAdminAnalytics = async (req, res) => {
     daysAgo30.setDate(now.getDate() - 30);
     const daysAgo7 = new Date(now);
     daysAgo7.setDate(now.getDate() - 7);
+    // Content in the trash is left out of the numbers
+    const notDeleted = { isDeleted: { $ne: true } };
 
     const getDailyCounts = async (
       Model,
@@ -93,8 +96,8 @@ const getAdminAnalytics = async (req, res) => {
     ] = await Promise.all([
       User.countDocuments(),
       User.countDocuments({ role: "admin" }),
-      Algorithm.countDocuments(),
-      Proposal.countDocuments(),
+      Algorithm.countDocuments(notDeleted),
+      Proposal.countDocuments(notDeleted),
       Comment.countDocuments(),
       Feedback.countDocuments(),
 
@@ -126,23 +129,29 @@ const getAdminAnalytics = async (req, res) => {
       User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
 
       Algorithm.aggregate([
+        { $match: notDeleted },
         { $group: { _id: "$difficulty", count: { $sum: 1 } } },
       ]),
 
       Algorithm.aggregate([
+        { $match: notDeleted },
         { $unwind: "$category" },
         { $group: { _id: "$category", count: { $sum: 1 } } },
         { $sort: { count: -1 } },
         { $limit: 5 },
       ]),
 
-      Proposal.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+      Proposal.aggregate([
+        { $match: notDeleted },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
 
       Feedback.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
 
       Algorithm.aggregate([
         {
           $match: {
+            ...notDeleted,
             "viewedBy.viewedAt": { $gte: daysAgo7 },
           },
         },
@@ -165,6 +174,7 @@ const getAdminAnalytics = async (req, res) => {
       ]),
 
       Algorithm.aggregate([
+        { $match: notDeleted },
         { $unwind: "$category" },
         { $group: { _id: "$category", count: { $sum: 1 } } },
         { $sort: { count: -1 } },
@@ -177,7 +187,10 @@ const getAdminAnalytics = async (req, res) => {
           proposalContributors,
           commentContributors,
         ] = await Promise.all([
-          Algorithm.distinct("createdBy", { createdAt: { $gte: daysAgo30 } }),
+          Algorithm.distinct("createdBy", {
+            ...notDeleted,
+            createdAt: { $gte: daysAgo30 },
+          }),
           Proposal.distinct("contributor", { createdAt: { $gte: daysAgo30 } }),
           Comment.distinct("user", { createdAt: { $gte: daysAgo30 } }),
         ]);
@@ -201,8 +214,8 @@ const getAdminAnalytics = async (req, res) => {
       dailyNewComments,
     ] = await Promise.all([
       getDailyCounts(User),
-      getDailyCounts(Algorithm),
-      getDailyCounts(Proposal),
+      getDailyCounts(Algorithm, "createdAt", notDeleted),
+      getDailyCounts(Proposal, "createdAt", notDeleted),
       getDailyCounts(Comment),
     ]);
 
@@ -617,7 +630,10 @@ const getUserById = asyncHandler(async (req, res) => {
 });
 
 const getUserByUsername = asyncHandler(async (req, res) => {
-  const user = await User.findOne({ username: req.params.username }).select("-password");
+  // Public profile: linked sign-in accounts and 2FA status stay private
+  const user = await User.findOne({ username: req.params.username }).select(
+    "-password -oauthAccounts -twoFactor"
+  );
   if (!user) {
     res.status(404);
     throw new Error("User not found");
@@ -631,6 +647,11 @@ const deleteUser = asyncHandler(async (req, res) => {
     res.status(404);
     throw new Error("User not found");
   }
+  await recordAudit(req, {
+    action: "user.delete",
+    target: { type: "User", id: user._id, label: user.username },
+    before: { username: user.username, email: user.email, role: user.role },
+  });
   res.json({ message: "User removed" });
 });
 
@@ -642,14 +663,23 @@ const updateUserRole = asyncHandler(async (req, res) => {
   }
 
   const { role } = req.body;
-  if (!["user", "admin"].includes(role)) {
+  if (!["user", "reviewer", "admin"].includes(role)) {
     res.status(400);
     throw new Error("Invalid role");
   }
 
+  const previousRole = user.role;
   user.role = role;
   await user.save();
 
+  await recordAudit(req, {
+    action: "user.role_change",
+    target: { type: "User", id: user._id, label: user.username },
+    summary: `${previousRole} → ${role}`,
+    before: { role: previousRole },
+    after: { role },
+  });
+
   res.json({ message: `User role updated to ${role}` });
 });
 
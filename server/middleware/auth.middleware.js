@@ -1,37 +1,149 @@
 const jwt = require("jsonwebtoken");
 const asyncHandler = require("express-async-handler");
 const User = require("../models/user.model");
+const Proposal = require("../models/proposal.model");
+const DataStructureProposal = require("../models/dataStructureProposal.model");
+const { canReview } = require("../utils/reviewPolicy");
+const { findActiveSession } = require("../utils/sessions");
+const { isTwoFactorRequired } = require("../utils/twoFactor");
 
-const protect = asyncHandler(async (req, res, next) => {
-  let token;
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith("Bearer")
-  ) {
-    try {
-      token = req.headers.authorization.split(" ")[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select("-password");
-      next();
-    } catch (error) {
-      res.status(401);
-      throw new Error("Not authorized, token failed");
-    }
+const TRUSTED_CONTRIBUTOR_MIN_PROPOSALS =
+  Number(process.env.TRUSTED_CONTRIBUTOR_MIN_PROPOSALS) || 3;
+
+// Resolves the user an access token was issued to. Throws when the token is
+// invalid or expired, or when its session has been signed out or revoked.
+const userFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid || !(await findActiveSession(decoded.sid, decoded.id))) {
+    throw new Error("Session is no longer active");
   }
+  const user = await User.findById(decoded.id).select("-password");
+  if (!user) throw new Error("User no longer exists");
+  return { user, sessionId: decoded.sid };
+};
 
-  if (!token) {
+// Sets req.user from the bearer token; responds 401 without a valid one.
+const authenticate = async (req, res) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith("Bearer")) {
     res.status(401);
     throw new Error("Not authorized, no token");
   }
+  try {
+    const { user, sessionId } = await userFromToken(header.split(" ")[1]);
+    req.user = user;
+    req.sessionId = sessionId;
+  } catch (error) {
+    res.status(401);
+    throw new Error("Not authorized, token failed");
+  }
+};
+
+// When admins require two-factor for staff, an admin or reviewer who has not
+// enrolled yet can do nothing until they do; checking here rather than in the
+// role middleware also covers the handlers that test the role themselves.
+const needsStaffTwoFactor = async (user) =>
+  !user.twoFactor?.enabled && (await isTwoFactorRequired(user));
+
+const protect = asyncHandler(async (req, res, next) => {
+  await authenticate(req, res);
+  if (await needsStaffTwoFactor(req.user)) {
+    res.status(403);
+    throw new Error(
+      "Two-factor authentication is required for your role. Enable it from your profile."
+    );
+  }
+  next();
+});
+
+// `protect` for the few routes staff need to enroll in two-factor: their own
+// account and sessions, and the two-factor setup itself.
+const protectForTwoFactorSetup = asyncHandler(async (req, res, next) => {
+  await authenticate(req, res);
+  next();
 });
 
-const admin = (req, res, next) => {
+// Attaches req.user when a valid token is sent, but lets anonymous requests
+// through; for public endpoints whose response depends on the viewer. Staff
+// who still have to enroll in two-factor are treated as anonymous.
+const optionalProtect = asyncHandler(async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith("Bearer")) {
+    try {
+      const { user, sessionId } = await userFromToken(header.split(" ")[1]);
+      if (!(await needsStaffTwoFactor(user))) {
+        req.user = user;
+        req.sessionId = sessionId;
+      }
+    } catch (error) {
+      req.user = undefined;
+    }
+  }
+  next();
+});
+
+const admin = asyncHandler(async (req, res, next) => {
   if (req.user && req.user.role === "admin") {
     next();
   } else {
     res.status(403);
     throw new Error("Not authorized as admin");
   }
+});
+
+// Blocks posting content (proposals, comments, mentions) until the user has
+// confirmed their email address.
+const verifiedEmail = (req, res, next) => {
+  if (req.user && req.user.emailVerified !== false) {
+    next();
+  } else {
+    res.status(403);
+    throw new Error("Please verify your email address first");
+  }
+};
+
+// Admins and reviewers; reviewers can vote on proposals but cannot delete
+// content or manage users.
+const reviewer = asyncHandler(async (req, res, next) => {
+  if (canReview(req.user)) {
+    next();
+  } else {
+    res.status(403);
+    throw new Error("Not authorized as reviewer");
+  }
+});
+
+// Admins, plus contributors with enough accepted proposals to be trusted with
+// curating content such as learning paths.
+const isTrustedContributor = async (user) => {
+  if (!user) return false;
+  if (user.role === "admin") return true;
+
+  const accepted = { contributor: user._id, status: { $in: ["approved", "merged"] } };
+  const [algorithms, dataStructures] = await Promise.all([
+    Proposal.countDocuments(accepted),
+    DataStructureProposal.countDocuments(accepted),
+  ]);
+  return algorithms + dataStructures >= TRUSTED_CONTRIBUTOR_MIN_PROPOSALS;
 };
 
-module.exports = { protect, admin };
+const trustedContributor = asyncHandler(async (req, res, next) => {
+  if (await isTrustedContributor(req.user)) {
+    return next();
+  }
+  res.status(403);
+  throw new Error(
+    `Only admins and contributors with at least ${TRUSTED_CONTRIBUTOR_MIN_PROPOSALS} accepted proposals can do this`
+  );
+});
+
+module.exports = {
+  protect,
+  protectForTwoFactorSetup,
+  optionalProtect,
+  admin,
+  reviewer,
+  verifiedEmail,
+  isTrustedContributor,
+  trustedContributor,
+};
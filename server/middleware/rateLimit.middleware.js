@@ -0,0 +1,132 @@
+const asyncHandler = require("express-async-handler");
+const { store: defaultStore } = require("../utils/rateLimitStore");
+
+// Sliding-window rate limits. Each window's hits are counted in a bucket,
+// and a request is weighed against the current bucket plus the part of the
+// previous one still inside the window, so a burst straddling a window
+// boundary can't get twice the limit through.
+//
+// Limits can be overridden per name with RATE_LIMIT_<NAME>=<max>/<seconds>,
+// e.g. RATE_LIMIT_LOGIN_IP=50/900, and all of them turned off with
+// RATE_LIMIT_ENABLED=false.
+
+const enabled = () => process.env.RATE_LIMIT_ENABLED !== "false";
+
+const configured = (name, max, windowMs) => {
+  const override = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  const match = override && /^(\d+)\/(\d+)$/.exec(override.trim());
+  if (!match) return { max, windowMs };
+  return { max: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+};
+
+// Who a request counts against.
+const KEYS = {
+  ip: (req) => req.ip || req.socket?.remoteAddress,
+  user: (req) => req.user?._id && String(req.user._id),
+  // Account-level limits on endpoints used before signing in
+  email: (req) =>
+    typeof req.body?.email === "string" ? req.body.email.trim().toLowerCase() : null,
+};
+
+/**
+ * Returns middleware allowing `max` requests per `windowMs` for each key.
+ * `by` is "ip", "user" (after `protect`), "email" (from the body) or a
+ * function of the request; requests without a key are let through.
+ */
+const rateLimit = ({
+  name,
+  max,
+  windowMs,
+  by = "ip",
+  message = "Too many requests, please try again later",
+  store = defaultStore,
+}) => {
+  const keyOf = typeof by === "function" ? by : KEYS[by];
+  const limits = configured(name, max, windowMs);
+
+  return asyncHandler(async (req, res, next) => {
+    const id = enabled() && keyOf(req);
+    if (!id) return next();
+
+    const now = Date.now();
+    const { max: limit, windowMs: window } = limits;
+    const windowStart = Math.floor(now / window) * window;
+    const bucket = (start) => `rl:${name}:${id}:${start}`;
+
+    const current = await store.increment(bucket(windowStart), window * 2);
+    const previous = (await store.get(bucket(windowStart - window)))?.count || 0;
+    const weight = 1 - (now - windowStart) / window;
+    const count = Math.floor(previous * weight) + current;
+
+    res.set("RateLimit-Limit", String(limit));
+    res.set("RateLimit-Remaining", String(Math.max(0, limit - count)));
+
+    if (count > limit) {
+      res.set("Retry-After", String(Math.ceil((windowStart + window - now) / 1000)));
+      res.status(429);
+      throw new Error(message);
+    }
+    next();
+  });
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// The limits used by the routes, by IP and by account where there is one.
+const limits = {
+  login: [
+    rateLimit({ name: "login_ip", max: 30, windowMs: 15 * MINUTE }),
+    rateLimit({ name: "login_email", max: 10, windowMs: 15 * MINUTE, by: "email" }),
+  ],
+  register: [rateLimit({ name: "register_ip", max: 10, windowMs: HOUR })],
+  passwordReset: [
+    rateLimit({ name: "password_reset_ip", max: 10, windowMs: HOUR }),
+    rateLimit({ name: "password_reset_email", max: 3, windowMs: HOUR, by: "email" }),
+  ],
+  otp: [
+    rateLimit({ name: "otp_ip", max: 30, windowMs: 15 * MINUTE }),
+    rateLimit({ name: "otp_email", max: 10, windowMs: 15 * MINUTE, by: "email" }),
+  ],
+  twoFactor: [rateLimit({ name: "two_factor_ip", max: 30, windowMs: 15 * MINUTE })],
+  emailVerification: [
+    rateLimit({ name: "email_verification_user", max: 10, windowMs: 15 * MINUTE, by: "user" }),
+  ],
+  comment: [
+    rateLimit({
+      name: "comment_user",
+      max: 20,
+      windowMs: 10 * MINUTE,
+      by: "user",
+      message: "You're commenting too fast, please slow down",
+    }),
+  ],
+  proposal: [
+    rateLimit({
+      name: "proposal_user",
+      max: 10,
+      windowMs: HOUR,
+      by: "user",
+      message: "Too many proposals in a short time, please try again later",
+    }),
+  ],
+  contact: [
+    rateLimit({
+      name: "contact_ip",
+      max: 5,
+      windowMs: HOUR,
+      message: "Too many messages, please try again later",
+    }),
+  ],
+  feedback: [
+    rateLimit({
+      name: "feedback_user",
+      max: 5,
+      windowMs: HOUR,
+      by: "user",
+      message: "Too much feedback in a short time, please try again later",
+    }),
+  ],
+};
+
+module.exports = { rateLimit, limits };
@@ -0,0 +1,42 @@
+const { body, validationResult } = require("express-validator");
+
+const validateLearningPath = [
+  body("title").trim().notEmpty().withMessage("Title is required"),
+  body("description").optional().isString(),
+  body("level")
+    .optional()
+    .isIn(["Beginner", "Intermediate", "Advanced"])
+    .withMessage("Level must be Beginner, Intermediate or Advanced"),
+  body("sections")
+    .isArray({ min: 1 })
+    .withMessage("A learning path needs at least one section"),
+  body("sections.*.title")
+    .trim()
+    .notEmpty()
+    .withMessage("Every section needs a title"),
+  body("sections.*.items")
+    .isArray({ min: 1 })
+    .withMessage("Every section needs at least one entry"),
+  body("sections.*.items.*.entryType")
+    .isIn(["Algorithm", "DataStructure"])
+    .withMessage("Entries must be algorithms or data structures"),
+  body("sections.*.items.*.slug")
+    .trim()
+    .notEmpty()
+    .withMessage("Every entry needs a slug"),
+  body("sections.*.items.*.effortMinutes")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Estimated effort must be a whole number of minutes"),
+
+  // Final error handler
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+];
+
+module.exports = validateLearningPath;
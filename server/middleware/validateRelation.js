@@ -0,0 +1,41 @@
+const { body, validationResult } = require("express-validator");
+
+const ENTRY_TYPES = ["Algorithm", "DataStructure"];
+const RELATION_TYPES = [
+  "prerequisite_of",
+  "uses_data_structure",
+  "variant_of",
+  "alternative_to",
+];
+
+const validateRelation = [
+  body("sourceType")
+    .isIn(ENTRY_TYPES)
+    .withMessage("Source type must be Algorithm or DataStructure"),
+  body("sourceSlug").notEmpty().withMessage("Source slug is required"),
+  body("targetType")
+    .isIn(ENTRY_TYPES)
+    .withMessage("Target type must be Algorithm or DataStructure"),
+  body("targetSlug").notEmpty().withMessage("Target slug is required"),
+  body("type")
+    .isIn(RELATION_TYPES)
+    .withMessage(`Relation type must be one of ${RELATION_TYPES.join(", ")}`),
+  body("targetType").custom((targetType, { req }) => {
+    if (req.body.type === "uses_data_structure" && targetType !== "DataStructure") {
+      throw new Error("\"uses data structure\" must point to a data structure");
+    }
+    return true;
+  }),
+  body("note").optional().isString().isLength({ max: 300 }),
+
+  // Final error handler
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+];
+
+module.exports = validateRelation;
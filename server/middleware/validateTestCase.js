@@ -0,0 +1,34 @@
+const { body, validationResult } = require("express-validator");
+
+const validateTestCase = [
+  body("input").optional().isString().withMessage("Input must be a string"),
+  body("expectedOutput")
+    .isString()
+    .withMessage("Expected output is required")
+    .bail()
+    .notEmpty()
+    .withMessage("Expected output is required"),
+  body("visibility")
+    .optional()
+    .isIn(["public", "hidden"])
+    .withMessage("Visibility must be public or hidden"),
+  body("checker.mode")
+    .optional()
+    .isIn(["exact", "token", "float"])
+    .withMessage("Checker must be exact, token or float"),
+  body("checker.tolerance")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Tolerance must be a non-negative number"),
+
+  // Final error handler
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+];
+
+module.exports = validateTestCase;
@@ -0,0 +1,25 @@
+const { body, validationResult } = require("express-validator");
+const { validateTraceSteps } = require("../utils/traceFormat");
+
+const validateTrace = [
+  body("title").trim().notEmpty().withMessage("Title is required"),
+  body("description").optional().isString().withMessage("Description must be text"),
+  body("language").optional().isString().withMessage("Language must be text"),
+  body("input").optional().isString().withMessage("Input must be text"),
+  body("steps").custom((steps) => {
+    const error = validateTraceSteps(steps);
+    if (error) throw new Error(error);
+    return true;
+  }),
+
+  // Final error handler
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+];
+
+module.exports = validateTrace;
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { REVISION_FIELDS } = require("../utils/revisionHistory");
 const { ALGORITHM } = require("../utils/categoryTypes");
 
 const codeSchema = new mongoose.Schema(
@@ -9,6 +10,57 @@ const codeSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const testCaseSchema = new mongoose.Schema(
+  {
+    input: { type: String, default: "" },
+    expectedOutput: { type: String, required: true },
+    visibility: {
+      type: String,
+      enum: ["public", "hidden"],
+      default: "public",
+    },
+    checker: {
+      mode: {
+        type: String,
+        enum: ["exact", "token", "float"],
+        default: "exact",
+      },
+      tolerance: { type: Number, default: 1e-6, min: 0 },
+    },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// Step format is documented and validated in utils/traceFormat.js.
+const traceSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    language: { type: String },
+    input: { type: String },
+    steps: { type: [mongoose.Schema.Types.Mixed], required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+const verificationSchema = new mongoose.Schema(
+  {
+    language: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["verified", "failing", "untested"],
+      default: "untested",
+    },
+    passed: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    message: { type: String },
+    checkedAt: { type: Date },
+  },
+  { _id: false }
+);
+
 const algorithmSchema = new mongoose.Schema(
   {
     title: { type: String, required: true, unique: true, trim: true },
@@ -38,6 +90,16 @@ const algorithmSchema = new mongoose.Schema(
     links: [{ type: String }],
     codes: [codeSchema],
 
+    // Hidden cases must never reach clients, so the list is opt-in on reads.
+    testCases: { type: [testCaseSchema], select: false },
+    verification: [verificationSchema],
+
+    // Traces can be large, so they are loaded on demand.
+    traces: { type: [traceSchema], select: false },
+
+    // Latest revision number, see revision.model.js
+    revision: { type: Number, default: 0 },
+
     contributors: [
       {
         user: {
@@ -102,6 +164,13 @@ const algorithmSchema = new mongoose.Schema(
     isPublished: { type: Boolean, default: false },
     publishedAt: { type: Date },
     publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // Scheduled changes, applied by utils/publishScheduler.js
+    publishAt: { type: Date },
+    unpublishAt: { type: Date },
+    scheduledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // When the "new entry" notifications went out; they are sent once, on
+    // the first publication
+    announcedAt: { type: Date },
   },
   { timestamps: true }
 );
@@ -115,5 +184,16 @@ algorithmSchema.index({
   tags: "text",
 });
 algorithmSchema.index({ category: 1, difficulty: 1 });
+algorithmSchema.index({ publishAt: 1 }, { sparse: true });
+algorithmSchema.index({ unpublishAt: 1 }, { sparse: true });
+
+// Algorithms that predate revision history have no revision of their
+// original content. Their first content save keeps the stored version so
+// recordRevision can write it as a baseline.
+algorithmSchema.pre("save", async function () {
+  if (this.isNew || this.revision > 0) return;
+  if (!REVISION_FIELDS.Algorithm.some((field) => this.isModified(field))) return;
+  this.$locals.revisionBaseline = await this.constructor.findById(this._id).lean();
+});
 
 module.exports = mongoose.model("Algorithm", algorithmSchema);
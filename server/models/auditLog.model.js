@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// Append-only record of a privileged action, written by utils/auditLog.js.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      immutable: true,
+    },
+    // Kept as they were at the time so the entry still reads correctly
+    // after the account is renamed, demoted or removed
+    actorName: { type: String, trim: true, immutable: true },
+    actorRole: { type: String, trim: true, immutable: true },
+    action: { type: String, required: true, trim: true, immutable: true },
+    targetType: { type: String, trim: true, immutable: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, immutable: true },
+    targetLabel: { type: String, trim: true, immutable: true },
+    summary: { type: String, trim: true, immutable: true },
+    before: { type: mongoose.Schema.Types.Mixed, immutable: true },
+    after: { type: mongoose.Schema.Types.Mixed, immutable: true },
+    ip: { type: String, trim: true, immutable: true },
+    userAgent: { type: String, trim: true, immutable: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Audit log entries are append-only."));
+  }
+  next();
+});
+
+const rejectChange = function (next) {
+  next(new Error("Audit log entries are append-only."));
+};
+
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+    "findOneAndReplace",
+  ],
+  rejectChange
+);
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { CODE_SECTIONS } = require("../utils/codeAnchors");
 
 const replySchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
@@ -7,6 +8,29 @@ const replySchema = new mongoose.Schema({
   mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
 });
 
+// Lines of an implementation an inline comment is anchored to, see
+// utils/codeAnchors.js
+const codeRefSchema = new mongoose.Schema(
+  {
+    section: {
+      type: String,
+      enum: CODE_SECTIONS,
+      required: true,
+    },
+    operation: { type: String },
+    language: { type: String, required: true },
+    startLine: { type: Number, required: true },
+    endLine: { type: Number, required: true },
+    // Text of the anchored lines, used to find them again after edits
+    lines: [{ type: String }],
+    codeHash: { type: String },
+    // Revision (or proposal round) of the parent when last anchored
+    revision: { type: Number, default: 0 },
+    outdated: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
 const commentSchema = new mongoose.Schema(
   {
     parentType: {
@@ -25,7 +49,13 @@ const commentSchema = new mongoose.Schema(
     },
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     text: { type: String, required: true },
-    codeRef: { type: String },
+    codeRef: { type: codeRefSchema, default: undefined },
+    // Free-text reference of inline comments from before anchors existed,
+    // see utils/migrations.js
+    legacyCodeRef: { type: String },
+    resolved: { type: Boolean, default: false },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    resolvedAt: { type: Date },
     mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
     replies: [replySchema],
   },
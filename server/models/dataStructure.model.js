@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const { DATA_STRUCTURE } = require("../utils/categoryTypes");
+const { contentFields } = require("../utils/proposalDiff");
 
 const codeSchema = new mongoose.Schema(
   {
@@ -134,13 +135,25 @@ const dataStructureSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    // Bumped whenever the content changes; edit proposals record the
+    // revision they were based on
+    revision: { type: Number, default: 0 },
     isDeleted: { type: Boolean, default: false },
     deletedAt: { type: Date },
     deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // Deleting unpublishes and rejects; restoring puts these back
+    stateBeforeDelete: { isPublished: Boolean, status: String },
 
     isPublished: { type: Boolean, default: false },
     publishedAt: { type: Date },
     publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // Scheduled changes, applied by utils/publishScheduler.js
+    publishAt: { type: Date },
+    unpublishAt: { type: Date },
+    scheduledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // When the "new entry" notifications went out; they are sent once, on
+    // the first publication
+    announcedAt: { type: Date },
   },
   { timestamps: true }
 );
@@ -152,5 +165,14 @@ dataStructureSchema.index({
   tags: "text",
 });
 dataStructureSchema.index({ category: 1, type: 1 });
+dataStructureSchema.index({ publishAt: 1 }, { sparse: true });
+dataStructureSchema.index({ unpublishAt: 1 }, { sparse: true });
+
+dataStructureSchema.pre("save", function (next) {
+  if (!this.isNew && contentFields("DataStructure").some((f) => this.isModified(f))) {
+    this.revision += 1;
+  }
+  next();
+});
 
 module.exports = mongoose.model("DataStructure", dataStructureSchema);
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+const pathItemSchema = new mongoose.Schema({
+  entryType: {
+    type: String,
+    enum: ["Algorithm", "DataStructure"],
+    required: true,
+  },
+  slug: { type: String, required: true, trim: true },
+  note: { type: String, trim: true, default: "" },
+  effortMinutes: { type: Number, min: 0, default: 0 },
+});
+
+const pathSectionSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  description: { type: String, trim: true, default: "" },
+  items: [pathItemSchema],
+});
+
+const learningPathSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, unique: true, trim: true },
+    slug: { type: String, required: true, unique: true },
+    description: { type: String, trim: true, default: "" },
+    level: {
+      type: String,
+      enum: ["Beginner", "Intermediate", "Advanced"],
+      default: "Beginner",
+    },
+    sections: [pathSectionSchema],
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    isPublished: { type: Boolean, default: true },
+    isDeleted: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("LearningPath", learningPathSchema);
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// An OAuth authorization request in flight, from the redirect to the
+// provider until its callback. Used once; see utils/oauth.js.
+const oauthStateSchema = new mongoose.Schema({
+  stateHash: { type: String, required: true, unique: true },
+  provider: { type: String, required: true },
+  codeVerifier: { type: String, required: true },
+  nonce: { type: String, required: true },
+  intent: { type: String, enum: ["login", "link"], required: true },
+  // The signed-in user, when linking
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 600, // The user has 10 minutes to finish at the provider
+  },
+});
+
+module.exports = mongoose.model("OAuthState", oauthStateSchema);
@@ -9,6 +9,13 @@ const otpSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
+    // Password reset codes and email verification codes must not be
+    // interchangeable
+    purpose: {
+        type: String,
+        enum: ['password_reset', 'email_verification'],
+        default: 'password_reset',
+    },
     createdAt: {
         type: Date,
         default: Date.now,
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// Which items of a learning path a user has ticked off.
+const pathProgressSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    path: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LearningPath",
+      required: true,
+    },
+    completedItems: [{ type: mongoose.Schema.Types.ObjectId }],
+  },
+  { timestamps: true }
+);
+
+pathProgressSchema.index({ user: 1, path: 1 }, { unique: true });
+
+module.exports = mongoose.model("PathProgress", pathProgressSchema);
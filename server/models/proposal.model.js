@@ -9,6 +9,85 @@ const codeSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// One vote per reviewer; a reviewer changing their mind replaces the vote.
+const reviewVoteSchema = new mongoose.Schema(
+  {
+    reviewer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    decision: { type: String, enum: ["approve", "reject"], required: true },
+    comment: { type: String, trim: true, default: "" },
+    votedAt: { type: Date, default: Date.now },
+    round: { type: Number, default: 1 },
+  },
+  { _id: false }
+);
+
+const threadMessageSchema = new mongoose.Schema(
+  {
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    kind: {
+      type: String,
+      enum: ["comment", "approved", "rejected", "changes_requested", "resubmitted"],
+      default: "comment",
+    },
+    body: { type: String, trim: true, default: "" },
+    round: { type: Number, default: 1 },
+  },
+  { timestamps: true }
+);
+
+// Content of the proposal as submitted in each round
+const roundSchema = new mongoose.Schema(
+  {
+    number: { type: Number, required: true },
+    submittedAt: { type: Date, default: Date.now },
+    note: { type: String, trim: true, default: "" },
+    snapshot: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
+// The target entry as it was when the proposal was started
+const baseSchema = new mongoose.Schema(
+  {
+    revision: { type: Number, default: 0 },
+    snapshot: { type: mongoose.Schema.Types.Mixed },
+    capturedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A reviewer's choice for a field changed on both the proposal and the target.
+// The digests tie it to the values it was made against.
+const resolutionSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    choice: { type: String, enum: ["proposal", "target"], required: true },
+    targetDigest: { type: String },
+    proposalDigest: { type: String },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    resolvedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Existing algorithm or open proposal this one may duplicate
+const duplicateMatchSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["algorithm", "proposal"], required: true },
+    ref: { type: mongoose.Schema.Types.ObjectId, required: true },
+    title: { type: String },
+    slug: { type: String },
+    score: { type: Number, min: 0, max: 1 },
+    signals: {
+      title: { type: Number },
+      statement: { type: Number },
+      tags: { type: Number },
+      code: { type: Number },
+    },
+  },
+  { _id: false }
+);
+
 const proposalSchema = new mongoose.Schema(
   {
     targetAlgorithm: {
@@ -16,6 +95,12 @@ const proposalSchema = new mongoose.Schema(
       ref: "Algorithm",
       default: null,
     },
+    // For edit proposals: the fields that differ from the target algorithm
+    // as it was when the proposal was last saved. Only these are merged.
+    changedFields: [{ type: String }],
+    // Set for edit proposals, see utils/staleBase.js
+    base: { type: baseSchema, default: null },
+    resolutions: [resolutionSchema],
 
     // full proposal structure
     title: { type: String, required: true, trim: true },
@@ -50,12 +135,20 @@ const proposalSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["pending", "approved", "rejected", "merged"],
+      enum: ["pending", "changes_requested", "approved", "rejected", "merged"],
       default: "pending",
     },
     reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     reviewedAt: { type: Date },
     reviewComment: { type: String },
+    reviews: [reviewVoteSchema],
+    thread: [threadMessageSchema],
+    round: { type: Number, default: 1 },
+    rounds: [roundSchema],
+    // Approvals needed under the review policy, recomputed on every vote
+    requiredApprovals: { type: Number },
+    // Likely duplicates of a new-algorithm proposal, refreshed on every save
+    possibleDuplicates: [duplicateMatchSchema],
 
     isDeleted: { type: Boolean, default: false },
     deletedAt: { type: Date },
@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+// Counters and lockouts for the Mongo rate-limit store; see
+// utils/rateLimitStore.js.
+const rateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  value: { type: mongoose.Schema.Types.Mixed },
+  expiresAt: { type: Date, required: true },
+});
+
+// Expired counters are removed by MongoDB; reads also ignore them, as the
+// TTL monitor only runs once a minute
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimit", rateLimitSchema);
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+const ENTRY_TYPES = ["Algorithm", "DataStructure"];
+
+// Directed, typed edge between two content entries, read as
+// "<source> <type> <target>": "BFS prerequisite_of Dijkstra",
+// "Dijkstra uses_data_structure Heap".
+const relationSchema = new mongoose.Schema(
+  {
+    sourceType: { type: String, enum: ENTRY_TYPES, required: true },
+    source: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "sourceType",
+      required: true,
+    },
+    targetType: { type: String, enum: ENTRY_TYPES, required: true },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetType",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "prerequisite_of",
+        "uses_data_structure",
+        "variant_of",
+        "alternative_to",
+      ],
+      required: true,
+    },
+    note: { type: String, trim: true, maxlength: 300 },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+relationSchema.index(
+  { sourceType: 1, source: 1, targetType: 1, target: 1, type: 1 },
+  { unique: true }
+);
+relationSchema.index({ targetType: 1, target: 1 });
+
+module.exports = mongoose.model("Relation", relationSchema);
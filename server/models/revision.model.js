@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// Immutable snapshot of a content entry, written on every content save.
+const revisionSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: ["Algorithm", "DataStructure"],
+      required: true,
+      immutable: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetType",
+      required: true,
+      immutable: true,
+    },
+    version: { type: Number, required: true, immutable: true },
+    action: {
+      type: String,
+      enum: ["baseline", "create", "edit", "code", "merge", "rollback"],
+      required: true,
+      immutable: true,
+    },
+    summary: { type: String, trim: true, immutable: true },
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+      immutable: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      immutable: true,
+    },
+    restoredFrom: { type: Number, immutable: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+revisionSchema.index({ targetType: 1, targetId: 1, version: -1 }, { unique: true });
+
+revisionSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Revisions are immutable and cannot be modified."));
+  }
+  next();
+});
+
+const rejectUpdate = function (next) {
+  next(new Error("Revisions are immutable and cannot be modified."));
+};
+
+revisionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  rejectUpdate
+);
+
+module.exports = mongoose.model("Revision", revisionSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// A signed-in device. The refresh token is only stored hashed and changes
+// on every refresh; see utils/sessions.js.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: { type: String, required: true, unique: true },
+    // The token it replaced, to tell a stolen token being replayed apart
+    // from an unknown one
+    previousTokenHash: { type: String, index: true },
+    rotatedAt: { type: Date },
+    device: { type: String, trim: true },
+    userAgent: { type: String, trim: true },
+    ip: { type: String, trim: true },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "revoked", "revoked_all", "password_reset", "token_reuse"],
+    },
+  },
+  { timestamps: true }
+);
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
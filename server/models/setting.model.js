@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// Site-wide settings that admins change at runtime, one document per key.
+// Read them through utils/settings.js, which supplies the defaults.
+const settingSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true },
+    value: { type: mongoose.Schema.Types.Mixed },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Setting", settingSchema);
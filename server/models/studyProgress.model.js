@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// A user's own standing with one algorithm or data structure, plus the
+// spaced-repetition schedule for reviewing it.
+const studyProgressSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    entryType: {
+      type: String,
+      enum: ["Algorithm", "DataStructure"],
+      required: true,
+    },
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "entryType",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["bookmarked", "learning", "mastered"],
+      required: true,
+    },
+    easeFactor: { type: Number, default: 2.5 },
+    interval: { type: Number, default: 0 }, // days
+    repetitions: { type: Number, default: 0 },
+    dueAt: { type: Date, default: null },
+    lastReviewedAt: { type: Date, default: null },
+    lastRating: { type: Number, default: null },
+    reviewCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+studyProgressSchema.index({ user: 1, entryType: 1, entry: 1 }, { unique: true });
+studyProgressSchema.index({ user: 1, dueAt: 1 });
+
+module.exports = mongoose.model("StudyProgress", studyProgressSchema);
@@ -18,6 +18,37 @@ const userSchema = new mongoose.Schema(
       trim: true,
     },
     password: { type: String, required: true },
+    // Accounts from before email verification count as verified; new
+    // registrations start unverified
+    emailVerified: { type: Boolean, default: true },
+    // When the user proved they receive mail at this address (a code or a
+    // sign-in provider); unset for those older accounts
+    emailVerifiedAt: { type: Date },
+    // False for accounts created through a sign-in provider until the user
+    // sets a password with the reset flow
+    passwordLogin: { type: Boolean, default: true },
+    // Identities from sign-in providers (utils/oauthProviders.js) that can
+    // log in to this account
+    oauthAccounts: [
+      {
+        _id: false,
+        provider: { type: String, required: true },
+        subject: { type: String, required: true },
+        email: { type: String, trim: true },
+        username: { type: String, trim: true },
+        linkedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // TOTP two-factor authentication; see utils/twoFactor.js. The secrets
+    // are never selected unless asked for.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: { type: [String], select: false },
+      lastUsedStep: { type: Number, select: false },
+      enabledAt: { type: Date },
+    },
     bio: { type: String, trim: true, default: "" },
 
     fullName: { type: String, trim: true, default: "" },
@@ -117,11 +148,17 @@ const userSchema = new mongoose.Schema(
 
     totalProposals: { type: Number, default: 0 },
     totalReviews: { type: Number, default: 0 },
-    role: { type: String, enum: ["user", "admin"], default: "user" },
+    role: { type: String, enum: ["user", "reviewer", "admin"], default: "user" },
   },
   { timestamps: true }
 );
 
+// An identity belongs to one account at most
+userSchema.index(
+  { "oauthAccounts.provider": 1, "oauthAccounts.subject": 1 },
+  { unique: true, partialFilterExpression: { "oauthAccounts.subject": { $exists: true } } }
+);
+
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
   const salt = await bcrypt.genSalt(10);
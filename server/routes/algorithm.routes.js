@@ -13,22 +13,66 @@ const {
   searchAlgorithms,
   addAlgorithmCode,
   getContributors,
+  getAlgorithmRevisions,
+  getAlgorithmRevision,
+  diffAlgorithmRevisions,
+  rollbackAlgorithm,
+  runAlgorithmCode,
+  getTestCases,
+  addTestCase,
+  updateTestCase,
+  deleteTestCase,
+  verifyAlgorithmImplementations,
+  getTraces,
+  addTrace,
+  updateTrace,
+  deleteTrace,
 } = require("../controllers/algorithm.controller");
 
-const { protect, admin } = require("../middleware/auth.middleware");
+const {
+  protect,
+  optionalProtect,
+  admin,
+  verifiedEmail,
+} = require("../middleware/auth.middleware");
 const validateAlgorithm = require("../middleware/validateAlgorithm");
+const validateTestCase = require("../middleware/validateTestCase");
+const validateTrace = require("../middleware/validateTrace");
 
-router.get("/", getAllAlgorithms);
+router.get("/", optionalProtect, getAllAlgorithms);
 router.get("/list", getAlgorithmsForList);
 router.get("/categories", getAllCategories);
-router.get("/search", searchAlgorithms);
-router.get("/:slug", getAlgorithmBySlug);
+router.get("/search", optionalProtect, searchAlgorithms);
+router.get("/:slug", optionalProtect, getAlgorithmBySlug);
 
-router.post("/", protect, validateAlgorithm, createAlgorithm);
-router.put("/:slug", protect, validateAlgorithm, updateAlgorithm);
+router.post("/", protect, verifiedEmail, validateAlgorithm, createAlgorithm);
+router.put("/:slug", protect, verifiedEmail, validateAlgorithm, updateAlgorithm);
 router.delete("/:slug", protect, admin, deleteAlgorithm);
-router.post("/:slug/code", protect, addAlgorithmCode);
-router.get("/:slug/contributors", getContributors);
+router.post("/:slug/code", protect, verifiedEmail, addAlgorithmCode);
+router.post("/:slug/run", protect, verifiedEmail, runAlgorithmCode);
+router.get("/:slug/contributors", optionalProtect, getContributors);
+
+router.get("/:slug/revisions", optionalProtect, getAlgorithmRevisions);
+router.get("/:slug/revisions/diff", optionalProtect, diffAlgorithmRevisions);
+router.get("/:slug/revisions/:version", optionalProtect, getAlgorithmRevision);
+router.post("/:slug/revisions/:version/rollback", protect, verifiedEmail, rollbackAlgorithm);
+
+router.get("/:slug/test-cases", optionalProtect, getTestCases);
+router.post("/:slug/test-cases", protect, verifiedEmail, validateTestCase, addTestCase);
+router.put(
+  "/:slug/test-cases/:testCaseId",
+  protect,
+  verifiedEmail,
+  validateTestCase,
+  updateTestCase
+);
+router.delete("/:slug/test-cases/:testCaseId", protect, deleteTestCase);
+router.post("/:slug/verify", protect, admin, verifyAlgorithmImplementations);
+
+router.get("/:slug/traces", optionalProtect, getTraces);
+router.post("/:slug/traces", protect, verifiedEmail, validateTrace, addTrace);
+router.put("/:slug/traces/:traceId", protect, verifiedEmail, validateTrace, updateTrace);
+router.delete("/:slug/traces/:traceId", protect, deleteTrace);
 
 router.post("/:slug/vote", protect, voteAlgorithm);
 
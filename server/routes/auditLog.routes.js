@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getAuditLogs,
+  exportAuditLogs,
+} = require("../controllers/auditLog.controller");
+
+const { protect, admin } = require("../middleware/auth.middleware");
+
+router.get("/", protect, admin, getAuditLogs);
+router.get("/export", protect, admin, exportAuditLogs);
+
+module.exports = router;
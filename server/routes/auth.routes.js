@@ -1,13 +1,65 @@
 const express = require('express');
 const router = express.Router();
-const { registerUser, loginUser, getMe, forgotPassword, validateOTP, resetPassword} = require('../controllers/auth.controller');
-const { protect } = require('../middleware/auth.middleware');
+const {
+  registerUser,
+  loginUser,
+  completeTwoFactorLogin,
+  getMe,
+  forgotPassword,
+  validateOTP,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshAccessToken,
+  logoutUser,
+  getSessions,
+  revokeUserSession,
+  revokeUserSessions,
+} = require('../controllers/auth.controller');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableUserTwoFactor,
+  regenerateUserRecoveryCodes,
+} = require('../controllers/twoFactor.controller');
+const {
+  getOAuthProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  completeOAuth,
+  unlinkOAuthAccount,
+} = require('../controllers/oauth.controller');
+const {
+  protect,
+  protectForTwoFactorSetup,
+  optionalProtect,
+} = require('../middleware/auth.middleware');
+const { limits } = require('../middleware/rateLimit.middleware');
 
-router.post('/register', registerUser);
-router.post('/login', loginUser);
-router.get('/me', protect, getMe);
-router.post('/forgot-password', forgotPassword);
-router.post('/validate-otp', validateOTP);
-router.post('/reset-password', resetPassword);
+router.post('/register', limits.register, registerUser);
+router.post('/login', limits.login, loginUser);
+router.post('/login/2fa', limits.twoFactor, completeTwoFactorLogin);
+router.get('/me', protectForTwoFactorSetup, getMe);
+router.post('/forgot-password', limits.passwordReset, forgotPassword);
+router.post('/validate-otp', limits.otp, validateOTP);
+router.post('/reset-password', limits.otp, resetPassword);
+router.post('/verify-email', protect, limits.emailVerification, verifyEmail);
+router.post('/verify-email/resend', protect, resendVerificationEmail);
+router.post('/refresh', refreshAccessToken);
+router.post('/logout', logoutUser);
+router.get('/sessions', protectForTwoFactorSetup, getSessions);
+router.delete('/sessions', protectForTwoFactorSetup, revokeUserSessions);
+router.delete('/sessions/:id', protectForTwoFactorSetup, revokeUserSession);
+router.get('/2fa', protectForTwoFactorSetup, getTwoFactorStatus);
+router.post('/2fa/setup', protectForTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/enable', protectForTwoFactorSetup, enableTwoFactor);
+router.post('/2fa/disable', protect, disableUserTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateUserRecoveryCodes);
+router.get('/oauth/providers', getOAuthProviders);
+router.post('/oauth/callback', optionalProtect, completeOAuth);
+router.post('/oauth/:provider/start', startOAuthLogin);
+router.post('/oauth/:provider/link', protect, startOAuthLink);
+router.delete('/oauth/:provider', protect, unlinkOAuthAccount);
 
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  exportBundle,
+  importBundle,
+} = require("../controllers/bundle.controller");
+
+const { protect, admin } = require("../middleware/auth.middleware");
+
+router.get("/export", protect, admin, exportBundle);
+router.post("/import", protect, admin, importBundle);
+
+module.exports = router;
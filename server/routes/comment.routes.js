@@ -4,14 +4,17 @@ const {
   addComment,
   getCommentsByParent,
   addReplyToComment,
+  resolveComment,
   deleteComment,
 } = require("../controllers/comment.controller");
-const { protect } = require("../middleware/auth.middleware");
+const { protect, verifiedEmail } = require("../middleware/auth.middleware");
+const { limits } = require("../middleware/rateLimit.middleware");
 
-router.post("/", protect, addComment);                             // Add a comment with mention support
+router.post("/", protect, verifiedEmail, limits.comment, addComment); // Add a comment with mention support
 router.get("/:parentType/:parentId", getCommentsByParent);         // Get all comments for a parent (Algorithm/Proposal)
 
-router.post("/:commentId/reply", protect, addReplyToComment);      // Add a reply to a comment
+router.post("/:commentId/reply", protect, verifiedEmail, limits.comment, addReplyToComment); // Add a reply to a comment
+router.patch("/:id/resolve", protect, resolveComment);             // Resolve or reopen an inline code comment
 router.delete("/:id", protect, deleteComment);                     // Delete a comment (owner or admin)
 
 module.exports = router;
@@ -1,11 +1,13 @@
 const express = require("express");
 const contactController = require( "../controllers/contact.controller");
+const { protect, admin } = require("../middleware/auth.middleware");
+const { limits } = require("../middleware/rateLimit.middleware");
 
 const router = express.Router();
 
-router.post("/", contactController.submitContactForm); // POST /api/contact
-router.get("/", contactController.getAllContacts);     // GET /api/contact (admin route)
-router.delete("/:id", contactController.deleteContactById);
+router.post("/", limits.contact, contactController.submitContactForm); // POST /api/contact
+router.get("/", protect, admin, contactController.getAllContacts);     // GET /api/contact (admin route)
+router.delete("/:id", protect, admin, contactController.deleteContactById);
 
 
 module.exports = router;
\ No newline at end of file
@@ -15,19 +15,24 @@ const {
   getContributors,
 } = require("../controllers/dataStructure.controller");
 
-const { protect, admin } = require("../middleware/auth.middleware");
+const {
+  protect,
+  optionalProtect,
+  admin,
+  verifiedEmail,
+} = require("../middleware/auth.middleware");
 const validateDataStructure = require("../middleware/validateDataStructure");
 
-router.get("/", getAllDataStructures);
+router.get("/", optionalProtect, getAllDataStructures);
 router.get("/list", getAllDataStructuresForList);
 router.get("/categories", getAllCategories);
 router.get("/search", searchDataStructures);
-router.get("/:slug", getDataStructureBySlug);
+router.get("/:slug", optionalProtect, getDataStructureBySlug);
 
-router.post("/", protect, validateDataStructure, createDataStructure);
-router.put("/:slug", protect, validateDataStructure, updateDataStructure);
+router.post("/", protect, verifiedEmail, validateDataStructure, createDataStructure);
+router.put("/:slug", protect, verifiedEmail, validateDataStructure, updateDataStructure);
 router.delete("/:slug", protect, admin, deleteDataStructure);
-router.post("/:slug/code", protect, addOperationImplementation);
+router.post("/:slug/code", protect, verifiedEmail, addOperationImplementation);
 router.get("/:slug/contributors", getContributors);
 
 router.post("/:slug/vote", protect, voteDataStructure);
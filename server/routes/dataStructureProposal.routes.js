@@ -4,24 +4,41 @@ const {
   createProposal,
   getAllProposals,
   getProposalBySlug,
+  getProposalDiff,
   updateProposal,
   reviewProposal,
+  addThreadComment,
+  resubmitProposal,
+  resolveConflicts,
   deleteProposal,
 } = require("../controllers/dataStructureProposal.controller");
 
-const { protect, admin } = require("../middleware/auth.middleware");
+const {
+  protect,
+  optionalProtect,
+  admin,
+  reviewer,
+  verifiedEmail,
+} = require("../middleware/auth.middleware");
+const { limits } = require("../middleware/rateLimit.middleware");
 const validateProposal = require("../middleware/validateDataStructureProposal");
 
 // --- Public ---
-router.get("/slug/:slug", getProposalBySlug); // View single proposal by slug
+router.get("/slug/:slug", optionalProtect, getProposalBySlug); // View single proposal by slug
 
 // --- Authenticated Users ---
-router.post("/newproposal", protect, validateProposal("create"), createProposal); // Create proposal
-router.patch("/:slug", protect, validateProposal("update"), updateProposal); // Update proposal
+router.post("/newproposal", protect, verifiedEmail, limits.proposal, validateProposal("create"), createProposal); // Create proposal
+router.patch("/:slug", protect, verifiedEmail, validateProposal("update"), updateProposal); // Update proposal
 router.get("/", protect, getAllProposals); // Get all proposals for user/admin
+router.get("/:slug/diff", protect, getProposalDiff); // Compare with the target data structure
+router.post("/:slug/thread", protect, verifiedEmail, limits.comment, addThreadComment); // Comment on the review thread
+router.post("/:slug/resubmit", protect, verifiedEmail, resubmitProposal); // Start a new review round
+
+// --- Reviewer Actions ---
+router.put("/review/:slug", protect, reviewer, reviewProposal); // Vote, or request changes
+router.put("/:slug/resolutions", protect, reviewer, resolveConflicts); // Resolve conflicts with a changed target
 
 // --- Admin Actions ---
-router.put("/review/:slug", protect, admin, reviewProposal); // Approve/reject
 router.delete("/:slug", protect, admin, deleteProposal); // Soft delete
 
 module.exports = router;
\ No newline at end of file
@@ -2,8 +2,9 @@ const express = require("express");
 const router = express.Router();
 const { submitFeedback,getAllFeedback  } = require("../controllers/feedback.controller");
 const { protect,admin } = require("../middleware/auth.middleware");
+const { limits } = require("../middleware/rateLimit.middleware");
 
-router.post("/", protect, submitFeedback);
+router.post("/", protect, limits.feedback, submitFeedback);
 router.get("/feedback", protect, admin, getAllFeedback);
 
 
@@ -0,0 +1,36 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getLearningPaths,
+  getLearningPathBySlug,
+  createLearningPath,
+  updateLearningPath,
+  deleteLearningPath,
+  updatePathProgress,
+} = require("../controllers/learningPath.controller");
+
+const {
+  protect,
+  optionalProtect,
+  trustedContributor,
+  verifiedEmail,
+} = require("../middleware/auth.middleware");
+const validateLearningPath = require("../middleware/validateLearningPath");
+
+router.get("/", optionalProtect, getLearningPaths);
+router.get("/:slug", optionalProtect, getLearningPathBySlug);
+
+router.post(
+  "/",
+  protect,
+  verifiedEmail,
+  trustedContributor,
+  validateLearningPath,
+  createLearningPath
+);
+router.put("/:slug", protect, verifiedEmail, validateLearningPath, updateLearningPath);
+router.delete("/:slug", protect, deleteLearningPath);
+router.put("/:slug/progress", protect, updatePathProgress);
+
+module.exports = router;
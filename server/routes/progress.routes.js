@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getMyProgress,
+  getReviewQueue,
+  getEntryProgress,
+  setEntryStatus,
+  reviewEntry,
+} = require("../controllers/progress.controller");
+
+const { protect } = require("../middleware/auth.middleware");
+
+router.get("/", protect, getMyProgress);
+router.get("/due", protect, getReviewQueue);
+router.get("/:entryType/:slug", protect, getEntryProgress);
+router.put("/:entryType/:slug", protect, setEntryStatus);
+router.post("/:entryType/:slug/review", protect, reviewEntry);
+
+module.exports = router;
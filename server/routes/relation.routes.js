@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getNeighbourhood,
+  createRelation,
+  deleteRelation,
+} = require("../controllers/relation.controller");
+
+const {
+  protect,
+  optionalProtect,
+  admin,
+} = require("../middleware/auth.middleware");
+const validateRelation = require("../middleware/validateRelation");
+
+router.get("/:entryType/:slug", optionalProtect, getNeighbourhood);
+router.post("/", protect, admin, validateRelation, createRelation);
+router.delete("/:id", protect, admin, deleteRelation);
+
+module.exports = router;
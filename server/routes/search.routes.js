@@ -0,0 +1,10 @@
+const express = require("express");
+const router = express.Router();
+
+const { search, suggest } = require("../controllers/search.controller");
+const { optionalProtect } = require("../middleware/auth.middleware");
+
+router.get("/", optionalProtect, search);
+router.get("/suggest", optionalProtect, suggest);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getSiteSettings,
+  updateSiteSettings,
+} = require("../controllers/settings.controller");
+
+const { protect, admin } = require("../middleware/auth.middleware");
+
+router.get("/", protect, admin, getSiteSettings);
+router.patch("/", protect, admin, updateSiteSettings);
+
+module.exports = router;
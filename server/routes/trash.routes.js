@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  getTrash,
+  restoreTrashItem,
+  purgeTrashItem,
+  purgeTrash,
+} = require("../controllers/trash.controller");
+
+const { protect, admin } = require("../middleware/auth.middleware");
+
+router.get("/", protect, admin, getTrash);
+router.post("/purge", protect, admin, purgeTrash);
+router.patch("/:type/:id/restore", protect, admin, restoreTrashItem);
+router.delete("/:type/:id", protect, admin, purgeTrashItem);
+
+module.exports = router;
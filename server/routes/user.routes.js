@@ -15,12 +15,16 @@ const {
   getAdminAnalytics,
   searchUsers
 } = require("../controllers/user.controller");
-const { protect, admin } = require("../middleware/auth.middleware");
+const {
+  protect,
+  protectForTwoFactorSetup,
+  admin,
+} = require("../middleware/auth.middleware");
 
 router.get('/analytics', protect, admin, getAdminAnalytics);
 // Public endpoint: allow mention suggestions without auth
 router.get("/search", searchUsers);
-router.get("/me", protect, getMyProfile);
+router.get("/me", protectForTwoFactorSetup, getMyProfile);
 router.patch("/me", protect, updateMyProfile);
 router.get("/update-competitive-stats", protect, updateAllCompetitiveStats);
 router.get("/update-social-stats", protect, updateSocialProfiles);
@@ -1,8 +1,14 @@
 const express = require("express");
 const dotenv = require("dotenv");
+// Loaded before the routes, whose modules read limits from the environment.
+dotenv.config();
+
 const cors = require("cors");
 const connectDB = require("./config/db");
+const { runMigrations } = require("./utils/migrations");
 const KeepAlive = require("./utils/keepAlive");
+const PublishScheduler = require("./utils/publishScheduler");
+const TrashPurger = require("./utils/trashPurger");
 const algorithmRoutes = require("./routes/algorithm.routes");
 const authRoutes = require("./routes/auth.routes");
 const userRoutes = require("./routes/user.routes");
@@ -14,13 +20,29 @@ const communityRoutes = require("./routes/community.routes");
 const dataStructureRoutes = require("./routes/dataStructure.routes");
 const dataStructureProposalRoutes = require("./routes/dataStructureProposal.routes");
 const contactRoutes = require("./routes/contact.routes")
+const relationRoutes = require("./routes/relation.routes");
+const learningPathRoutes = require("./routes/learningPath.routes");
+const progressRoutes = require("./routes/progress.routes");
+const bundleRoutes = require("./routes/bundle.routes");
+const searchRoutes = require("./routes/search.routes");
+const trashRoutes = require("./routes/trash.routes");
+const auditLogRoutes = require("./routes/auditLog.routes");
+const settingsRoutes = require("./routes/settings.routes");
 
 const { notFound, errorHandler } = require("./middleware/error.middleware");
 
-dotenv.config();
-connectDB();
+connectDB().then(runMigrations);
 
 const app = express();
+// Lets req.ip (used in audit entries) see the client behind a reverse proxy
+// (a hop count such as 1, "true", or a list of proxy addresses)
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  let setting = trustProxy;
+  if (/^\d+$/.test(trustProxy)) setting = Number(trustProxy);
+  else if (trustProxy === "true") setting = true;
+  app.set("trust proxy", setting);
+}
 app.use(cors());
 app.use(express.json({ limit: "10mb" }));
 
@@ -35,6 +57,14 @@ app.use("/api/community", communityRoutes);
 app.use("/api/data-structures", dataStructureRoutes);
 app.use("/api/data-structure-proposals", dataStructureProposalRoutes);
 app.use("/api/contact", contactRoutes);
+app.use("/api/relations", relationRoutes);
+app.use("/api/learning-paths", learningPathRoutes);
+app.use("/api/progress", progressRoutes);
+app.use("/api/bundles", bundleRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/trash", trashRoutes);
+app.use("/api/audit-logs", auditLogRoutes);
+app.use("/api/settings", settingsRoutes);
 
 
 // Health check endpoint for keep-alive
@@ -52,4 +82,7 @@ app.listen(PORT, () => {
   // Initialize keep-alive
   const keepAlive = new KeepAlive();
   setTimeout(() => keepAlive.start(), 10000);
+
+  new PublishScheduler().start();
+  new TrashPurger().start();
 });
\ No newline at end of file
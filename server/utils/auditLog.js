@@ -0,0 +1,55 @@
+const AuditLog = require("../models/auditLog.model");
+
+// Every privileged action is recorded through `recordAudit`, which the admin
+// controllers call once the action has succeeded. Entries are append-only.
+
+const MAX_VALUE_LENGTH = 500;
+
+// Keeps before/after summaries small: long strings are shortened and
+// nested documents are reduced to plain JSON.
+const summarize = (value) => {
+  if (value === undefined || value === null) return undefined;
+  return JSON.parse(
+    JSON.stringify(value, (key, v) =>
+      typeof v === "string" && v.length > MAX_VALUE_LENGTH
+        ? `${v.slice(0, MAX_VALUE_LENGTH)}…`
+        : v
+    )
+  );
+};
+
+// Behind a proxy this needs the "trust proxy" setting (TRUST_PROXY) so that
+// req.ip is the client rather than the proxy.
+const clientIp = (req) => req.ip || req.socket?.remoteAddress || "";
+
+/**
+ * Appends an audit entry for `req.user`. `action` is a dotted name such as
+ * "user.role_change"; `target` identifies what was acted on. A failure to
+ * write the entry is logged rather than thrown, as the action itself has
+ * already happened by the time this is called.
+ */
+const recordAudit = async (
+  req,
+  { action, target = {}, summary, before, after }
+) => {
+  try {
+    await AuditLog.create({
+      actor: req.user._id,
+      actorName: req.user.username,
+      actorRole: req.user.role,
+      action,
+      targetType: target.type,
+      targetId: target.id,
+      targetLabel: target.label,
+      summary,
+      before: summarize(before),
+      after: summarize(after),
+      ip: clientIp(req),
+      userAgent: req.get("user-agent")?.slice(0, 300),
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record audit entry "${action}":`, error.message);
+  }
+};
+
+module.exports = { recordAudit };
@@ -0,0 +1,136 @@
+const crypto = require("crypto");
+
+// Line anchors for inline code comments. A comment remembers which
+// implementation it is on (section, operation, language), the lines it covers,
+// the text of those lines and a hash of the whole code at the time. When the
+// code later changes, the anchored lines are looked up again in the new code
+// so the comment follows them; if they are gone it is marked outdated and
+// stays at its last known position.
+
+const CODE_SECTIONS = ["codes", "fullImplementations", "operations"];
+
+// Which code sections each kind of parent has.
+const SECTIONS_BY_PARENT = {
+  Algorithm: ["codes"],
+  Proposal: ["codes"],
+  DataStructure: ["fullImplementations", "operations"],
+  DataStructureProposal: ["fullImplementations", "operations"],
+};
+
+const hashCode = (code) => crypto.createHash("sha1").update(code).digest("hex");
+
+const splitLines = (code) => String(code).split(/\r?\n/);
+
+const sameLanguage = (a, b) =>
+  String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+// The code a reference points at, or null when it no longer exists. Data
+// structure implementations are displayed trimmed, so lines count from there.
+const codeFor = (parent, ref) => {
+  if (ref.section === "operations") {
+    const operation = (parent.operations || []).find((op) => op.name === ref.operation);
+    const impl = (operation?.implementations || []).find((i) =>
+      sameLanguage(i.codeDetails?.language, ref.language)
+    );
+    return impl?.codeDetails?.code?.trim() ?? null;
+  }
+  const entry = (parent[ref.section] || []).find((c) => sameLanguage(c.language, ref.language));
+  if (!entry?.code) return null;
+  return ref.section === "fullImplementations" ? entry.code.trim() : entry.code;
+};
+
+// Revision of the parent's content: entries count revisions, proposals rounds.
+const revisionOf = (parentType, parent) =>
+  parentType === "Proposal" || parentType === "DataStructureProposal"
+    ? parent.round || 1
+    : parent.revision || 0;
+
+/**
+ * Validates an anchor sent with a new comment and completes it from the
+ * parent's current code. Throws with a message suitable for a 400.
+ * @param {object} input - { section, operation, language, startLine, endLine }
+ */
+const createAnchor = (parentType, parent, input) => {
+  const section = input.section || "codes";
+  if (!(SECTIONS_BY_PARENT[parentType] || []).includes(section)) {
+    throw new Error(`A ${parentType} has no "${section}" code to comment on.`);
+  }
+  const ref = {
+    section,
+    operation: section === "operations" ? input.operation : undefined,
+    language: input.language,
+  };
+
+  const code = codeFor(parent, ref);
+  if (code === null) {
+    throw new Error(`No ${ref.language || "code"} implementation to comment on.`);
+  }
+
+  const lines = splitLines(code);
+  const startLine = Number(input.startLine);
+  const endLine = Number(input.endLine ?? input.startLine);
+  if (
+    !Number.isInteger(startLine) ||
+    !Number.isInteger(endLine) ||
+    startLine < 1 ||
+    endLine < startLine ||
+    endLine > lines.length
+  ) {
+    throw new Error(`Lines must be within 1-${lines.length}.`);
+  }
+
+  return {
+    ...ref,
+    startLine,
+    endLine,
+    lines: lines.slice(startLine - 1, endLine),
+    codeHash: hashCode(code),
+    revision: revisionOf(parentType, parent),
+    outdated: false,
+  };
+};
+
+// Start line of `needle` in `haystack` closest to `near`, or null.
+const findBlock = (haystack, needle, near) => {
+  let best = null;
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    if (needle.every((line, k) => haystack[i + k] === line)) {
+      if (best === null || Math.abs(i + 1 - near) < Math.abs(best - near)) best = i + 1;
+    }
+  }
+  return best;
+};
+
+/**
+ * Moves an anchor to where its lines are in the parent's current code.
+ * Returns the updated anchor, or null when the code has not changed since.
+ */
+const reanchor = (parentType, parent, ref) => {
+  const code = codeFor(parent, ref);
+  if (code !== null && hashCode(code) === ref.codeHash) return null;
+
+  const next = { ...ref, revision: revisionOf(parentType, parent) };
+  if (code === null) return { ...next, outdated: true };
+
+  const lines = splitLines(code);
+  next.codeHash = hashCode(code);
+  const start = ref.lines?.length ? findBlock(lines, ref.lines, ref.startLine) : null;
+  if (start === null) {
+    // Keep the comment near where it was, within the new code
+    const span = ref.endLine - ref.startLine;
+    next.startLine = Math.min(ref.startLine, lines.length);
+    next.endLine = Math.min(next.startLine + span, lines.length);
+    next.outdated = true;
+  } else {
+    next.startLine = start;
+    next.endLine = start + ref.lines.length - 1;
+    next.outdated = false;
+  }
+  return next;
+};
+
+module.exports = {
+  CODE_SECTIONS,
+  createAnchor,
+  reanchor,
+};
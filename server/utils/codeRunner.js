@@ -0,0 +1,354 @@
+const { spawn, spawnSync } = require("child_process");
+const fs = require("fs/promises");
+const fsSync = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DEFAULT_LIMITS = {
+  timeLimitMs: Number(process.env.CODE_RUNNER_TIMEOUT_MS) || 5000,
+  memoryLimitMb: Number(process.env.CODE_RUNNER_MEMORY_MB) || 256,
+  maxOutputBytes: (Number(process.env.CODE_RUNNER_MAX_OUTPUT_KB) || 64) * 1024,
+};
+
+const MAX_CONCURRENT_RUNS = Number(process.env.CODE_RUNNER_MAX_CONCURRENT) || 2;
+const MAX_STDIN_BYTES = 64 * 1024;
+
+const LANGUAGE_ALIASES = {
+  javascript: "javascript",
+  js: "javascript",
+  node: "javascript",
+  nodejs: "javascript",
+  python: "python",
+  python3: "python",
+  py: "python",
+};
+
+const normalizeLanguage = (language = "") =>
+  LANGUAGE_ALIASES[language.toString().trim().toLowerCase()] || null;
+
+const isRunnableLanguage = (language) => normalizeLanguage(language) !== null;
+
+// Python has no permission model, so programs are started through an audit
+// hook that refuses process, network and file-write operations.
+const PYTHON_SANDBOX = `import os, runpy, sys
+
+BLOCKED = (
+    "os.system", "os.exec", "os.posix_spawn", "os.spawn", "os.fork",
+    "os.forkpty", "os.kill", "os.killpg", "os.remove", "os.rename",
+    "os.rmdir", "os.mkdir", "os.chmod", "os.chown", "os.symlink", "os.link",
+    "os.truncate", "os.unlink", "subprocess.", "socket.", "ctypes.", "shutil.",
+)
+WRITE_FLAGS = os.O_WRONLY | os.O_RDWR | os.O_CREAT | os.O_APPEND
+
+def guard(event, args):
+    if event.startswith(BLOCKED):
+        raise PermissionError(event + " is not allowed in the sandbox")
+    if event == "open":
+        mode, flags = args[1], args[2]
+        if (mode and any(c in str(mode) for c in "wax+")) or (flags or 0) & WRITE_FLAGS:
+            raise PermissionError("Writing files is not allowed in the sandbox")
+
+source = sys.argv[1]
+sys.argv = [source]
+sys.addaudithook(guard)
+runpy.run_path(source, run_name="__main__")
+`;
+
+// Node's permission model locks the child out of the filesystem (except its
+// own source file), child processes and worker threads.
+const nodePermissionFlags = (sourceFile) => {
+  const major = Number(process.versions.node.split(".")[0]);
+  if (major < 20) return [];
+  const flag = major >= 23 ? "--permission" : "--experimental-permission";
+  return [flag, `--allow-fs-read=${sourceFile}`];
+};
+
+// Programs run inside bubblewrap: new user, PID, network, IPC and mount
+// namespaces, an empty environment, and a filesystem holding only the
+// system directories (read-only), the runtime and the work directory. There
+// is no /proc, so nothing about the server process can be read. When the
+// server runs as root the sandbox is also started under an unprivileged uid.
+// When bwrap is missing or can't start, nothing runs. Only an explicit
+// CODE_RUNNER_SANDBOX=none runs programs directly; the interpreter-level
+// guards above don't stop them reading files, so only admins may run code.
+const SANDBOX_DIR = "/sandbox";
+const SANDBOX_PATH = "/usr/local/bin:/usr/bin:/bin";
+const SYSTEM_DIRS = ["/usr", "/bin", "/lib", "/lib64", "/lib32", "/sbin"];
+// Lets the dynamic linker and `python3` alternatives resolve as on the host
+const SYSTEM_FILES = ["/etc/ld.so.cache", "/etc/alternatives"];
+
+const sandboxMode = () =>
+  (process.env.CODE_RUNNER_SANDBOX || "bwrap").trim().toLowerCase();
+
+const findExecutable = (name) => {
+  if (name.includes("/")) return fsSync.existsSync(name) ? name : null;
+  for (const dir of (process.env.PATH || "").split(path.delimiter)) {
+    const candidate = path.join(dir, name);
+    try {
+      fsSync.accessSync(candidate, fsSync.constants.X_OK);
+      return candidate;
+    } catch {
+      // not in this directory
+    }
+  }
+  return null;
+};
+
+const sandboxUser = () => {
+  if (process.env.CODE_RUNNER_UID) {
+    const uid = Number(process.env.CODE_RUNNER_UID);
+    return { uid, gid: Number(process.env.CODE_RUNNER_GID) || uid };
+  }
+  // nobody:nogroup
+  if (process.getuid?.() === 0) return { uid: 65534, gid: 65534 };
+  return null;
+};
+
+// Some hosts turn off the user namespaces bwrap needs, so it is tried once
+// before use.
+const sandboxStarts = (binary) =>
+  spawnSync(binary, ["--unshare-all", "--unshare-user", "--ro-bind", "/", "/", "true"], {
+    stdio: "ignore",
+    timeout: 5000,
+    ...sandboxUser(),
+  }).status === 0;
+
+let bwrapPath;
+const sandboxBinary = () => {
+  if (bwrapPath === undefined) {
+    const binary = findExecutable(process.env.CODE_RUNNER_BWRAP || "bwrap");
+    bwrapPath = binary && sandboxStarts(binary) ? binary : null;
+    if (!bwrapPath) {
+      console.log("❌ Code sandbox unavailable: bwrap is missing or can't start; running code is disabled");
+    }
+  }
+  return bwrapPath;
+};
+
+// "sandboxed" when programs run in bwrap, "unavailable" when the sandbox is
+// on but can't be used (nothing runs), and "unsandboxed" when it has been
+// turned off with CODE_RUNNER_SANDBOX=none.
+const sandboxState = () => {
+  if (sandboxMode() === "none") return "unsandboxed";
+  return sandboxBinary() ? "sandboxed" : "unavailable";
+};
+
+const isSandboxed = () => sandboxState() === "sandboxed";
+
+// A runtime outside the system directories (nvm, a custom Python build) is
+// mounted read-only from its install prefix.
+const runtimeMount = (executable) => {
+  if (!path.isAbsolute(executable)) return [];
+  if (SYSTEM_DIRS.some((dir) => executable.startsWith(`${dir}/`))) return [];
+  const prefix = path.dirname(path.dirname(executable));
+  return ["--ro-bind", prefix, prefix];
+};
+
+const sandboxArgs = (workDir, runtime) => [
+  "--unshare-all",
+  "--unshare-user",
+  "--die-with-parent",
+  "--new-session",
+  "--cap-drop",
+  "ALL",
+  "--uid",
+  "65534",
+  "--gid",
+  "65534",
+  ...SYSTEM_DIRS.flatMap((dir) => ["--ro-bind-try", dir, dir]),
+  ...SYSTEM_FILES.flatMap((file) => ["--ro-bind-try", file, file]),
+  ...runtimeMount(runtime),
+  "--dev",
+  "/dev",
+  "--tmpfs",
+  "/tmp",
+  "--ro-bind",
+  workDir,
+  SANDBOX_DIR,
+  "--chdir",
+  SANDBOX_DIR,
+  "--clearenv",
+  "--setenv",
+  "PATH",
+  SANDBOX_PATH,
+  "--setenv",
+  "HOME",
+  SANDBOX_DIR,
+  "--setenv",
+  "LANG",
+  "C.UTF-8",
+  "--",
+];
+
+const quote = (part) => `'${part.replace(/'/g, "'\\''")}'`;
+
+// The interpreter is started from `sh -c` so CPU time, file size and (for
+// Python) address space can be capped with ulimit before exec'ing it.
+// V8 reserves far more virtual memory than it uses, so Node is capped
+// through its heap size instead. Returns [file, args] for spawn.
+const buildCommand = (language, workDir, limits, sandboxed) => {
+  const dir = sandboxed ? SANDBOX_DIR : workDir;
+  const cpuSeconds = Math.max(1, Math.ceil(limits.timeLimitMs / 1000));
+  const ulimits = [`ulimit -t ${cpuSeconds}`, "ulimit -f 0", "ulimit -c 0"];
+
+  let command;
+  if (language === "javascript") {
+    const sourceFile = path.join(dir, "main.js");
+    command = [
+      process.execPath,
+      "--no-warnings",
+      `--max-old-space-size=${limits.memoryLimitMb}`,
+      ...nodePermissionFlags(sourceFile),
+      sourceFile,
+    ];
+  } else {
+    ulimits.push(`ulimit -v ${limits.memoryLimitMb * 1024}`);
+    command = [
+      process.env.CODE_RUNNER_PYTHON || "python3",
+      "-I",
+      "-S",
+      path.join(dir, "sandbox.py"),
+      path.join(dir, "main.py"),
+    ];
+  }
+
+  const runtime = findExecutable(command[0]);
+  // The sandbox has its own PATH, so the runtime is started by its host path
+  if (sandboxed && runtime) command[0] = fsSync.realpathSync(runtime);
+
+  const script = `${ulimits.join("; ")}; exec ${command.map(quote).join(" ")}`;
+  if (!sandboxed) return ["/bin/sh", ["-c", script]];
+  return [sandboxBinary(), [...sandboxArgs(workDir, command[0]), "/bin/sh", "-c", script]];
+};
+
+let activeRuns = 0;
+const waitingRuns = [];
+
+const acquireSlot = () =>
+  new Promise((resolve) => {
+    if (activeRuns < MAX_CONCURRENT_RUNS) {
+      activeRuns++;
+      resolve();
+    } else {
+      waitingRuns.push(resolve);
+    }
+  });
+
+const releaseSlot = () => {
+  const next = waitingRuns.shift();
+  if (next) next();
+  else activeRuns--;
+};
+
+const execute = (language, workDir, stdin, limits) =>
+  new Promise((resolve) => {
+    const sandboxed = isSandboxed();
+    const [file, args] = buildCommand(language, workDir, limits, sandboxed);
+    const startedAt = process.hrtime.bigint();
+    const child = spawn(file, args, {
+      cwd: workDir,
+      env: { PATH: process.env.PATH, HOME: workDir, LANG: "C.UTF-8" },
+      stdio: ["pipe", "pipe", "pipe"],
+      ...(sandboxed && sandboxUser()),
+    });
+
+    const output = { stdout: [], stderr: [] };
+    let outputBytes = 0;
+    let timedOut = false;
+    let truncated = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill("SIGKILL");
+    }, limits.timeLimitMs);
+
+    const collect = (stream) => (chunk) => {
+      if (truncated) return;
+      const remaining = limits.maxOutputBytes - outputBytes;
+      if (chunk.length > remaining) {
+        output[stream].push(chunk.subarray(0, remaining));
+        outputBytes = limits.maxOutputBytes;
+        truncated = true;
+        child.kill("SIGKILL");
+        return;
+      }
+      output[stream].push(chunk);
+      outputBytes += chunk.length;
+    };
+
+    child.stdout.on("data", collect("stdout"));
+    child.stderr.on("data", collect("stderr"));
+    child.stdin.on("error", () => {});
+
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      resolve({
+        stdout: "",
+        stderr: `Failed to start ${language} runtime: ${error.message}`,
+        exitCode: null,
+        signal: null,
+        runtimeMs: 0,
+        timedOut: false,
+        truncated: false,
+      });
+    });
+
+    child.on("close", (exitCode, signal) => {
+      clearTimeout(timer);
+      resolve({
+        stdout: Buffer.concat(output.stdout).toString("utf8"),
+        stderr: Buffer.concat(output.stderr).toString("utf8"),
+        exitCode,
+        signal,
+        runtimeMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+        timedOut,
+        truncated,
+      });
+    });
+
+    child.stdin.end(stdin);
+  });
+
+// Runs `code` in a throwaway directory and resolves with its output; it never
+// rejects for failures of the program itself.
+const runCode = async ({ language, code, stdin = "", limits = {} }) => {
+  const runtime = normalizeLanguage(language);
+  if (!runtime) {
+    throw new Error(`Running ${language} code is not supported.`);
+  }
+  if (Buffer.byteLength(stdin) > MAX_STDIN_BYTES) {
+    throw new Error(`Input must be at most ${MAX_STDIN_BYTES / 1024} KB.`);
+  }
+  if (sandboxState() === "unavailable") {
+    throw new Error("The code sandbox is not available on this server.");
+  }
+
+  const effectiveLimits = { ...DEFAULT_LIMITS, ...limits };
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "sdeverse-run-"));
+  const sourceFile = path.join(workDir, runtime === "python" ? "main.py" : "main.js");
+
+  await acquireSlot();
+  try {
+    await fs.writeFile(sourceFile, code);
+    if (runtime === "python") {
+      await fs.writeFile(path.join(workDir, "sandbox.py"), PYTHON_SANDBOX);
+    }
+    // The sandbox user has to be able to mount the directory
+    const user = isSandboxed() && sandboxUser();
+    if (user) await fs.chown(workDir, user.uid, user.gid);
+    const result = await execute(runtime, workDir, stdin, effectiveLimits);
+    return { language: runtime, ...result };
+  } finally {
+    releaseSlot();
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  DEFAULT_LIMITS,
+  normalizeLanguage,
+  isRunnableLanguage,
+  sandboxState,
+  isSandboxed,
+  runCode,
+};
@@ -0,0 +1,359 @@
+const AdmZip = require("adm-zip");
+const yaml = require("js-yaml");
+
+// Markdown layout of one entry: YAML front matter for the structured fields,
+// then one "## " section per long-form field. Code goes in fenced blocks
+// whose info string is the language.
+//
+// Algorithm:      Problem Statement, Intuition, Explanation, Code
+// DataStructure:  Definition, Characteristics, Visualization,
+//                 Full Implementations, Operations (one "### name" each)
+
+const BUNDLE_VERSION = 1;
+
+const FIELDS = {
+  Algorithm: [
+    "title",
+    "slug",
+    "problemStatement",
+    "category",
+    "difficulty",
+    "intuition",
+    "explanation",
+    "complexity",
+    "tags",
+    "links",
+    "codes",
+  ],
+  DataStructure: [
+    "title",
+    "slug",
+    "definition",
+    "category",
+    "difficulty",
+    "type",
+    "characteristics",
+    "visualization",
+    "operations",
+    "fullImplementations",
+    "applications",
+    "comparisons",
+    "tags",
+    "references",
+    "videoLinks",
+  ],
+};
+
+const PROSE_SECTIONS = {
+  Algorithm: {
+    problemStatement: "Problem Statement",
+    intuition: "Intuition",
+    explanation: "Explanation",
+  },
+  DataStructure: {
+    definition: "Definition",
+    characteristics: "Characteristics",
+    visualization: "Visualization",
+  },
+};
+
+const CODE_SECTIONS = {
+  Algorithm: ["Code"],
+  DataStructure: ["Full Implementations", "Operations"],
+};
+
+const FOLDERS = { Algorithm: "algorithms", DataStructure: "data-structures" };
+
+const FENCE_PATTERN = /^(`{3,}|~{3,})\s*([^`\s]*)\s*$/;
+
+const toPlain = (value) =>
+  value === undefined || value === null
+    ? value
+    : JSON.parse(JSON.stringify(value));
+
+// Keeps only the importable fields, in a stable order.
+const pickFields = (entryType, doc) => {
+  const source = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  return FIELDS[entryType].reduce((picked, field) => {
+    if (source[field] !== undefined && source[field] !== null) {
+      picked[field] = toPlain(source[field]);
+    }
+    return picked;
+  }, {});
+};
+
+// Longer than any backtick run inside the code, so the block cannot close early.
+const fenceFor = (code) => {
+  const longest = Math.max(
+    0,
+    ...(code.match(/`+/g) || []).map((run) => run.length)
+  );
+  return "`".repeat(Math.max(3, longest + 1));
+};
+
+const codeBlock = ({ language, code }) => {
+  const fence = fenceFor(code);
+  return `${fence}${language}\n${code.replace(/\n$/, "")}\n${fence}`;
+};
+
+const toMarkdown = (entryType, doc) => {
+  const data = pickFields(entryType, doc);
+  const prose = PROSE_SECTIONS[entryType];
+  const frontMatter = { entryType };
+  Object.keys(data).forEach((field) => {
+    if (!prose[field] && field !== "codes" && field !== "fullImplementations") {
+      frontMatter[field] = data[field];
+    }
+  });
+
+  // Operation code lives in the body; the rest of each operation stays here.
+  if (entryType === "DataStructure" && data.operations) {
+    frontMatter.operations = data.operations.map((operation) => ({
+      ...operation,
+      implementations: (operation.implementations || []).map(
+        ({ codeDetails, explanation, complexity }) => ({
+          language: codeDetails.language,
+          explanation,
+          complexity,
+        })
+      ),
+    }));
+  }
+
+  const sections = Object.entries(prose)
+    .filter(([field]) => data[field])
+    .map(([field, heading]) => `## ${heading}\n\n${data[field].trim()}`);
+
+  if (entryType === "Algorithm") {
+    sections.push(
+      ["## Code", ...(data.codes || []).map(codeBlock)].join("\n\n")
+    );
+  } else {
+    sections.push(
+      [
+        "## Full Implementations",
+        ...(data.fullImplementations || []).map(codeBlock),
+      ].join("\n\n")
+    );
+    sections.push(
+      [
+        "## Operations",
+        ...(data.operations || []).map((operation) =>
+          [
+            `### ${operation.name}`,
+            ...(operation.implementations || []).map((impl) =>
+              codeBlock(impl.codeDetails)
+            ),
+          ].join("\n\n")
+        ),
+      ].join("\n\n")
+    );
+  }
+
+  return `---\n${yaml.dump(frontMatter, { lineWidth: -1 })}---\n\n${sections.join(
+    "\n\n"
+  )}\n`;
+};
+
+// Splits the body into top-level sections (and "### " subsections) without
+// looking inside fenced blocks, so code can safely contain "## " lines.
+const splitSections = (body, headings, level = 2) => {
+  const marker = `${"#".repeat(level)} `;
+  const sections = new Map();
+  let current = null;
+  let fence = null;
+
+  body.split(/\r?\n/).forEach((line) => {
+    const match = line.match(FENCE_PATTERN);
+    if (fence) {
+      if (match && match[1][0] === fence[0] && match[1].length >= fence.length && !match[2]) {
+        fence = null;
+      }
+    } else if (match) {
+      fence = match[1];
+    } else if (line.startsWith(marker)) {
+      const heading = line.slice(marker.length).trim();
+      if (!headings || headings.includes(heading)) {
+        current = heading;
+        sections.set(current, []);
+        return;
+      }
+    }
+    if (current !== null) sections.get(current).push(line);
+  });
+
+  return new Map(
+    [...sections].map(([heading, lines]) => [heading, lines.join("\n").trim()])
+  );
+};
+
+const extractCodeBlocks = (text) => {
+  const blocks = [];
+  let fence = null;
+  let block = null;
+
+  text.split(/\r?\n/).forEach((line) => {
+    const match = line.match(FENCE_PATTERN);
+    if (!fence) {
+      if (match) {
+        fence = match[1];
+        block = { language: match[2], lines: [] };
+      }
+      return;
+    }
+    if (match && match[1][0] === fence[0] && match[1].length >= fence.length && !match[2]) {
+      blocks.push({ language: block.language, code: block.lines.join("\n") });
+      fence = null;
+      return;
+    }
+    block.lines.push(line);
+  });
+
+  if (fence) throw new Error("Unclosed code block");
+  return blocks;
+};
+
+const fromMarkdown = (text) => {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  if (!match) throw new Error("Missing front matter");
+
+  let frontMatter;
+  try {
+    frontMatter = yaml.load(match[1]) || {};
+  } catch (error) {
+    throw new Error(`Invalid front matter: ${error.message}`);
+  }
+  if (typeof frontMatter !== "object" || Array.isArray(frontMatter)) {
+    throw new Error("Front matter must be a mapping");
+  }
+
+  const { entryType, ...fields } = frontMatter;
+  if (!FIELDS[entryType]) {
+    throw new Error("Front matter must set entryType to Algorithm or DataStructure");
+  }
+
+  const prose = PROSE_SECTIONS[entryType];
+  const sections = splitSections(match[2], [
+    ...Object.values(prose),
+    ...CODE_SECTIONS[entryType],
+  ]);
+
+  const data = { ...fields };
+  Object.entries(prose).forEach(([field, heading]) => {
+    if (sections.has(heading)) data[field] = sections.get(heading);
+  });
+
+  if (entryType === "Algorithm") {
+    data.codes = extractCodeBlocks(sections.get("Code") || "");
+  } else {
+    data.fullImplementations = extractCodeBlocks(
+      sections.get("Full Implementations") || ""
+    );
+    const operationCode = splitSections(sections.get("Operations") || "", null, 3);
+    data.operations = (fields.operations || []).map((operation) => {
+      const blocks = extractCodeBlocks(operationCode.get(operation.name) || "");
+      return {
+        ...operation,
+        implementations: (operation.implementations || []).map(
+          ({ language, explanation, complexity }) => ({
+            codeDetails: {
+              language,
+              code:
+                blocks.find((block) => block.language === language)?.code || "",
+            },
+            explanation,
+            complexity,
+          })
+        ),
+      };
+    });
+  }
+
+  return { entryType, data };
+};
+
+const fileNameFor = (entryType, doc) => `${FOLDERS[entryType]}/${doc.slug}.md`;
+
+// entries: [{ entryType, doc }]
+const writeZip = (entries) => {
+  const zip = new AdmZip();
+  entries.forEach(({ entryType, doc }) => {
+    zip.addFile(
+      fileNameFor(entryType, doc),
+      Buffer.from(toMarkdown(entryType, doc), "utf8")
+    );
+  });
+  return zip.toBuffer();
+};
+
+const writeJson = (entries) => ({
+  version: BUNDLE_VERSION,
+  exportedAt: new Date().toISOString(),
+  algorithms: entries
+    .filter(({ entryType }) => entryType === "Algorithm")
+    .map(({ doc }) => pickFields("Algorithm", doc)),
+  dataStructures: entries
+    .filter(({ entryType }) => entryType === "DataStructure")
+    .map(({ doc }) => pickFields("DataStructure", doc)),
+});
+
+// Both readers return [{ file, entryType, data, error }], one per entry.
+const readZip = (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch {
+    throw new Error("The uploaded file is not a valid zip archive");
+  }
+
+  return zip
+    .getEntries()
+    .filter(
+      (entry) =>
+        !entry.isDirectory &&
+        entry.entryName.endsWith(".md") &&
+        !entry.entryName.startsWith("__MACOSX/")
+    )
+    .map((entry) => {
+      try {
+        return {
+          file: entry.entryName,
+          ...fromMarkdown(entry.getData().toString("utf8")),
+        };
+      } catch (error) {
+        return { file: entry.entryName, error: error.message };
+      }
+    });
+};
+
+const readJson = (bundle) => {
+  if (!bundle || typeof bundle !== "object") {
+    throw new Error("The JSON bundle must be an object");
+  }
+  if (bundle.version !== undefined && bundle.version > BUNDLE_VERSION) {
+    throw new Error(`Unsupported bundle version ${bundle.version}`);
+  }
+
+  return [
+    ["Algorithm", "algorithms"],
+    ["DataStructure", "dataStructures"],
+  ].flatMap(([entryType, key]) =>
+    (Array.isArray(bundle[key]) ? bundle[key] : []).map((data, index) => ({
+      file: `${key}[${index}]`,
+      entryType,
+      data: pickFields(entryType, data || {}),
+    }))
+  );
+};
+
+module.exports = {
+  BUNDLE_VERSION,
+  FIELDS,
+  pickFields,
+  toMarkdown,
+  fromMarkdown,
+  writeZip,
+  writeJson,
+  readZip,
+  readJson,
+};
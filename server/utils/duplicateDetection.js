@@ -0,0 +1,187 @@
+const Algorithm = require("../models/algorithm.model");
+const Proposal = require("../models/proposal.model");
+const { stripMarkdown, tokenize, editDistance } = require("./searchIndex");
+
+// Near-duplicate detection for new algorithms. Titles alone miss entries
+// like "Kadane Algorithm", "Kadane's Algorithm" and "Maximum Subarray
+// (Kadane)", so a draft is compared on its title, problem statement, tags and
+// code, and the signals both sides actually have are blended into one score.
+
+const SIMILARITY_THRESHOLD = Number(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.55;
+const MAX_MATCHES = Number(process.env.DUPLICATE_MAX_MATCHES) || 5;
+
+const SIGNAL_WEIGHTS = { title: 0.45, statement: 0.3, tags: 0.1, code: 0.15 };
+const SHINGLE_SIZE = 6;
+
+// Words that say nothing about which algorithm an entry is.
+const STOP_WORDS = new Set([
+  "a", "an", "and", "the", "of", "for", "in", "on", "to", "with", "by", "is",
+  "are", "be", "it", "its", "that", "this", "from", "as", "or", "at", "using",
+  "given", "find", "algorithm", "algorithms", "problem", "method", "approach",
+]);
+
+const terms = (text) =>
+  tokenize(stripMarkdown(text)).filter(
+    (word) => word.length > 1 && !STOP_WORDS.has(word)
+  );
+
+// "dijkstra" and "dijkstras" (or "djikstra") are the same word here.
+const sameWord = (a, b) =>
+  a === b || (Math.min(a.length, b.length) >= 5 && editDistance(a, b, 1) <= 1);
+
+// Averages how much of the shorter title the longer one covers with how much
+// the two share overall, so "Kadane" vs "Maximum Subarray Kadane" still counts.
+const titleSimilarity = (a, b) => {
+  if (a.length === 0 || b.length === 0) return 0;
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  const matched = shorter.filter((word) =>
+    longer.some((other) => sameWord(word, other))
+  ).length;
+  const containment = matched / shorter.length;
+  const jaccard = matched / (a.length + b.length - matched);
+  return (containment + jaccard) / 2;
+};
+
+const termFrequencies = (words) =>
+  words.reduce((counts, word) => counts.set(word, (counts.get(word) || 0) + 1), new Map());
+
+const cosine = (a, b) => {
+  let dot = 0;
+  for (const [word, count] of a) dot += count * (b.get(word) || 0);
+  const norm = (counts) =>
+    Math.sqrt([...counts.values()].reduce((sum, count) => sum + count * count, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator === 0 ? 0 : dot / denominator;
+};
+
+const jaccard = (a, b) => {
+  const shared = [...a].filter((item) => b.has(item)).length;
+  const total = a.size + b.size - shared;
+  return total === 0 ? 0 : shared / total;
+};
+
+// Shares of the smaller set found in the larger one; a draft that copies one
+// of an entry's several implementations should still score high.
+const containment = (a, b) => {
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  if (smaller.size === 0) return 0;
+  return [...smaller].filter((item) => larger.has(item)).length / smaller.size;
+};
+
+// Comments, string literals and layout are dropped so reformatted or
+// re-commented copies still share their token shingles.
+const codeShingles = (codes = []) => {
+  const shingles = new Set();
+  for (const { code } of codes) {
+    const tokens = String(code || "")
+      .replace(/\/\*[\s\S]*?\*\//g, " ")
+      .replace(/(\/\/|#).*$/gm, " ")
+      .replace(/(["'`])(?:\\.|(?!\1)[^\\\n])*\1/g, " ")
+      .toLowerCase()
+      .match(/[a-z_]\w*|\d+|[^\s\w]/g) || [];
+    for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+      shingles.add(tokens.slice(i, i + SHINGLE_SIZE).join(" "));
+    }
+  }
+  return shingles;
+};
+
+const normalizeTags = (tags = []) =>
+  new Set(
+    tags
+      .map((tag) => String(tag).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ""))
+      .filter(Boolean)
+  );
+
+/**
+ * Reduces an algorithm, proposal or form draft to what the comparison needs.
+ * @param {object} record - { title, problemStatement, tags, codes }
+ */
+const fingerprint = (record) => ({
+  title: [...new Set(terms(record.title))],
+  statement: termFrequencies(terms(record.problemStatement)),
+  tags: normalizeTags(record.tags),
+  code: codeShingles(record.codes),
+});
+
+/**
+ * Compares two fingerprints. Signals missing on either side (a draft without
+ * code yet, say) are left out rather than counted as a mismatch.
+ * @returns {{ score: number, signals: object }} every value in [0, 1]
+ */
+const compare = (a, b) => {
+  const signals = {};
+  if (a.title.length && b.title.length) {
+    signals.title = titleSimilarity(a.title, b.title);
+  }
+  if (a.statement.size && b.statement.size) {
+    signals.statement = cosine(a.statement, b.statement);
+  }
+  if (a.tags.size && b.tags.size) signals.tags = jaccard(a.tags, b.tags);
+  if (a.code.size && b.code.size) signals.code = containment(a.code, b.code);
+
+  let weighted = 0;
+  let weights = 0;
+  for (const [signal, value] of Object.entries(signals)) {
+    weighted += value * SIGNAL_WEIGHTS[signal];
+    weights += SIGNAL_WEIGHTS[signal];
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+  Object.keys(signals).forEach((signal) => {
+    signals[signal] = round(signals[signal]);
+  });
+  return { score: weights === 0 ? 0 : round(weighted / weights), signals };
+};
+
+const CANDIDATE_FIELDS = "title slug problemStatement tags codes";
+
+/**
+ * Published algorithms and open new-algorithm proposals that look like the
+ * draft, best match first.
+ * @param {object} draft - { title, problemStatement, tags, codes }
+ * @param {object} [exclude] - { algorithmId, proposalId } to leave out, e.g.
+ *   the proposal being edited
+ */
+const findDuplicates = async (draft, exclude = {}) => {
+  const target = fingerprint(draft);
+  if (target.title.length === 0 && target.statement.size === 0) return [];
+
+  const algorithmFilter = { isDeleted: { $ne: true }, isPublished: true };
+  if (exclude.algorithmId) algorithmFilter._id = { $ne: exclude.algorithmId };
+  const proposalFilter = {
+    isDeleted: false,
+    targetAlgorithm: null,
+    status: { $in: ["pending", "changes_requested"] },
+  };
+  if (exclude.proposalId) proposalFilter._id = { $ne: exclude.proposalId };
+
+  const [algorithms, proposals] = await Promise.all([
+    Algorithm.find(algorithmFilter).select(CANDIDATE_FIELDS).lean(),
+    Proposal.find(proposalFilter).select(CANDIDATE_FIELDS).lean(),
+  ]);
+
+  const candidates = [
+    ...algorithms.map((entry) => ({ kind: "algorithm", entry })),
+    ...proposals.map((entry) => ({ kind: "proposal", entry })),
+  ];
+
+  return candidates
+    .map(({ kind, entry }) => ({
+      kind,
+      ref: entry._id,
+      title: entry.title,
+      slug: entry.slug,
+      ...compare(target, fingerprint(entry)),
+    }))
+    .filter((match) => match.score >= SIMILARITY_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_MATCHES);
+};
+
+module.exports = {
+  SIMILARITY_THRESHOLD,
+  fingerprint,
+  compare,
+  findDuplicates,
+};
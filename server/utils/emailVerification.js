@@ -0,0 +1,56 @@
+const crypto = require("crypto");
+const OTP = require("../models/otp.model");
+const sendEmail = require("../config/sendEmail");
+
+// New accounts confirm their address with a 6-digit code. Codes live in the
+// OTP collection, so they expire with its TTL (5 minutes); a fresh code can
+// be requested once the resend cooldown has passed.
+
+const PURPOSE = "email_verification";
+const CODE_TTL_MS = 5 * 60 * 1000;
+const RESEND_COOLDOWN_MS =
+  (Number(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60) * 1000;
+
+// Seconds until another code may be sent to `email`, 0 when it can be sent now.
+const resendWaitSeconds = async (email, now = new Date()) => {
+  const latest = await OTP.findOne({ email, purpose: PURPOSE })
+    .sort({ createdAt: -1 })
+    .select("createdAt")
+    .lean();
+  if (!latest) return 0;
+  const wait = latest.createdAt.getTime() + RESEND_COOLDOWN_MS - now.getTime();
+  return wait > 0 ? Math.ceil(wait / 1000) : 0;
+};
+
+// Replaces any outstanding code for the user and emails a new one.
+const sendVerificationCode = async (user) => {
+  const code = String(crypto.randomInt(100000, 1000000));
+  await OTP.deleteMany({ email: user.email, purpose: PURPOSE });
+  await OTP.create({ email: user.email, code, purpose: PURPOSE });
+
+  const message =
+    `Hi ${user.username}, your SDEverse email verification code is: ${code}. ` +
+    `It will expire in 5 minutes.`;
+  await sendEmail(user.email, "Verify your SDEverse email", message);
+};
+
+// Returns whether `code` is the user's current, unexpired verification code.
+// A matching code is used up.
+const consumeVerificationCode = async (user, code) => {
+  if (typeof code !== "string" && typeof code !== "number") return false;
+  const record = await OTP.findOneAndDelete({
+    email: user.email,
+    code: String(code).trim(),
+    purpose: PURPOSE,
+    createdAt: { $gt: new Date(Date.now() - CODE_TTL_MS) },
+  });
+  if (!record) return false;
+  await OTP.deleteMany({ email: user.email, purpose: PURPOSE });
+  return true;
+};
+
+module.exports = {
+  resendWaitSeconds,
+  sendVerificationCode,
+  consumeVerificationCode,
+};
@@ -1,9 +1,11 @@
 const jwt = require('jsonwebtoken');
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '7d',      // token valid for 7 days
+// Access tokens are short-lived and tied to a session (see sessions.js), so
+// signing out or revoking the session also invalidates them.
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_TTL || '15m',
   });
 };
 
-module.exports = generateToken;
\ No newline at end of file
+module.exports = generateToken;
@@ -1,12 +1,14 @@
 const slugify = require('slugify');
 const Algorithm = require('../models/algorithm.model');
 
-const generateUniqueSlug = async (title) => {
+// Slugs are unique per collection; Algorithm is checked unless another model
+// is given.
+const generateUniqueSlug = async (title, Model = Algorithm) => {
   let baseSlug = slugify(title, { lower: true, strict: true });
   let slug = baseSlug;
   let counter = 1;
 
-  while (await Algorithm.findOne({ slug })) {
+  while (await Model.findOne({ slug })) {
     slug = `${baseSlug}-${counter}`;
     counter++;
   }
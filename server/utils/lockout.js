@@ -0,0 +1,64 @@
+const { store } = require("./rateLimitStore");
+
+// Progressive lockout for guessable secrets (passwords, reset codes,
+// authenticator codes). The first few failures are free; after that every
+// further failure locks the account out for twice as long as the last,
+// up to a cap. A success clears the record; otherwise it is forgotten a
+// day after the last failure.
+
+const FREE_ATTEMPTS = Number(process.env.LOCKOUT_FREE_ATTEMPTS) || 5;
+const BASE_LOCK_MS = (Number(process.env.LOCKOUT_BASE_SECONDS) || 60) * 1000;
+const MAX_LOCK_MS = (Number(process.env.LOCKOUT_MAX_SECONDS) || 60 * 60) * 1000;
+const FORGET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+const failuresKey = (scope, id) => `lockout:${scope}:${id}:failures`;
+const lockKey = (scope, id) => `lockout:${scope}:${id}:until`;
+
+const normalize = (id) => String(id ?? "").trim().toLowerCase();
+
+// Seconds until `id` may try again in `scope`, 0 when it isn't locked.
+const lockedFor = async (scope, id) => {
+  if (!normalize(id)) return 0;
+  const lock = await store.get(lockKey(scope, normalize(id)));
+  const remaining = (lock?.value || 0) - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+};
+
+// Records a failed attempt; returns the seconds it is now locked for.
+const recordFailure = async (scope, id) => {
+  const key = normalize(id);
+  if (!key) return 0;
+  const failures = await store.increment(failuresKey(scope, key), FORGET_AFTER_MS);
+  if (failures <= FREE_ATTEMPTS) return 0;
+
+  const duration = Math.min(BASE_LOCK_MS * 2 ** (failures - FREE_ATTEMPTS - 1), MAX_LOCK_MS);
+  await store.set(lockKey(scope, key), Date.now() + duration, duration);
+  return Math.ceil(duration / 1000);
+};
+
+const clearFailures = async (scope, id) => {
+  const key = normalize(id);
+  if (!key) return;
+  await Promise.all([store.delete(failuresKey(scope, key)), store.delete(lockKey(scope, key))]);
+};
+
+// "3 minutes" style wording for lockout messages.
+const describeWait = (seconds) =>
+  seconds < 60
+    ? `${seconds} second${seconds === 1 ? "" : "s"}`
+    : `${Math.ceil(seconds / 60)} minute${Math.ceil(seconds / 60) === 1 ? "" : "s"}`;
+
+/**
+ * Throws a 429 when `id` is locked out of `scope`. For use in controllers
+ * before checking the secret.
+ */
+const ensureNotLocked = async (res, scope, id) => {
+  const seconds = await lockedFor(scope, id);
+  if (seconds > 0) {
+    res.set("Retry-After", String(seconds));
+    res.status(429);
+    throw new Error(`Too many failed attempts. Try again in ${describeWait(seconds)}.`);
+  }
+};
+
+module.exports = { lockedFor, recordFailure, clearFailures, ensureNotLocked };
@@ -0,0 +1,31 @@
+const Comment = require("../models/comment.model");
+
+// Data fixes applied on startup. Each one only touches documents still in
+// the old shape, so running them on every boot is safe.
+const MIGRATIONS = [
+  {
+    name: "comment codeRef strings",
+    // Inline comments used to keep their code reference as free text, which
+    // the anchor schema can't hold; the text moves to legacyCodeRef
+    run: async () => {
+      const result = await Comment.updateMany({ codeRef: { $type: "string" } }, [
+        { $set: { legacyCodeRef: "$codeRef" } },
+        { $unset: "codeRef" },
+      ]);
+      return result.modifiedCount;
+    },
+  },
+];
+
+const runMigrations = async () => {
+  for (const { name, run } of MIGRATIONS) {
+    try {
+      const updated = await run();
+      if (updated) console.log(`🔧 Migration "${name}": ${updated} documents updated`);
+    } catch (error) {
+      console.log(`❌ Migration "${name}" failed:`, error.message);
+    }
+  }
+};
+
+module.exports = { runMigrations };
@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const OAuthState = require("../models/oauthState.model");
+const { getProvider } = require("./oauthProviders");
+
+// Authorization code flow with PKCE (RFC 7636). The browser is sent to the
+// provider and comes back to the client's /oauth/callback page, which posts
+// the code and state here. The code verifier and nonce never leave the
+// server; the state is single use and expires after 10 minutes.
+
+const redirectUri = () =>
+  process.env.OAUTH_REDIRECT_URI || "http://localhost:5173/oauth/callback";
+
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const pkceChallenge = (verifier) =>
+  crypto.createHash("sha256").update(verifier).digest("base64url");
+
+/**
+ * Starts an authorization request. `intent` is "login", or "link" to attach
+ * the identity to `user`. Returns the URL to send the browser to and the
+ * state, which the client should check when the provider redirects back.
+ */
+const beginAuthorization = async (provider, { intent, user }) => {
+  const state = randomToken();
+  const codeVerifier = randomToken();
+  const nonce = randomToken();
+  const endpoints = await provider.endpoints();
+
+  await OAuthState.create({
+    stateHash: hash(state),
+    provider: provider.id,
+    codeVerifier,
+    nonce,
+    intent,
+    user: user?._id,
+  });
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri(),
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: pkceChallenge(codeVerifier),
+    code_challenge_method: "S256",
+  });
+  return { authorizationUrl: `${endpoints.authorization}?${params}`, state };
+};
+
+const exchangeCode = async (provider, code, codeVerifier) => {
+  const { token } = await provider.endpoints();
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri(),
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (provider.clientSecret) body.set("client_secret", provider.clientSecret);
+
+  const { data } = await axios.post(token, body, {
+    headers: { Accept: "application/json" },
+    timeout: 10000,
+  });
+  // GitHub reports errors with a 200 status
+  if (data.error || !data.access_token) {
+    throw new Error(data.error_description || data.error || "Token exchange failed");
+  }
+  return data;
+};
+
+/**
+ * Finishes an authorization request: uses up the state, swaps the code for
+ * tokens and fetches the identity. Returns { provider, intent, user, profile },
+ * `user` being the id that started a link. Throws when the state is unknown
+ * or the provider refuses the code.
+ */
+const completeAuthorization = async ({ code, state }) => {
+  if (typeof code !== "string" || typeof state !== "string" || !code || !state) {
+    throw new Error("Missing authorization code or state");
+  }
+  const pending = await OAuthState.findOneAndDelete({ stateHash: hash(state) }).lean();
+  if (!pending) throw new Error("Sign-in request expired, please try again");
+
+  const provider = getProvider(pending.provider);
+  if (!provider) throw new Error("This sign-in provider is no longer available");
+
+  let profile;
+  try {
+    const tokens = await exchangeCode(provider, code, pending.codeVerifier);
+    profile = await provider.fetchProfile({ tokens, nonce: pending.nonce });
+  } catch (error) {
+    const detail = error.response?.data?.error_description || error.message;
+    throw new Error(`${provider.name} sign-in failed: ${detail}`);
+  }
+
+  return { provider, intent: pending.intent, user: pending.user, profile };
+};
+
+module.exports = { beginAuthorization, completeAuthorization };
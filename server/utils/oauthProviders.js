@@ -0,0 +1,179 @@
+const axios = require("axios");
+
+// Sign-in providers, each enabled by setting its client id and secret.
+// GitHub speaks plain OAuth2; Google and the generic "oidc" provider are
+// OpenID Connect issuers configured through discovery, so any compliant
+// issuer (Keycloak, Auth0, a local mock, ...) can be plugged in.
+//
+// Every provider resolves to the same shape, and `fetchProfile` returns
+// { subject, email, emailVerified, username, name, avatarUrl, profileUrl }.
+
+const HTTP_TIMEOUT_MS = 10000;
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+
+const discoveryCache = new Map();
+
+const discover = async (issuer) => {
+  const cached = discoveryCache.get(issuer);
+  if (cached && Date.now() - cached.at < DISCOVERY_CACHE_MS) return cached.config;
+
+  const url = `${issuer.replace(/\/+$/, "")}/.well-known/openid-configuration`;
+  const { data } = await axios.get(url, { timeout: HTTP_TIMEOUT_MS });
+  if (!data.authorization_endpoint || !data.token_endpoint) {
+    throw new Error(`OIDC discovery for ${issuer} is missing endpoints`);
+  }
+  discoveryCache.set(issuer, { config: data, at: Date.now() });
+  return data;
+};
+
+const decodeJwtPayload = (token) => {
+  const [, payload] = String(token).split(".");
+  if (!payload) throw new Error("Malformed ID token");
+  return JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+};
+
+/**
+ * Checks the ID token's claims. Its signature is not verified: the token
+ * comes straight from the issuer's token endpoint over TLS, which OpenID
+ * Connect Core (section 3.1.3.7) accepts in place of a signature check.
+ */
+const validateIdToken = (idToken, { issuer, clientId, nonce }) => {
+  const claims = decodeJwtPayload(idToken);
+  const audience = [].concat(claims.aud || []);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (claims.iss !== issuer) throw new Error("ID token was issued by someone else");
+  if (!audience.includes(clientId)) throw new Error("ID token is not meant for this app");
+  if (!claims.exp || claims.exp < now) throw new Error("ID token has expired");
+  if (claims.nonce !== nonce) throw new Error("ID token nonce does not match");
+  if (!claims.sub) throw new Error("ID token has no subject");
+  return claims;
+};
+
+const oidcProvider = ({ id, name, issuer, clientId, clientSecret, scope }) => {
+  const endpoints = async () => {
+    const config = await discover(issuer);
+    return {
+      authorization: config.authorization_endpoint,
+      token: config.token_endpoint,
+      userinfo: config.userinfo_endpoint,
+      issuer: config.issuer,
+    };
+  };
+
+  const fetchProfile = async ({ tokens, nonce }) => {
+    const { issuer: expectedIssuer, userinfo } = await endpoints();
+    if (!tokens.id_token) throw new Error(`${name} did not return an ID token`);
+    let claims = validateIdToken(tokens.id_token, {
+      issuer: expectedIssuer,
+      clientId,
+      nonce,
+    });
+
+    // Some issuers keep the email out of the ID token
+    if (!claims.email && userinfo) {
+      const { data } = await axios.get(userinfo, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+        timeout: HTTP_TIMEOUT_MS,
+      });
+      if (data.sub !== claims.sub) throw new Error("Userinfo is for a different user");
+      claims = { ...data, ...claims, email: data.email, email_verified: data.email_verified };
+    }
+
+    return {
+      subject: String(claims.sub),
+      email: claims.email?.toLowerCase(),
+      emailVerified: claims.email_verified === true || claims.email_verified === "true",
+      username: claims.preferred_username || claims.nickname,
+      name: claims.name,
+      avatarUrl: claims.picture,
+    };
+  };
+
+  return {
+    id,
+    name,
+    clientId,
+    clientSecret,
+    scope: scope || "openid email profile",
+    endpoints,
+    fetchProfile,
+  };
+};
+
+const githubProvider = ({ clientId, clientSecret }) => ({
+  id: "github",
+  name: "GitHub",
+  clientId,
+  clientSecret,
+  scope: "read:user user:email",
+  endpoints: async () => ({
+    authorization: "https://github.com/login/oauth/authorize",
+    token: "https://github.com/login/oauth/access_token",
+  }),
+  fetchProfile: async ({ tokens }) => {
+    const headers = {
+      Authorization: `Bearer ${tokens.access_token}`,
+      Accept: "application/vnd.github+json",
+    };
+    const [{ data: profile }, { data: emails }] = await Promise.all([
+      axios.get("https://api.github.com/user", { headers, timeout: HTTP_TIMEOUT_MS }),
+      axios.get("https://api.github.com/user/emails", { headers, timeout: HTTP_TIMEOUT_MS }),
+    ]);
+    // The primary address if it is verified, otherwise any verified one
+    const email =
+      emails.find((e) => e.primary && e.verified) || emails.find((e) => e.verified);
+
+    return {
+      subject: String(profile.id),
+      email: email?.email.toLowerCase(),
+      emailVerified: Boolean(email),
+      username: profile.login,
+      name: profile.name,
+      avatarUrl: profile.avatar_url,
+      profileUrl: profile.html_url,
+    };
+  },
+});
+
+const configuredProviders = () => {
+  const env = process.env;
+  const providers = [];
+
+  if (env.OAUTH_GITHUB_CLIENT_ID && env.OAUTH_GITHUB_CLIENT_SECRET) {
+    providers.push(
+      githubProvider({
+        clientId: env.OAUTH_GITHUB_CLIENT_ID,
+        clientSecret: env.OAUTH_GITHUB_CLIENT_SECRET,
+      })
+    );
+  }
+  if (env.OAUTH_GOOGLE_CLIENT_ID && env.OAUTH_GOOGLE_CLIENT_SECRET) {
+    providers.push(
+      oidcProvider({
+        id: "google",
+        name: "Google",
+        issuer: "https://accounts.google.com",
+        clientId: env.OAUTH_GOOGLE_CLIENT_ID,
+        clientSecret: env.OAUTH_GOOGLE_CLIENT_SECRET,
+      })
+    );
+  }
+  if (env.OAUTH_OIDC_ISSUER && env.OAUTH_OIDC_CLIENT_ID) {
+    providers.push(
+      oidcProvider({
+        id: "oidc",
+        name: env.OAUTH_OIDC_NAME || "Single sign-on",
+        issuer: env.OAUTH_OIDC_ISSUER,
+        clientId: env.OAUTH_OIDC_CLIENT_ID,
+        clientSecret: env.OAUTH_OIDC_CLIENT_SECRET,
+        scope: env.OAUTH_OIDC_SCOPE,
+      })
+    );
+  }
+  return providers;
+};
+
+const getProvider = (id) => configuredProviders().find((provider) => provider.id === id);
+
+module.exports = { configuredProviders, getProvider, validateIdToken };
@@ -0,0 +1,314 @@
+// Line-level comparison of a proposal with the entry it targets, used by the
+// review screens. Every field is flattened into one or more text sections
+// (code per language, each data-structure operation part, ...) and each
+// section is diffed line by line into side-by-side rows.
+
+// Above this many cells the LCS table gets too large; the unmatched middle
+// of the section is then shown as one replaced block.
+const MAX_LCS_CELLS = 4000000;
+
+const splitLines = (text) => (text ? String(text).split(/\r?\n/) : []);
+
+// Longest-common-subsequence edit script: [{ op: "equal" | "delete" | "insert", text }]
+const editScript = (a, b) => {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map((text) => ({ op: "equal", text }));
+  const tail = a.slice(endA).map((text) => ({ op: "equal", text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  let middle = [];
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    middle = [
+      ...midA.map((text) => ({ op: "delete", text })),
+      ...midB.map((text) => ({ op: "insert", text })),
+    ];
+  } else {
+    const n = midA.length;
+    const m = midB.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] =
+          midA[i] === midB[j]
+            ? lcs[i + 1][j + 1] + 1
+            : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && midA[i] === midB[j]) {
+        middle.push({ op: "equal", text: midA[i++] });
+        j++;
+      } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        middle.push({ op: "delete", text: midA[i++] });
+      } else {
+        middle.push({ op: "insert", text: midB[j++] });
+      }
+    }
+  }
+
+  return [...head, ...middle, ...tail];
+};
+
+/**
+ * Side-by-side rows for two texts. Runs of deletions followed by insertions
+ * are paired up as "changed" rows.
+ * @returns {{ rows: Array<{ type, left, right }>, additions: number, deletions: number }}
+ *   left/right are { line, text } or null.
+ */
+const lineDiff = (before, after) => {
+  const script = editScript(splitLines(before), splitLines(after));
+  const rows = [];
+  let leftLine = 0;
+  let rightLine = 0;
+  let additions = 0;
+  let deletions = 0;
+
+  for (let k = 0; k < script.length; ) {
+    if (script[k].op === "equal") {
+      rows.push({
+        type: "equal",
+        left: { line: ++leftLine, text: script[k].text },
+        right: { line: ++rightLine, text: script[k].text },
+      });
+      k++;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (k < script.length && script[k].op === "delete") removed.push(script[k++].text);
+    while (k < script.length && script[k].op === "insert") added.push(script[k++].text);
+    deletions += removed.length;
+    additions += added.length;
+
+    for (let r = 0; r < Math.max(removed.length, added.length); r++) {
+      const left = r < removed.length ? { line: ++leftLine, text: removed[r] } : null;
+      const right = r < added.length ? { line: ++rightLine, text: added[r] } : null;
+      rows.push({
+        type: left && right ? "changed" : left ? "removed" : "added",
+        left,
+        right,
+      });
+    }
+  }
+
+  return { rows, additions, deletions };
+};
+
+const listText = (items) => (items || []).filter(Boolean).join("\n");
+
+const complexityText = (complexity) =>
+  complexity ? `Time: ${complexity.time || ""}\nSpace: ${complexity.space || ""}` : "";
+
+const byKey = (items, keyOf) =>
+  new Map((items || []).map((item) => [keyOf(item), item]));
+
+// Sections keyed by language, for arrays of { language, code }.
+const codeSections = (before, after) => {
+  const left = byKey(before, (c) => c.language);
+  const right = byKey(after, (c) => c.language);
+  return [...new Set([...left.keys(), ...right.keys()])].map((language) => ({
+    key: language,
+    label: language,
+    before: left.get(language)?.code,
+    after: right.get(language)?.code,
+  }));
+};
+
+// Operations are matched by name; each one splits into its description,
+// complexity and per-language implementation code and explanation.
+const operationSections = (before, after) => {
+  const left = byKey(before, (op) => op.name);
+  const right = byKey(after, (op) => op.name);
+
+  return [...new Set([...left.keys(), ...right.keys()])].flatMap((name) => {
+    const from = left.get(name) || {};
+    const to = right.get(name) || {};
+    const sections = [
+      {
+        key: `${name}/description`,
+        label: `${name} › description`,
+        before: from.description,
+        after: to.description,
+      },
+      {
+        key: `${name}/complexity`,
+        label: `${name} › complexity`,
+        before: complexityText(from.complexity),
+        after: complexityText(to.complexity),
+      },
+    ];
+
+    const language = (impl) => impl.codeDetails?.language;
+    const fromImpls = byKey(from.implementations, language);
+    const toImpls = byKey(to.implementations, language);
+    [...new Set([...fromImpls.keys(), ...toImpls.keys()])].forEach((lang) => {
+      const a = fromImpls.get(lang) || {};
+      const b = toImpls.get(lang) || {};
+      sections.push(
+        {
+          key: `${name}/${lang}/code`,
+          label: `${name} › ${lang} code`,
+          before: a.codeDetails?.code,
+          after: b.codeDetails?.code,
+        },
+        {
+          key: `${name}/${lang}/explanation`,
+          label: `${name} › ${lang} explanation`,
+          before: a.explanation,
+          after: b.explanation,
+        },
+        {
+          key: `${name}/${lang}/complexity`,
+          label: `${name} › ${lang} complexity`,
+          before: complexityText(a.complexity),
+          after: complexityText(b.complexity),
+        }
+      );
+    });
+    return sections;
+  });
+};
+
+const applicationsText = (applications) =>
+  (applications || [])
+    .map((app) => [app.domain, ...(app.examples || []).map((e) => `  - ${e}`)].join("\n"))
+    .join("\n");
+
+const comparisonsText = (comparisons) =>
+  (comparisons || [])
+    .map((c) =>
+      [
+        `With: ${c.with}`,
+        ...(c.advantages || []).map((a) => `  + ${a}`),
+        ...(c.disadvantages || []).map((d) => `  - ${d}`),
+        c.whenToUse ? `  When to use: ${c.whenToUse}` : null,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .join("\n\n");
+
+const single = (format = (v) => v) => (before, after) => [
+  { key: "value", label: null, before: format(before), after: format(after) },
+];
+
+const FIELD_SPECS = {
+  Algorithm: [
+    ["title", "Title", single()],
+    ["problemStatement", "Problem statement", single()],
+    ["category", "Category", single(listText)],
+    ["difficulty", "Difficulty", single()],
+    ["intuition", "Intuition", single()],
+    ["explanation", "Explanation", single()],
+    ["complexity", "Complexity", single(complexityText)],
+    ["tags", "Tags", single(listText)],
+    ["links", "Links", single(listText)],
+    ["codes", "Code", codeSections],
+  ],
+  DataStructure: [
+    ["title", "Title", single()],
+    ["definition", "Definition", single()],
+    ["category", "Category", single(listText)],
+    ["type", "Type", single()],
+    ["characteristics", "Characteristics", single()],
+    ["visualization", "Visualization", single()],
+    ["operations", "Operations", operationSections],
+    ["fullImplementations", "Full implementations", codeSections],
+    ["applications", "Applications", single(applicationsText)],
+    ["comparisons", "Comparisons", single(comparisonsText)],
+    ["tags", "Tags", single(listText)],
+    ["references", "References", single(listText)],
+    ["videoLinks", "Video links", single(listText)],
+  ],
+};
+
+// Names of the fields a proposal of this entry type can change.
+const contentFields = (entryType) => (FIELD_SPECS[entryType] || []).map(([field]) => field);
+
+const toPlain = (value) =>
+  value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+// Plain copy of the content fields of an entry or proposal.
+const contentSnapshot = (entryType, doc) => {
+  const source = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  return contentFields(entryType).reduce((snapshot, field) => {
+    snapshot[field] = toPlain(source[field]);
+    return snapshot;
+  }, {});
+};
+
+const statusOf = (before, after) => {
+  if (before === after) return "unchanged";
+  if (!before) return "added";
+  if (!after) return "removed";
+  return "modified";
+};
+
+/**
+ * Compares a proposal with its target entry. `target` may be null for
+ * proposals that create a new entry, in which case everything is "added".
+ * Unchanged sections are listed without rows.
+ */
+const diffProposal = (entryType, target, proposal) => {
+  const specs = FIELD_SPECS[entryType];
+  if (!specs) throw new Error(`Diffs are not supported for ${entryType}.`);
+
+  const plain = (doc) =>
+    doc && typeof doc.toObject === "function" ? doc.toObject() : doc || {};
+  const current = plain(target);
+  const proposed = plain(proposal);
+
+  const summary = { changedFields: [], additions: 0, deletions: 0 };
+
+  const fields = specs.map(([field, label, toSections]) => {
+    const sections = toSections(current[field], proposed[field])
+      .map((section) => ({
+        ...section,
+        before: section.before ?? "",
+        after: section.after ?? "",
+      }))
+      .filter(({ before, after }) => before !== "" || after !== "")
+      .map(({ key, label: sectionLabel, before: from, after: to }) => {
+        const status = statusOf(from, to);
+        if (status === "unchanged") {
+          return { key, label: sectionLabel, status, additions: 0, deletions: 0 };
+        }
+        const { rows, additions, deletions } = lineDiff(from, to);
+        return { key, label: sectionLabel, status, additions, deletions, rows };
+      });
+
+    const changed = sections.filter((s) => s.status !== "unchanged");
+    const additions = changed.reduce((sum, s) => sum + s.additions, 0);
+    const deletions = changed.reduce((sum, s) => sum + s.deletions, 0);
+    let status = "unchanged";
+    if (changed.length > 0) {
+      status = changed.every((s) => s.status === "added")
+        ? "added"
+        : changed.every((s) => s.status === "removed")
+          ? "removed"
+          : "modified";
+      summary.changedFields.push(field);
+      summary.additions += additions;
+      summary.deletions += deletions;
+    }
+
+    return { field, label, status, additions, deletions, sections };
+  });
+
+  summary.unchangedFields = fields.length - summary.changedFields.length;
+  return { summary, fields };
+};
+
+module.exports = { lineDiff, diffProposal, contentFields, contentSnapshot };
@@ -0,0 +1,44 @@
+const cron = require('node-cron');
+const { runScheduledPublishing } = require('./publishing');
+
+// Applies scheduled publish/unpublish dates, see publishing.js
+class PublishScheduler {
+  constructor() {
+    this.enabled = process.env.PUBLISH_SCHEDULER_ENABLED !== 'false';
+    this.task = null;
+    this.running = false;
+  }
+
+  start() {
+    if (!this.enabled) return;
+
+    const interval = process.env.PUBLISH_SCHEDULER_INTERVAL || '* * * * *';
+
+    this.task = cron.schedule(interval, async () => {
+      // Skip a tick rather than overlap with a slow previous run
+      if (this.running) return;
+      this.running = true;
+      try {
+        const { published, unpublished } = await runScheduledPublishing();
+        if (published || unpublished) {
+          console.log(`📅 Scheduled publishing: ${published} published, ${unpublished} unpublished`);
+        }
+      } catch (error) {
+        console.log('❌ Scheduled publishing failed:', error.message);
+      } finally {
+        this.running = false;
+      }
+    });
+
+    console.log(`📅 Publish scheduler started (${interval})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      console.log('🛑 Publish scheduler stopped');
+    }
+  }
+}
+
+module.exports = PublishScheduler;
@@ -0,0 +1,218 @@
+const Algorithm = require("../models/algorithm.model");
+const DataStructure = require("../models/dataStructure.model");
+const Notification = require("../models/notification.model");
+const User = require("../models/user.model");
+
+// Publication state of algorithms and data structures: published, draft, or
+// a draft with a publish date-time, optionally followed by an unpublish
+// date-time. The scheduler in publishScheduler.js applies due changes.
+
+const ENTRY_TYPES = {
+  Algorithm: {
+    model: Algorithm,
+    notification: "new_algorithm",
+    noun: "algorithm",
+    link: (slug) => `/algorithms/${slug}`,
+  },
+  DataStructure: {
+    model: DataStructure,
+    notification: "new_data_structure",
+    noun: "data structure",
+    link: (slug) => `/data-structures/${slug}`,
+  },
+};
+
+const PUBLICATION_FIELDS = ["isPublished", "publishAt", "unpublishAt"];
+
+const hasPublicationInput = (body = {}) =>
+  PUBLICATION_FIELDS.some((field) => body[field] !== undefined);
+
+const parseDate = (value, field) => {
+  if (value === null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${field} must be a valid date-time.`);
+  }
+  return date;
+};
+
+/**
+ * Works out the publication state an entry should end up in from what an
+ * admin sent. Fields left out keep their current value; `publishAt` and
+ * `unpublishAt` can be cleared with null. A publish date in the future keeps
+ * the entry as a draft until then, one in the past publishes it now. Throws
+ * with a message suitable for a 400.
+ */
+const resolvePublication = (current, input, now = new Date()) => {
+  let isPublished =
+    typeof input.isPublished === "boolean" ? input.isPublished : Boolean(current.isPublished);
+  let publishAt =
+    input.publishAt !== undefined ? parseDate(input.publishAt, "publishAt") : current.publishAt || null;
+  const unpublishAt =
+    input.unpublishAt !== undefined
+      ? parseDate(input.unpublishAt, "unpublishAt")
+      : current.unpublishAt || null;
+
+  // Publishing outright drops any pending publish date
+  if (input.isPublished === true && input.publishAt === undefined) publishAt = null;
+
+  if (publishAt) {
+    if (publishAt <= now) {
+      isPublished = true;
+      publishAt = null;
+    } else {
+      isPublished = false;
+    }
+  }
+
+  if (unpublishAt) {
+    if (unpublishAt <= now) {
+      throw new Error("unpublishAt must be in the future.");
+    }
+    if (publishAt && unpublishAt <= publishAt) {
+      throw new Error("unpublishAt must be after publishAt.");
+    }
+    if (!isPublished && !publishAt) {
+      throw new Error("Only published or scheduled entries can be scheduled to unpublish.");
+    }
+  }
+
+  return { isPublished, publishAt, unpublishAt };
+};
+
+/**
+ * Applies a resolved state to an entry document. Returns whether the entry
+ * just became published and has not been announced yet, in which case the
+ * caller should save it and then call `announceEntry`.
+ */
+const applyPublication = (doc, state, userId) => {
+  const wasPublished = Boolean(doc.isPublished);
+
+  if (state.isPublished && !wasPublished) {
+    doc.publishedAt = new Date();
+    doc.publishedBy = userId;
+  } else if (!state.isPublished && wasPublished) {
+    // Entries published before announcements were tracked were announced
+    // when they were created
+    doc.announcedAt = doc.announcedAt || doc.publishedAt || doc.createdAt;
+    doc.publishedAt = undefined;
+    doc.publishedBy = undefined;
+  }
+  doc.isPublished = state.isPublished;
+  doc.publishAt = state.publishAt || undefined;
+  doc.unpublishAt = state.unpublishAt || undefined;
+  if (state.publishAt || state.unpublishAt) doc.scheduledBy = userId;
+
+  const announce = state.isPublished && !wasPublished && !doc.announcedAt;
+  if (announce) doc.announcedAt = new Date();
+  return announce;
+};
+
+// The publication fields of an entry as they are now, e.g. for audit entries.
+const publicationState = (doc) => ({
+  isPublished: Boolean(doc.isPublished),
+  publishAt: doc.publishAt || null,
+  unpublishAt: doc.unpublishAt || null,
+});
+
+// Short description of a publication change for contributor logs.
+const describePublication = ({ isPublished, publishAt, unpublishAt }) => {
+  const parts = [];
+  if (publishAt) parts.push(`scheduled to publish at ${publishAt.toISOString()}`);
+  else parts.push(isPublished ? "published" : "saved as draft");
+  if (unpublishAt) parts.push(`scheduled to unpublish at ${unpublishAt.toISOString()}`);
+  return parts.join(", ");
+};
+
+// The "new algorithm" / "new data structure" notifications to every user.
+const announceEntry = async (entryType, doc, senderId) => {
+  const config = ENTRY_TYPES[entryType];
+  const users = await User.find({}, "_id").lean();
+  const notifications = users.map((user) => ({
+    recipient: user._id,
+    sender: senderId,
+    type: config.notification,
+    message: `A new ${config.noun} "${doc.title}" has been added.`,
+    link: config.link(doc.slug),
+    read: false,
+  }));
+  await Notification.insertMany(notifications);
+};
+
+/**
+ * Publishes and unpublishes every entry whose scheduled time has come. Each
+ * change is claimed with a conditional update so that several server
+ * instances running the scheduler don't apply or announce it twice.
+ */
+const runScheduledPublishing = async (now = new Date()) => {
+  const summary = { published: 0, unpublished: 0 };
+
+  for (const [entryType, { model }] of Object.entries(ENTRY_TYPES)) {
+    const due = await model
+      .find({ publishAt: { $lte: now }, isDeleted: { $ne: true } }, "_id scheduledBy createdBy")
+      .lean();
+    for (const { _id, scheduledBy, createdBy } of due) {
+      const sender = scheduledBy || createdBy;
+      const entry = await model.findOneAndUpdate(
+        { _id, publishAt: { $lte: now } },
+        {
+          $set: { isPublished: true, publishedAt: now, publishedBy: sender },
+          $unset: { publishAt: 1 },
+        },
+        { new: true }
+      );
+      if (!entry) continue;
+      summary.published += 1;
+
+      const claimed = await model.updateOne(
+        { _id, announcedAt: { $exists: false } },
+        { $set: { announcedAt: now } }
+      );
+      if (claimed.modifiedCount > 0) await announceEntry(entryType, entry, sender);
+    }
+
+    const expiring = await model.find({ unpublishAt: { $lte: now } });
+    for (const entry of expiring) {
+      const result = await model.updateOne(
+        { _id: entry._id, unpublishAt: { $lte: now } },
+        {
+          $set: {
+            isPublished: false,
+            announcedAt: entry.announcedAt || entry.publishedAt || entry.createdAt,
+          },
+          $unset: { unpublishAt: 1, publishedAt: 1, publishedBy: 1 },
+        }
+      );
+      if (result.modifiedCount > 0) summary.unpublished += 1;
+    }
+  }
+
+  return summary;
+};
+
+// Query conditions for the admin lists' publication filter.
+const publicationFilter = (state) => {
+  switch (state) {
+    case "published":
+      return { isPublished: true };
+    case "draft":
+      return { isPublished: { $ne: true }, publishAt: { $exists: false } };
+    case "scheduled":
+      return {
+        $or: [{ publishAt: { $exists: true } }, { unpublishAt: { $exists: true } }],
+      };
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  hasPublicationInput,
+  resolvePublication,
+  applyPublication,
+  publicationState,
+  describePublication,
+  announceEntry,
+  runScheduledPublishing,
+  publicationFilter,
+};
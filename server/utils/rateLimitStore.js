@@ -0,0 +1,114 @@
+const RateLimit = require("../models/rateLimit.model");
+
+// Where rate-limit counters and lockouts are kept. The in-memory store is
+// per process; with several server instances use the Mongo store
+// (RATE_LIMIT_STORE=mongo) so they share counts.
+//
+// A store has four async methods, all keyed by string and expiring after
+// `ttlMs`:
+//   increment(key, ttlMs) -> the new count
+//   get(key)              -> { count, value } or null
+//   set(key, value, ttlMs)
+//   delete(key)
+
+class MemoryStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.entries = new Map();
+    // Drops expired entries so idle keys don't pile up
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  live(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async increment(key, ttlMs) {
+    const entry = this.live(key);
+    if (entry) {
+      entry.count += 1;
+      return entry.count;
+    }
+    this.entries.set(key, { count: 1, expiresAt: Date.now() + ttlMs });
+    return 1;
+  }
+
+  async get(key) {
+    const entry = this.live(key);
+    return entry ? { count: entry.count, value: entry.value } : null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { count: 0, value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+class MongoStore {
+  async increment(key, ttlMs) {
+    const now = new Date();
+    // A leftover expired document starts counting again from one
+    await RateLimit.deleteOne({ key, expiresAt: { $lte: now } });
+    const update = () =>
+      RateLimit.findOneAndUpdate(
+        { key },
+        {
+          $inc: { count: 1 },
+          $setOnInsert: { expiresAt: new Date(now.getTime() + ttlMs) },
+        },
+        { upsert: true, new: true }
+      ).lean();
+
+    try {
+      return (await update()).count;
+    } catch (error) {
+      // Two first hits raced to insert; the loser updates the winner's count
+      if (error.code !== 11000) throw error;
+      return (await update()).count;
+    }
+  }
+
+  async get(key) {
+    const doc = await RateLimit.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    return doc ? { count: doc.count, value: doc.value } : null;
+  }
+
+  async set(key, value, ttlMs) {
+    await RateLimit.updateOne(
+      { key },
+      { $set: { value, count: 0, expiresAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true }
+    );
+  }
+
+  async delete(key) {
+    await RateLimit.deleteOne({ key });
+  }
+}
+
+const createStore = (type = process.env.RATE_LIMIT_STORE || "memory") => {
+  if (type === "mongo") return new MongoStore();
+  if (type !== "memory") {
+    console.warn(`⚠️ Unknown RATE_LIMIT_STORE "${type}", using memory`);
+  }
+  return new MemoryStore();
+};
+
+// The store shared by the rate limiter and the lockouts
+const store = createStore();
+
+module.exports = { MemoryStore, MongoStore, createStore, store };
@@ -0,0 +1,117 @@
+const { diffProposal } = require("./proposalDiff");
+
+// How many approving votes a proposal needs before it is merged. Small edits
+// to an existing entry (at most MINOR_CHANGE_MAX_CHARS characters touched)
+// need fewer. A single rejection closes the proposal unless configured
+// otherwise.
+const REQUIRED_APPROVALS = Number(process.env.REVIEW_REQUIRED_APPROVALS) || 2;
+const MINOR_REQUIRED_APPROVALS =
+  Number(process.env.REVIEW_MINOR_REQUIRED_APPROVALS) || 1;
+const MINOR_CHANGE_MAX_CHARS =
+  Number(process.env.REVIEW_MINOR_CHANGE_MAX_CHARS) || 20;
+const REQUIRED_REJECTIONS = Number(process.env.REVIEW_REQUIRED_REJECTIONS) || 1;
+
+const REVIEWER_ROLES = ["admin", "reviewer"];
+
+const canReview = (user) => Boolean(user && REVIEWER_ROLES.includes(user.role));
+
+// Characters touched by a diff: whole lines for additions and removals, the
+// differing middle of the line for changed ones.
+const changeSize = (diff) => {
+  let size = 0;
+  diff.fields.forEach((field) =>
+    field.sections.forEach((section) =>
+      (section.rows || []).forEach(({ type, left, right }) => {
+        if (type === "added") size += right.text.length + 1;
+        else if (type === "removed") size += left.text.length + 1;
+        else if (type === "changed") {
+          const a = left.text;
+          const b = right.text;
+          let start = 0;
+          while (start < a.length && start < b.length && a[start] === b[start]) start++;
+          let end = 0;
+          while (
+            end < a.length - start &&
+            end < b.length - start &&
+            a[a.length - 1 - end] === b[b.length - 1 - end]
+          ) {
+            end++;
+          }
+          size += Math.max(a.length, b.length) - start - end;
+        }
+      })
+    )
+  );
+  return size;
+};
+
+/**
+ * Works out which policy applies to a proposal. New entries always take the
+ * full number of approvals.
+ * @returns {{ requiredApprovals: number, minor: boolean, changeSize: number|null }}
+ */
+const policyFor = (entryType, target, proposal) => {
+  if (!target) {
+    return { requiredApprovals: REQUIRED_APPROVALS, minor: false, changeSize: null };
+  }
+  const size = changeSize(diffProposal(entryType, target, proposal));
+  const minor = size <= MINOR_CHANGE_MAX_CHARS;
+  return {
+    requiredApprovals: minor
+      ? Math.min(MINOR_REQUIRED_APPROVALS, REQUIRED_APPROVALS)
+      : REQUIRED_APPROVALS,
+    minor,
+    changeSize: size,
+  };
+};
+
+// Votes cast on the proposal's current round; a resubmission starts over.
+const currentVotes = (proposal) =>
+  proposal.reviews.filter((review) => (review.round || 1) === (proposal.round || 1));
+
+// Adds or replaces the reviewer's vote on the current round.
+const recordVote = (proposal, reviewer, decision, comment = "") => {
+  const existing = currentVotes(proposal).find(
+    (review) => review.reviewer.toString() === reviewer._id.toString()
+  );
+  if (existing) {
+    existing.decision = decision;
+    existing.comment = comment;
+    existing.votedAt = new Date();
+  } else {
+    proposal.reviews.push({
+      reviewer: reviewer._id,
+      decision,
+      comment,
+      votedAt: new Date(),
+      round: proposal.round || 1,
+    });
+  }
+};
+
+// "approved", "rejected" or "pending" for the current votes.
+const tally = (reviews, requiredApprovals) => {
+  const approvals = reviews.filter((review) => review.decision === "approve");
+  const rejections = reviews.filter((review) => review.decision === "reject");
+
+  let outcome = "pending";
+  if (rejections.length >= REQUIRED_REJECTIONS) outcome = "rejected";
+  else if (approvals.length >= requiredApprovals) outcome = "approved";
+
+  return {
+    outcome,
+    approvals: approvals.length,
+    rejections: rejections.length,
+    approvers: approvals.map((review) => review.reviewer),
+  };
+};
+
+module.exports = {
+  REVIEWER_ROLES,
+  canReview,
+  changeSize,
+  policyFor,
+  currentVotes,
+  recordVote,
+  tally,
+};
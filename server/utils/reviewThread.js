@@ -0,0 +1,133 @@
+const User = require("../models/user.model");
+const Notification = require("../models/notification.model");
+const { contentSnapshot } = require("./proposalDiff");
+const { REVIEWER_ROLES, canReview, currentVotes } = require("./reviewPolicy");
+
+// Review conversation and submission rounds shared by algorithm and data
+// structure proposals. Every submission of a proposal is a numbered round with
+// a snapshot of its content, so reviewers can see what changed in between.
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+// Records the proposal's current content as a new round: round 1 when the
+// proposal is created, the next number on every resubmission.
+const startRound = (entryType, proposal, note = "") => {
+  const number = proposal.isNew ? 1 : (proposal.round || 1) + 1;
+  proposal.rounds.push({
+    number,
+    submittedAt: new Date(),
+    note,
+    snapshot: contentSnapshot(entryType, proposal),
+  });
+  proposal.round = number;
+  return number;
+};
+
+const findRound = (proposal, number) =>
+  proposal.rounds.find((round) => round.number === Number(number));
+
+// Call after editing a proposal's content. Once reviewers have voted on the
+// current round an edit starts a new one, so their votes don't count towards
+// content they never saw; before that, the round's snapshot is brought up to
+// date. Returns the new round's number, or null when none was started.
+const reviseRound = (entryType, proposal) => {
+  const snapshot = contentSnapshot(entryType, proposal);
+  const current = findRound(proposal, proposal.round || 1);
+  if (current && JSON.stringify(current.snapshot) === JSON.stringify(snapshot)) {
+    return null;
+  }
+  if (currentVotes(proposal).length === 0) {
+    if (current) current.snapshot = snapshot;
+    return null;
+  }
+  return startRound(entryType, proposal, "Edited during review");
+};
+
+// Proposals can be edited and reviewed only while these are their status;
+// approved, rejected and merged ones are closed.
+const OPEN_STATUSES = ["pending", "changes_requested"];
+
+const isUnderReview = (proposal) => OPEN_STATUSES.includes(proposal.status);
+
+const addMessage = (proposal, author, kind, body = "") => {
+  proposal.thread.push({
+    author: author._id,
+    kind,
+    body: body.trim(),
+    round: proposal.round || 1,
+  });
+  return proposal.thread[proposal.thread.length - 1];
+};
+
+// Votes, the conversation, rounds and conflict choices name reviewers and
+// carry their feedback; only the contributor and reviewers see them.
+const PRIVATE_REVIEW_FIELDS = ["reviews", "thread", "rounds", "resolutions"];
+
+const canSeeReview = (proposal, user) =>
+  Boolean(user) &&
+  (canReview(user) ||
+    String(proposal.contributor?._id || proposal.contributor) === String(user._id));
+
+// The proposal as `user` may see it.
+const proposalForViewer = (proposal, user) => {
+  const data = typeof proposal.toObject === "function" ? proposal.toObject() : proposal;
+  if (canSeeReview(proposal, user)) return data;
+  PRIVATE_REVIEW_FIELDS.forEach((field) => delete data[field]);
+  return data;
+};
+
+// Everyone other than the contributor who has taken part in the review.
+const reviewParticipants = (proposal) => {
+  const contributor = proposal.contributor.toString();
+  const ids = [
+    ...proposal.thread.map((message) => message.author),
+    ...proposal.reviews.map((review) => review.reviewer),
+  ].map((id) => (id._id || id).toString());
+  return [...new Set(ids)].filter((id) => id !== contributor);
+};
+
+// Notifies the contributor and everyone taking part in the review, except the
+// sender. While nobody has reviewed the proposal yet, all reviewers are told.
+const notifyThread = async (
+  proposal,
+  sender,
+  { type, message, contributorLink, reviewerLink }
+) => {
+  const senderId = sender._id.toString();
+  const contributor = proposal.contributor.toString();
+
+  let reviewers = reviewParticipants(proposal);
+  if (reviewers.length === 0) {
+    const users = await User.find({ role: { $in: REVIEWER_ROLES } }, "_id").lean();
+    reviewers = users.map((user) => user._id.toString());
+  }
+
+  const notifications = [
+    ...(contributor !== senderId
+      ? [{ recipient: contributor, link: contributorLink }]
+      : []),
+    ...reviewers
+      .filter((id) => id !== senderId && id !== contributor)
+      .map((id) => ({ recipient: id, link: reviewerLink })),
+  ].map((notification) => ({
+    ...notification,
+    sender: sender._id,
+    type,
+    message,
+  }));
+
+  if (notifications.length > 0) await Notification.insertMany(notifications);
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  startRound,
+  findRound,
+  reviseRound,
+  isUnderReview,
+  canSeeReview,
+  proposalForViewer,
+  addMessage,
+  reviewParticipants,
+  notifyThread,
+};
@@ -0,0 +1,142 @@
+const Revision = require("../models/revision.model");
+
+const REVISION_FIELDS = {
+  Algorithm: [
+    "title",
+    "problemStatement",
+    "category",
+    "difficulty",
+    "intuition",
+    "explanation",
+    "complexity",
+    "tags",
+    "links",
+    "codes",
+  ],
+};
+
+const toPlain = (value) =>
+  value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+const createSnapshot = (targetType, doc) => {
+  const fields = REVISION_FIELDS[targetType];
+  if (!fields) throw new Error(`Revisions are not supported for ${targetType}.`);
+
+  const source = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  return fields.reduce((snapshot, field) => {
+    snapshot[field] = toPlain(source[field]);
+    return snapshot;
+  }, {});
+};
+
+const MAX_VERSION_ATTEMPTS = 5;
+
+// Saves a revision under the next version of `doc`. Versions come from an
+// atomic $inc on the entry's `revision` counter, so concurrent saves never
+// pick the same one; if the counter has fallen behind the history, the
+// taken version is skipped.
+const createRevision = async (targetType, doc, fields) => {
+  for (let attempt = 1; ; attempt++) {
+    const { revision: version } = await doc.constructor
+      .findOneAndUpdate(
+        { _id: doc._id },
+        { $inc: { revision: 1 } },
+        { new: true, projection: { revision: 1 }, timestamps: false }
+      )
+      .lean();
+    try {
+      return await Revision.create({
+        targetType,
+        targetId: doc._id,
+        version,
+        ...fields,
+      });
+    } catch (error) {
+      if (error?.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Persists a new snapshot of `doc` and bumps its `revision` counter.
+// Call after the document itself has been saved successfully.
+const recordRevision = async (
+  targetType,
+  doc,
+  { author, action, summary, restoredFrom }
+) => {
+  // Set by the model's pre-save hook on the first edit of an entry that
+  // predates revision history
+  const baseline = doc.$locals?.revisionBaseline;
+  if (baseline) {
+    delete doc.$locals.revisionBaseline;
+    if (!(await Revision.exists({ targetType, targetId: doc._id }))) {
+      await createRevision(targetType, doc, {
+        action: "baseline",
+        summary: "Content before revision history was kept",
+        snapshot: createSnapshot(targetType, baseline),
+        author: baseline.createdBy || author,
+      });
+    }
+  }
+
+  const revision = await createRevision(targetType, doc, {
+    action,
+    summary,
+    snapshot: createSnapshot(targetType, doc),
+    author,
+    restoredFrom,
+  });
+  doc.revision = revision.version;
+
+  return revision;
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const diffCodes = (before = [], after = []) => {
+  const beforeMap = new Map((before || []).map((c) => [c.language, c.code]));
+  const afterMap = new Map((after || []).map((c) => [c.language, c.code]));
+  const languages = new Set([...beforeMap.keys(), ...afterMap.keys()]);
+
+  const changes = [];
+  languages.forEach((language) => {
+    const from = beforeMap.has(language) ? beforeMap.get(language) : null;
+    const to = afterMap.has(language) ? afterMap.get(language) : null;
+    if (from === to) return;
+    changes.push({
+      language,
+      type: from === null ? "added" : to === null ? "removed" : "modified",
+      before: from,
+      after: to,
+    });
+  });
+  return changes;
+};
+
+// Field-by-field comparison of two snapshots of the same target type.
+const diffSnapshots = (targetType, before = {}, after = {}) => {
+  const fields = REVISION_FIELDS[targetType] || [];
+
+  return fields.reduce((changes, field) => {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (isEqual(from, to)) return changes;
+
+    const change = {
+      field,
+      type: from === null ? "added" : to === null ? "removed" : "modified",
+      before: from,
+      after: to,
+    };
+    if (field === "codes") change.languages = diffCodes(from, to);
+    changes.push(change);
+    return changes;
+  }, []);
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  createSnapshot,
+  recordRevision,
+  diffSnapshots,
+};
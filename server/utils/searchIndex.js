@@ -0,0 +1,259 @@
+// In-memory ranking for /api/search. The content collections are small
+// enough to score in process, which lets us tolerate typos and return
+// highlighted snippets that Mongo's $text index cannot.
+
+const MAX_TERMS = 8;
+const SNIPPET_LENGTH = 200;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Title hits matter most, then tags and categories, then the prose.
+const FIELD_WEIGHTS = { title: 6, tags: 3, category: 2, summary: 1.5, body: 1 };
+
+// Markdown noise that should neither match nor show up in snippets.
+const stripMarkdown = (text = "") =>
+  String(text)
+    .replace(/(`{3,}|~{3,})[\s\S]*?\1/g, " ")
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\$\$?[^$]*\$\$?/g, " ")
+    .replace(/[#>*_`~|]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const tokenize = (text = "") =>
+  (String(text).toLowerCase().match(WORD_PATTERN) || []);
+
+// Optimal string alignment distance; gives up once it exceeds `max`.
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (
+        prevPrev &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+  return prev[b.length];
+};
+
+const allowedTypos = (term) => (term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2);
+
+// 1 for an exact word, less for a prefix or a near miss, 0 for no match.
+const matchStrength = (term, token) => {
+  if (token === term) return 1;
+  if (term.length >= 2 && token.startsWith(term)) return 0.75;
+
+  const max = allowedTypos(term);
+  if (max === 0) return 0;
+  const distance = editDistance(term, token, max);
+  if (distance > max) return 0;
+  return distance === 1 ? 0.5 : 0.3;
+};
+
+/**
+ * Prepares a record for scoring.
+ * @param {object} record - { type, title, category, tags, summary, body, ... }
+ *   Any other keys (slug, difficulty, languages, ...) are carried through.
+ */
+const buildDocument = (record) => {
+  const fields = {
+    title: record.title || "",
+    tags: (record.tags || []).join(" "),
+    category: (record.category || []).join(" "),
+    summary: stripMarkdown(record.summary),
+    body: stripMarkdown(record.body),
+  };
+
+  return {
+    ...record,
+    summary: fields.summary,
+    body: fields.body,
+    fields: Object.entries(fields).map(([name, text]) => ({
+      name,
+      weight: FIELD_WEIGHTS[name],
+      tokens: [...new Set(tokenize(text))],
+    })),
+  };
+};
+
+const parseQuery = (q = "") => [...new Set(tokenize(q))].slice(0, MAX_TERMS);
+
+// Every term has to match somewhere. Returns null when the document misses.
+const scoreDocument = (doc, terms, rawQuery = "") => {
+  if (terms.length === 0) return { score: 0, matched: new Set() };
+
+  let score = 0;
+  const matched = new Set();
+
+  for (const term of terms) {
+    let best = 0;
+    for (const field of doc.fields) {
+      for (const token of field.tokens) {
+        const strength = matchStrength(term, token);
+        if (strength > 0) {
+          matched.add(token);
+          best = Math.max(best, strength * field.weight);
+        }
+      }
+    }
+    if (best === 0) return null;
+    score += best;
+  }
+
+  const title = doc.title.toLowerCase();
+  const query = rawQuery.trim().toLowerCase();
+  if (title === query) score += 10;
+  else if (query && title.startsWith(query)) score += 3;
+
+  return { score, matched };
+};
+
+/**
+ * Scores a short label (a title, tag or category) for search-as-you-type.
+ * Every term must match a word of the label; the last term is usually
+ * still being typed, so prefixes count nearly as much as whole words.
+ * Returns null when the label misses.
+ */
+const scoreLabel = (label, terms, rawQuery = "") => {
+  const tokens = [...new Set(tokenize(label))];
+  let score = 0;
+  const matched = new Set();
+
+  for (const term of terms) {
+    let best = 0;
+    for (const token of tokens) {
+      const strength = matchStrength(term, token);
+      if (strength > 0) {
+        matched.add(token);
+        best = Math.max(best, strength);
+      }
+    }
+    if (best === 0) return null;
+    score += best;
+  }
+
+  const text = label.toLowerCase();
+  const query = rawQuery.trim().toLowerCase();
+  if (text === query) score += 2;
+  else if (query && text.startsWith(query)) score += 1;
+
+  // Shorter labels are closer to what was typed.
+  return { score: score - tokens.length * 0.01, matched };
+};
+
+// Splits text into [{ text, highlight }] around the matched words.
+const highlight = (text, matched) => {
+  const segments = [];
+  let last = 0;
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    if (!matched.has(match[0].toLowerCase())) continue;
+    if (match.index > last) {
+      segments.push({ text: text.slice(last, match.index), highlight: false });
+    }
+    segments.push({ text: match[0], highlight: true });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), highlight: false });
+  return segments;
+};
+
+// A window of the summary (or body) around the first matched word.
+const snippet = (doc, matched) => {
+  const sources = [doc.summary, doc.body].filter(Boolean);
+  const firstMatch = (text) => {
+    for (const match of text.matchAll(WORD_PATTERN)) {
+      if (matched.has(match[0].toLowerCase())) return match.index;
+    }
+    return -1;
+  };
+
+  let text = sources[0] || "";
+  let at = text ? firstMatch(text) : -1;
+  if (at === -1) {
+    const other = sources.find((source) => firstMatch(source) !== -1);
+    if (other) {
+      text = other;
+      at = firstMatch(other);
+    }
+  }
+
+  const start = at > 60 ? text.lastIndexOf(" ", at - 60) + 1 : 0;
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(" ", end);
+    if (space > start) end = space;
+  }
+
+  const segments = highlight(text.slice(start, end), matched);
+  if (start > 0) segments.unshift({ text: "… ", highlight: false });
+  if (end < text.length) segments.push({ text: " …", highlight: false });
+  return segments;
+};
+
+const FACETS = ["type", "category", "difficulty", "tags", "languages"];
+
+const valuesOf = (doc, facet) => {
+  const value = doc[facet];
+  if (Array.isArray(value)) return value;
+  return value ? [value] : [];
+};
+
+const passes = (doc, filters, skip) =>
+  FACETS.every((facet) => {
+    if (facet === skip || !filters[facet]?.length) return true;
+    return valuesOf(doc, facet).some((value) => filters[facet].includes(value));
+  });
+
+/**
+ * Counts facet values over `docs`. Each facet ignores its own filter, so the
+ * counts show what selecting another value of that facet would return.
+ */
+const facetCounts = (docs, filters, { maxTags = 20 } = {}) =>
+  FACETS.reduce((facets, facet) => {
+    const counts = new Map();
+    docs
+      .filter((doc) => passes(doc, filters, facet))
+      .forEach((doc) =>
+        new Set(valuesOf(doc, facet)).forEach((value) =>
+          counts.set(value, (counts.get(value) || 0) + 1)
+        )
+      );
+
+    const sorted = [...counts]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(b.value));
+    facets[facet] = facet === "tags" ? sorted.slice(0, maxTags) : sorted;
+    return facets;
+  }, {});
+
+module.exports = {
+  FACETS,
+  stripMarkdown,
+  tokenize,
+  editDistance,
+  buildDocument,
+  parseQuery,
+  scoreDocument,
+  scoreLabel,
+  highlight,
+  snippet,
+  passes,
+  facetCounts,
+};
@@ -0,0 +1,190 @@
+const crypto = require("crypto");
+const Session = require("../models/session.model");
+const generateToken = require("./generateToken");
+
+// Signing in starts a session: the client gets a short-lived access token
+// and a refresh token. Each refresh swaps the refresh token for a new one;
+// presenting a replaced token again means it was copied, and the session is
+// revoked. Revoking a session also invalidates its access tokens, as
+// `protect` checks the session on every request.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Two tabs refreshing at the same moment both send the same token; the
+// slower one should not sign the user out
+const REUSE_GRACE_MS = (Number(process.env.REFRESH_REUSE_GRACE_SECONDS) || 10) * 1000;
+// lastUsedAt is only written when it is at least this stale
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+const newRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+const expiryFrom = (now) => new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS);
+
+const BROWSERS = [
+  [/Edg\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/Firefox\//, "Firefox"],
+  [/Chrome\//, "Chrome"],
+  [/Safari\//, "Safari"],
+];
+const SYSTEMS = [
+  [/Android/, "Android"],
+  [/iPhone|iPad|iPod/, "iOS"],
+  [/Windows/, "Windows"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/CrOS/, "ChromeOS"],
+  [/Linux/, "Linux"],
+];
+
+// "Chrome on Windows" style label for the sessions list.
+const describeDevice = (userAgent = "") => {
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const system = SYSTEMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || "Unknown device";
+};
+
+const clientInfo = (req) => {
+  const userAgent = (req.get("user-agent") || "").slice(0, 300);
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip || req.socket?.remoteAddress || "",
+  };
+};
+
+const activeFilter = (now = new Date()) => ({
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: now },
+});
+
+// Starts a session for `user` on the requesting device.
+const startSession = async (user, req) => {
+  const now = new Date();
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    lastUsedAt: now,
+    expiresAt: expiryFrom(now),
+    ...clientInfo(req),
+  });
+  return { token: generateToken(user._id, session._id), refreshToken, session };
+};
+
+/**
+ * Swaps a refresh token for a new access/refresh token pair. Throws with a
+ * message suitable for a 401 when the token is unknown, expired or revoked.
+ */
+const refreshSession = async (refreshToken, req) => {
+  if (typeof refreshToken !== "string" || !refreshToken) {
+    throw new Error("Refresh token is required");
+  }
+  const now = new Date();
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+
+  // Claimed with a conditional update so a token can only be used once
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, ...activeFilter(now) },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: tokenHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: expiryFrom(now),
+        ...clientInfo(req),
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const replaced = await Session.findOne({
+      previousTokenHash: tokenHash,
+      ...activeFilter(now),
+    });
+    if (replaced && now - replaced.rotatedAt <= REUSE_GRACE_MS) {
+      throw new Error("Refresh token already used");
+    }
+    if (replaced) {
+      replaced.revokedAt = now;
+      replaced.revokedReason = "token_reuse";
+      await replaced.save();
+      throw new Error("Refresh token reuse detected; the session has been signed out");
+    }
+    throw new Error("Session expired, please log in again");
+  }
+
+  return {
+    token: generateToken(session.user, session._id),
+    refreshToken: nextToken,
+    session,
+  };
+};
+
+// Signs out the session a refresh token belongs to. Unknown tokens are ignored.
+const endSession = async (refreshToken) => {
+  if (typeof refreshToken !== "string" || !refreshToken) return;
+  await Session.updateOne(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+  );
+};
+
+/**
+ * The active session an access token was issued for, or null once it has
+ * been revoked or has expired. Also keeps `lastUsedAt` roughly current.
+ */
+const findActiveSession = async (sessionId, userId) => {
+  const now = new Date();
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: userId,
+    ...activeFilter(now),
+  })
+    .select("lastUsedAt")
+    .lean();
+
+  if (session && now - session.lastUsedAt > TOUCH_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: now } });
+  }
+  return session;
+};
+
+const listSessions = (userId) =>
+  Session.find({ user: userId, ...activeFilter() })
+    .select("device userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+// Returns whether an active session was revoked.
+const revokeSession = async (userId, sessionId, reason = "revoked") => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, ...activeFilter() },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Revokes every active session of a user, optionally keeping one. Returns
+// how many were revoked.
+const revokeAllSessions = async (userId, { except, reason = "revoked_all" } = {}) => {
+  const result = await Session.updateMany(
+    { user: userId, ...activeFilter(), ...(except && { _id: { $ne: except } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  describeDevice,
+  startSession,
+  refreshSession,
+  endSession,
+  findActiveSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
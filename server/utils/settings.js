@@ -0,0 +1,41 @@
+const Setting = require("../models/setting.model");
+
+// Known settings and their values until an admin changes them.
+const DEFAULTS = {
+  requireTwoFactorForStaff: false,
+};
+
+// Settings are read on hot paths (the admin/reviewer middleware), so the
+// stored values are cached for a short while.
+const CACHE_MS = 30 * 1000;
+let cache = null;
+let cachedAt = 0;
+
+const getSettings = async () => {
+  if (!cache || Date.now() - cachedAt > CACHE_MS) {
+    const docs = await Setting.find({ key: { $in: Object.keys(DEFAULTS) } }).lean();
+    cache = Object.fromEntries(docs.map((doc) => [doc.key, doc.value]));
+    cachedAt = Date.now();
+  }
+  return { ...DEFAULTS, ...cache };
+};
+
+const getSetting = async (key) => (await getSettings())[key];
+
+// Saves the given known settings and returns all of them.
+const updateSettings = async (changes, userId) => {
+  const keys = Object.keys(changes).filter((key) => key in DEFAULTS);
+  await Promise.all(
+    keys.map((key) =>
+      Setting.updateOne(
+        { key },
+        { $set: { value: changes[key], updatedBy: userId } },
+        { upsert: true }
+      )
+    )
+  );
+  cache = null;
+  return getSettings();
+};
+
+module.exports = { DEFAULTS, getSettings, getSetting, updateSettings };
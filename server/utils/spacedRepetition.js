@@ -0,0 +1,37 @@
+// SM-2 scheduling. Ratings run from 0 (no recall) to 5 (perfect recall);
+// anything below 3 counts as a lapse and restarts the interval.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const scheduleReview = (state, rating, now = new Date()) => {
+  let { easeFactor = 2.5, interval = 0, repetitions = 0 } = state;
+
+  if (rating < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round(interval * easeFactor);
+  }
+
+  easeFactor = Math.max(
+    MIN_EASE,
+    easeFactor + (0.1 - (5 - rating) * (0.08 + (5 - rating) * 0.02))
+  );
+
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    interval,
+    repetitions,
+    dueAt: addDays(now, interval),
+    lastReviewedAt: now,
+    lastRating: rating,
+  };
+};
+
+module.exports = { DAY_MS, addDays, scheduleReview };
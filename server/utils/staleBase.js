@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const { contentFields, contentSnapshot, diffProposal } = require("./proposalDiff");
+
+// Stale-base detection for proposals that edit an existing entry. A proposal
+// keeps a snapshot of its target as it was when the proposal was started (its
+// base). When the target has been edited since, every field is compared three
+// ways (base, current target, proposal) and fields changed differently on both
+// sides are conflicts a reviewer has to resolve before the proposal can merge.
+
+const RESOLUTION_CHOICES = ["proposal", "target"];
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const digest = (value) =>
+  crypto.createHash("sha1").update(JSON.stringify(value ?? null)).digest("hex");
+
+const captureBase = (entryType, target) => ({
+  revision: target.revision || 0,
+  snapshot: contentSnapshot(entryType, target),
+  capturedAt: new Date(),
+});
+
+/**
+ * Three-way comparison of a proposal with its base and its current target.
+ * Proposals saved before bases were recorded come back with `tracked: false`.
+ * A resolution only counts while neither side's value has changed since it
+ * was made.
+ */
+const compareWithBase = (entryType, proposal, target) => {
+  const base = proposal.base?.snapshot;
+  if (!base || !target) {
+    return { tracked: false, stale: false, fields: [], conflicts: [], unresolved: [] };
+  }
+
+  const current = contentSnapshot(entryType, target);
+  const proposed = contentSnapshot(entryType, proposal);
+  const resolutions = new Map(
+    (proposal.resolutions || []).map((resolution) => [resolution.field, resolution])
+  );
+
+  const fields = contentFields(entryType).map((field) => {
+    const proposalChanged = !same(base[field], proposed[field]);
+    const targetChanged = !same(base[field], current[field]);
+    const conflict =
+      proposalChanged && targetChanged && !same(proposed[field], current[field]);
+
+    const resolution = resolutions.get(field);
+    const resolved =
+      conflict &&
+      resolution &&
+      resolution.targetDigest === digest(current[field]) &&
+      resolution.proposalDigest === digest(proposed[field]);
+
+    return {
+      field,
+      proposalChanged,
+      targetChanged,
+      conflict,
+      resolution: resolved ? resolution.choice : null,
+    };
+  });
+
+  return {
+    tracked: true,
+    stale: fields.some((f) => f.targetChanged),
+    baseRevision: proposal.base.revision,
+    targetRevision: target.revision || 0,
+    fields,
+    conflicts: fields.filter((f) => f.conflict).map((f) => f.field),
+    unresolved: fields.filter((f) => f.conflict && !f.resolution).map((f) => f.field),
+  };
+};
+
+// Fields a merge should write: everything the proposal changed except
+// conflicts resolved in favour of the target. Fields only edited on the
+// target since the base are left as they are.
+const fieldsToMerge = (comparison) =>
+  comparison.fields
+    .filter((f) => f.proposalChanged && f.resolution !== "target")
+    .map((f) => f.field);
+
+// Stores a reviewer's choice for a conflicting field, replacing any earlier one.
+const recordResolution = (entryType, proposal, target, field, choice, reviewer) => {
+  const entry = {
+    field,
+    choice,
+    targetDigest: digest(contentSnapshot(entryType, target)[field]),
+    proposalDigest: digest(contentSnapshot(entryType, proposal)[field]),
+    resolvedBy: reviewer._id,
+    resolvedAt: new Date(),
+  };
+  const index = proposal.resolutions.findIndex((r) => r.field === field);
+  if (index === -1) proposal.resolutions.push(entry);
+  else proposal.resolutions.set(index, entry);
+};
+
+/**
+ * What the review screens show for a stale proposal: the per-field status,
+ * plus diffs of what changed on each side since the base for every field the
+ * target changed.
+ */
+const threeWayView = (entryType, proposal, target, comparison) => {
+  const base = proposal.base.snapshot;
+  const byField = (diff) => new Map(diff.fields.map((field) => [field.field, field]));
+  const upstream = byField(diffProposal(entryType, base, target));
+  const proposed = byField(diffProposal(entryType, base, proposal));
+
+  return {
+    ...comparison,
+    fields: comparison.fields
+      .filter((f) => f.targetChanged)
+      .map((f) => ({
+        ...f,
+        label: upstream.get(f.field).label,
+        upstream: upstream.get(f.field),
+        proposed: proposed.get(f.field),
+      })),
+  };
+};
+
+// The target as it will look after merging, for previewing stale proposals.
+// Unresolved conflicts show the proposal's value.
+const mergePreview = (entryType, proposal, target, comparison) => {
+  const preview = contentSnapshot(entryType, target);
+  const proposed = contentSnapshot(entryType, proposal);
+  fieldsToMerge(comparison).forEach((field) => {
+    preview[field] = proposed[field];
+  });
+  return preview;
+};
+
+module.exports = {
+  RESOLUTION_CHOICES,
+  captureBase,
+  compareWithBase,
+  fieldsToMerge,
+  recordResolution,
+  threeWayView,
+  mergePreview,
+};
@@ -0,0 +1,171 @@
+const Algorithm = require("../models/algorithm.model");
+const { isRunnableLanguage, isSandboxed, runCode } = require("./codeRunner");
+
+const normalizeLines = (text = "") =>
+  text
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) => line.replace(/\s+$/, ""))
+    .join("\n")
+    .replace(/\n+$/, "");
+
+const tokenize = (text = "") => text.split(/\s+/).filter(Boolean);
+
+const numbersMatch = (actual, expected, tolerance) => {
+  const a = Number(actual);
+  const b = Number(expected);
+  if (Number.isNaN(a) || Number.isNaN(b)) return actual === expected;
+  const diff = Math.abs(a - b);
+  return diff <= tolerance || diff <= tolerance * Math.abs(b);
+};
+
+// exact: same text ignoring trailing whitespace; token: same whitespace
+// separated tokens; float: like token, numbers within absolute or relative
+// tolerance.
+const outputMatches = (actual, expected, checker = {}) => {
+  const mode = checker.mode || "exact";
+
+  if (mode === "exact") {
+    return normalizeLines(actual) === normalizeLines(expected);
+  }
+
+  const actualTokens = tokenize(actual);
+  const expectedTokens = tokenize(expected);
+  if (actualTokens.length !== expectedTokens.length) return false;
+
+  if (mode === "token") {
+    return actualTokens.every((token, i) => token === expectedTokens[i]);
+  }
+
+  const tolerance = checker.tolerance ?? 1e-6;
+  return actualTokens.every((token, i) =>
+    numbersMatch(token, expectedTokens[i], tolerance)
+  );
+};
+
+const verifyImplementation = async ({ language, code }, testCases) => {
+  const base = { language, passed: 0, total: testCases.length };
+
+  if (!isRunnableLanguage(language)) {
+    return {
+      ...base,
+      status: "untested",
+      message: `${language} cannot be run automatically yet.`,
+    };
+  }
+
+  if (testCases.length === 0) {
+    return { ...base, status: "untested", message: "No test cases yet." };
+  }
+
+  let passed = 0;
+  let firstFailure = null;
+  for (const [index, testCase] of testCases.entries()) {
+    const result = await runCode({ language, code, stdin: testCase.input });
+    const ok =
+      result.exitCode === 0 &&
+      !result.timedOut &&
+      !result.truncated &&
+      outputMatches(result.stdout, testCase.expectedOutput, testCase.checker);
+
+    if (ok) {
+      passed++;
+    } else if (!firstFailure) {
+      const label =
+        testCase.visibility === "hidden"
+          ? `hidden test case`
+          : `test case #${index + 1}`;
+      firstFailure = result.timedOut
+        ? `Time limit exceeded on ${label}.`
+        : result.exitCode !== 0
+        ? `Runtime error on ${label}.`
+        : `Wrong answer on ${label}.`;
+    }
+  }
+
+  return {
+    ...base,
+    passed,
+    status: passed === testCases.length ? "verified" : "failing",
+    message:
+      passed === testCases.length
+        ? `Passed all ${testCases.length} test cases.`
+        : `Passed ${passed} of ${testCases.length}. ${firstFailure}`,
+  };
+};
+
+const verifyAlgorithm = async (algorithmId) => {
+  const algorithm = await Algorithm.findById(algorithmId)
+    .select("codes +testCases")
+    .lean();
+  if (!algorithm) return null;
+
+  const testCases = algorithm.testCases || [];
+  const verification = [];
+  for (const implementation of algorithm.codes || []) {
+    const result = await verifyImplementation(implementation, testCases);
+    verification.push({ ...result, checkedAt: new Date() });
+  }
+
+  await Algorithm.updateOne(
+    { _id: algorithmId },
+    { $set: { verification } },
+    { timestamps: false }
+  );
+  return verification;
+};
+
+const running = new Set();
+const rerunRequested = new Set();
+
+// Re-verifies in the background; saves that land while a run is in progress
+// trigger exactly one follow-up run so the stored result matches the latest
+// code and test cases. Without the code sandbox nothing runs, as that would
+// run any signed-in user's code on the server.
+const scheduleVerification = (algorithmId) => {
+  if (!isSandboxed()) return;
+  const key = algorithmId.toString();
+  if (running.has(key)) {
+    rerunRequested.add(key);
+    return;
+  }
+
+  running.add(key);
+  verifyAlgorithm(algorithmId)
+    .catch((error) => {
+      console.error(`❌ Verification failed for algorithm ${key}:`, error);
+    })
+    .finally(() => {
+      running.delete(key);
+      if (rerunRequested.delete(key)) scheduleVerification(algorithmId);
+    });
+};
+
+// Marks languages whose code changed as untested until the background run
+// reports back. Returns whether any implementation changed.
+const resetVerification = (algorithm, previousCodes = []) => {
+  const previous = new Map(previousCodes.map((c) => [c.language, c.code]));
+  const existing = new Map(
+    (algorithm.verification || []).map((v) => [v.language, v.toObject?.() || v])
+  );
+
+  let changed = algorithm.codes.length !== previousCodes.length;
+  algorithm.verification = algorithm.codes.map(({ language, code }) => {
+    const entry = existing.get(language);
+    if (entry && previous.get(language) === code) return entry;
+    changed = true;
+    return {
+      language,
+      status: "untested",
+      message: isSandboxed() ? "Verification pending." : "Verification needs the code sandbox.",
+    };
+  });
+  return changed;
+};
+
+module.exports = {
+  outputMatches,
+  verifyAlgorithm,
+  scheduleVerification,
+  resetVerification,
+};
@@ -0,0 +1,98 @@
+const crypto = require("crypto");
+
+// Time-based one-time passwords (RFC 6238) as used by Google Authenticator,
+// Authy, 1Password and friends: HMAC-SHA1, 6 digits, 30 second steps.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/[\s=-]/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// A new random 160-bit secret, base32 encoded as authenticator apps expect.
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const stepAt = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// HOTP (RFC 4226) for the given counter.
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const generateTotp = (secret, time = Date.now()) => hotp(secret, stepAt(time));
+
+/**
+ * Checks a code against the current step and `window` steps either side, to
+ * allow for clock drift. Returns the matching step, or null. Callers should
+ * reject steps at or before the last one accepted so a code can't be replayed.
+ */
+const verifyTotp = (secret, code, { time = Date.now(), window = 1 } = {}) => {
+  const token = String(code ?? "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(token)) return null;
+
+  const current = stepAt(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) return step;
+  }
+  return null;
+};
+
+// The otpauth:// URI encoded in enrollment QR codes.
+const otpauthUrl = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  otpauthUrl,
+};
@@ -0,0 +1,174 @@
+// Shape of an execution trace step:
+// {
+//   lines: [3, 4],                       // 1-based code lines to highlight
+//   description: "Swap arr[j] and arr[j + 1]",
+//   variables: { i: 0, j: 1, swapped: true },
+//   structures: [
+//     { type: "array", name: "arr", values: [1, 5, 3],
+//       pointers: { j: 1 }, highlight: [1, 2], sorted: [] },
+//     { type: "graph", name: "G", directed: false,
+//       nodes: [{ id: "A", x: 0.2, y: 0.5 }], edges: [{ from: "A", to: "B" }],
+//       highlight: ["A"], visited: [], activeEdges: [["A", "B"]] },
+//   ],
+// }
+
+const MAX_STEPS = 500;
+const MAX_ARRAY_LENGTH = 100;
+const MAX_GRAPH_NODES = 60;
+const STRUCTURE_TYPES = ["array", "graph"];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isIndexList = (value, length) =>
+  Array.isArray(value) &&
+  value.every((i) => Number.isInteger(i) && i >= 0 && i < length);
+
+const validateArrayStructure = (structure, where) => {
+  if (!Array.isArray(structure.values)) {
+    return `${where}: array structures need a "values" list.`;
+  }
+  if (structure.values.length > MAX_ARRAY_LENGTH) {
+    return `${where}: arrays can have at most ${MAX_ARRAY_LENGTH} values.`;
+  }
+  const length = structure.values.length;
+
+  if (structure.pointers !== undefined) {
+    if (!isPlainObject(structure.pointers)) {
+      return `${where}: "pointers" must map pointer names to indexes.`;
+    }
+    const invalid = Object.entries(structure.pointers).find(
+      ([, index]) =>
+        index !== null && (!Number.isInteger(index) || index < -1 || index > length)
+    );
+    if (invalid) {
+      return `${where}: pointer "${invalid[0]}" is out of range.`;
+    }
+  }
+
+  for (const key of ["highlight", "sorted"]) {
+    if (structure[key] !== undefined && !isIndexList(structure[key], length)) {
+      return `${where}: "${key}" must list valid indexes.`;
+    }
+  }
+
+  if (
+    structure.window !== undefined &&
+    !(
+      Array.isArray(structure.window) &&
+      structure.window.length === 2 &&
+      isIndexList(structure.window, length) &&
+      structure.window[0] <= structure.window[1]
+    )
+  ) {
+    return `${where}: "window" must be [start, end] indexes.`;
+  }
+
+  return null;
+};
+
+const validateGraphStructure = (structure, where) => {
+  if (!Array.isArray(structure.nodes) || structure.nodes.length === 0) {
+    return `${where}: graph structures need a "nodes" list.`;
+  }
+  if (structure.nodes.length > MAX_GRAPH_NODES) {
+    return `${where}: graphs can have at most ${MAX_GRAPH_NODES} nodes.`;
+  }
+
+  const ids = new Set();
+  for (const node of structure.nodes) {
+    if (!isPlainObject(node) || node.id === undefined || node.id === "") {
+      return `${where}: every node needs an "id".`;
+    }
+    ids.add(String(node.id));
+  }
+
+  const edges = structure.edges || [];
+  if (!Array.isArray(edges)) {
+    return `${where}: "edges" must be a list.`;
+  }
+  const unknownEdge = edges.find(
+    (edge) =>
+      !isPlainObject(edge) ||
+      !ids.has(String(edge.from)) ||
+      !ids.has(String(edge.to))
+  );
+  if (unknownEdge) {
+    return `${where}: edges must connect existing nodes.`;
+  }
+
+  for (const key of ["highlight", "visited"]) {
+    const list = structure[key];
+    if (list !== undefined && !(Array.isArray(list) && list.every((id) => ids.has(String(id))))) {
+      return `${where}: "${key}" must list existing node ids.`;
+    }
+  }
+
+  const activeEdges = structure.activeEdges;
+  if (
+    activeEdges !== undefined &&
+    !(
+      Array.isArray(activeEdges) &&
+      activeEdges.every(
+        (pair) =>
+          Array.isArray(pair) &&
+          pair.length === 2 &&
+          ids.has(String(pair[0])) &&
+          ids.has(String(pair[1]))
+      )
+    )
+  ) {
+    return `${where}: "activeEdges" must list [from, to] node id pairs.`;
+  }
+
+  return null;
+};
+
+// Returns the first problem found in `steps`, or null when the trace is valid.
+const validateTraceSteps = (steps) => {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return "A trace needs at least one step.";
+  }
+  if (steps.length > MAX_STEPS) {
+    return `A trace can have at most ${MAX_STEPS} steps.`;
+  }
+
+  for (const [index, step] of steps.entries()) {
+    const where = `Step ${index + 1}`;
+
+    if (!isPlainObject(step)) {
+      return `${where} must be an object.`;
+    }
+    if (
+      step.lines !== undefined &&
+      !(Array.isArray(step.lines) && step.lines.every((l) => Number.isInteger(l) && l > 0))
+    ) {
+      return `${where}: "lines" must list positive line numbers.`;
+    }
+    if (step.description !== undefined && typeof step.description !== "string") {
+      return `${where}: "description" must be text.`;
+    }
+    if (step.variables !== undefined && !isPlainObject(step.variables)) {
+      return `${where}: "variables" must map names to values.`;
+    }
+    if (step.structures === undefined) continue;
+    if (!Array.isArray(step.structures)) {
+      return `${where}: "structures" must be a list.`;
+    }
+
+    for (const structure of step.structures) {
+      if (!isPlainObject(structure) || !STRUCTURE_TYPES.includes(structure.type)) {
+        return `${where}: structure type must be one of ${STRUCTURE_TYPES.join(", ")}.`;
+      }
+      const error =
+        structure.type === "array"
+          ? validateArrayStructure(structure, where)
+          : validateGraphStructure(structure, where);
+      if (error) return error;
+    }
+  }
+
+  return null;
+};
+
+module.exports = { MAX_STEPS, validateTraceSteps };
@@ -0,0 +1,172 @@
+const Algorithm = require("../models/algorithm.model");
+const DataStructure = require("../models/dataStructure.model");
+const Proposal = require("../models/proposal.model");
+const DataStructureProposal = require("../models/dataStructureProposal.model");
+const Comment = require("../models/comment.model");
+const Revision = require("../models/revision.model");
+const Relation = require("../models/relation.model");
+const StudyProgress = require("../models/studyProgress.model");
+
+// Soft-deleted content stays in the trash, hidden from every read path,
+// until an admin restores it or it is purged. Purging removes the document
+// for good along with the records that only make sense next to it.
+
+// `restores` lists fields that deleting overwrites and keeps a copy of in
+// `stateBeforeDelete`.
+const TRASH_TYPES = {
+  Algorithm: { model: Algorithm, author: "createdBy" },
+  DataStructure: {
+    model: DataStructure,
+    author: "createdBy",
+    restores: ["isPublished", "status"],
+  },
+  Proposal: { model: Proposal, author: "contributor" },
+  DataStructureProposal: {
+    model: DataStructureProposal,
+    author: "contributor",
+    restores: ["status"],
+  },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const retentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+};
+
+const purgeDateFor = (deletedAt) =>
+  deletedAt ? new Date(new Date(deletedAt).getTime() + retentionDays() * DAY_MS) : null;
+
+const toTrashItem = (type, doc) => ({
+  type,
+  _id: doc._id,
+  title: doc.title,
+  slug: doc.slug,
+  author: doc[TRASH_TYPES[type].author],
+  deletedAt: doc.deletedAt,
+  deletedBy: doc.deletedBy,
+  purgeAt: purgeDateFor(doc.deletedAt),
+});
+
+const findTrashed = (type, { skip = 0, limit }) => {
+  const { model, author } = TRASH_TYPES[type];
+  return model
+    .find({ isDeleted: true })
+    .select(`title slug deletedAt deletedBy ${author}`)
+    .populate("deletedBy", "username avatarUrl")
+    .populate(author, "username avatarUrl")
+    .sort({ deletedAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Deleted items, most recently deleted first. Without a `type` all four
+ * kinds are merged into one list.
+ */
+const listTrash = async ({ type, page = 1, limit = 20 } = {}) => {
+  const types = type ? [type] : Object.keys(TRASH_TYPES);
+
+  const totals = await Promise.all(
+    types.map((t) => TRASH_TYPES[t].model.countDocuments({ isDeleted: true }))
+  );
+  const total = totals.reduce((sum, n) => sum + n, 0);
+
+  let items;
+  if (type) {
+    const docs = await findTrashed(type, { skip: (page - 1) * limit, limit });
+    items = docs.map((doc) => toTrashItem(type, doc));
+  } else {
+    // Any item on the requested page is within the first page * limit of
+    // its own kind
+    const perType = await Promise.all(
+      types.map((t) => findTrashed(t, { limit: page * limit }))
+    );
+    items = perType
+      .flatMap((docs, i) => docs.map((doc) => toTrashItem(types[i], doc)))
+      .sort((a, b) => new Date(b.deletedAt || 0) - new Date(a.deletedAt || 0))
+      .slice((page - 1) * limit, page * limit);
+  }
+
+  return { items, total, pages: Math.ceil(total / limit), currentPage: page };
+};
+
+// Returns the restored document, or null when it isn't in the trash. Items
+// deleted before their prior state was kept are left as they are.
+const restoreItem = (type, id) => {
+  const { model, restores = [] } = TRASH_TYPES[type];
+  const previous = Object.fromEntries(
+    restores.map((field) => [field, { $ifNull: [`$stateBeforeDelete.${field}`, `$${field}`] }])
+  );
+  return model.findOneAndUpdate(
+    { _id: id, isDeleted: true },
+    [
+      { $set: { isDeleted: false, ...previous } },
+      { $unset: ["deletedAt", "deletedBy", "stateBeforeDelete"] },
+    ],
+    { new: true }
+  );
+};
+
+const removeDependents = async (type, ids) => {
+  if (ids.length === 0) return;
+  const work = [Comment.deleteMany({ parentType: type, parentId: { $in: ids } })];
+
+  if (type === "Algorithm" || type === "DataStructure") {
+    work.push(
+      Revision.deleteMany({ targetType: type, targetId: { $in: ids } }),
+      Relation.deleteMany({
+        $or: [
+          { sourceType: type, source: { $in: ids } },
+          { targetType: type, target: { $in: ids } },
+        ],
+      }),
+      StudyProgress.deleteMany({ entryType: type, entry: { $in: ids } })
+    );
+  }
+  await Promise.all(work);
+};
+
+const purgeWhere = async (type, filter) => {
+  const { model } = TRASH_TYPES[type];
+  const ids = (await model.find({ ...filter, isDeleted: true }, "_id").lean()).map(
+    (doc) => doc._id
+  );
+
+  // Re-checks isDeleted so that an item restored in the meantime survives
+  const purged = [];
+  for (const _id of ids) {
+    const doc = await model.findOneAndDelete({ _id, isDeleted: true }).lean();
+    if (doc) purged.push(doc);
+  }
+  await removeDependents(type, purged.map((doc) => doc._id));
+  return purged;
+};
+
+// Permanently removes one item from the trash. Returns the removed document,
+// or null when it wasn't there.
+const purgeItem = async (type, id) => (await purgeWhere(type, { _id: id }))[0] || null;
+
+/**
+ * Permanently removes everything deleted longer ago than the retention
+ * period (TRASH_RETENTION_DAYS). Items without a deletion date are kept.
+ */
+const purgeExpired = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - retentionDays() * DAY_MS);
+  const purged = {};
+  for (const type of Object.keys(TRASH_TYPES)) {
+    purged[type] = (await purgeWhere(type, { deletedAt: { $lte: cutoff } })).length;
+  }
+  return purged;
+};
+
+module.exports = {
+  TRASH_TYPES,
+  retentionDays,
+  listTrash,
+  restoreItem,
+  purgeItem,
+  purgeExpired,
+};
@@ -0,0 +1,44 @@
+const cron = require('node-cron');
+const { purgeExpired, retentionDays } = require('./trash');
+
+// Permanently removes trashed content past its retention period, see trash.js
+class TrashPurger {
+  constructor() {
+    this.enabled = process.env.TRASH_PURGE_ENABLED !== 'false';
+    this.task = null;
+    this.running = false;
+  }
+
+  start() {
+    if (!this.enabled) return;
+
+    const interval = process.env.TRASH_PURGE_INTERVAL || '0 3 * * *';
+
+    this.task = cron.schedule(interval, async () => {
+      if (this.running) return;
+      this.running = true;
+      try {
+        const purged = await purgeExpired();
+        const total = Object.values(purged).reduce((sum, n) => sum + n, 0);
+        if (total) {
+          console.log(`🗑️ Trash purge: ${total} items older than ${retentionDays()} days removed`);
+        }
+      } catch (error) {
+        console.log('❌ Trash purge failed:', error.message);
+      } finally {
+        this.running = false;
+      }
+    });
+
+    console.log(`🗑️ Trash purger started (${interval})`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      console.log('🛑 Trash purger stopped');
+    }
+  }
+}
+
+module.exports = TrashPurger;
@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const QRCode = require("qrcode");
+const { generateSecret, verifyTotp, otpauthUrl } = require("./totp");
+const { getSetting } = require("./settings");
+
+// Optional TOTP two-factor authentication. With it enabled, a correct
+// password only earns a short-lived login challenge, which is exchanged for
+// a session once an authenticator code (or a one-time recovery code) is
+// given. Admins can make it mandatory for admin and reviewer accounts.
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "SDEverse";
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = "5m";
+const STAFF_ROLES = ["admin", "reviewer"];
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ""))
+    .digest("hex");
+
+// Codes look like "k3f9a-02hxq"; only their hashes are stored.
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(8).toString("hex").slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+// Starts enrollment: stores a pending secret and returns what the
+// authenticator app needs. Nothing changes for login until it is confirmed.
+const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  const url = otpauthUrl({ secret, account: user.email, issuer: ISSUER });
+  return { secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) };
+};
+
+/**
+ * Checks an authenticator code against the user's secret and remembers the
+ * step it belongs to, so it can't be used twice. Pass `secret` to check a
+ * pending enrollment instead. Saves the user on success.
+ */
+const consumeTotp = async (user, code, secret = user.twoFactor.secret) => {
+  if (!secret) return false;
+  const step = verifyTotp(secret, code);
+  if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) return false;
+  user.twoFactor.lastUsedStep = step;
+  await user.save();
+  return true;
+};
+
+// Uses up a recovery code. Saves the user on success.
+const consumeRecoveryCode = async (user, code) => {
+  const hash = hashRecoveryCode(code ?? "");
+  const codes = user.twoFactor.recoveryCodes || [];
+  if (!code || !codes.includes(hash)) return false;
+  user.twoFactor.recoveryCodes = codes.filter((stored) => stored !== hash);
+  await user.save();
+  return true;
+};
+
+// Confirms enrollment with a first code; returns the recovery codes, which
+// are shown once.
+const completeEnrollment = async (user, code) => {
+  const secret = user.twoFactor.pendingSecret;
+  if (!(await consumeTotp(user, code, secret))) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = secret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+  return recoveryCodes;
+};
+
+const regenerateRecoveryCodes = async (user) => {
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await user.save();
+  return recoveryCodes;
+};
+
+const disableTwoFactor = async (user) => {
+  user.twoFactor = { enabled: false };
+  await user.save();
+};
+
+// Either an authenticator code or a recovery code, whichever was given.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) return consumeRecoveryCode(user, recoveryCode);
+  return consumeTotp(user, code);
+};
+
+// Whether site settings oblige this user to have two-factor enabled.
+const isTwoFactorRequired = async (user) =>
+  Boolean(user && STAFF_ROLES.includes(user.role)) &&
+  Boolean(await getSetting("requireTwoFactorForStaff"));
+
+// The token handed out between the password and the code steps of a login.
+// It carries no session id, so `protect` never accepts it.
+const issueLoginChallenge = (user) =>
+  jwt.sign({ id: user._id, purpose: "2fa_login" }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL,
+  });
+
+// Returns the user id a challenge was issued to, or null.
+const readLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === "2fa_login" ? decoded.id : null;
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  beginEnrollment,
+  completeEnrollment,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  verifySecondFactor,
+  consumeTotp,
+  isTwoFactorRequired,
+  issueLoginChallenge,
+  readLoginChallenge,
+};